@@ -0,0 +1,91 @@
+/**
+ * Allocation strategies - decide which orders made units go to first
+ *
+ * Allocation walks line items in the order returned by sortLineItemsForAllocation.
+ * Deallocation (unmark made) walks the same list in reverse, so the orders
+ * that would get units last are the first to give them back.
+ */
+
+const DEFAULT_ALLOCATION_STRATEGY = 'oldest_first';
+
+const ALLOCATION_STRATEGIES = [
+  { id: 'oldest_first', label: 'Oldest orders first' },
+  { id: 'fewest_remaining', label: 'Fewest remaining items first (complete the most orders)' },
+  { id: 'express_first', label: 'Express / priority shipping first' },
+  { id: 'tag_first', label: 'Orders with a Shopify tag first' },
+  { id: 'manual_rank', label: 'Manual priority rank' }
+];
+
+// Shipping method titles/codes that count as express
+const EXPRESS_SHIPPING_PATTERN = /express|priority|overnight|next[\s-]?day|expedited|rush|same[\s-]?day/i;
+
+/**
+ * Check whether a shipping method title/code looks like express shipping
+ */
+function isExpressShipping(shippingMethod) {
+  return !!shippingMethod && EXPRESS_SHIPPING_PATTERN.test(shippingMethod);
+}
+
+/**
+ * Check whether a comma-separated Shopify tag list contains a tag (case-insensitive)
+ */
+function hasTag(tags, tag) {
+  if (!tags || !tag) return false;
+  const wanted = tag.trim().toLowerCase();
+  return tags.split(',').some(t => t.trim().toLowerCase() === wanted);
+}
+
+/**
+ * Validate and fill in defaults for a stored strategy setting
+ * settings: { strategy, tag }
+ */
+function normalizeAllocationSettings(settings = {}) {
+  const strategy = ALLOCATION_STRATEGIES.some(s => s.id === settings.strategy)
+    ? settings.strategy
+    : DEFAULT_ALLOCATION_STRATEGY;
+
+  return {
+    strategy,
+    tag: typeof settings.tag === 'string' ? settings.tag.trim() : ''
+  };
+}
+
+// Sort key for each strategy - lower sorts first. Ties fall back to oldest first.
+const STRATEGY_KEYS = {
+  oldest_first: () => 0,
+  fewest_remaining: item => item.total_items - item.fulfilled_items,
+  express_first: item => (isExpressShipping(item.shipping_method) ? 0 : 1),
+  tag_first: (item, settings) => (hasTag(item.tags, settings.tag) ? 0 : 1),
+  manual_rank: item => (item.priority_rank === null || item.priority_rank === undefined
+    ? Number.MAX_SAFE_INTEGER
+    : item.priority_rank)
+};
+
+/**
+ * Sort line items (joined with their order) into allocation order
+ * Each item needs: order_date, id, total_items, fulfilled_items,
+ * shipping_method, tags and priority_rank
+ */
+function sortLineItemsForAllocation(lineItems, settings) {
+  const { strategy, tag } = normalizeAllocationSettings(settings);
+  const key = STRATEGY_KEYS[strategy];
+
+  return [...lineItems].sort((a, b) => {
+    const diff = key(a, { tag }) - key(b, { tag });
+    if (diff !== 0) return diff;
+
+    if (a.order_date !== b.order_date) {
+      return a.order_date < b.order_date ? -1 : 1;
+    }
+    return a.id - b.id;
+  });
+}
+
+module.exports = {
+  DEFAULT_ALLOCATION_STRATEGY,
+  ALLOCATION_STRATEGIES,
+  isExpressShipping,
+  hasTag,
+  normalizeAllocationSettings,
+  sortLineItemsForAllocation
+};
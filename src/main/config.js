@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
+const { normalizeWorkingHours } = require('./working-hours');
 
 /**
  * Get the config file path
@@ -148,14 +149,16 @@ function getAutoSyncSettings() {
   const config = loadConfig();
   return {
     enabled: config.autoSyncEnabled || false,
-    intervalMinutes: config.autoSyncIntervalMinutes || 5
+    intervalMinutes: config.autoSyncIntervalMinutes || 5,
+    workingHours: normalizeWorkingHours(config.autoSyncWorkingHours)
   };
 }
 
 /**
  * Save auto-sync settings
+ * workingHours ({ enabled, start, end, days }) is left as it was when not given
  */
-function saveAutoSyncSettings(enabled, intervalMinutes) {
+function saveAutoSyncSettings(enabled, intervalMinutes, workingHours) {
   // Validate interval is a positive integer >= 1
   const interval = parseInt(intervalMinutes, 10);
   if (isNaN(interval) || interval < 1) {
@@ -165,6 +168,9 @@ function saveAutoSyncSettings(enabled, intervalMinutes) {
   const config = loadConfig();
   config.autoSyncEnabled = !!enabled;
   config.autoSyncIntervalMinutes = interval;
+  if (workingHours !== undefined) {
+    config.autoSyncWorkingHours = normalizeWorkingHours(workingHours);
+  }
   return saveConfig(config);
 }
 
@@ -0,0 +1,340 @@
+/**
+ * Data export - tasks, orders, archived orders and inventory as CSV or XLSX
+ *
+ * Each dataset has a fixed list of columns the user can pick from. CSV is
+ * written as UTF-8 with a byte order mark so Excel reads product titles
+ * correctly; XLSX is a minimal single-sheet workbook built here so there is
+ * no spreadsheet library to ship.
+ */
+
+const { dialog } = require('electron');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const yesNo = value => (value ? 'Yes' : 'No');
+const variantLabel = variantTitle => (variantTitle && variantTitle !== 'Default Title' ? variantTitle : '');
+
+// Columns marked optional are left out until the user picks them
+const ORDER_COLUMNS = [
+  { id: 'order_name', label: 'Order', value: row => row.order_name },
+  { id: 'order_date', label: 'Order date', value: row => row.order_date },
+  { id: 'status', label: 'Status', value: row => row.status },
+  { id: 'shipping_method', label: 'Shipping method', value: row => row.shipping_method },
+  { id: 'tags', label: 'Tags', value: row => row.tags },
+  { id: 'total_items', label: 'Order items', value: row => row.total_items },
+  { id: 'fulfilled_items', label: 'Order items made', value: row => row.fulfilled_items },
+  { id: 'shopify_admin_url', label: 'Shopify admin URL', value: row => row.shopifyAdminUrl },
+  { id: 'product_title', label: 'Product', value: row => row.item.product_title },
+  { id: 'variant_title', label: 'Variant', value: row => variantLabel(row.item.variant_title) },
+  { id: 'sku', label: 'SKU', value: row => row.item.sku },
+  { id: 'quantity', label: 'Quantity', value: row => row.item.quantity },
+  { id: 'fulfilled_quantity', label: 'Made', value: row => row.item.fulfilled_quantity },
+  { id: 'remaining_quantity', label: 'Remaining', value: row => row.item.quantity - row.item.fulfilled_quantity },
+  { id: 'order_id', label: 'Order ID', value: row => row.order_id, optional: true },
+  { id: 'variant_id', label: 'Variant ID', value: row => row.item.variant_id, optional: true }
+];
+
+const EXPORT_DATASETS = {
+  tasks: {
+    label: 'Tasks',
+    columns: [
+      { id: 'product_title', label: 'Product', value: row => row.product_title },
+      { id: 'variant_title', label: 'Variant', value: row => variantLabel(row.variant_title) },
+      { id: 'sku', label: 'SKU', value: row => row.sku },
+      { id: 'status', label: 'Status', value: row => row.status },
+      { id: 'total_quantity', label: 'Ordered', value: row => row.total_quantity },
+      { id: 'made_quantity', label: 'Made', value: row => row.made_quantity },
+      { id: 'remaining_quantity', label: 'Remaining', value: row => row.remaining_quantity },
+      { id: 'stock_on_hand', label: 'Stock on hand', value: row => row.stock_on_hand },
+      { id: 'net_to_make', label: 'Net to make', value: row => row.net_to_make },
+      { id: 'reserved_quantity', label: 'In open batches', value: row => row.reserved_quantity },
+      { id: 'variant_id', label: 'Variant ID', value: row => row.variant_id, optional: true },
+      { id: 'image_url', label: 'Image URL', value: row => row.image_url, optional: true }
+    ]
+  },
+  orders: {
+    label: 'Orders',
+    columns: ORDER_COLUMNS
+  },
+  archived_orders: {
+    label: 'Archived orders',
+    columns: ORDER_COLUMNS
+  },
+  inventory: {
+    label: 'Inventory',
+    columns: [
+      { id: 'product_title', label: 'Product', value: row => row.product_title },
+      { id: 'variant_title', label: 'Variant', value: row => variantLabel(row.variant_title) },
+      { id: 'sku', label: 'SKU', value: row => row.sku },
+      { id: 'location_name', label: 'Location', value: row => row.location_name || 'All locations' },
+      { id: 'quantity', label: 'Available', value: row => (row.location_id ? row.available : row.inventory_quantity) },
+      { id: 'out_of_stock', label: 'Out of stock', value: row => yesNo(row.is_out_of_stock) },
+      { id: 'variant_id', label: 'Variant ID', value: row => row.variant_id, optional: true },
+      { id: 'product_id', label: 'Product ID', value: row => row.product_id, optional: true },
+      { id: 'image_url', label: 'Image URL', value: row => row.image_url, optional: true }
+    ]
+  }
+};
+
+/**
+ * Get each dataset's label and columns for the export dialog
+ * Returns { [dataset]: { label, columns: [{ id, label, optional }] } }
+ */
+function getExportColumns() {
+  return Object.fromEntries(Object.entries(EXPORT_DATASETS).map(([dataset, { label, columns }]) => [
+    dataset,
+    { label, columns: columns.map(({ id, label: columnLabel, optional }) => ({ id, label: columnLabel, optional: !!optional })) }
+  ]));
+}
+
+/**
+ * Turn rows into a table of the chosen columns (in the dataset's column order)
+ * Orders come from getOrdersWithLineItems and get one row per line item
+ * Returns { name, header: [label], rows: [[value]] }
+ */
+function buildExportTable(dataset, rows, columnIds) {
+  const definition = EXPORT_DATASETS[dataset];
+  if (!definition) {
+    throw new Error(`Unknown export: ${dataset}`);
+  }
+
+  const columns = columnIds
+    ? definition.columns.filter(column => columnIds.includes(column.id))
+    : definition.columns.filter(column => !column.optional);
+  if (columns.length === 0) {
+    throw new Error('Pick at least one column to export');
+  }
+
+  const records = definition.columns === ORDER_COLUMNS
+    ? rows.flatMap(order => (order.lineItems.length > 0 ? order.lineItems : [{}]).map(item => ({ ...order, item })))
+    : rows;
+
+  return {
+    name: definition.label,
+    header: columns.map(column => column.label),
+    rows: records.map(record => columns.map(column => {
+      const value = column.value(record);
+      return value === undefined || Number.isNaN(value) ? null : value;
+    }))
+  };
+}
+
+/**
+ * Write a table as CSV (UTF-8 with a byte order mark, CRLF line endings)
+ */
+function toCsv(table) {
+  const cell = value => {
+    if (value === null) {
+      return '';
+    }
+    let text = String(value);
+    // Text that looks like a formula is run by spreadsheets when opened
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [table.header, ...table.rows].map(row => row.map(cell).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters aren't allowed in XML at all
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a zip archive (deflated, UTF-8 names)
+ * files: [{ name, content }] - content is a string
+ */
+function zipFiles(files) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    // Version, UTF-8 flag, deflate, time and date (1980-01-01), CRC and sizes
+    const entry = Buffer.alloc(26);
+    entry.writeUInt16LE(20, 0);
+    entry.writeUInt16LE(0x0800, 2);
+    entry.writeUInt16LE(8, 4);
+    entry.writeUInt16LE(0, 6);
+    entry.writeUInt16LE(33, 8);
+    entry.writeUInt32LE(crc, 10);
+    entry.writeUInt32LE(compressed.length, 14);
+    entry.writeUInt32LE(data.length, 18);
+    entry.writeUInt16LE(name.length, 22);
+    entry.writeUInt16LE(0, 24);
+
+    const local = Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), entry, name, compressed]);
+    parts.push(local);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);
+    entry.copy(central, 6);
+    central.writeUInt32LE(offset, 42);
+    directory.push(Buffer.concat([central, name]));
+
+    offset += local.length;
+  }
+
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, directoryBuffer, end]);
+}
+
+/**
+ * Write a table as a single-sheet XLSX workbook with a bold, frozen header row
+ * Returns a Buffer
+ */
+function toXlsx(table) {
+  const SPREADSHEET = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const RELATIONSHIPS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+  const XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  const cell = (value, ref, style) => {
+    if (value === null) {
+      return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  };
+  const sheetRows = [table.header, ...table.rows].map((row, rowIndex) => {
+    const style = rowIndex === 0 ? ' s="1"' : '';
+    const cells = row.map((value, columnIndex) => cell(value, `${columnName(columnIndex)}${rowIndex + 1}`, style)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  return zipFiles([
+    {
+      name: '[Content_Types].xml',
+      content: `${XML}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${XML}<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">`
+        + `<Relationship Id="rId1" Type="${RELATIONSHIPS}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${XML}<workbook xmlns="${SPREADSHEET}" xmlns:r="${RELATIONSHIPS}">`
+        + `<sheets><sheet name="${escapeXml(table.name)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${XML}<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">`
+        + `<Relationship Id="rId1" Type="${RELATIONSHIPS}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${RELATIONSHIPS}/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: `${XML}<styleSheet xmlns="${SPREADSHEET}">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+        + '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${XML}<worksheet xmlns="${SPREADSHEET}">`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>'
+    }
+  ]);
+}
+
+/**
+ * Ask where to save a table and write it there as CSV or XLSX
+ * Resolves to { saved, filePath } - saved is false if the dialog was cancelled
+ */
+async function saveExport(table, format, fileName, parentWindow) {
+  const options = {
+    title: `Export ${table.name}`,
+    defaultPath: `${fileName}.${format}`,
+    filters: format === 'xlsx'
+      ? [{ name: 'Excel workbook', extensions: ['xlsx'] }]
+      : [{ name: 'CSV', extensions: ['csv'] }]
+  };
+  const { canceled, filePath } = parentWindow
+    ? await dialog.showSaveDialog(parentWindow, options)
+    : await dialog.showSaveDialog(options);
+
+  if (canceled || !filePath) {
+    return { saved: false, filePath: null };
+  }
+
+  await fs.promises.writeFile(filePath, format === 'xlsx' ? toXlsx(table) : toCsv(table));
+
+  return { saved: true, filePath };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportColumns,
+  buildExportTable,
+  toCsv,
+  toXlsx,
+  saveExport
+};
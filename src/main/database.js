@@ -2,6 +2,9 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const { app } = require('electron');
 const fs = require('fs');
+const { runMigrations } = require('./migrations');
+const undoHistory = require('./undo-history');
+const { normalizeAllocationSettings, sortLineItemsForAllocation } = require('./allocation-strategies');
 
 let db;
 let currentStoreUrl = null;
@@ -45,7 +48,8 @@ function getDatabasePath(storeUrl) {
 }
 
 /**
- * Initialize database connection and create tables
+ * Initialize database connection and apply any pending schema migrations
+ * Throws if a migration fails - the database is left closed in that case
  */
 function initDatabase(storeUrl = null) {
   // If switching stores, close existing connection
@@ -70,172 +74,70 @@ function initDatabase(storeUrl = null) {
   // Enable WAL mode for better concurrent access
   db.pragma('journal_mode = WAL');
   
-  // Create tasks table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS tasks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      variant_id TEXT UNIQUE NOT NULL,
-      variant_title TEXT NOT NULL,
-      product_title TEXT NOT NULL,
-      sku TEXT DEFAULT '',
-      image_url TEXT DEFAULT NULL,
-      total_quantity INTEGER NOT NULL DEFAULT 0,
-      made_quantity INTEGER NOT NULL DEFAULT 0,
-      status TEXT CHECK(status IN ('pending', 'in_progress', 'completed')) DEFAULT 'pending',
-      last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-  
-  // Create orders table for tracking individual orders
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS orders (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      order_id TEXT UNIQUE NOT NULL,
-      order_name TEXT NOT NULL,
-      order_date DATETIME NOT NULL,
-      total_items INTEGER NOT NULL DEFAULT 0,
-      fulfilled_items INTEGER NOT NULL DEFAULT 0,
-      status TEXT CHECK(status IN ('pending', 'in_progress', 'fulfilled', 'archived')) DEFAULT 'pending',
-      last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-  
-  // Migration: Check if orders table has old CHECK constraint (without 'archived')
-  // SQLite doesn't support altering CHECK constraints, so we need to recreate the table
+  // Bring the schema up to date - refuse to open the store if a migration fails
   try {
-    // Try to detect if migration is needed by checking table schema
-    const tableInfo = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name='orders'").get();
-    if (tableInfo && tableInfo.sql && !tableInfo.sql.includes('archived')) {
-      console.log('Migrating orders table to add archived status...');
-      
-      // Create new table with updated constraint
-      db.exec(`
-        CREATE TABLE orders_new (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          order_id TEXT UNIQUE NOT NULL,
-          order_name TEXT NOT NULL,
-          order_date DATETIME NOT NULL,
-          total_items INTEGER NOT NULL DEFAULT 0,
-          fulfilled_items INTEGER NOT NULL DEFAULT 0,
-          status TEXT CHECK(status IN ('pending', 'in_progress', 'fulfilled', 'archived')) DEFAULT 'pending',
-          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-      
-      // Copy data from old table
-      db.exec(`
-        INSERT INTO orders_new (id, order_id, order_name, order_date, total_items, fulfilled_items, status, last_synced_at, created_at, updated_at)
-        SELECT id, order_id, order_name, order_date, total_items, fulfilled_items, status, last_synced_at, created_at, updated_at
-        FROM orders;
-      `);
-      
-      // Drop old table
-      db.exec('DROP TABLE orders;');
-      
-      // Rename new table
-      db.exec('ALTER TABLE orders_new RENAME TO orders;');
-      
-      console.log('Orders table migration completed');
+    const applied = runMigrations(db);
+    if (applied.length > 0) {
+      console.log(`Applied ${applied.length} database migration(s)`);
     }
-  } catch (e) {
-    console.log('Orders table migration check:', e.message);
+  } catch (error) {
+    console.error('Database migration failed:', error);
+    db.close();
+    db = null;
+    currentStoreUrl = null;
+    throw error;
   }
   
-  // Create order_line_items table for tracking items within each order
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS order_line_items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      order_id TEXT NOT NULL,
-      line_item_id TEXT UNIQUE NOT NULL,
-      variant_id TEXT NOT NULL,
-      variant_title TEXT NOT NULL,
-      product_title TEXT NOT NULL,
-      sku TEXT DEFAULT '',
-      image_url TEXT DEFAULT NULL,
-      quantity INTEGER NOT NULL DEFAULT 0,
-      fulfilled_quantity INTEGER NOT NULL DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
-    );
-  `);
-  
-  // Migration: Add new columns if they don't exist (for existing databases)
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN sku TEXT DEFAULT ''`);
-  } catch (e) { /* Column might already exist */ }
-  
-  try {
-    db.exec(`ALTER TABLE tasks ADD COLUMN image_url TEXT DEFAULT NULL`);
-  } catch (e) { /* Column might already exist */ }
-  
-  // Create computed column for remaining quantity
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS sync_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      orders_fetched INTEGER,
-      variants_updated INTEGER,
-      status TEXT,
-      error_message TEXT
-    );
-  `);
-  
-  // Create inventory table for storing product inventory levels
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS inventory (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      variant_id TEXT UNIQUE NOT NULL,
-      product_id TEXT NOT NULL,
-      product_title TEXT NOT NULL,
-      variant_title TEXT NOT NULL,
-      sku TEXT DEFAULT '',
-      image_url TEXT DEFAULT NULL,
-      inventory_quantity INTEGER NOT NULL DEFAULT 0,
-      last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-  `);
-  
-  // Create indexes
-  db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_variant_id ON tasks(variant_id);
-    CREATE INDEX IF NOT EXISTS idx_status ON tasks(status);
-    CREATE INDEX IF NOT EXISTS idx_order_id ON orders(order_id);
-    CREATE INDEX IF NOT EXISTS idx_order_date ON orders(order_date);
-    CREATE INDEX IF NOT EXISTS idx_line_order_id ON order_line_items(order_id);
-    CREATE INDEX IF NOT EXISTS idx_line_variant_id ON order_line_items(variant_id);
-    CREATE INDEX IF NOT EXISTS idx_inventory_variant_id ON inventory(variant_id);
-    CREATE INDEX IF NOT EXISTS idx_inventory_quantity ON inventory(inventory_quantity);
-  `);
-  
   console.log('Database initialized successfully');
 }
 
+// Tasks with their stock figures: stock_on_hand is the synced inventory
+// quantity, stock_allocated the units of it already given to open orders, and
+// net_to_make what is left to make once the rest of the stock is used.
+// reserved_quantity is the units planned in open production batches
+const TASKS_WITH_STOCK = `
+  SELECT 
+    t.*,
+    (t.total_quantity - t.made_quantity) as remaining_quantity,
+    MAX(COALESCE(i.inventory_quantity, 0), 0) as stock_on_hand,
+    COALESCE(sa.quantity, 0) as stock_allocated,
+    MAX(
+      (t.total_quantity - t.made_quantity) - MAX(MAX(COALESCE(i.inventory_quantity, 0), 0) - COALESCE(sa.quantity, 0), 0),
+      0
+    ) as net_to_make,
+    COALESCE(rb.quantity, 0) as reserved_quantity
+  FROM tasks t
+  LEFT JOIN inventory i ON i.variant_id = t.variant_id
+  LEFT JOIN (
+    SELECT oli.variant_id, SUM(oli.stock_quantity) as quantity
+    FROM order_line_items oli
+    JOIN orders o ON oli.order_id = o.order_id
+    WHERE o.status != 'archived'
+    GROUP BY oli.variant_id
+  ) sa ON sa.variant_id = t.variant_id
+  LEFT JOIN (
+    SELECT bi.variant_id, SUM(bi.planned_quantity) as quantity
+    FROM batch_items bi
+    JOIN batches b ON bi.batch_id = b.id
+    WHERE b.status = 'open'
+    GROUP BY bi.variant_id
+  ) rb ON rb.variant_id = t.variant_id
+`;
+
 /**
  * Get all tasks from database
  */
 function getAllTasks() {
   const stmt = db.prepare(`
-    SELECT 
-      *,
-      (total_quantity - made_quantity) as remaining_quantity
-    FROM tasks
+    ${TASKS_WITH_STOCK}
     ORDER BY 
-      CASE status 
+      CASE t.status 
         WHEN 'in_progress' THEN 1
         WHEN 'pending' THEN 2
         WHEN 'completed' THEN 3
       END,
       remaining_quantity DESC,
-      product_title ASC
+      t.product_title ASC
   `);
   
   return stmt.all();
@@ -246,11 +148,8 @@ function getAllTasks() {
  */
 function getTaskByVariantId(variantId) {
   const stmt = db.prepare(`
-    SELECT 
-      *,
-      (total_quantity - made_quantity) as remaining_quantity
-    FROM tasks 
-    WHERE variant_id = ?
+    ${TASKS_WITH_STOCK}
+    WHERE t.variant_id = ?
   `);
   
   return stmt.get(variantId);
@@ -317,6 +216,35 @@ function updateMadeQuantity(variantId, quantity) {
   return result;
 }
 
+/**
+ * Decrease made quantity (partial "unmake")
+ */
+function decrementMadeQuantity(variantId, quantity) {
+  const task = getTaskByVariantId(variantId);
+  
+  if (!task) {
+    throw new Error(`Task not found for variant: ${variantId}`);
+  }
+  
+  // Don't allow going below zero
+  if (quantity > task.made_quantity) {
+    throw new Error(`Cannot unmark ${quantity} - only ${task.made_quantity} made`);
+  }
+  
+  const stmt = db.prepare(`
+    UPDATE tasks 
+    SET made_quantity = made_quantity - ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE variant_id = ?
+  `);
+  
+  const result = stmt.run(quantity, variantId);
+  
+  updateTaskStatus(variantId);
+  
+  return result;
+}
+
 /**
  * Mark task as complete (set made = total)
  */
@@ -383,14 +311,30 @@ function clearAllTasks() {
  * Log sync operation to history
  */
 function logSync(stats) {
-  const { ordersFetched, variantsUpdated, status, errorMessage } = stats;
+  const { ordersFetched, variantsUpdated, status, errorMessage, syncMode, startedAt } = stats;
   
   const stmt = db.prepare(`
-    INSERT INTO sync_history (orders_fetched, variants_updated, status, error_message)
-    VALUES (?, ?, ?, ?)
+    INSERT INTO sync_history (orders_fetched, variants_updated, status, error_message, sync_mode, started_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  
+  return stmt.run(ordersFetched || 0, variantsUpdated || 0, status, errorMessage || null, syncMode || 'full', startedAt || null);
+}
+
+/**
+ * Get the most recent successful sync, optionally of one mode ('full' or 'incremental')
+ * Only syncs that recorded when they started count - older entries can't anchor an incremental sync
+ */
+function getLastSuccessfulSync(syncMode = null) {
+  const modeClause = syncMode ? 'AND sync_mode = ?' : '';
+  const stmt = db.prepare(`
+    SELECT * FROM sync_history
+    WHERE status = 'success' AND started_at IS NOT NULL ${modeClause}
+    ORDER BY id DESC
+    LIMIT 1
   `);
   
-  return stmt.run(ordersFetched || 0, variantsUpdated || 0, status, errorMessage || null);
+  return syncMode ? stmt.get(syncMode) : stmt.get();
 }
 
 /**
@@ -426,20 +370,22 @@ function isDatabaseReady() {
  * Upsert an order from Shopify data
  */
 function upsertOrder(order) {
-  const { orderId, orderName, orderDate, totalItems } = order;
+  const { orderId, orderName, orderDate, totalItems, shippingMethod, tags } = order;
   
   const stmt = db.prepare(`
-    INSERT INTO orders (order_id, order_name, order_date, total_items, last_synced_at)
-    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    INSERT INTO orders (order_id, order_name, order_date, total_items, shipping_method, tags, last_synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     ON CONFLICT(order_id) DO UPDATE SET
       order_name = excluded.order_name,
       order_date = excluded.order_date,
       total_items = excluded.total_items,
+      shipping_method = excluded.shipping_method,
+      tags = excluded.tags,
       last_synced_at = CURRENT_TIMESTAMP,
       updated_at = CURRENT_TIMESTAMP
   `);
   
-  return stmt.run(orderId, orderName, orderDate, totalItems);
+  return stmt.run(orderId, orderName, orderDate, totalItems, shippingMethod || null, tags || '');
 }
 
 /**
@@ -468,8 +414,16 @@ function getAllOrders(includeArchived = false) {
   const stmt = db.prepare(`
     SELECT 
       o.*,
-      (o.total_items - o.fulfilled_items) as remaining_items
+      (o.total_items - o.fulfilled_items) as remaining_items,
+      op.priority_rank,
+      fl.status as shopify_fulfillment_status,
+      fl.error_message as shopify_fulfillment_error,
+      fl.created_at as shopify_fulfillment_at
     FROM orders o
+    LEFT JOIN order_priorities op ON o.order_id = op.order_id
+    LEFT JOIN fulfillment_log fl ON fl.id = (
+      SELECT MAX(id) FROM fulfillment_log WHERE order_id = o.order_id
+    )
     ${whereClause}
     ORDER BY 
       CASE o.status 
@@ -500,6 +454,20 @@ function getArchivedOrders() {
   return stmt.all();
 }
 
+/**
+ * Get a single order by its Shopify ID
+ */
+function getOrder(orderId) {
+  return db.prepare('SELECT * FROM orders WHERE order_id = ?').get(orderId);
+}
+
+/**
+ * Get a single order line item by its Shopify ID
+ */
+function getLineItem(lineItemId) {
+  return db.prepare('SELECT * FROM order_line_items WHERE line_item_id = ?').get(lineItemId);
+}
+
 /**
  * Get order line items for a specific order
  */
@@ -542,7 +510,25 @@ function getArchivedOrdersWithLineItems() {
 }
 
 /**
- * Allocate made quantity to orders (oldest first)
+ * Get a variant's line items (excluding archived orders) in allocation order
+ * for the store's allocation strategy (or the given one)
+ */
+function getLineItemsInAllocationOrder(variantId, settings = getAllocationStrategy()) {
+  const lineItems = db.prepare(`
+    SELECT oli.*, o.order_name, o.order_date, o.total_items, o.fulfilled_items,
+           o.shipping_method, o.tags, op.priority_rank
+    FROM order_line_items oli
+    JOIN orders o ON oli.order_id = o.order_id
+    LEFT JOIN order_priorities op ON o.order_id = op.order_id
+    WHERE oli.variant_id = ?
+      AND o.status != 'archived'
+  `).all(variantId);
+  
+  return sortLineItemsForAllocation(lineItems, settings);
+}
+
+/**
+ * Allocate made quantity to orders (in allocation strategy order, oldest first by default)
  * This is called when marking items as made for a variant
  * Returns allocations and any orders that became fully fulfilled
  */
@@ -553,19 +539,9 @@ function allocateMadeQuantityToOrders(variantId, quantity) {
   `);
   const notFulfilledBefore = new Set(ordersBeforeStmt.all().map(o => o.order_id));
   
-  // Get all unfulfilled line items for this variant, ordered by order date (oldest first)
-  // Exclude archived orders from allocation
-  const stmt = db.prepare(`
-    SELECT oli.*, o.order_date, o.order_id as parent_order_id
-    FROM order_line_items oli
-    JOIN orders o ON oli.order_id = o.order_id
-    WHERE oli.variant_id = ?
-      AND oli.fulfilled_quantity < oli.quantity
-      AND o.status != 'archived'
-    ORDER BY o.order_date ASC, oli.id ASC
-  `);
-  
-  const lineItems = stmt.all(variantId);
+  // Get all unfulfilled line items for this variant in allocation order
+  const lineItems = getLineItemsInAllocationOrder(variantId)
+    .filter(item => item.fulfilled_quantity < item.quantity);
   
   let remainingToAllocate = quantity;
   const allocations = [];
@@ -623,28 +599,31 @@ function allocateMadeQuantityToOrders(variantId, quantity) {
 }
 
 /**
- * Deallocate quantity from orders (newest first - reverse of allocation)
- * This is called when resetting a task
+ * Deallocate quantity from orders (reverse of allocation order - newest first by default)
+ * This is called when unmarking made units of a variant
+ * Returns deallocations (negative allocated quantities) and any orders that are no longer fulfilled
  */
 function deallocateQuantityFromOrders(variantId, quantity) {
-  // Get fulfilled line items for this variant, ordered by order date (newest first - to undo in reverse)
-  const stmt = db.prepare(`
-    SELECT oli.*, o.order_date
-    FROM order_line_items oli
-    JOIN orders o ON oli.order_id = o.order_id
-    WHERE oli.variant_id = ?
-      AND oli.fulfilled_quantity > 0
-    ORDER BY o.order_date DESC, oli.id DESC
-  `);
-  
-  const lineItems = stmt.all(variantId);
+  // Get orders that are currently fulfilled (to check which drop back after)
+  const fulfilledBefore = new Set(
+    db.prepare(`SELECT order_id FROM orders WHERE status = 'fulfilled'`).all().map(o => o.order_id)
+  );
+  
+  // Get fulfilled line items for this variant in reverse allocation order (to undo in reverse)
+  // Archived orders are left alone - their quantities were already removed from the task
+  // Pinned (manually allocated) units stay where they are
+  const lineItems = getLineItemsInAllocationOrder(variantId)
+    .filter(item => item.fulfilled_quantity > item.pinned_quantity)
+    .reverse();
   
   let remainingToDeallocate = quantity;
+  const deallocations = [];
+  const affectedOrderIds = new Set();
   
   for (const item of lineItems) {
     if (remainingToDeallocate <= 0) break;
     
-    const canDeallocate = item.fulfilled_quantity;
+    const canDeallocate = item.fulfilled_quantity - item.pinned_quantity;
     const willDeallocate = Math.min(canDeallocate, remainingToDeallocate);
     
     if (willDeallocate > 0) {
@@ -656,27 +635,268 @@ function deallocateQuantityFromOrders(variantId, quantity) {
       `);
       updateLineItem.run(willDeallocate, item.line_item_id);
       
+      deallocations.push({
+        orderId: item.order_id,
+        lineItemId: item.line_item_id,
+        allocated: -willDeallocate
+      });
+      
+      affectedOrderIds.add(item.order_id);
       remainingToDeallocate -= willDeallocate;
     }
   }
   
   // Update order statuses
   updateAllOrderStatuses();
+  
+  // Find orders that were fulfilled before and aren't any more
+  const noLongerFulfilledOrders = [];
+  if (affectedOrderIds.size > 0) {
+    const affectedOrders = db.prepare(`
+      SELECT * FROM orders 
+      WHERE order_id IN (${Array.from(affectedOrderIds).map(() => '?').join(',')})
+        AND status != 'fulfilled'
+    `).all(...affectedOrderIds);
+    
+    for (const order of affectedOrders) {
+      if (fulfilledBefore.has(order.order_id)) {
+        noLongerFulfilledOrders.push(order);
+      }
+    }
+  }
+  
+  return { deallocations, noLongerFulfilledOrders };
+}
+
+/**
+ * Allocate newly made units by hand to one order line item (e.g. a rush or replacement)
+ * The units are pinned - automatic allocation and deallocation won't move them
+ * Returns allocations and any orders that became fully fulfilled, like allocateMadeQuantityToOrders
+ */
+function allocateToLineItem(lineItemId, quantity) {
+  const item = db.prepare(`
+    SELECT oli.*, o.status as order_status
+    FROM order_line_items oli
+    JOIN orders o ON oli.order_id = o.order_id
+    WHERE oli.line_item_id = ?
+  `).get(lineItemId);
+  
+  if (!item) {
+    throw new Error('Line item not found');
+  }
+  if (item.order_status === 'archived') {
+    throw new Error('Cannot allocate to an archived order');
+  }
+  
+  const remaining = item.quantity - item.fulfilled_quantity;
+  if (quantity > remaining) {
+    throw new Error(`Cannot allocate ${quantity} - only ${remaining} left on this line item`);
+  }
+  
+  // Counts as newly made for the variant (throws if it would exceed the task total)
+  updateMadeQuantity(item.variant_id, quantity);
+  
+  db.prepare(`
+    UPDATE order_line_items 
+    SET fulfilled_quantity = fulfilled_quantity + ?,
+        pinned_quantity = pinned_quantity + ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE line_item_id = ?
+  `).run(quantity, quantity, lineItemId);
+  
+  updateAllOrderStatuses();
+  
+  const order = db.prepare('SELECT * FROM orders WHERE order_id = ?').get(item.order_id);
+  
+  return {
+    variantId: item.variant_id,
+    allocations: [{ orderId: item.order_id, lineItemId, allocated: quantity }],
+    newlyFulfilledOrders: order.status === 'fulfilled' && item.order_status !== 'fulfilled' ? [order] : []
+  };
+}
+
+/**
+ * Mark a whole order as made - fills every remaining line item (pinned to this order)
+ * and adds the units to each variant's made quantity
+ * Returns per-variant allocations and whether the order became fulfilled
+ */
+function markOrderMade(orderId) {
+  const order = db.prepare('SELECT * FROM orders WHERE order_id = ?').get(orderId);
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  if (order.status === 'archived') {
+    throw new Error('Cannot mark an archived order as made');
+  }
+  
+  const lineItems = db.prepare(`
+    SELECT line_item_id, variant_id, quantity, fulfilled_quantity
+    FROM order_line_items
+    WHERE order_id = ? AND fulfilled_quantity < quantity
+  `).all(orderId);
+  
+  if (lineItems.length === 0) {
+    throw new Error('Nothing left to make for this order');
+  }
+  
+  // Group by variant - the same variant can appear on more than one line item
+  const variants = new Map();
+  for (const item of lineItems) {
+    const { allocations } = allocateToLineItem(item.line_item_id, item.quantity - item.fulfilled_quantity);
+    
+    const variant = variants.get(item.variant_id) || { variantId: item.variant_id, quantity: 0, allocations: [] };
+    variant.quantity += allocations[0].allocated;
+    variant.allocations.push(...allocations);
+    variants.set(item.variant_id, variant);
+  }
+  
+  const updatedOrder = db.prepare('SELECT * FROM orders WHERE order_id = ?').get(orderId);
+  
+  return {
+    variants: [...variants.values()],
+    newlyFulfilledOrders: updatedOrder.status === 'fulfilled' && order.status !== 'fulfilled' ? [updatedOrder] : []
+  };
+}
+
+/**
+ * Give stock on hand that isn't allocated yet to the oldest orders first, so
+ * only the shortfall is left to make. The units count as made and are pinned.
+ * Returns { variants: [{ variantId, quantity, madeBefore, madeAfter, allocations }], newlyFulfilledOrders }
+ */
+function allocateStockToOrders() {
+  const notFulfilledBefore = new Set(
+    db.prepare(`SELECT order_id FROM orders WHERE status != 'fulfilled' AND status != 'archived'`).all().map(o => o.order_id)
+  );
+  
+  const tasks = getAllTasks().filter(task => task.remaining_quantity > task.net_to_make);
+  
+  const updateLineItem = db.prepare(`
+    UPDATE order_line_items 
+    SET fulfilled_quantity = fulfilled_quantity + ?,
+        pinned_quantity = pinned_quantity + ?,
+        stock_quantity = stock_quantity + ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE line_item_id = ?
+  `);
+  
+  const variants = [];
+  const affectedOrderIds = new Set();
+  
+  for (const task of tasks) {
+    const lineItems = getLineItemsInAllocationOrder(task.variant_id, { strategy: 'oldest_first' })
+      .filter(item => item.fulfilled_quantity < item.quantity);
+    
+    let remainingToAllocate = task.remaining_quantity - task.net_to_make;
+    const allocations = [];
+    
+    for (const item of lineItems) {
+      if (remainingToAllocate <= 0) break;
+      
+      const willFulfill = Math.min(item.quantity - item.fulfilled_quantity, remainingToAllocate);
+      updateLineItem.run(willFulfill, willFulfill, willFulfill, item.line_item_id);
+      
+      allocations.push({ orderId: item.order_id, lineItemId: item.line_item_id, allocated: willFulfill });
+      affectedOrderIds.add(item.order_id);
+      remainingToAllocate -= willFulfill;
+    }
+    
+    const quantity = allocations.reduce((sum, a) => sum + a.allocated, 0);
+    if (quantity === 0) continue;
+    
+    updateMadeQuantity(task.variant_id, quantity);
+    variants.push({
+      variantId: task.variant_id,
+      quantity,
+      madeBefore: task.made_quantity,
+      madeAfter: task.made_quantity + quantity,
+      allocations
+    });
+  }
+  
+  updateAllOrderStatuses();
+  
+  const newlyFulfilledOrders = db.prepare(`SELECT * FROM orders WHERE status = 'fulfilled'`).all()
+    .filter(order => affectedOrderIds.has(order.order_id) && notFulfilledBefore.has(order.order_id));
+  
+  return { variants, newlyFulfilledOrders };
+}
+
+/**
+ * Preview which orders the next N made units of a variant would go to
+ * Doesn't change anything
+ */
+function previewAllocation(variantId, quantity) {
+  const lineItems = getLineItemsInAllocationOrder(variantId)
+    .filter(item => item.fulfilled_quantity < item.quantity);
+  
+  let remainingToAllocate = quantity;
+  const preview = [];
+  
+  for (const item of lineItems) {
+    if (remainingToAllocate <= 0) break;
+    
+    const willFulfill = Math.min(item.quantity - item.fulfilled_quantity, remainingToAllocate);
+    const orderRemaining = item.total_items - item.fulfilled_items;
+    
+    preview.push({
+      orderId: item.order_id,
+      orderName: item.order_name,
+      lineItemId: item.line_item_id,
+      allocated: willFulfill,
+      completesOrder: willFulfill >= orderRemaining
+    });
+    
+    remainingToAllocate -= willFulfill;
+  }
+  
+  return preview;
+}
+
+/**
+ * Set an order's manual priority rank (1 = first). Pass null to clear it.
+ */
+function setOrderPriority(orderId, rank) {
+  if (rank === null || rank === undefined) {
+    return db.prepare('DELETE FROM order_priorities WHERE order_id = ?').run(orderId);
+  }
+  
+  return db.prepare(`
+    INSERT INTO order_priorities (order_id, priority_rank)
+    VALUES (?, ?)
+    ON CONFLICT(order_id) DO UPDATE SET
+      priority_rank = excluded.priority_rank,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(orderId, rank);
 }
 
 /**
  * Reset all fulfilled quantities for a variant in order line items
+ * Returns the deallocations that were made (negative allocated quantities)
  */
 function resetVariantInOrders(variantId) {
+  const lineItems = db.prepare(`
+    SELECT order_id, line_item_id, fulfilled_quantity
+    FROM order_line_items
+    WHERE variant_id = ? AND fulfilled_quantity > 0
+  `).all(variantId);
+  
   const stmt = db.prepare(`
     UPDATE order_line_items 
     SET fulfilled_quantity = 0,
+        pinned_quantity = 0,
+        stock_quantity = 0,
         updated_at = CURRENT_TIMESTAMP
     WHERE variant_id = ?
   `);
   
   stmt.run(variantId);
   updateAllOrderStatuses();
+  
+  return lineItems.map(item => ({
+    orderId: item.order_id,
+    lineItemId: item.line_item_id,
+    allocated: -item.fulfilled_quantity
+  }));
 }
 
 /**
@@ -741,39 +961,187 @@ function clearOrdersWithoutProgress() {
 }
 
 /**
- * Get set of archived order IDs (to skip during sync)
- */
-function getArchivedOrderIds() {
-  const rows = db.prepare(`SELECT order_id FROM orders WHERE status = 'archived'`).all();
-  return new Set(rows.map(r => r.order_id));
-}
-
-/**
- * Get set of order IDs that should be skipped during sync
- * (archived orders + orders with progress)
+ * Merge the orders fetched by an incremental sync
+ * fetchedOrderIds: every order Shopify reported as updated
+ * ordersForStorage: the ones that still have fulfillable items
+ * Orders without progress are replaced, or removed if they're no longer open in Shopify.
+ * Archived orders and orders with progress are left alone, like a full sync.
  */
-function getOrderIdsToSkipDuringSync() {
-  const rows = db.prepare(`
-    SELECT order_id FROM orders 
-    WHERE status = 'archived' OR fulfilled_items > 0
-  `).all();
-  return new Set(rows.map(r => r.order_id));
+function mergeUpdatedOrders(fetchedOrderIds, ordersForStorage) {
+  const skipOrderIds = getOrderIdsToSkipDuringSync();
+  const openOrders = new Map(ordersForStorage.map(order => [order.orderId, order]));
+  
+  const deleteLineItems = db.prepare('DELETE FROM order_line_items WHERE order_id = ?');
+  const deleteOrder = db.prepare('DELETE FROM orders WHERE order_id = ?');
+  
+  let storedCount = 0;
+  let removedCount = 0;
+  let skippedCount = 0;
+  
+  for (const orderId of fetchedOrderIds) {
+    if (skipOrderIds.has(orderId)) {
+      skippedCount++;
+      continue;
+    }
+    
+    deleteLineItems.run(orderId);
+    const { changes } = deleteOrder.run(orderId);
+    
+    const order = openOrders.get(orderId);
+    if (order) {
+      upsertOrder(order);
+      for (const lineItem of order.lineItems) {
+        upsertOrderLineItem(lineItem);
+      }
+      storedCount++;
+    } else if (changes > 0) {
+      removedCount++;
+    }
+  }
+  
+  return { storedCount, removedCount, skippedCount };
 }
 
 /**
- * Recalculate task totals based only on non-archived orders in the database
- * This ensures archived order quantities don't get added back during sync
+ * Apply Shopify edits (quantity changes, removed and added lines) to orders
+ * with progress, which sync otherwise leaves alone so their progress is kept
+ * Made units are kept where the new quantity still covers them; any beyond it
+ * are taken off the line item (clamped) and given to the next orders that need
+ * them - reassigned lists where they went, the rest are spare
+ * Returns [{ orderId, orderName, changes: [{ lineItemId, variantId, productTitle,
+ * variantTitle, oldQuantity, newQuantity, clampedQuantity, reassigned }] }] for
+ * orders that changed, where reassigned is [{ orderId, lineItemId, allocated }]
  */
-function recalculateTaskTotalsFromOrders() {
-  // Get all variant totals from non-archived order line items
-  const lineItemTotals = db.prepare(`
-    SELECT 
-      oli.variant_id,
-      SUM(oli.quantity) as total_qty,
-      SUM(oli.fulfilled_quantity) as fulfilled_qty
-    FROM order_line_items oli
-    JOIN orders o ON oli.order_id = o.order_id
-    WHERE o.status != 'archived'
+function mergePreservedOrderEdits(ordersForStorage) {
+  const preservedOrderIds = new Set(db.prepare(`
+    SELECT order_id FROM orders
+    WHERE status != 'archived' AND fulfilled_items > 0
+  `).all().map(r => r.order_id));
+  
+  const getLineItems = db.prepare('SELECT * FROM order_line_items WHERE order_id = ?');
+  const updateLineItem = db.prepare(`
+    UPDATE order_line_items
+    SET quantity = ?,
+        fulfilled_quantity = ?,
+        pinned_quantity = ?,
+        stock_quantity = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE line_item_id = ?
+  `);
+  const deleteLineItem = db.prepare('DELETE FROM order_line_items WHERE line_item_id = ?');
+  
+  const describeLocal = local => ({
+    lineItemId: local.line_item_id,
+    variantId: local.variant_id,
+    productTitle: local.product_title,
+    variantTitle: local.variant_title
+  });
+  
+  const editedOrders = [];
+  
+  for (const order of ordersForStorage) {
+    if (!preservedOrderIds.has(order.orderId)) continue;
+    
+    const localItems = getLineItems.all(order.orderId);
+    const localById = new Map(localItems.map(item => [item.line_item_id, item]));
+    const fetchedIds = new Set(order.lineItems.map(item => item.lineItemId));
+    const changes = [];
+    
+    for (const item of order.lineItems) {
+      const local = localById.get(item.lineItemId);
+      
+      if (!local) {
+        // Item added to the order
+        upsertOrderLineItem(item);
+        changes.push({
+          lineItemId: item.lineItemId,
+          variantId: item.variantId,
+          productTitle: item.productTitle,
+          variantTitle: item.variantTitle,
+          oldQuantity: 0,
+          newQuantity: item.quantity,
+          clampedQuantity: 0
+        });
+      } else if (local.quantity !== item.quantity) {
+        const fulfilled = Math.min(local.fulfilled_quantity, item.quantity);
+        const pinned = Math.min(local.pinned_quantity, fulfilled);
+        const fromStock = Math.min(local.stock_quantity, pinned);
+        updateLineItem.run(item.quantity, fulfilled, pinned, fromStock, item.lineItemId);
+        changes.push({
+          ...describeLocal(local),
+          oldQuantity: local.quantity,
+          newQuantity: item.quantity,
+          clampedQuantity: local.fulfilled_quantity - fulfilled
+        });
+      }
+    }
+    
+    // Lines removed from the order (or with nothing left to fulfill)
+    for (const local of localItems) {
+      if (!fetchedIds.has(local.line_item_id)) {
+        deleteLineItem.run(local.line_item_id);
+        changes.push({
+          ...describeLocal(local),
+          oldQuantity: local.quantity,
+          newQuantity: 0,
+          clampedQuantity: local.fulfilled_quantity
+        });
+      }
+    }
+    
+    if (changes.length > 0) {
+      upsertOrder(order);
+      editedOrders.push({ orderId: order.orderId, orderName: order.orderName, changes });
+    }
+  }
+  
+  // Made units taken off a line go to the next orders still waiting for them,
+  // once every order's edits are in
+  for (const order of editedOrders) {
+    for (const change of order.changes) {
+      change.reassigned = change.clampedQuantity > 0
+        ? allocateMadeQuantityToOrders(change.variantId, change.clampedQuantity).allocations
+        : [];
+    }
+  }
+  
+  return editedOrders;
+}
+
+/**
+ * Get set of archived order IDs (to skip during sync)
+ */
+function getArchivedOrderIds() {
+  const rows = db.prepare(`SELECT order_id FROM orders WHERE status = 'archived'`).all();
+  return new Set(rows.map(r => r.order_id));
+}
+
+/**
+ * Get set of order IDs that should be skipped during sync
+ * (archived orders + orders with progress)
+ */
+function getOrderIdsToSkipDuringSync() {
+  const rows = db.prepare(`
+    SELECT order_id FROM orders 
+    WHERE status = 'archived' OR fulfilled_items > 0
+  `).all();
+  return new Set(rows.map(r => r.order_id));
+}
+
+/**
+ * Recalculate task totals based only on non-archived orders in the database
+ * This ensures archived order quantities don't get added back during sync
+ */
+function recalculateTaskTotalsFromOrders() {
+  // Get all variant totals from non-archived order line items
+  const lineItemTotals = db.prepare(`
+    SELECT 
+      oli.variant_id,
+      SUM(oli.quantity) as total_qty,
+      SUM(oli.fulfilled_quantity) as fulfilled_qty
+    FROM order_line_items oli
+    JOIN orders o ON oli.order_id = o.order_id
+    WHERE o.status != 'archived'
     GROUP BY oli.variant_id
   `).all();
   
@@ -990,13 +1358,369 @@ function deleteArchivedOrders() {
   return { success: true, deletedCount: orderResult.changes };
 }
 
+/**
+ * Get preserved orders (not archived, with progress) that sync should check
+ * against Shopify, leaving out ones already flagged for attention (dismissed or not)
+ */
+function getPreservedOrdersToReconcile() {
+  return db.prepare(`
+    SELECT order_id, order_name FROM orders
+    WHERE status != 'archived' AND fulfilled_items > 0 AND attention_reason IS NULL
+  `).all();
+}
+
+/**
+ * Apply reconciliation decisions from sync: archive orders fulfilled in
+ * Shopify and flag the ones that need attention
+ * decisions: [{ orderId, action: 'archived' | 'needs_attention' | 'kept', reason }]
+ */
+function applyOrderReconciliation(decisions) {
+  const flagOrder = db.prepare(`
+    UPDATE orders
+    SET attention_reason = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE order_id = ?
+  `);
+  
+  for (const decision of decisions) {
+    if (decision.action === 'archived') {
+      archiveOrder(decision.orderId);
+    } else if (decision.action === 'needs_attention') {
+      flagOrder.run(decision.reason, decision.orderId);
+    }
+  }
+}
+
+/**
+ * Clear an order's needs-attention flag once someone has looked at it
+ * (sync won't check the order again)
+ */
+function dismissOrderAttention(orderId) {
+  const result = db.prepare(`
+    UPDATE orders
+    SET attention_dismissed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE order_id = ?
+  `).run(orderId);
+  
+  if (result.changes === 0) {
+    throw new Error('Order not found');
+  }
+}
+
+// ========== PRODUCTION EVENT FUNCTIONS ==========
+
+/**
+ * Append an event to the production ledger
+ * allocations: [{ orderId, lineItemId, allocated }] as returned by the allocation functions
+ * Returns the new event ID
+ */
+function recordProductionEvent(event) {
+  const { variantId, action, quantityDelta, madeBefore, madeAfter, actor, allocations = [] } = event;
+  
+  const result = db.prepare(`
+    INSERT INTO production_events (variant_id, action, quantity_delta, made_before, made_after, actor)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(variantId, action, quantityDelta, madeBefore || 0, madeAfter || 0, actor || null);
+  
+  const eventId = result.lastInsertRowid;
+  
+  const insertAllocation = db.prepare(`
+    INSERT INTO production_event_allocations (event_id, order_id, line_item_id, quantity)
+    VALUES (?, ?, ?, ?)
+  `);
+  
+  for (const allocation of allocations) {
+    insertAllocation.run(eventId, allocation.orderId, allocation.lineItemId, allocation.allocated);
+  }
+  
+  return eventId;
+}
+
+/**
+ * Get production history for a variant (newest first), with the orders each event touched
+ */
+function getProductionEvents(variantId, limit = 50) {
+  const events = db.prepare(`
+    SELECT * FROM production_events
+    WHERE variant_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(variantId, limit);
+  
+  if (events.length === 0) {
+    return [];
+  }
+  
+  const allocations = db.prepare(`
+    SELECT pea.*, o.order_name
+    FROM production_event_allocations pea
+    LEFT JOIN orders o ON pea.order_id = o.order_id
+    WHERE pea.event_id IN (${events.map(() => '?').join(',')})
+    ORDER BY pea.id ASC
+  `).all(...events.map(e => e.id));
+  
+  return events.map(event => ({
+    ...event,
+    allocations: allocations.filter(a => a.event_id === event.id)
+  }));
+}
+
+/**
+ * Run a function inside a single database transaction
+ * Everything is rolled back if the function throws
+ */
+function runInTransaction(fn) {
+  return db.transaction(fn)();
+}
+
+// ========== FULFILLMENT LOG FUNCTIONS ==========
+
+/**
+ * Log an attempt to fulfill an order in Shopify
+ * status: 'success' or 'error'
+ */
+function recordFulfillmentAttempt(attempt) {
+  const { orderId, status, fulfillmentId, trackingNumber, trackingCompany, errorMessage, actor } = attempt;
+  
+  const result = db.prepare(`
+    INSERT INTO fulfillment_log (order_id, status, shopify_fulfillment_id, tracking_number, tracking_company, error_message, actor)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(orderId, status, fulfillmentId || null, trackingNumber || null, trackingCompany || null, errorMessage || null, actor || null);
+  
+  return result.lastInsertRowid;
+}
+
+/**
+ * Get the fulfillment log (newest first), for one order or all of them
+ */
+function getFulfillmentLog(orderId = null, limit = 100) {
+  const whereClause = orderId ? 'WHERE fl.order_id = ?' : '';
+  const params = orderId ? [orderId, limit] : [limit];
+  
+  return db.prepare(`
+    SELECT fl.*, o.order_name
+    FROM fulfillment_log fl
+    LEFT JOIN orders o ON fl.order_id = o.order_id
+    ${whereClause}
+    ORDER BY fl.id DESC
+    LIMIT ?
+  `).all(...params);
+}
+
+// ========== SETTINGS FUNCTIONS ==========
+
+/**
+ * Get a per-store setting (stored as JSON)
+ */
+function getSetting(key, defaultValue = null) {
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+/**
+ * Save a per-store setting (stored as JSON)
+ */
+function saveSetting(key, value) {
+  return db.prepare(`
+    INSERT INTO settings (key, value)
+    VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      value = excluded.value,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(key, JSON.stringify(value));
+}
+
+/**
+ * Get the store's allocation strategy: { strategy, tag }
+ */
+function getAllocationStrategy() {
+  return normalizeAllocationSettings(getSetting('allocation_strategy', {}));
+}
+
+/**
+ * Save the store's allocation strategy
+ */
+function saveAllocationStrategy(settings) {
+  const normalized = normalizeAllocationSettings(settings);
+  
+  if (normalized.strategy !== settings.strategy) {
+    throw new Error(`Unknown allocation strategy: ${settings.strategy}`);
+  }
+  if (normalized.strategy === 'tag_first' && !normalized.tag) {
+    throw new Error('A tag is required for the tag-first strategy');
+  }
+  
+  saveSetting('allocation_strategy', normalized);
+  return normalized;
+}
+
+/**
+ * Get the store's fulfillment write-back settings: { enabled, notifyCustomer }
+ * Off by default - fulfilling in Shopify can email the customer
+ */
+function getFulfillmentSettings() {
+  const settings = getSetting('fulfillment_write_back', {});
+  return {
+    enabled: settings.enabled === true,
+    notifyCustomer: settings.notifyCustomer === true
+  };
+}
+
+/**
+ * Save the store's fulfillment write-back settings
+ */
+function saveFulfillmentSettings(settings = {}) {
+  const normalized = {
+    enabled: settings.enabled === true,
+    notifyCustomer: settings.notifyCustomer === true
+  };
+  
+  saveSetting('fulfillment_write_back', normalized);
+  return normalized;
+}
+
+/**
+ * Get the store's production planning settings: { netRequirement, allocateStock }
+ * netRequirement plans against what stock can't cover; allocateStock gives
+ * stock on hand to the oldest orders after each sync
+ */
+function getPlanningSettings() {
+  const settings = getSetting('production_planning', {});
+  return {
+    netRequirement: settings.netRequirement === true,
+    allocateStock: settings.allocateStock === true
+  };
+}
+
+/**
+ * Save the store's production planning settings
+ */
+function savePlanningSettings(settings = {}) {
+  const normalized = {
+    netRequirement: settings.netRequirement === true,
+    allocateStock: settings.allocateStock === true
+  };
+  
+  saveSetting('production_planning', normalized);
+  return normalized;
+}
+
+/**
+ * Get the store's material stock settings: { consumeOnMake }
+ * consumeOnMake takes each recipe's components out of stock when units are marked made
+ */
+function getMaterialSettings() {
+  const settings = getSetting('material_stock', {});
+  return {
+    consumeOnMake: settings.consumeOnMake === true
+  };
+}
+
+/**
+ * Save the store's material stock settings
+ */
+function saveMaterialSettings(settings = {}) {
+  const normalized = {
+    consumeOnMake: settings.consumeOnMake === true
+  };
+  
+  saveSetting('material_stock', normalized);
+  return normalized;
+}
+
+/**
+ * Get the store's export choices: { format, columns }
+ * columns maps each dataset (tasks, orders...) to the column IDs last exported
+ */
+function getExportSettings() {
+  return normalizeExportSettings(getSetting('export', {}));
+}
+
+/**
+ * Save the store's export choices
+ */
+function saveExportSettings(settings = {}) {
+  const normalized = normalizeExportSettings(settings);
+  
+  saveSetting('export', normalized);
+  return normalized;
+}
+
+function normalizeExportSettings(settings) {
+  const columns = {};
+  for (const [dataset, ids] of Object.entries(settings.columns || {})) {
+    if (Array.isArray(ids)) {
+      columns[dataset] = ids.filter(id => typeof id === 'string');
+    }
+  }
+  
+  return {
+    format: settings.format === 'xlsx' ? 'xlsx' : 'csv',
+    columns
+  };
+}
+
+// ========== UNDO HISTORY FUNCTIONS ==========
+
+/**
+ * Run an action and record it on the undo stack
+ * scope: { variantIds, orderIds } - the rows the action can touch are snapshotted
+ * before and after so undo/redo can restore them exactly
+ * Call inside runInTransaction so the action and its history entry commit together
+ */
+function runUndoable({ action, description, scope }, fn) {
+  const keys = undoHistory.resolveSnapshotKeys(db, scope);
+  const before = undoHistory.captureSnapshot(db, keys);
+  
+  const result = fn();
+  
+  undoHistory.recordUndoAction(db, {
+    action,
+    description,
+    before,
+    after: undoHistory.captureSnapshot(db, keys)
+  });
+  
+  return result;
+}
+
+/**
+ * Undo the most recent action
+ * Returns { action, description, changes: { tasks, lineItems } }
+ */
+function undoLastAction() {
+  return undoHistory.undoLastAction(db);
+}
+
+/**
+ * Redo the most recently undone action
+ */
+function redoLastAction() {
+  return undoHistory.redoLastAction(db);
+}
+
+/**
+ * Get whether undo/redo are available and what they would do
+ */
+function getUndoState() {
+  return undoHistory.getUndoState(db);
+}
+
+/**
+ * Forget all undo/redo history
+ */
+function clearUndoHistory() {
+  undoHistory.clearUndoHistory(db);
+}
+
 /**
  * Upsert inventory data for a variant
  */
 function upsertInventory(data) {
   const stmt = db.prepare(`
-    INSERT INTO inventory (variant_id, product_id, product_title, variant_title, sku, image_url, inventory_quantity, last_synced_at, updated_at)
-    VALUES (@variantId, @productId, @productTitle, @variantTitle, @sku, @imageUrl, @inventoryQuantity, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    INSERT INTO inventory (variant_id, product_id, product_title, variant_title, sku, image_url, inventory_quantity, inventory_item_id, last_synced_at, updated_at)
+    VALUES (@variantId, @productId, @productTitle, @variantTitle, @sku, @imageUrl, @inventoryQuantity, @inventoryItemId, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
     ON CONFLICT(variant_id) DO UPDATE SET
       product_id = @productId,
       product_title = @productTitle,
@@ -1004,6 +1728,7 @@ function upsertInventory(data) {
       sku = @sku,
       image_url = @imageUrl,
       inventory_quantity = @inventoryQuantity,
+      inventory_item_id = @inventoryItemId,
       last_synced_at = CURRENT_TIMESTAMP,
       updated_at = CURRENT_TIMESTAMP
   `);
@@ -1015,7 +1740,8 @@ function upsertInventory(data) {
     variantTitle: data.variantTitle,
     sku: data.sku || '',
     imageUrl: data.imageUrl || null,
-    inventoryQuantity: data.inventoryQuantity || 0
+    inventoryQuantity: data.inventoryQuantity || 0,
+    inventoryItemId: data.inventoryItemId || null
   });
 }
 
@@ -1024,8 +1750,8 @@ function upsertInventory(data) {
  */
 function bulkUpsertInventory(inventoryItems) {
   const upsertStmt = db.prepare(`
-    INSERT INTO inventory (variant_id, product_id, product_title, variant_title, sku, image_url, inventory_quantity, last_synced_at, updated_at)
-    VALUES (@variantId, @productId, @productTitle, @variantTitle, @sku, @imageUrl, @inventoryQuantity, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    INSERT INTO inventory (variant_id, product_id, product_title, variant_title, sku, image_url, inventory_quantity, inventory_item_id, last_synced_at, updated_at)
+    VALUES (@variantId, @productId, @productTitle, @variantTitle, @sku, @imageUrl, @inventoryQuantity, @inventoryItemId, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
     ON CONFLICT(variant_id) DO UPDATE SET
       product_id = @productId,
       product_title = @productTitle,
@@ -1033,6 +1759,7 @@ function bulkUpsertInventory(inventoryItems) {
       sku = @sku,
       image_url = @imageUrl,
       inventory_quantity = @inventoryQuantity,
+      inventory_item_id = @inventoryItemId,
       last_synced_at = CURRENT_TIMESTAMP,
       updated_at = CURRENT_TIMESTAMP
   `);
@@ -1046,7 +1773,8 @@ function bulkUpsertInventory(inventoryItems) {
         variantTitle: item.variantTitle,
         sku: item.sku || '',
         imageUrl: item.imageUrl || null,
-        inventoryQuantity: item.inventoryQuantity || 0
+        inventoryQuantity: item.inventoryQuantity || 0,
+        inventoryItemId: item.inventoryItemId || null
       });
     }
   });
@@ -1057,34 +1785,42 @@ function bulkUpsertInventory(inventoryItems) {
 
 /**
  * Get all inventory data, optionally filtered
+ * options.locationId limits it to variants stocked at that location, with
+ * their quantities there (available, committed, on_hand) deciding what's out of stock
  */
 function getAllInventory(options = {}) {
-  const { outOfStockOnly = false, search = '' } = options;
+  const { outOfStockOnly = false, search = '', locationId = null } = options;
+  const quantity = locationId ? 'il.available' : 'i.inventory_quantity';
   
   let query = `
     SELECT 
-      *,
-      CASE WHEN inventory_quantity <= 0 THEN 1 ELSE 0 END as is_out_of_stock
-    FROM inventory
+      i.*,
+      ${locationId ? 'il.location_id, il.location_name, il.available, il.committed, il.on_hand,' : ''}
+      CASE WHEN ${quantity} <= 0 THEN 1 ELSE 0 END as is_out_of_stock
+    FROM inventory i
+    ${locationId ? 'JOIN inventory_levels il ON il.variant_id = i.variant_id AND il.location_id = @locationId' : ''}
     WHERE 1=1
   `;
   
   const params = {};
+  if (locationId) {
+    params.locationId = locationId;
+  }
   
   if (outOfStockOnly) {
-    query += ` AND inventory_quantity <= 0`;
+    query += ` AND ${quantity} <= 0`;
   }
   
   if (search) {
-    query += ` AND (product_title LIKE @search OR variant_title LIKE @search OR sku LIKE @search)`;
+    query += ` AND (i.product_title LIKE @search OR i.variant_title LIKE @search OR i.sku LIKE @search)`;
     params.search = `%${search}%`;
   }
   
   query += `
     ORDER BY 
       is_out_of_stock DESC,
-      product_title ASC,
-      variant_title ASC
+      i.product_title ASC,
+      i.variant_title ASC
   `;
   
   const stmt = db.prepare(query);
@@ -1092,40 +1828,1176 @@ function getAllInventory(options = {}) {
 }
 
 /**
- * Get inventory summary stats
+ * Get inventory summary stats, for every location or just one
  */
-function getInventoryStats() {
+function getInventoryStats(locationId = null) {
+  const quantity = locationId ? 'il.available' : 'i.inventory_quantity';
+  
   const stats = db.prepare(`
     SELECT 
       COUNT(*) as total_variants,
-      SUM(CASE WHEN inventory_quantity <= 0 THEN 1 ELSE 0 END) as out_of_stock_count,
-      SUM(CASE WHEN inventory_quantity > 0 THEN 1 ELSE 0 END) as in_stock_count,
-      SUM(inventory_quantity) as total_inventory
-    FROM inventory
-  `).get();
+      SUM(CASE WHEN ${quantity} <= 0 THEN 1 ELSE 0 END) as out_of_stock_count,
+      SUM(CASE WHEN ${quantity} > 0 THEN 1 ELSE 0 END) as in_stock_count,
+      SUM(${quantity}) as total_inventory
+    FROM inventory i
+    ${locationId ? 'JOIN inventory_levels il ON il.variant_id = i.variant_id AND il.location_id = ?' : ''}
+  `).get(...(locationId ? [locationId] : []));
   
   return stats;
 }
 
+/**
+ * Replace the per-location inventory levels with freshly synced ones
+ * levels: [{ variantId, locationId, locationName, available, committed, onHand }]
+ */
+function replaceInventoryLevels(levels) {
+  db.prepare('DELETE FROM inventory_levels').run();
+  
+  const insert = db.prepare(`
+    INSERT INTO inventory_levels (variant_id, location_id, location_name, available, committed, on_hand)
+    VALUES (@variantId, @locationId, @locationName, @available, @committed, @onHand)
+  `);
+  
+  for (const level of levels) {
+    insert.run(level);
+  }
+}
+
+/**
+ * Get the locations inventory levels were synced for: [{ location_id, location_name }]
+ */
+function getInventoryLocations() {
+  return db.prepare(`
+    SELECT location_id, MAX(location_name) as location_name
+    FROM inventory_levels
+    GROUP BY location_id
+    ORDER BY location_name ASC
+  `).all();
+}
+
 /**
  * Clear all inventory data
  */
 function clearAllInventory() {
   db.prepare('DELETE FROM inventory').run();
+  db.prepare('DELETE FROM inventory_levels').run();
   console.log('All inventory data cleared');
 }
 
+// ========== INVENTORY PUSH FUNCTIONS ==========
+
+/**
+ * Get the products whose made units are pushed to Shopify inventory
+ */
+function getInventoryPushProducts() {
+  return db.prepare('SELECT * FROM inventory_push_products ORDER BY product_id').all();
+}
+
+/**
+ * Push a product's made units to a Shopify location, or stop pushing (location null)
+ * location: { id, name }
+ */
+function setInventoryPushProduct(productId, location) {
+  if (!location) {
+    return db.prepare('DELETE FROM inventory_push_products WHERE product_id = ?').run(productId);
+  }
+  
+  return db.prepare(`
+    INSERT INTO inventory_push_products (product_id, location_id, location_name)
+    VALUES (?, ?, ?)
+    ON CONFLICT(product_id) DO UPDATE SET
+      location_id = excluded.location_id,
+      location_name = excluded.location_name,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(productId, location.id, location.name || null);
+}
+
+/**
+ * Queue a change to a variant's Shopify inventory if its product is pushed,
+ * and apply it to the local inventory straight away
+ * Returns the outbox entry ID, or null if the variant isn't pushed
+ */
+function queueInventoryPush(variantId, delta, reason) {
+  if (!delta) {
+    return null;
+  }
+  
+  const target = db.prepare(`
+    SELECT i.inventory_item_id, ipp.location_id
+    FROM inventory i
+    JOIN inventory_push_products ipp ON ipp.product_id = i.product_id
+    WHERE i.variant_id = ? AND i.inventory_item_id IS NOT NULL
+  `).get(variantId);
+  
+  if (!target) {
+    return null;
+  }
+  
+  return queueInventoryAdjustment(variantId, target.inventory_item_id, target.location_id, delta, reason);
+}
+
+/**
+ * Queue a change to a variant's Shopify inventory at a location and apply it
+ * to the local inventory straight away. With setQuantity Shopify's on-hand
+ * quantity is set to it rather than adjusted (delta is then what it changes locally)
+ * Returns the outbox entry ID
+ */
+function queueInventoryAdjustment(variantId, inventoryItemId, locationId, delta, reason, setQuantity = null) {
+  const result = db.prepare(`
+    INSERT INTO inventory_outbox (variant_id, inventory_item_id, location_id, delta, reason, set_quantity)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(variantId, inventoryItemId, locationId, delta, reason, setQuantity);
+  
+  db.prepare(`
+    UPDATE inventory
+    SET inventory_quantity = inventory_quantity + ?, updated_at = CURRENT_TIMESTAMP
+    WHERE variant_id = ?
+  `).run(delta, variantId);
+  
+  db.prepare(`
+    UPDATE inventory_levels
+    SET available = available + ?, on_hand = on_hand + ?, updated_at = CURRENT_TIMESTAMP
+    WHERE variant_id = ? AND location_id = ?
+  `).run(delta, delta, variantId, locationId);
+  
+  return result.lastInsertRowid;
+}
+
+/**
+ * Get inventory changes waiting to be sent to Shopify (oldest first)
+ */
+function getPendingInventoryPushes() {
+  return db.prepare(`SELECT * FROM inventory_outbox WHERE status = 'pending' ORDER BY id ASC`).all();
+}
+
+/**
+ * Mark an inventory change as accepted by Shopify
+ */
+function markInventoryPushSent(id) {
+  return db.prepare(`
+    UPDATE inventory_outbox
+    SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = ?
+    WHERE id = ?
+  `).run(new Date().toISOString(), id);
+}
+
+/**
+ * Record a failed attempt to send an inventory change
+ * It stays pending for the next sync until maxAttempts, then it's marked failed
+ */
+function markInventoryPushFailed(id, errorMessage, maxAttempts) {
+  return db.prepare(`
+    UPDATE inventory_outbox
+    SET attempts = attempts + 1,
+      last_error = ?,
+      status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END
+    WHERE id = ?
+  `).run(errorMessage, maxAttempts, id);
+}
+
+/**
+ * Put failed inventory changes back in the queue
+ */
+function retryFailedInventoryPushes() {
+  return db.prepare(`
+    UPDATE inventory_outbox SET status = 'pending', attempts = 0 WHERE status = 'failed'
+  `).run().changes;
+}
+
+/**
+ * Count queued and failed inventory changes: { pending, failed, lastError }
+ */
+function getInventoryPushStats() {
+  const stats = db.prepare(`
+    SELECT
+      SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+    FROM inventory_outbox
+  `).get();
+  const lastFailure = db.prepare(`
+    SELECT last_error FROM inventory_outbox
+    WHERE status != 'sent' AND last_error IS NOT NULL
+    ORDER BY id DESC LIMIT 1
+  `).get();
+  
+  return {
+    pending: stats.pending || 0,
+    failed: stats.failed || 0,
+    lastError: lastFailure ? lastFailure.last_error : null
+  };
+}
+
+/**
+ * Re-apply inventory changes that synced inventory can't include yet:
+ * those still queued, and those sent after the inventory was fetched
+ * (fetchedFrom is an ISO timestamp taken just before fetching).
+ * A set quantity replaces the on-hand quantity fetched, adjustments are added on top.
+ * Returns the number of variants changed
+ */
+function reapplyUnsyncedInventoryPushes(fetchedFrom) {
+  const pushes = db.prepare(`
+    SELECT * FROM inventory_outbox
+    WHERE status = 'pending' OR (status = 'sent' AND sent_at > ?)
+    ORDER BY id ASC
+  `).all(fetchedFrom);
+  
+  // Work out the quantity each variant should have at each location
+  const targets = new Map();
+  for (const push of pushes) {
+    const key = `${push.variant_id}\n${push.location_id}`;
+    const target = targets.get(key) || { variantId: push.variant_id, locationId: push.location_id, setTo: null, delta: 0 };
+    
+    if (push.set_quantity !== null) {
+      target.setTo = push.set_quantity;
+      target.delta = 0;
+    } else {
+      target.delta += push.delta;
+    }
+    targets.set(key, target);
+  }
+  
+  const getLevel = db.prepare('SELECT on_hand FROM inventory_levels WHERE variant_id = ? AND location_id = ?');
+  const updateLevel = db.prepare(`
+    UPDATE inventory_levels
+    SET available = available + ?, on_hand = on_hand + ?
+    WHERE variant_id = ? AND location_id = ?
+  `);
+  const updateInventory = db.prepare(`
+    UPDATE inventory SET inventory_quantity = inventory_quantity + ? WHERE variant_id = ?
+  `);
+  const changed = new Set();
+  
+  for (const target of targets.values()) {
+    // Setting on hand moves available by the same amount
+    const level = target.setTo === null ? null : getLevel.get(target.variantId, target.locationId);
+    const change = target.setTo === null ? target.delta : target.setTo + target.delta - (level ? level.on_hand : 0);
+    if (change === 0) {
+      continue;
+    }
+    
+    updateLevel.run(change, change, target.variantId, target.locationId);
+    if (updateInventory.run(change, target.variantId).changes > 0) {
+      changed.add(target.variantId);
+    }
+  }
+  
+  return changed.size;
+}
+
+// ========== BILL OF MATERIALS FUNCTIONS ==========
+
+/**
+ * Get all components with how many variant recipes use each and how much is
+ * on order (purchase orders marked ordered but not received yet)
+ */
+function getAllComponents() {
+  return db.prepare(`
+    SELECT c.*, COUNT(vc.variant_id) as recipe_count, COALESCE(oo.quantity, 0) as on_order
+    FROM components c
+    LEFT JOIN variant_components vc ON vc.component_id = c.id
+    LEFT JOIN (
+      SELECT pol.component_id, SUM(pol.quantity) as quantity
+      FROM purchase_order_lines pol
+      JOIN purchase_orders po ON po.id = pol.purchase_order_id
+      WHERE po.status = 'ordered'
+      GROUP BY pol.component_id
+    ) oo ON oo.component_id = c.id
+    GROUP BY c.id
+    ORDER BY c.name ASC
+  `).all();
+}
+
+/**
+ * Add a component, or update it when component.id is given
+ * component: { id, name, unit, sku, reorderPoint }
+ * Returns the saved component
+ */
+function saveComponent(component) {
+  const name = (component.name || '').trim();
+  const unit = (component.unit || '').trim() || 'pcs';
+  const sku = (component.sku || '').trim();
+  const reorderPoint = component.reorderPoint || 0;
+  
+  if (!name) {
+    throw new Error('Component name is required');
+  }
+  
+  if (typeof reorderPoint !== 'number' || !Number.isFinite(reorderPoint) || reorderPoint < 0) {
+    throw new Error('Reorder point must be zero or more');
+  }
+  
+  const existing = db.prepare('SELECT id FROM components WHERE name = ?').get(name);
+  if (existing && existing.id !== component.id) {
+    throw new Error(`There is already a component called "${name}"`);
+  }
+  
+  let id = component.id;
+  if (id) {
+    const result = db.prepare(`
+      UPDATE components
+      SET name = ?, unit = ?, sku = ?, reorder_point = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, unit, sku, reorderPoint, id);
+    
+    if (result.changes === 0) {
+      throw new Error('Component not found');
+    }
+  } else {
+    id = db.prepare('INSERT INTO components (name, unit, sku, reorder_point) VALUES (?, ?, ?, ?)').run(name, unit, sku, reorderPoint).lastInsertRowid;
+  }
+  
+  return db.prepare('SELECT * FROM components WHERE id = ?').get(id);
+}
+
+/**
+ * Delete a component and take it out of every recipe
+ * Components on an open purchase order can't be deleted
+ * Returns the number of recipes it was taken out of
+ */
+function deleteComponent(componentId) {
+  const openOrder = db.prepare(`
+    SELECT po.id
+    FROM purchase_order_lines pol
+    JOIN purchase_orders po ON po.id = pol.purchase_order_id
+    WHERE pol.component_id = ? AND po.status != 'received'
+    LIMIT 1
+  `).get(componentId);
+  
+  if (openOrder) {
+    throw new Error(`Component is on purchase order #${openOrder.id} - take it off the order first`);
+  }
+  
+  const removed = db.prepare('DELETE FROM variant_components WHERE component_id = ?').run(componentId).changes;
+  const result = db.prepare('DELETE FROM components WHERE id = ?').run(componentId);
+  
+  if (result.changes === 0) {
+    throw new Error('Component not found');
+  }
+  
+  return removed;
+}
+
+/**
+ * Get a variant's recipe: [{ component_id, name, unit, sku, quantity }] where
+ * quantity is how many of the component one unit of the variant uses
+ */
+function getVariantRecipe(variantId) {
+  return db.prepare(`
+    SELECT vc.component_id, c.name, c.unit, c.sku, vc.quantity
+    FROM variant_components vc
+    JOIN components c ON c.id = vc.component_id
+    WHERE vc.variant_id = ?
+    ORDER BY c.name ASC
+  `).all(variantId);
+}
+
+/**
+ * Replace a variant's recipe (call inside a transaction)
+ * lines: [{ componentId, quantity }] - an empty list clears the recipe
+ * Returns the saved recipe
+ */
+function setVariantRecipe(variantId, lines) {
+  validateComponentLines(lines, 'recipe');
+  
+  db.prepare('DELETE FROM variant_components WHERE variant_id = ?').run(variantId);
+  
+  const insert = db.prepare('INSERT INTO variant_components (variant_id, component_id, quantity) VALUES (?, ?, ?)');
+  for (const line of lines) {
+    insert.run(variantId, line.componentId, line.quantity);
+  }
+  
+  return getVariantRecipe(variantId);
+}
+
+/**
+ * Roll up component demand across the task backlog: each task's remaining
+ * quantity (or net to make) times its recipe
+ * Returns { components: [{ componentId, name, unit, sku, quantityNeeded, variants }],
+ * variantsWithoutRecipe } where variants lists what each component is needed for
+ */
+function getMaterialsNeeded(netRequirement = false) {
+  const unitsColumn = netRequirement ? 'net_to_make' : 'remaining_quantity';
+  const tasks = db.prepare(`
+    SELECT variant_id, product_title, variant_title, ${unitsColumn} as units
+    FROM (${TASKS_WITH_STOCK})
+    WHERE ${unitsColumn} > 0
+    ORDER BY product_title ASC, variant_title ASC
+  `).all();
+  const recipeLines = db.prepare(`
+    SELECT vc.variant_id, vc.component_id, c.name, c.unit, c.sku, vc.quantity
+    FROM variant_components vc
+    JOIN components c ON c.id = vc.component_id
+    ORDER BY c.name ASC
+  `).all();
+  
+  const components = new Map();
+  const variantsWithoutRecipe = [];
+  
+  for (const task of tasks) {
+    const lines = recipeLines.filter(line => line.variant_id === task.variant_id);
+    if (lines.length === 0) {
+      variantsWithoutRecipe.push(task);
+      continue;
+    }
+    
+    for (const line of lines) {
+      if (!components.has(line.component_id)) {
+        components.set(line.component_id, {
+          componentId: line.component_id,
+          name: line.name,
+          unit: line.unit,
+          sku: line.sku,
+          quantityNeeded: 0,
+          variants: []
+        });
+      }
+      
+      const component = components.get(line.component_id);
+      const quantity = roundQuantity(task.units * line.quantity);
+      component.quantityNeeded = roundQuantity(component.quantityNeeded + quantity);
+      component.variants.push({
+        variantId: task.variant_id,
+        productTitle: task.product_title,
+        variantTitle: task.variant_title,
+        units: task.units,
+        perUnit: line.quantity,
+        quantity
+      });
+    }
+  }
+  
+  return {
+    components: [...components.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    variantsWithoutRecipe
+  };
+}
+
+/**
+ * Check component lines of a recipe or purchase order: positive quantities,
+ * each component once and only components that exist
+ */
+function validateComponentLines(lines, listName) {
+  const seen = new Set();
+  
+  for (const line of lines) {
+    if (typeof line.quantity !== 'number' || !Number.isFinite(line.quantity) || line.quantity <= 0) {
+      throw new Error('Component quantities must be positive numbers');
+    }
+    if (seen.has(line.componentId)) {
+      throw new Error(`Each component can only be listed once per ${listName}`);
+    }
+    if (!db.prepare('SELECT id FROM components WHERE id = ?').get(line.componentId)) {
+      throw new Error('Component not found');
+    }
+    seen.add(line.componentId);
+  }
+}
+
+/**
+ * Round a component quantity to 3 decimal places (recipes can use fractions, e.g. 0.25 m)
+ */
+function roundQuantity(quantity) {
+  return Math.round(quantity * 1000) / 1000;
+}
+
+// ========== MATERIAL STOCK FUNCTIONS ==========
+
+/**
+ * Change a component's stock and record why in material_movements
+ * movement: { reason, variantId, purchaseOrderId, actor }
+ */
+function moveComponentStock(componentId, delta, movement) {
+  db.prepare(`
+    UPDATE components
+    SET on_hand = ROUND(on_hand + ?, 3), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(delta, componentId);
+  
+  db.prepare(`
+    INSERT INTO material_movements (component_id, delta, reason, variant_id, purchase_order_id, actor)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(componentId, delta, movement.reason, movement.variantId || null, movement.purchaseOrderId || null, movement.actor || null);
+}
+
+/**
+ * Set a component's on-hand count, e.g. after counting the shelf (call inside a transaction)
+ * Returns the updated component
+ */
+function setComponentStock(componentId, onHand, actor = null) {
+  if (typeof onHand !== 'number' || !Number.isFinite(onHand) || onHand < 0) {
+    throw new Error('Stock count must be zero or more');
+  }
+  
+  const component = db.prepare('SELECT * FROM components WHERE id = ?').get(componentId);
+  if (!component) {
+    throw new Error('Component not found');
+  }
+  
+  const delta = roundQuantity(onHand - component.on_hand);
+  if (delta !== 0) {
+    moveComponentStock(componentId, delta, { reason: 'count', actor });
+  }
+  
+  return db.prepare('SELECT * FROM components WHERE id = ?').get(componentId);
+}
+
+/**
+ * Take the materials for units of a variant out of stock using its recipe
+ * (call inside a transaction) - negative units put them back. Stock may go
+ * below zero so a miscount never blocks marking units made
+ * Returns [{ componentId, name, unit, quantity }] of what was taken
+ */
+function consumeMaterialsForVariant(variantId, units, reason, actor = null) {
+  if (!units) {
+    return [];
+  }
+  
+  const used = getVariantRecipe(variantId).map(line => ({
+    componentId: line.component_id,
+    name: line.name,
+    unit: line.unit,
+    quantity: roundQuantity(units * line.quantity)
+  }));
+  
+  for (const item of used) {
+    moveComponentStock(item.componentId, -item.quantity, { reason, variantId, actor });
+  }
+  
+  return used;
+}
+
+/**
+ * Get a component's recent stock movements (newest first)
+ */
+function getMaterialMovements(componentId, limit = 50) {
+  return db.prepare(`
+    SELECT * FROM material_movements
+    WHERE component_id = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(componentId, limit);
+}
+
+/**
+ * Compare what the open orders need of each component with its stock and
+ * what is on order. Returns the components that are short or would drop
+ * below their reorder point:
+ * [{ componentId, name, unit, sku, quantityNeeded, onHand, onOrder, reorderPoint, shortfall, toOrder }]
+ * where shortfall is demand that nothing covers and toOrder also tops stock
+ * back up to the reorder point
+ */
+function getMaterialShortfall(netRequirement = false) {
+  const needed = new Map(
+    getMaterialsNeeded(netRequirement).components.map(component => [component.componentId, component.quantityNeeded])
+  );
+  
+  return getAllComponents()
+    .map(component => {
+      const quantityNeeded = needed.get(component.id) || 0;
+      const left = roundQuantity(component.on_hand + component.on_order - quantityNeeded);
+      
+      return {
+        componentId: component.id,
+        name: component.name,
+        unit: component.unit,
+        sku: component.sku,
+        quantityNeeded,
+        onHand: component.on_hand,
+        onOrder: component.on_order,
+        reorderPoint: component.reorder_point,
+        shortfall: Math.max(-left, 0),
+        toOrder: roundQuantity(Math.max(component.reorder_point - left, 0))
+      };
+    })
+    .filter(row => row.toOrder > 0);
+}
+
+// ========== PURCHASE ORDER FUNCTIONS ==========
+
+const PURCHASE_ORDER_LINES = `
+  SELECT pol.*, COALESCE(c.name, 'Deleted component') as name, COALESCE(c.unit, '') as unit
+  FROM purchase_order_lines pol
+  LEFT JOIN components c ON c.id = pol.component_id
+`;
+
+/**
+ * Get all purchase orders with their lines - drafts first, then ordered, then received
+ */
+function getPurchaseOrders() {
+  const orders = db.prepare(`
+    SELECT * FROM purchase_orders
+    ORDER BY
+      CASE status
+        WHEN 'draft' THEN 0
+        WHEN 'ordered' THEN 1
+        ELSE 2
+      END,
+      id DESC
+  `).all();
+  const lines = db.prepare(`${PURCHASE_ORDER_LINES} ORDER BY pol.id ASC`).all();
+  
+  return orders.map(order => ({
+    ...order,
+    lines: lines.filter(line => line.purchase_order_id === order.id)
+  }));
+}
+
+/**
+ * Get one purchase order with its lines (throws if it doesn't exist)
+ */
+function getPurchaseOrder(purchaseOrderId) {
+  const order = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(purchaseOrderId);
+  if (!order) {
+    throw new Error('Purchase order not found');
+  }
+  
+  order.lines = db.prepare(`${PURCHASE_ORDER_LINES} WHERE pol.purchase_order_id = ? ORDER BY pol.id ASC`).all(purchaseOrderId);
+  return order;
+}
+
+/**
+ * Add a draft purchase order, or change a draft when purchaseOrder.id is given
+ * (call inside a transaction)
+ * purchaseOrder: { id, supplier, reference, lines: [{ componentId, quantity }] }
+ * Returns the saved purchase order
+ */
+function savePurchaseOrder(purchaseOrder) {
+  const supplier = (purchaseOrder.supplier || '').trim();
+  const reference = (purchaseOrder.reference || '').trim();
+  const lines = purchaseOrder.lines || [];
+  
+  if (lines.length === 0) {
+    throw new Error('Add at least one component to the purchase order');
+  }
+  validateComponentLines(lines, 'purchase order');
+  
+  let id = purchaseOrder.id;
+  if (id) {
+    if (getPurchaseOrder(id).status !== 'draft') {
+      throw new Error('Only draft purchase orders can be changed');
+    }
+    
+    db.prepare(`
+      UPDATE purchase_orders
+      SET supplier = ?, reference = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(supplier, reference, id);
+    db.prepare('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?').run(id);
+  } else {
+    id = db.prepare('INSERT INTO purchase_orders (supplier, reference) VALUES (?, ?)').run(supplier, reference).lastInsertRowid;
+  }
+  
+  const insert = db.prepare('INSERT INTO purchase_order_lines (purchase_order_id, component_id, quantity) VALUES (?, ?, ?)');
+  for (const line of lines) {
+    insert.run(id, line.componentId, line.quantity);
+  }
+  
+  return getPurchaseOrder(id);
+}
+
+/**
+ * Mark a draft purchase order as sent to the supplier - its lines count as on order
+ * Returns the updated purchase order
+ */
+function markPurchaseOrderOrdered(purchaseOrderId) {
+  if (getPurchaseOrder(purchaseOrderId).status !== 'draft') {
+    throw new Error('Only draft purchase orders can be marked as ordered');
+  }
+  
+  db.prepare(`
+    UPDATE purchase_orders
+    SET status = 'ordered', ordered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(purchaseOrderId);
+  
+  return getPurchaseOrder(purchaseOrderId);
+}
+
+/**
+ * Receive an ordered purchase order, adding its lines to stock (call inside a transaction)
+ * Returns the updated purchase order
+ */
+function receivePurchaseOrder(purchaseOrderId, actor = null) {
+  const order = getPurchaseOrder(purchaseOrderId);
+  if (order.status !== 'ordered') {
+    throw new Error('Only ordered purchase orders can be received');
+  }
+  
+  for (const line of order.lines) {
+    moveComponentStock(line.component_id, line.quantity, { reason: 'received', purchaseOrderId, actor });
+  }
+  
+  db.prepare(`
+    UPDATE purchase_orders
+    SET status = 'received', received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(purchaseOrderId);
+  
+  return getPurchaseOrder(purchaseOrderId);
+}
+
+/**
+ * Delete a purchase order that hasn't been received (call inside a transaction)
+ */
+function deletePurchaseOrder(purchaseOrderId) {
+  if (getPurchaseOrder(purchaseOrderId).status === 'received') {
+    throw new Error('Received purchase orders cannot be deleted');
+  }
+  
+  db.prepare('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?').run(purchaseOrderId);
+  db.prepare('DELETE FROM purchase_orders WHERE id = ?').run(purchaseOrderId);
+}
+
+// ========== PRODUCTION BATCH FUNCTIONS ==========
+
+// Batch items with what is left to make of their task (null once the task is gone)
+const BATCH_ITEMS = `
+  SELECT bi.*, (t.total_quantity - t.made_quantity) as remaining_quantity, t.image_url
+  FROM batch_items bi
+  LEFT JOIN tasks t ON t.variant_id = bi.variant_id
+`;
+
+/**
+ * Product and variant title of a task or batch item, for messages
+ */
+function describeVariant(row) {
+  return row.variant_title && row.variant_title !== 'Default Title'
+    ? `${row.product_title} - ${row.variant_title}`
+    : row.product_title;
+}
+
+/**
+ * Get all production batches with their items - open batches first (newest
+ * first), then closed ones (most recently closed first)
+ */
+function getBatches() {
+  const batches = db.prepare(`
+    SELECT * FROM batches
+    ORDER BY
+      CASE status WHEN 'open' THEN 0 ELSE 1 END,
+      COALESCE(closed_at, created_at) DESC,
+      id DESC
+  `).all();
+  const items = db.prepare(`${BATCH_ITEMS} ORDER BY bi.product_title ASC, bi.variant_title ASC`).all();
+  
+  return batches.map(batch => ({
+    ...batch,
+    items: items.filter(item => item.batch_id === batch.id)
+  }));
+}
+
+/**
+ * Get one production batch with its items (throws if it doesn't exist)
+ */
+function getBatch(batchId) {
+  const batch = db.prepare('SELECT * FROM batches WHERE id = ?').get(batchId);
+  if (!batch) {
+    throw new Error('Batch not found');
+  }
+  
+  batch.items = db.prepare(`${BATCH_ITEMS} WHERE bi.batch_id = ? ORDER BY bi.product_title ASC, bi.variant_title ASC`).all(batchId);
+  return batch;
+}
+
+/**
+ * Start a new, empty production batch
+ * Returns the batch
+ */
+function createBatch(name, actor = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Batch name is required');
+  }
+  
+  const id = db.prepare('INSERT INTO batches (name, created_by) VALUES (?, ?)').run(trimmed, actor).lastInsertRowid;
+  return getBatch(id);
+}
+
+/**
+ * Set how many units of a variant an open batch plans to make (0 takes it out)
+ * Units already planned in other open batches can't be planned again
+ * Returns the updated batch
+ */
+function setBatchItemQuantity(batchId, variantId, quantity) {
+  const batch = getBatch(batchId);
+  if (batch.status !== 'open') {
+    throw new Error('Only open batches can be changed');
+  }
+  
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new Error('Quantity must be a whole number');
+  }
+  
+  if (quantity === 0) {
+    db.prepare('DELETE FROM batch_items WHERE batch_id = ? AND variant_id = ?').run(batchId, variantId);
+    return getBatch(batchId);
+  }
+  
+  const task = getTaskByVariantId(variantId);
+  if (!task) {
+    throw new Error(`Task not found for variant: ${variantId}`);
+  }
+  
+  const current = batch.items.find(item => item.variant_id === variantId);
+  const free = task.remaining_quantity - task.reserved_quantity + (current ? current.planned_quantity : 0);
+  if (quantity > free) {
+    throw new Error(`Only ${Math.max(free, 0)} unit(s) of ${describeVariant(task)} aren't planned in a batch yet`);
+  }
+  
+  db.prepare(`
+    INSERT INTO batch_items (batch_id, variant_id, product_title, variant_title, sku, planned_quantity)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(batch_id, variant_id) DO UPDATE SET
+      planned_quantity = excluded.planned_quantity
+  `).run(batchId, variantId, task.product_title, task.variant_title || '', task.sku || '', quantity);
+  
+  return getBatch(batchId);
+}
+
+/**
+ * Add units of a variant to an open batch (on top of any already planned there)
+ * Returns the updated batch
+ */
+function addToBatch(batchId, variantId, quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('Quantity must be a positive number');
+  }
+  
+  const current = getBatch(batchId).items.find(item => item.variant_id === variantId);
+  return setBatchItemQuantity(batchId, variantId, quantity + (current ? current.planned_quantity : 0));
+}
+
+/**
+ * Delete an open batch, freeing the units it planned
+ */
+function deleteBatch(batchId) {
+  if (getBatch(batchId).status !== 'open') {
+    throw new Error('Closed batches cannot be deleted');
+  }
+  
+  db.prepare('DELETE FROM batch_items WHERE batch_id = ?').run(batchId);
+  db.prepare('DELETE FROM batches WHERE id = ?').run(batchId);
+}
+
+/**
+ * Close an open batch, recording what was made of each item (call inside a
+ * transaction). madeQuantities: { variantId: quantity } - items left out were
+ * made as planned. The caller marks the units made.
+ * Returns [{ variantId, quantity }] for the items with units made
+ */
+function closeBatch(batchId, madeQuantities = {}, actor = null) {
+  const batch = getBatch(batchId);
+  if (batch.status !== 'open') {
+    throw new Error('This batch is already closed');
+  }
+  
+  const made = batch.items.map(item => {
+    const quantity = madeQuantities[item.variant_id] === undefined ? item.planned_quantity : madeQuantities[item.variant_id];
+    
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error('Made quantities must be whole numbers');
+    }
+    if (quantity > 0 && item.remaining_quantity === null) {
+      throw new Error(`${describeVariant(item)} is no longer in the task list`);
+    }
+    if (quantity > item.remaining_quantity) {
+      throw new Error(`Only ${item.remaining_quantity} unit(s) of ${describeVariant(item)} are left to make`);
+    }
+    
+    return { variantId: item.variant_id, quantity };
+  });
+  
+  const record = db.prepare('UPDATE batch_items SET made_quantity = ? WHERE batch_id = ? AND variant_id = ?');
+  for (const item of made) {
+    record.run(item.quantity, batchId, item.variantId);
+  }
+  
+  db.prepare(`
+    UPDATE batches
+    SET status = 'closed', closed_by = ?, closed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(actor, batchId);
+  
+  return made.filter(item => item.quantity > 0);
+}
+
+// ========== STOCKTAKE FUNCTIONS ==========
+
+// Counted variants with the quantity Shopify expects: the live quantity while
+// the stocktake is open (at its location if it has one), the snapshot once finished
+const STOCKTAKE_COUNTS = `
+  SELECT
+    sc.stocktake_id, sc.variant_id, sc.product_title, sc.variant_title, sc.sku,
+    sc.counted_quantity, sc.counted_at, i.image_url,
+    CASE
+      WHEN s.status = 'finished' THEN sc.expected_quantity
+      WHEN s.location_id IS NULL THEN COALESCE(i.inventory_quantity, 0)
+      ELSE COALESCE(il.on_hand, 0)
+    END as expected_quantity
+  FROM stocktake_counts sc
+  JOIN stocktakes s ON s.id = sc.stocktake_id
+  LEFT JOIN inventory i ON i.variant_id = sc.variant_id
+  LEFT JOIN inventory_levels il ON il.variant_id = sc.variant_id AND il.location_id = s.location_id
+`;
+
+/**
+ * Add the variance (counted - expected) to stocktake counts
+ */
+function withVariance(counts) {
+  return counts.map(count => ({
+    ...count,
+    variance: count.counted_quantity - count.expected_quantity
+  }));
+}
+
+/**
+ * Get all stocktakes with their counts - open ones first, then finished ones
+ * (most recently finished first)
+ */
+function getStocktakes() {
+  const stocktakes = db.prepare(`
+    SELECT * FROM stocktakes
+    ORDER BY
+      CASE status WHEN 'open' THEN 0 ELSE 1 END,
+      COALESCE(finished_at, created_at) DESC,
+      id DESC
+  `).all();
+  const counts = withVariance(db.prepare(`${STOCKTAKE_COUNTS} ORDER BY sc.product_title ASC, sc.variant_title ASC`).all());
+  
+  return stocktakes.map(stocktake => ({
+    ...stocktake,
+    counts: counts.filter(count => count.stocktake_id === stocktake.id)
+  }));
+}
+
+/**
+ * Get one stocktake with its counts (throws if it doesn't exist)
+ */
+function getStocktake(stocktakeId) {
+  const stocktake = db.prepare('SELECT * FROM stocktakes WHERE id = ?').get(stocktakeId);
+  if (!stocktake) {
+    throw new Error('Stocktake not found');
+  }
+  
+  stocktake.counts = withVariance(db.prepare(`${STOCKTAKE_COUNTS} WHERE sc.stocktake_id = ? ORDER BY sc.product_title ASC, sc.variant_title ASC`).all(stocktakeId));
+  return stocktake;
+}
+
+/**
+ * Get a stocktake that can still be counted (throws if it's finished)
+ */
+function getOpenStocktake(stocktakeId) {
+  const stocktake = getStocktake(stocktakeId);
+  if (stocktake.status !== 'open') {
+    throw new Error('Only open stocktakes can be changed');
+  }
+  return stocktake;
+}
+
+/**
+ * Start a new count session, across all locations or at one (locationId)
+ * Returns the stocktake
+ */
+function startStocktake({ name, locationId = null } = {}, actor = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Stocktake name is required');
+  }
+  
+  let locationName = null;
+  if (locationId) {
+    const location = getInventoryLocations().find(row => row.location_id === locationId);
+    if (!location) {
+      throw new Error('Location not found');
+    }
+    locationName = location.location_name;
+  }
+  
+  const id = db.prepare(`
+    INSERT INTO stocktakes (name, location_id, location_name, created_by)
+    VALUES (?, ?, ?, ?)
+  `).run(trimmed, locationId || null, locationName, actor).lastInsertRowid;
+  return getStocktake(id);
+}
+
+/**
+ * Set the counted quantity of a variant in an open stocktake (null removes the count)
+ * Returns the updated stocktake
+ */
+function setStocktakeCount(stocktakeId, variantId, quantity) {
+  getOpenStocktake(stocktakeId);
+  
+  if (quantity === null) {
+    db.prepare('DELETE FROM stocktake_counts WHERE stocktake_id = ? AND variant_id = ?').run(stocktakeId, variantId);
+    return getStocktake(stocktakeId);
+  }
+  
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new Error('Counted quantity must be a whole number');
+  }
+  
+  const variant = db.prepare('SELECT * FROM inventory WHERE variant_id = ?').get(variantId);
+  if (!variant) {
+    throw new Error('Variant not found in inventory');
+  }
+  
+  db.prepare(`
+    INSERT INTO stocktake_counts (stocktake_id, variant_id, product_title, variant_title, sku, counted_quantity)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(stocktake_id, variant_id) DO UPDATE SET
+      counted_quantity = excluded.counted_quantity,
+      counted_at = CURRENT_TIMESTAMP
+  `).run(stocktakeId, variantId, variant.product_title, variant.variant_title || '', variant.sku || '', quantity);
+  
+  return getStocktake(stocktakeId);
+}
+
+/**
+ * Find the inventory variant with a SKU (ignoring case and surrounding spaces)
+ * Throws if no variant or more than one has it
+ */
+function findVariantBySku(sku) {
+  const trimmed = String(sku || '').trim();
+  if (!trimmed) {
+    throw new Error('SKU is required');
+  }
+  
+  const variants = db.prepare('SELECT * FROM inventory WHERE LOWER(TRIM(sku)) = LOWER(?)').all(trimmed);
+  if (variants.length === 0) {
+    throw new Error(`No variant has SKU "${trimmed}"`);
+  }
+  if (variants.length > 1) {
+    throw new Error(`SKU "${trimmed}" is on ${variants.length} variants - enter their counts by hand`);
+  }
+  return variants[0];
+}
+
+/**
+ * Count units of a variant by SKU, on top of what's already counted (scanning)
+ * Returns { stocktake, variantId }
+ */
+function countStocktakeSku(stocktakeId, sku, quantity = 1) {
+  const stocktake = getOpenStocktake(stocktakeId);
+  
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('Quantity must be a positive number');
+  }
+  
+  const variant = findVariantBySku(sku);
+  const current = stocktake.counts.find(count => count.variant_id === variant.variant_id);
+  
+  return {
+    stocktake: setStocktakeCount(stocktakeId, variant.variant_id, quantity + (current ? current.counted_quantity : 0)),
+    variantId: variant.variant_id
+  };
+}
+
+/**
+ * Set counted quantities by SKU (call inside a transaction), replacing what was
+ * counted for those variants. counts: [{ sku, quantity }]
+ * Returns { stocktake, imported, skipped: [reasons for the counts left out] }
+ */
+function importStocktakeCounts(stocktakeId, counts) {
+  getOpenStocktake(stocktakeId);
+  
+  let imported = 0;
+  const skipped = [];
+  
+  for (const count of counts) {
+    try {
+      setStocktakeCount(stocktakeId, findVariantBySku(count.sku).variant_id, count.quantity);
+      imported++;
+    } catch (error) {
+      skipped.push(error.message);
+    }
+  }
+  
+  return { stocktake: getStocktake(stocktakeId), imported, skipped };
+}
+
+/**
+ * Finish an open stocktake (call inside a transaction), keeping what Shopify
+ * expected for each count as the record. With writeBack, Shopify inventory at
+ * the stocktake's location is set to the counts through the inventory outbox -
+ * as the on-hand quantity, since units committed to orders are still on the
+ * shelf, and set rather than adjusted, so sales since the last sync don't skew it.
+ * Returns { stocktake, adjusted, skipped } - skipped counts aren't stocked at
+ * the location in Shopify
+ */
+function finishStocktake(stocktakeId, { writeBack = false } = {}, actor = null) {
+  const stocktake = getStocktake(stocktakeId);
+  if (stocktake.status !== 'open') {
+    throw new Error('This stocktake is already finished');
+  }
+  if (stocktake.counts.length === 0) {
+    throw new Error('Count at least one variant before finishing');
+  }
+  if (writeBack && !stocktake.location_id) {
+    throw new Error('Pick a location to write counts back to Shopify');
+  }
+  
+  const snapshot = db.prepare('UPDATE stocktake_counts SET expected_quantity = ? WHERE stocktake_id = ? AND variant_id = ?');
+  for (const count of stocktake.counts) {
+    snapshot.run(count.expected_quantity, stocktakeId, count.variant_id);
+  }
+  
+  let adjusted = 0;
+  let skipped = 0;
+  
+  if (writeBack) {
+    const stocked = db.prepare(`
+      SELECT i.inventory_item_id
+      FROM inventory i
+      JOIN inventory_levels il ON il.variant_id = i.variant_id AND il.location_id = ?
+      WHERE i.variant_id = ? AND i.inventory_item_id IS NOT NULL
+    `);
+    
+    for (const count of stocktake.counts) {
+      const target = stocked.get(stocktake.location_id, count.variant_id);
+      if (!target) {
+        skipped++;
+        continue;
+      }
+      
+      queueInventoryAdjustment(count.variant_id, target.inventory_item_id, stocktake.location_id, count.variance, 'stocktake', count.counted_quantity);
+      adjusted++;
+    }
+  }
+  
+  db.prepare(`
+    UPDATE stocktakes
+    SET status = 'finished', write_back = ?, finished_by = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(writeBack ? 1 : 0, actor, stocktakeId);
+  
+  return { stocktake: getStocktake(stocktakeId), adjusted, skipped };
+}
+
+/**
+ * Delete an open stocktake and its counts
+ */
+function deleteStocktake(stocktakeId) {
+  if (getStocktake(stocktakeId).status !== 'open') {
+    throw new Error('Finished stocktakes are kept as a record');
+  }
+  
+  db.prepare('DELETE FROM stocktake_counts WHERE stocktake_id = ?').run(stocktakeId);
+  db.prepare('DELETE FROM stocktakes WHERE id = ?').run(stocktakeId);
+}
+
 module.exports = {
   initDatabase,
   getAllTasks,
   getTaskByVariantId,
   upsertTask,
   updateMadeQuantity,
+  decrementMadeQuantity,
   markTaskComplete,
   resetTask,
   clearAllTasks,
   logSync,
   getSyncHistory,
+  getLastSuccessfulSync,
   getCurrentStoreUrl,
   isDatabaseReady,
   // Order functions
@@ -1133,13 +3005,22 @@ module.exports = {
   upsertOrderLineItem,
   getAllOrders,
   getArchivedOrders,
+  getOrder,
+  getLineItem,
   getOrderLineItems,
   getOrdersWithLineItems,
   getArchivedOrdersWithLineItems,
   allocateMadeQuantityToOrders,
   deallocateQuantityFromOrders,
+  allocateToLineItem,
+  allocateStockToOrders,
+  markOrderMade,
+  previewAllocation,
+  setOrderPriority,
   resetVariantInOrders,
   clearOrdersWithoutProgress,
+  mergeUpdatedOrders,
+  mergePreservedOrderEdits,
   getArchivedOrderIds,
   getOrderIdsToSkipDuringSync,
   recalculateTaskTotalsFromOrders,
@@ -1149,10 +3030,86 @@ module.exports = {
   archiveAllFulfilledOrders,
   unarchiveAllOrders,
   deleteArchivedOrders,
+  getPreservedOrdersToReconcile,
+  applyOrderReconciliation,
+  dismissOrderAttention,
+  // Production event functions
+  recordProductionEvent,
+  getProductionEvents,
+  runInTransaction,
+  // Fulfillment log functions
+  recordFulfillmentAttempt,
+  getFulfillmentLog,
+  // Settings functions
+  getSetting,
+  saveSetting,
+  getAllocationStrategy,
+  saveAllocationStrategy,
+  getFulfillmentSettings,
+  saveFulfillmentSettings,
+  getPlanningSettings,
+  savePlanningSettings,
+  getMaterialSettings,
+  saveMaterialSettings,
+  getExportSettings,
+  saveExportSettings,
+  // Undo history functions
+  runUndoable,
+  undoLastAction,
+  redoLastAction,
+  getUndoState,
+  clearUndoHistory,
   // Inventory functions
   upsertInventory,
   bulkUpsertInventory,
   getAllInventory,
   getInventoryStats,
-  clearAllInventory
+  replaceInventoryLevels,
+  getInventoryLocations,
+  clearAllInventory,
+  // Inventory push functions
+  getInventoryPushProducts,
+  setInventoryPushProduct,
+  queueInventoryPush,
+  getPendingInventoryPushes,
+  markInventoryPushSent,
+  markInventoryPushFailed,
+  retryFailedInventoryPushes,
+  getInventoryPushStats,
+  reapplyUnsyncedInventoryPushes,
+  // Bill of materials functions
+  getAllComponents,
+  saveComponent,
+  deleteComponent,
+  getVariantRecipe,
+  setVariantRecipe,
+  getMaterialsNeeded,
+  // Material stock functions
+  setComponentStock,
+  consumeMaterialsForVariant,
+  getMaterialMovements,
+  getMaterialShortfall,
+  // Purchase order functions
+  getPurchaseOrders,
+  savePurchaseOrder,
+  markPurchaseOrderOrdered,
+  receivePurchaseOrder,
+  deletePurchaseOrder,
+  // Production batch functions
+  getBatches,
+  getBatch,
+  createBatch,
+  setBatchItemQuantity,
+  addToBatch,
+  deleteBatch,
+  closeBatch,
+  // Stocktake functions
+  getStocktakes,
+  getStocktake,
+  startStocktake,
+  setStocktakeCount,
+  countStocktakeSku,
+  importStocktakeCounts,
+  finishStocktake,
+  deleteStocktake
 };
@@ -0,0 +1,86 @@
+/**
+ * Inventory outbox - sends queued inventory changes to Shopify
+ *
+ * Marking units made for a pushed product queues an adjustment in the
+ * database first, so nothing is lost if Shopify can't be reached. Finishing a
+ * stocktake with write-back queues the counted quantities the same way. The
+ * queue is sent straight after the change and again at the end of every sync.
+ */
+
+const {
+  getPendingInventoryPushes,
+  markInventoryPushSent,
+  markInventoryPushFailed,
+  getInventoryPushStats
+} = require('./database');
+const { ShopifyClient } = require('./shopify-api');
+const { getAccessToken, getStoreUrl } = require('./config');
+
+// Give up on a change after this many failed sends (it can be retried by hand)
+const MAX_PUSH_ATTEMPTS = 5;
+
+// The send in progress, so two sends never push the same change twice
+let activeFlush = null;
+
+/**
+ * Send every queued change, oldest first
+ * Returns { sent, failed, pending } where failed counts changes that failed this time
+ */
+async function sendPendingPushes() {
+  const storeUrl = getStoreUrl();
+  const accessToken = getAccessToken();
+  const pushes = getPendingInventoryPushes();
+
+  if (!storeUrl || !accessToken || pushes.length === 0) {
+    return { sent: 0, failed: 0, pending: pushes.length };
+  }
+
+  // Not the sync's client - cancelling a sync mustn't abort a change half sent
+  const client = new ShopifyClient(storeUrl, accessToken);
+  let sent = 0;
+  let failed = 0;
+
+  for (const push of pushes) {
+    try {
+      const change = {
+        inventoryItemId: push.inventory_item_id,
+        locationId: push.location_id,
+        referenceDocumentUri: `inventoryinator://outbox/${push.id}`
+      };
+
+      // Stocktake counts are what's on the shelf, made units are relative to whatever Shopify has
+      if (push.set_quantity !== null) {
+        await client.setOnHandQuantity({ ...change, quantity: push.set_quantity });
+      } else {
+        await client.adjustInventoryQuantity({ ...change, delta: push.delta });
+      }
+      markInventoryPushSent(push.id);
+      sent++;
+    } catch (error) {
+      console.error(`Error pushing inventory change ${push.id}:`, error);
+      markInventoryPushFailed(push.id, error.message, MAX_PUSH_ATTEMPTS);
+      failed++;
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`Pushed ${sent} inventory change(s) to Shopify`);
+  }
+  return { sent, failed, pending: getInventoryPushStats().pending };
+}
+
+/**
+ * Send queued inventory changes, or wait for the send already running
+ */
+function flushInventoryOutbox() {
+  if (!activeFlush) {
+    activeFlush = sendPendingPushes().finally(() => {
+      activeFlush = null;
+    });
+  }
+  return activeFlush;
+}
+
+module.exports = {
+  flushInventoryOutbox
+};
@@ -2,36 +2,107 @@ const {
   getAllTasks, 
   getTaskByVariantId,
   updateMadeQuantity, 
+  decrementMadeQuantity,
   markTaskComplete,
   resetTask,
-  upsertTask,
-  logSync,
   initDatabase,
   // Order functions
-  upsertOrder,
-  upsertOrderLineItem,
+  getAllOrders,
+  getArchivedOrders,
+  getOrder,
+  getLineItem,
+  getOrderLineItems,
   getOrdersWithLineItems,
   getArchivedOrdersWithLineItems,
   allocateMadeQuantityToOrders,
+  deallocateQuantityFromOrders,
+  allocateToLineItem,
+  allocateStockToOrders,
+  markOrderMade,
+  previewAllocation,
+  setOrderPriority,
   resetVariantInOrders,
-  clearOrdersWithoutProgress,
-  getOrderIdsToSkipDuringSync,
-  recalculateTaskTotalsFromOrders,
-  updateAllOrderStatuses,
   archiveOrder,
   unarchiveOrder,
   archiveAllFulfilledOrders,
   unarchiveAllOrders,
+  dismissOrderAttention,
+  // Production event functions
+  recordProductionEvent,
+  getProductionEvents,
+  runInTransaction,
+  // Fulfillment log functions
+  recordFulfillmentAttempt,
+  getFulfillmentLog,
+  // Settings functions
+  getAllocationStrategy,
+  saveAllocationStrategy,
+  getFulfillmentSettings,
+  saveFulfillmentSettings,
+  getPlanningSettings,
+  savePlanningSettings,
+  getMaterialSettings,
+  saveMaterialSettings,
+  getExportSettings,
+  saveExportSettings,
+  // Undo history functions
+  runUndoable,
+  undoLastAction,
+  redoLastAction,
+  getUndoState,
   // Inventory functions
-  bulkUpsertInventory,
   getAllInventory,
-  getInventoryStats
+  getInventoryStats,
+  getInventoryLocations,
+  // Inventory push functions
+  getInventoryPushProducts,
+  setInventoryPushProduct,
+  queueInventoryPush,
+  retryFailedInventoryPushes,
+  getInventoryPushStats,
+  // Bill of materials functions
+  getAllComponents,
+  saveComponent,
+  deleteComponent,
+  getVariantRecipe,
+  setVariantRecipe,
+  getMaterialsNeeded,
+  // Material stock functions
+  setComponentStock,
+  consumeMaterialsForVariant,
+  getMaterialMovements,
+  getMaterialShortfall,
+  // Purchase order functions
+  getPurchaseOrders,
+  savePurchaseOrder,
+  markPurchaseOrderOrdered,
+  receivePurchaseOrder,
+  deletePurchaseOrder,
+  // Production batch functions
+  getBatches,
+  getBatch,
+  createBatch,
+  setBatchItemQuantity,
+  addToBatch,
+  deleteBatch,
+  closeBatch,
+  // Stocktake functions
+  getStocktakes,
+  startStocktake,
+  setStocktakeCount,
+  countStocktakeSku,
+  importStocktakeCounts,
+  finishStocktake,
+  deleteStocktake
 } = require('./database');
-const { ShopifyClient } = require('./shopify-api');
+const os = require('os');
+const { BrowserWindow } = require('electron');
+const { ALLOCATION_STRATEGIES } = require('./allocation-strategies');
 const { ShopifyOAuth, REDIRECT_URI } = require('./oauth');
+const { ShopifyClient } = require('./shopify-api');
 const { 
-  getAccessToken, 
   saveAccessToken, 
+  getAccessToken,
   getStoreUrl, 
   saveStoreUrl,
   isConfigured,
@@ -43,6 +114,20 @@ const {
   getAutoSyncSettings,
   saveAutoSyncSettings
 } = require('./config');
+const { runSync, cancelSync } = require('./sync-service');
+const { flushInventoryOutbox } = require('./inventory-outbox');
+const { restartSyncScheduler } = require('./sync-scheduler');
+const { describeWorkingHours } = require('./working-hours');
+const {
+  renderBatchSheet,
+  renderProductionSheet,
+  renderPackingSlips,
+  renderPickList,
+  printDocument,
+  savePdf
+} = require('./print-documents');
+const { EXPORT_FORMATS, getExportColumns, buildExportTable, saveExport } = require('./data-export');
+const { openStocktakeCsv } = require('./stocktake-import');
 
 /**
  * Extract numeric order ID from Shopify GID
@@ -54,6 +139,290 @@ function extractOrderId(gid) {
   return match ? match[1] : gid;
 }
 
+/**
+ * Add the Shopify admin URL to each order (null when no store is connected)
+ */
+function withShopifyAdminUrls(orders) {
+  const storeUrl = getStoreUrl();
+  
+  return orders.map(order => ({
+    ...order,
+    shopifyAdminUrl: storeUrl ? `https://${storeUrl}/admin/orders/${extractOrderId(order.order_id)}` : null
+  }));
+}
+
+/**
+ * Get the name recorded against production events (the OS user running the app)
+ */
+function getOperatorName() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Actions that change made quantities, so their undo/redo goes in the production ledger
+const PRODUCTION_ACTIONS = ['mark_made', 'unmark_made', 'mark_complete', 'reset', 'allocate_manual', 'mark_order_made', 'allocate_stock', 'close_batch'];
+
+// Actions whose made units are pushed to Shopify inventory (for products set up to push) -
+// all but allocate_stock, which hands out units that are already in stock
+const INVENTORY_PUSH_ACTIONS = PRODUCTION_ACTIONS.filter(action => action !== 'allocate_stock');
+
+// Actions whose made units use up materials (when the store has that turned on) -
+// allocate_stock gives out finished units, so no materials go with it
+const MATERIAL_ACTIONS = PRODUCTION_ACTIONS.filter(action => action !== 'allocate_stock');
+
+/**
+ * Take the materials for made units out of stock if the store has that turned on
+ * (negative units put them back). Returns what was taken, like consumeMaterialsForVariant
+ */
+function consumeMaterials(variantId, units, reason) {
+  if (!getMaterialSettings().consumeOnMake) {
+    return [];
+  }
+  return consumeMaterialsForVariant(variantId, units, reason, getOperatorName());
+}
+
+/**
+ * Send queued inventory changes in the background
+ * Anything that fails stays queued for the next sync
+ */
+function pushInventoryChanges() {
+  flushInventoryOutbox().catch(error => console.error('Error pushing inventory changes:', error));
+}
+
+/**
+ * Human-readable task name for undo/redo descriptions
+ */
+function describeTask(task) {
+  if (!task) return 'task';
+  return task.variant_title && task.variant_title !== 'Default Title'
+    ? `${task.product_title} - ${task.variant_title}`
+    : task.product_title;
+}
+
+/**
+ * Record undo/redo of a production action in the production ledger
+ * so the history shows the correction rather than silently rewriting it
+ */
+function recordUndoRedoEvents(action, result) {
+  if (!PRODUCTION_ACTIONS.includes(result.action)) {
+    return;
+  }
+  
+  for (const change of result.changes.tasks) {
+    if (INVENTORY_PUSH_ACTIONS.includes(result.action)) {
+      queueInventoryPush(change.variantId, change.madeAfter - change.madeBefore, action);
+    }
+    if (MATERIAL_ACTIONS.includes(result.action)) {
+      consumeMaterials(change.variantId, change.madeAfter - change.madeBefore, action);
+    }
+    
+    recordProductionEvent({
+      variantId: change.variantId,
+      action,
+      quantityDelta: change.madeAfter - change.madeBefore,
+      madeBefore: change.madeBefore,
+      madeAfter: change.madeAfter,
+      actor: getOperatorName(),
+      allocations: result.changes.lineItems.filter(item => item.variantId === change.variantId)
+    });
+  }
+}
+
+/**
+ * Give unallocated stock on hand to the oldest orders (undoable)
+ * Returns { variants, newlyFulfilledOrders } like allocateStockToOrders
+ */
+function allocateStock() {
+  const variantIds = getAllTasks()
+    .filter(task => task.remaining_quantity > task.net_to_make)
+    .map(task => task.variant_id);
+  
+  if (variantIds.length === 0) {
+    return { variants: [], newlyFulfilledOrders: [] };
+  }
+  
+  return runInTransaction(() => runUndoable({
+    action: 'allocate_stock',
+    description: `Allocate stock to ${variantIds.length} variant${variantIds.length === 1 ? '' : 's'}`,
+    scope: { variantIds }
+  }, () => {
+    const result = allocateStockToOrders();
+    
+    for (const variant of result.variants) {
+      recordProductionEvent({
+        variantId: variant.variantId,
+        action: 'allocate_stock',
+        quantityDelta: variant.quantity,
+        madeBefore: variant.madeBefore,
+        madeAfter: variant.madeAfter,
+        actor: getOperatorName(),
+        allocations: variant.allocations
+      });
+    }
+    
+    return result;
+  }));
+}
+
+/**
+ * Mark units of a variant made and give them to its orders (oldest first),
+ * with the production event, inventory push and materials that go with it
+ * Call inside runUndoable. Returns { updatedTask, newlyFulfilledOrders, materialsUsed }
+ */
+function applyMadeQuantity(variantId, quantity, action) {
+  const task = getTaskByVariantId(variantId);
+  
+  // Update task database
+  updateMadeQuantity(variantId, quantity);
+  
+  // Also allocate to orders (oldest first)
+  const { allocations, newlyFulfilledOrders } = allocateMadeQuantityToOrders(variantId, quantity);
+  
+  // Get updated task
+  const updatedTask = getTaskByVariantId(variantId);
+  const madeDelta = updatedTask.made_quantity - task.made_quantity;
+  
+  recordProductionEvent({
+    variantId,
+    action,
+    quantityDelta: madeDelta,
+    madeBefore: task.made_quantity,
+    madeAfter: updatedTask.made_quantity,
+    actor: getOperatorName(),
+    allocations
+  });
+  
+  // Make-to-stock products also get the units in Shopify inventory
+  queueInventoryPush(variantId, madeDelta, action);
+  
+  const materialsUsed = consumeMaterials(variantId, madeDelta, action);
+  
+  return { updatedTask, newlyFulfilledOrders, materialsUsed };
+}
+
+/**
+ * Fulfill one locally fulfilled order in Shopify and log the attempt
+ * request: { orderId, trackingNumber, trackingCompany }
+ * Returns { orderId, orderName, success, fulfillmentId } or { ..., success: false, error }
+ */
+async function fulfillOrderInShopify(client, request, settings) {
+  const order = getOrder(request.orderId);
+  const trackingNumber = (request.trackingNumber || '').trim();
+  const trackingCompany = (request.trackingCompany || '').trim();
+  const attempt = { orderId: request.orderId, trackingNumber, trackingCompany, actor: getOperatorName() };
+  
+  try {
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.status !== 'fulfilled') {
+      throw new Error('Only orders with every item made can be fulfilled in Shopify');
+    }
+    
+    // Fulfill the made units of each line
+    const quantities = new Map(getOrderLineItems(order.order_id).map(item => [item.line_item_id, item.fulfilled_quantity]));
+    const fulfillment = await client.createFulfillment(order.order_id, quantities, {
+      trackingNumber,
+      trackingCompany,
+      notifyCustomer: settings.notifyCustomer
+    });
+    
+    recordFulfillmentAttempt({ ...attempt, status: 'success', fulfillmentId: fulfillment.id });
+    return { orderId: request.orderId, orderName: order.order_name, success: true, fulfillmentId: fulfillment.id };
+  } catch (error) {
+    // Stores connected before write-back existed haven't granted the scope
+    const message = /access denied/i.test(error.message)
+      ? 'Shopify denied access - disconnect and reconnect to allow fulfilling orders'
+      : error.message;
+    
+    console.error(`Error fulfilling order ${request.orderId} in Shopify:`, error);
+    recordFulfillmentAttempt({ ...attempt, status: 'error', errorMessage: message });
+    return { orderId: request.orderId, orderName: order ? order.order_name : request.orderId, success: false, error: message };
+  }
+}
+
+/**
+ * Build a printable document from the current data
+ * type: 'production' | 'packing_slips' | 'pick_list' | 'batch'
+ * options: { orderIds } for packing slips (defaults to every made order), { batchId } for a batch
+ * Returns { title, fileName, html }
+ */
+function buildPrintDocument(type, options = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const madeOrders = () => getOrdersWithLineItems().filter(order => order.status === 'fulfilled');
+  
+  switch (type) {
+    case 'production': {
+      const tasks = getAllTasks();
+      if (!tasks.some(task => task.remaining_quantity > 0)) {
+        throw new Error('Nothing is left to make');
+      }
+      return { title: 'Production sheet', fileName: `production-sheet-${today}.pdf`, html: renderProductionSheet(tasks) };
+    }
+    case 'packing_slips': {
+      const orders = options.orderIds
+        ? getOrdersWithLineItems(true).filter(order => options.orderIds.includes(order.order_id))
+        : madeOrders();
+      if (orders.length === 0) {
+        throw new Error(options.orderIds ? 'Order not found' : 'No orders have every item made yet');
+      }
+      const name = orders.length === 1 ? orders[0].order_name.replace(/[^\w-]/g, '') : today;
+      return {
+        title: orders.length === 1 ? `Packing slip ${orders[0].order_name}` : 'Packing slips',
+        fileName: `packing-slips-${name}.pdf`,
+        html: renderPackingSlips(orders)
+      };
+    }
+    case 'pick_list': {
+      const orders = madeOrders();
+      if (orders.length === 0) {
+        throw new Error('No orders have every item made yet');
+      }
+      return { title: 'Pick list', fileName: `pick-list-${today}.pdf`, html: renderPickList(orders) };
+    }
+    case 'batch': {
+      const batch = getBatch(options.batchId);
+      if (batch.items.length === 0) {
+        throw new Error('This batch has nothing planned yet');
+      }
+      return { title: `Batch: ${batch.name}`, fileName: `batch-${batch.id}.pdf`, html: renderBatchSheet(batch) };
+    }
+    default:
+      throw new Error(`Unknown document: ${type}`);
+  }
+}
+
+/**
+ * Get the rows of a dataset to export
+ * options: { ids, locationId } - ids (variant or order IDs) keeps just those rows
+ * in that order, so an export matches the filtered list on screen
+ */
+function getExportRows(dataset, options = {}) {
+  let rows;
+  let key = 'variant_id';
+  
+  if (dataset === 'tasks') {
+    rows = getAllTasks();
+  } else if (dataset === 'orders' || dataset === 'archived_orders') {
+    rows = withShopifyAdminUrls(dataset === 'orders' ? getOrdersWithLineItems() : getArchivedOrdersWithLineItems());
+    key = 'order_id';
+  } else if (dataset === 'inventory') {
+    rows = getAllInventory({ locationId: options.locationId || null });
+  } else {
+    throw new Error(`Unknown export: ${dataset}`);
+  }
+  
+  if (!Array.isArray(options.ids)) {
+    return rows;
+  }
+  
+  const byKey = new Map(rows.map(row => [row[key], row]));
+  return options.ids.map(id => byKey.get(id)).filter(Boolean);
+}
+
 /**
  * Register all IPC handlers for communication between renderer and main process
  */
@@ -195,25 +564,19 @@ function registerIpcHandlers(ipcMain) {
         throw new Error('Quantity must be a positive number');
       }
       
-      // Update task database
-      updateMadeQuantity(variantId, quantity);
-      
-      // Also allocate to orders (oldest first)
-      const { newlyFulfilledOrders } = allocateMadeQuantityToOrders(variantId, quantity);
-      
-      // Get updated task
-      const updatedTask = getTaskByVariantId(variantId);
+      const { updatedTask, newlyFulfilledOrders, materialsUsed } = runInTransaction(() => runUndoable({
+        action: 'mark_made',
+        description: `Mark ${quantity} made: ${describeTask(getTaskByVariantId(variantId))}`,
+        scope: { variantIds: [variantId] }
+      }, () => applyMadeQuantity(variantId, quantity, 'mark_made')));
       
-      // Include store URL for building Shopify admin links
-      const storeUrl = getStoreUrl();
+      pushInventoryChanges();
       
       return { 
         success: true, 
         data: updatedTask,
-        newlyFulfilledOrders: newlyFulfilledOrders.map(o => ({
-          ...o,
-          shopifyAdminUrl: `https://${storeUrl}/admin/orders/${extractOrderId(o.order_id)}`
-        }))
+        materialsUsed,
+        newlyFulfilledOrders: withShopifyAdminUrls(newlyFulfilledOrders)
       };
     } catch (error) {
       console.error('Error marking made:', error);
@@ -222,169 +585,394 @@ function registerIpcHandlers(ipcMain) {
   });
 
   /**
-   * Mark task as complete (all remaining quantity)
+   * Take back quantity marked as made for a variant (newest orders first)
    */
-  ipcMain.handle('mark-complete', async (event, variantId) => {
+  ipcMain.handle('unmark-made', async (event, variantId, quantity) => {
     try {
+      // Validate inputs
       if (!variantId) {
         throw new Error('Variant ID is required');
       }
       
-      // Get current task to know remaining quantity
-      const task = getTaskByVariantId(variantId);
-      const remainingQty = task.total_quantity - task.made_quantity;
-      
-      markTaskComplete(variantId);
-      
-      // Also allocate remaining to orders
-      let newlyFulfilledOrders = [];
-      if (remainingQty > 0) {
-        const result = allocateMadeQuantityToOrders(variantId, remainingQty);
-        newlyFulfilledOrders = result.newlyFulfilledOrders;
+      if (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity < 1) {
+        throw new Error('Quantity must be a positive number');
       }
       
-      const updatedTask = getTaskByVariantId(variantId);
+      const { updatedTask, noLongerFulfilledOrders } = runInTransaction(() => runUndoable({
+        action: 'unmark_made',
+        description: `Unmark ${quantity} made: ${describeTask(getTaskByVariantId(variantId))}`,
+        scope: { variantIds: [variantId] }
+      }, () => {
+        const task = getTaskByVariantId(variantId);
+        
+        // Update task database (throws if more than made_quantity)
+        decrementMadeQuantity(variantId, quantity);
+        
+        // Take the quantity back from orders (newest first)
+        const { deallocations, noLongerFulfilledOrders } = deallocateQuantityFromOrders(variantId, quantity);
+        
+        // Units pinned to specific orders are never taken back automatically
+        const deallocated = -deallocations.reduce((sum, d) => sum + d.allocated, 0);
+        if (deallocated < quantity) {
+          throw new Error(`Cannot unmark ${quantity} - only ${deallocated} made unit(s) aren't pinned to specific orders`);
+        }
+        
+        const updatedTask = getTaskByVariantId(variantId);
+        
+        recordProductionEvent({
+          variantId,
+          action: 'unmark_made',
+          quantityDelta: -quantity,
+          madeBefore: task.made_quantity,
+          madeAfter: updatedTask.made_quantity,
+          actor: getOperatorName(),
+          allocations: deallocations
+        });
+        
+        queueInventoryPush(variantId, updatedTask.made_quantity - task.made_quantity, 'unmark_made');
+        consumeMaterials(variantId, updatedTask.made_quantity - task.made_quantity, 'unmark_made');
+        
+        return { updatedTask, noLongerFulfilledOrders };
+      }));
       
-      // Include store URL for building Shopify admin links
-      const storeUrl = getStoreUrl();
+      pushInventoryChanges();
       
       return { 
         success: true, 
         data: updatedTask,
-        newlyFulfilledOrders: newlyFulfilledOrders.map(o => ({
-          ...o,
-          shopifyAdminUrl: `https://${storeUrl}/admin/orders/${extractOrderId(o.order_id)}`
-        }))
+        noLongerFulfilledOrders: withShopifyAdminUrls(noLongerFulfilledOrders)
       };
     } catch (error) {
-      console.error('Error marking complete:', error);
+      console.error('Error unmarking made:', error);
       return { success: false, error: error.message };
     }
   });
 
   /**
-   * Reset task progress (set made back to 0)
+   * Allocate newly made units to one specific order line item (pinned)
    */
-  ipcMain.handle('reset-task', async (event, variantId) => {
+  ipcMain.handle('allocate-to-line-item', async (event, lineItemId, quantity) => {
     try {
-      if (!variantId) {
-        throw new Error('Variant ID is required');
+      if (!lineItemId) {
+        throw new Error('Line item ID is required');
       }
       
-      resetTask(variantId);
+      if (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity < 1) {
+        throw new Error('Quantity must be a positive number');
+      }
       
-      // Also reset in orders
-      resetVariantInOrders(variantId);
+      const lineItem = getLineItem(lineItemId);
+      if (!lineItem) {
+        throw new Error('Line item not found');
+      }
+      const variantId = lineItem.variant_id;
       
-      const updatedTask = getTaskByVariantId(variantId);
+      const { updatedTask, newlyFulfilledOrders } = runInTransaction(() => runUndoable({
+        action: 'allocate_manual',
+        description: `Make ${quantity} for order: ${describeTask(getTaskByVariantId(variantId))}`,
+        scope: { variantIds: [variantId] }
+      }, () => {
+        const task = getTaskByVariantId(variantId);
+        
+        const { allocations, newlyFulfilledOrders } = allocateToLineItem(lineItemId, quantity);
+        
+        const updatedTask = getTaskByVariantId(variantId);
+        
+        recordProductionEvent({
+          variantId,
+          action: 'allocate_manual',
+          quantityDelta: quantity,
+          madeBefore: task.made_quantity,
+          madeAfter: updatedTask.made_quantity,
+          actor: getOperatorName(),
+          allocations
+        });
+        
+        queueInventoryPush(variantId, updatedTask.made_quantity - task.made_quantity, 'allocate_manual');
+        consumeMaterials(variantId, updatedTask.made_quantity - task.made_quantity, 'allocate_manual');
+        
+        return { updatedTask, newlyFulfilledOrders };
+      }));
       
-      return { success: true, data: updatedTask };
+      pushInventoryChanges();
+      
+      return { 
+        success: true, 
+        data: updatedTask,
+        newlyFulfilledOrders: withShopifyAdminUrls(newlyFulfilledOrders)
+      };
     } catch (error) {
-      console.error('Error resetting task:', error);
+      console.error('Error allocating to line item:', error);
       return { success: false, error: error.message };
     }
   });
 
   /**
-   * Sync from Shopify - fetch unfulfilled orders and update database
+   * Mark every remaining item of one order as made (for order-by-order packing)
    */
-  ipcMain.handle('sync-shopify', async (event) => {
+  ipcMain.handle('mark-order-made', async (event, orderId) => {
     try {
-      console.log('Starting Shopify sync...');
-      
-      // Get credentials from config
-      const storeUrl = getStoreUrl();
-      const accessToken = getAccessToken();
-      
-      if (!storeUrl || !accessToken) {
-        throw new Error('Not authenticated. Please connect to Shopify first.');
+      if (!orderId) {
+        throw new Error('Order ID is required');
       }
       
-      // Create Shopify client
-      const client = new ShopifyClient(storeUrl, accessToken);
-      
-      // Fetch and aggregate data
-      const result = await client.fetchAndAggregate();
-      const { aggregated, ordersForStorage, stats } = result;
+      const order = getOrder(orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
       
-      console.log(`Synced ${stats.orderCount} orders, ${stats.variantCount} variants`);
+      const { variants, newlyFulfilledOrders } = runInTransaction(() => runUndoable({
+        action: 'mark_order_made',
+        description: `Mark order ${order.order_name} made`,
+        scope: { orderIds: [orderId] }
+      }, () => {
+        const madeBefore = {};
+        for (const lineItem of getOrderLineItems(orderId)) {
+          const task = getTaskByVariantId(lineItem.variant_id);
+          madeBefore[lineItem.variant_id] = task ? task.made_quantity : 0;
+        }
+        
+        const result = markOrderMade(orderId);
+        
+        for (const variant of result.variants) {
+          const madeAfter = getTaskByVariantId(variant.variantId).made_quantity;
+          
+          recordProductionEvent({
+            variantId: variant.variantId,
+            action: 'mark_order_made',
+            quantityDelta: variant.quantity,
+            madeBefore: madeBefore[variant.variantId],
+            madeAfter,
+            actor: getOperatorName(),
+            allocations: variant.allocations
+          });
+          
+          queueInventoryPush(variant.variantId, madeAfter - madeBefore[variant.variantId], 'mark_order_made');
+          consumeMaterials(variant.variantId, madeAfter - madeBefore[variant.variantId], 'mark_order_made');
+        }
+        
+        return result;
+      }));
       
-      // Get order IDs to skip during sync (archived + orders with progress)
-      const skipOrderIds = getOrderIdsToSkipDuringSync();
-      console.log(`Preserving ${skipOrderIds.size} orders (archived or with progress)`);
+      pushInventoryChanges();
       
-      // Clear orders without progress (safe to refresh from Shopify)
-      clearOrdersWithoutProgress();
+      return { 
+        success: true, 
+        data: {
+          message: `Marked ${variants.reduce((sum, v) => sum + v.quantity, 0)} item(s) made for ${order.order_name}`,
+          variantsUpdated: variants.length
+        },
+        newlyFulfilledOrders: withShopifyAdminUrls(newlyFulfilledOrders)
+      };
+    } catch (error) {
+      console.error('Error marking order made:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Mark task as complete (all remaining quantity)
+   */
+  ipcMain.handle('mark-complete', async (event, variantId) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
       
-      // Store orders and their line items (skip archived and orders with progress)
-      let storedCount = 0;
-      let skippedCount = 0;
-      for (const order of ordersForStorage) {
-        // Skip if this order is archived or has progress
-        if (skipOrderIds.has(order.orderId)) {
-          console.log(`Skipping preserved order: ${order.orderName}`);
-          skippedCount++;
-          continue;
+      const { updatedTask, newlyFulfilledOrders } = runInTransaction(() => runUndoable({
+        action: 'mark_complete',
+        description: `Complete: ${describeTask(getTaskByVariantId(variantId))}`,
+        scope: { variantIds: [variantId] }
+      }, () => {
+        // Get current task to know remaining quantity
+        const task = getTaskByVariantId(variantId);
+        if (!task) {
+          throw new Error(`Task not found for variant: ${variantId}`);
         }
-        upsertOrder(order);
-        for (const lineItem of order.lineItems) {
-          upsertOrderLineItem(lineItem);
+        const remainingQty = task.total_quantity - task.made_quantity;
+        
+        markTaskComplete(variantId);
+        
+        // Also allocate remaining to orders
+        let newlyFulfilledOrders = [];
+        if (remainingQty > 0) {
+          const result = allocateMadeQuantityToOrders(variantId, remainingQty);
+          newlyFulfilledOrders = result.newlyFulfilledOrders;
+          
+          recordProductionEvent({
+            variantId,
+            action: 'mark_complete',
+            quantityDelta: remainingQty,
+            madeBefore: task.made_quantity,
+            madeAfter: task.total_quantity,
+            actor: getOperatorName(),
+            allocations: result.allocations
+          });
+          
+          queueInventoryPush(variantId, remainingQty, 'mark_complete');
+          consumeMaterials(variantId, remainingQty, 'mark_complete');
         }
-        storedCount++;
-      }
-      console.log(`Stored ${storedCount} orders with line items (skipped ${skippedCount} preserved)`);
+        
+        return { updatedTask: getTaskByVariantId(variantId), newlyFulfilledOrders };
+      }));
       
-      // Update tasks (variant aggregates) - first upsert from Shopify data
-      let updatedCount = 0;
-      for (const item of aggregated) {
-        upsertTask(item);
-        updatedCount++;
-      }
+      pushInventoryChanges();
       
-      // Recalculate task totals to exclude archived order quantities
-      // This is necessary because Shopify aggregated data includes all orders
-      if (skipOrderIds.size > 0) {
-        recalculateTaskTotalsFromOrders();
+      return { 
+        success: true, 
+        data: updatedTask,
+        newlyFulfilledOrders: withShopifyAdminUrls(newlyFulfilledOrders)
+      };
+    } catch (error) {
+      console.error('Error marking complete:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Reset task progress (set made back to 0)
+   */
+  ipcMain.handle('reset-task', async (event, variantId) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
       }
       
-      // Ensure order statuses are consistent with their line items
-      updateAllOrderStatuses();
+      const updatedTask = runInTransaction(() => runUndoable({
+        action: 'reset',
+        description: `Reset: ${describeTask(getTaskByVariantId(variantId))}`,
+        scope: { variantIds: [variantId] }
+      }, () => {
+        const task = getTaskByVariantId(variantId);
+        
+        resetTask(variantId);
+        
+        // Also reset in orders
+        const deallocations = resetVariantInOrders(variantId);
+        
+        if (task && task.made_quantity > 0) {
+          recordProductionEvent({
+            variantId,
+            action: 'reset',
+            quantityDelta: -task.made_quantity,
+            madeBefore: task.made_quantity,
+            madeAfter: 0,
+            actor: getOperatorName(),
+            allocations: deallocations
+          });
+          
+          queueInventoryPush(variantId, -task.made_quantity, 'reset');
+          consumeMaterials(variantId, -task.made_quantity, 'reset');
+        }
+        
+        return getTaskByVariantId(variantId);
+      }));
+      
+      pushInventoryChanges();
       
-      // Also sync inventory data
-      console.log('Syncing inventory data...');
-      const { inventoryData, stats: inventoryStats } = await client.fetchInventory();
-      bulkUpsertInventory(inventoryData);
-      console.log(`Synced ${inventoryStats.variantCount} inventory variants`);
+      return { success: true, data: updatedTask };
+    } catch (error) {
+      console.error('Error resetting task:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the production ledger for a variant (newest first)
+   */
+  ipcMain.handle('get-production-history', async (event, variantId, limit = 50) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
       
-      // Log sync to history
-      logSync({
-        ordersFetched: stats.orderCount,
-        variantsUpdated: updatedCount,
-        status: 'success'
+      const events = getProductionEvents(variantId, limit);
+      return { success: true, data: events };
+    } catch (error) {
+      console.error('Error getting production history:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get whether undo/redo are available (and what they would do)
+   */
+  ipcMain.handle('get-undo-state', async (event) => {
+    try {
+      return { success: true, data: getUndoState() };
+    } catch (error) {
+      console.error('Error getting undo state:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Undo the most recent mark made / complete / reset / archive / unarchive
+   */
+  ipcMain.handle('undo', async (event) => {
+    try {
+      const result = runInTransaction(() => {
+        const result = undoLastAction();
+        recordUndoRedoEvents('undo', result);
+        return result;
       });
       
-      console.log('Sync completed successfully');
+      pushInventoryChanges();
       
       return { 
         success: true, 
-        data: {
-          ordersCount: stats.orderCount,
-          variantsCount: stats.variantCount,
-          inventoryCount: inventoryStats.variantCount,
-          message: `Synced ${stats.orderCount} orders, ${stats.variantCount} task variants, ${inventoryStats.variantCount} inventory items`
-        }
+        data: { 
+          message: `Undid: ${result.description}`,
+          undoState: getUndoState()
+        } 
       };
     } catch (error) {
-      console.error('Error syncing from Shopify:', error);
-      
-      // Log failed sync
-      logSync({
-        ordersFetched: 0,
-        variantsUpdated: 0,
-        status: 'error',
-        errorMessage: error.message
+      console.error('Error undoing action:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Redo the most recently undone action
+   */
+  ipcMain.handle('redo', async (event) => {
+    try {
+      const result = runInTransaction(() => {
+        const result = redoLastAction();
+        recordUndoRedoEvents('redo', result);
+        return result;
       });
       
+      pushInventoryChanges();
+      
+      return { 
+        success: true, 
+        data: { 
+          message: `Redid: ${result.description}`,
+          undoState: getUndoState()
+        } 
+      };
+    } catch (error) {
+      console.error('Error redoing action:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Sync from Shopify - fetch unfulfilled orders and update database
+   */
+  ipcMain.handle('sync-shopify', async (event, options = {}) => {
+    return runSync({ full: !!options.full, trigger: 'manual' });
+  });
+
+  /**
+   * Cancel the sync in progress (the database is left as it was)
+   */
+  ipcMain.handle('cancel-sync', async (event) => {
+    try {
+      return { success: true, data: { cancelled: cancelSync() } };
+    } catch (error) {
+      console.error('Error cancelling sync:', error);
       return { success: false, error: error.message };
     }
   });
@@ -394,16 +982,7 @@ function registerIpcHandlers(ipcMain) {
    */
   ipcMain.handle('get-orders', async (event) => {
     try {
-      const orders = getOrdersWithLineItems();
-      const storeUrl = getStoreUrl();
-      
-      // Add Shopify admin URL to each order
-      const ordersWithUrls = orders.map(order => ({
-        ...order,
-        shopifyAdminUrl: storeUrl ? `https://${storeUrl}/admin/orders/${extractOrderId(order.order_id)}` : null
-      }));
-      
-      return { success: true, data: ordersWithUrls };
+      return { success: true, data: withShopifyAdminUrls(getOrdersWithLineItems()) };
     } catch (error) {
       console.error('Error getting orders:', error);
       return { success: false, error: error.message };
@@ -419,7 +998,14 @@ function registerIpcHandlers(ipcMain) {
         throw new Error('Order ID is required');
       }
       
-      archiveOrder(orderId);
+      runInTransaction(() => {
+        const order = getOrder(orderId);
+        runUndoable({
+          action: 'archive',
+          description: `Archive order ${order ? order.order_name : orderId}`,
+          scope: { orderIds: [orderId] }
+        }, () => archiveOrder(orderId));
+      });
       
       return { success: true, data: { message: 'Order archived successfully' } };
     } catch (error) {
@@ -428,12 +1014,40 @@ function registerIpcHandlers(ipcMain) {
     }
   });
 
+  /**
+   * Clear an order's needs-attention flag (set by sync when the order was
+   * cancelled, refunded or deleted in Shopify)
+   */
+  ipcMain.handle('dismiss-order-attention', async (event, orderId) => {
+    try {
+      if (!orderId) {
+        throw new Error('Order ID is required');
+      }
+      
+      dismissOrderAttention(orderId);
+      return { success: true, data: { orderId } };
+    } catch (error) {
+      console.error('Error dismissing order attention:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   /**
    * Archive all fulfilled orders
    */
   ipcMain.handle('archive-all-fulfilled', async (event) => {
     try {
-      const result = archiveAllFulfilledOrders();
+      const result = runInTransaction(() => {
+        const orderIds = getAllOrders()
+          .filter(order => order.status === 'fulfilled')
+          .map(order => order.order_id);
+        
+        return runUndoable({
+          action: 'archive',
+          description: `Archive ${orderIds.length} fulfilled order(s)`,
+          scope: { orderIds }
+        }, () => archiveAllFulfilledOrders());
+      });
       
       return { 
         success: true, 
@@ -470,7 +1084,14 @@ function registerIpcHandlers(ipcMain) {
         throw new Error('Order ID is required');
       }
       
-      unarchiveOrder(orderId);
+      runInTransaction(() => {
+        const order = getOrder(orderId);
+        runUndoable({
+          action: 'unarchive',
+          description: `Restore order ${order ? order.order_name : orderId}`,
+          scope: { orderIds: [orderId] }
+        }, () => unarchiveOrder(orderId));
+      });
       
       return { success: true, data: { message: 'Order restored successfully' } };
     } catch (error) {
@@ -484,7 +1105,15 @@ function registerIpcHandlers(ipcMain) {
    */
   ipcMain.handle('unarchive-all', async (event) => {
     try {
-      const result = unarchiveAllOrders();
+      const result = runInTransaction(() => {
+        const orderIds = getArchivedOrders().map(order => order.order_id);
+        
+        return runUndoable({
+          action: 'unarchive',
+          description: `Restore ${orderIds.length} archived order(s)`,
+          scope: { orderIds }
+        }, () => unarchiveAllOrders());
+      });
       
       return { 
         success: true, 
@@ -515,15 +1144,18 @@ function registerIpcHandlers(ipcMain) {
   /**
    * Save auto-sync settings
    */
-  ipcMain.handle('save-auto-sync-settings', async (event, enabled, intervalMinutes) => {
+  ipcMain.handle('save-auto-sync-settings', async (event, enabled, intervalMinutes, workingHours) => {
     try {
-      saveAutoSyncSettings(enabled, intervalMinutes);
+      saveAutoSyncSettings(enabled, intervalMinutes, workingHours);
+      restartSyncScheduler();
+      
+      const settings = getAutoSyncSettings();
+      const hours = settings.workingHours.enabled ? `, ${describeWorkingHours(settings.workingHours)}` : '';
       return { 
         success: true, 
         data: { 
-          message: enabled ? `Auto-sync enabled (every ${intervalMinutes} min)` : 'Auto-sync disabled',
-          enabled,
-          intervalMinutes
+          message: enabled ? `Auto-sync enabled (every ${settings.intervalMinutes} min${hours})` : 'Auto-sync disabled',
+          ...settings
         } 
       };
     } catch (error) {
@@ -532,24 +1164,970 @@ function registerIpcHandlers(ipcMain) {
     }
   });
 
-
   /**
-   * Get all inventory data
+   * Get the store's allocation strategy and the available strategies
    */
-  ipcMain.handle('get-inventory', async (event, options = {}) => {
+  ipcMain.handle('get-allocation-strategy', async (event) => {
     try {
-      const inventory = getAllInventory(options);
-      const stats = getInventoryStats();
-      
       return { 
         success: true, 
         data: {
-          inventory,
-          stats
+          ...getAllocationStrategy(),
+          strategies: ALLOCATION_STRATEGIES
         }
       };
     } catch (error) {
-      console.error('Error getting inventory:', error);
+      console.error('Error getting allocation strategy:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Save the store's allocation strategy ({ strategy, tag })
+   */
+  ipcMain.handle('save-allocation-strategy', async (event, settings) => {
+    try {
+      if (!settings || !settings.strategy) {
+        throw new Error('Allocation strategy is required');
+      }
+      
+      const saved = saveAllocationStrategy(settings);
+      const label = ALLOCATION_STRATEGIES.find(s => s.id === saved.strategy).label;
+      
+      return { 
+        success: true, 
+        data: { 
+          ...saved,
+          message: `Allocation: ${label}${saved.strategy === 'tag_first' ? ` (${saved.tag})` : ''}`
+        } 
+      };
+    } catch (error) {
+      console.error('Error saving allocation strategy:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the store's fulfillment write-back settings
+   */
+  ipcMain.handle('get-fulfillment-settings', async (event) => {
+    try {
+      return { success: true, data: getFulfillmentSettings() };
+    } catch (error) {
+      console.error('Error getting fulfillment settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Save the store's fulfillment write-back settings ({ enabled, notifyCustomer })
+   */
+  ipcMain.handle('save-fulfillment-settings', async (event, settings) => {
+    try {
+      const saved = saveFulfillmentSettings(settings);
+      
+      return { 
+        success: true, 
+        data: { 
+          ...saved,
+          message: saved.enabled ? 'Fulfilling in Shopify turned on' : 'Fulfilling in Shopify turned off'
+        } 
+      };
+    } catch (error) {
+      console.error('Error saving fulfillment settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the store's production planning settings
+   */
+  ipcMain.handle('get-planning-settings', async (event) => {
+    try {
+      return { success: true, data: getPlanningSettings() };
+    } catch (error) {
+      console.error('Error getting planning settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Save the store's production planning settings ({ netRequirement, allocateStock })
+   * Turning stock allocation on allocates the stock on hand straight away
+   */
+  ipcMain.handle('save-planning-settings', async (event, settings) => {
+    try {
+      // Saved and allocated together, so a failed allocation doesn't leave the setting on
+      const { saved, allocated } = runInTransaction(() => {
+        const previous = getPlanningSettings();
+        const saved = savePlanningSettings(settings);
+        const allocated = saved.allocateStock && !previous.allocateStock
+          ? allocateStock()
+          : { variants: [], newlyFulfilledOrders: [] };
+        
+        return { saved, allocated };
+      });
+      
+      const allocatedUnits = allocated.variants.reduce((sum, v) => sum + v.quantity, 0);
+      const newlyFulfilledOrders = allocated.newlyFulfilledOrders;
+      
+      return { 
+        success: true, 
+        data: { 
+          ...saved,
+          allocatedUnits,
+          newlyFulfilledOrders: withShopifyAdminUrls(newlyFulfilledOrders),
+          message: allocatedUnits > 0
+            ? `Allocated ${allocatedUnits} unit${allocatedUnits === 1 ? '' : 's'} from stock to the oldest orders`
+            : 'Planning settings saved'
+        } 
+      };
+    } catch (error) {
+      console.error('Error saving planning settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Fulfill locally fulfilled orders in Shopify, one at a time
+   * requests: [{ orderId, trackingNumber, trackingCompany }]
+   * One order failing doesn't stop the rest - each gets its own result
+   */
+  ipcMain.handle('fulfill-in-shopify', async (event, requests) => {
+    try {
+      if (!Array.isArray(requests) || requests.length === 0) {
+        throw new Error('At least one order is required');
+      }
+      
+      const settings = getFulfillmentSettings();
+      if (!settings.enabled) {
+        throw new Error('Fulfilling in Shopify is turned off');
+      }
+      
+      const storeUrl = getStoreUrl();
+      const accessToken = getAccessToken();
+      if (!storeUrl || !accessToken) {
+        throw new Error('Not authenticated. Please connect to Shopify first.');
+      }
+      
+      const client = new ShopifyClient(storeUrl, accessToken);
+      const results = [];
+      for (const request of requests) {
+        results.push(await fulfillOrderInShopify(client, request, settings));
+      }
+      
+      const fulfilledCount = results.filter(r => r.success).length;
+      const failedCount = results.length - fulfilledCount;
+      
+      return { 
+        success: true, 
+        data: { 
+          results,
+          fulfilledCount,
+          failedCount,
+          message: `Fulfilled ${fulfilledCount} order${fulfilledCount === 1 ? '' : 's'} in Shopify${failedCount > 0 ? `, ${failedCount} failed` : ''}`
+        } 
+      };
+    } catch (error) {
+      console.error('Error fulfilling orders in Shopify:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the log of fulfillment attempts (newest first), for one order or all of them
+   */
+  ipcMain.handle('get-fulfillment-log', async (event, orderId = null) => {
+    try {
+      return { success: true, data: getFulfillmentLog(orderId) };
+    } catch (error) {
+      console.error('Error getting fulfillment log:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Preview which orders the next N made units of a variant would go to
+   */
+  ipcMain.handle('preview-allocation', async (event, variantId, quantity) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
+      
+      if (typeof quantity !== 'number' || quantity < 1) {
+        throw new Error('Quantity must be a positive number');
+      }
+      
+      return { success: true, data: previewAllocation(variantId, quantity) };
+    } catch (error) {
+      console.error('Error previewing allocation:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Set (or clear, with null) an order's manual priority rank
+   */
+  ipcMain.handle('set-order-priority', async (event, orderId, rank) => {
+    try {
+      if (!orderId) {
+        throw new Error('Order ID is required');
+      }
+      
+      if (rank !== null && (!Number.isInteger(rank) || rank < 1)) {
+        throw new Error('Priority rank must be a whole number of 1 or more');
+      }
+      
+      setOrderPriority(orderId, rank);
+      return { success: true, data: { orderId, rank } };
+    } catch (error) {
+      console.error('Error setting order priority:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+
+  /**
+   * Get all inventory data
+   * options: { outOfStockOnly, search, locationId } - locationId narrows it to one location
+   */
+  ipcMain.handle('get-inventory', async (event, options = {}) => {
+    try {
+      const inventory = getAllInventory(options);
+      const stats = getInventoryStats(options.locationId || null);
+      
+      return { 
+        success: true, 
+        data: {
+          inventory,
+          stats,
+          locations: getInventoryLocations(),
+          pushProducts: getInventoryPushProducts(),
+          pushStats: getInventoryPushStats()
+        }
+      };
+    } catch (error) {
+      console.error('Error getting inventory:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the store's active locations from Shopify (where made units can be pushed)
+   */
+  ipcMain.handle('get-shopify-locations', async (event) => {
+    try {
+      const storeUrl = getStoreUrl();
+      const accessToken = getAccessToken();
+      if (!storeUrl || !accessToken) {
+        throw new Error('Not authenticated. Please connect to Shopify first.');
+      }
+      
+      const client = new ShopifyClient(storeUrl, accessToken);
+      return { success: true, data: await client.fetchLocations() };
+    } catch (error) {
+      console.error('Error getting Shopify locations:', error);
+      
+      // Stores connected before inventory push existed haven't granted the scopes
+      const message = /access denied/i.test(error.message)
+        ? 'Shopify denied access - disconnect and reconnect to allow pushing inventory'
+        : error.message;
+      return { success: false, error: message };
+    }
+  });
+
+  /**
+   * Push a product's made units to a Shopify location ({ id, name }), or stop (null)
+   */
+  ipcMain.handle('set-inventory-push-product', async (event, productId, location) => {
+    try {
+      if (!productId) {
+        throw new Error('Product ID is required');
+      }
+      if (location && !location.id) {
+        throw new Error('Location ID is required');
+      }
+      
+      setInventoryPushProduct(productId, location || null);
+      
+      return { 
+        success: true, 
+        data: { 
+          productId,
+          location: location || null,
+          message: location ? `Made units will be added to Shopify inventory at ${location.name}` : 'Made units no longer added to Shopify inventory'
+        } 
+      };
+    } catch (error) {
+      console.error('Error setting inventory push:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Send queued inventory changes now, including ones that gave up after failing
+   */
+  ipcMain.handle('retry-inventory-pushes', async (event) => {
+    try {
+      retryFailedInventoryPushes();
+      const { sent, pending } = await flushInventoryOutbox();
+      
+      return { 
+        success: true, 
+        data: { 
+          sent,
+          pending,
+          message: pending > 0 ? `Pushed ${sent} inventory change(s), ${pending} still waiting` : `Pushed ${sent} inventory change(s)`
+        } 
+      };
+    } catch (error) {
+      console.error('Error retrying inventory pushes:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get all components (with how many recipes use each)
+   */
+  ipcMain.handle('get-components', async (event) => {
+    try {
+      return { success: true, data: getAllComponents() };
+    } catch (error) {
+      console.error('Error getting components:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Add or update a component ({ id, name, unit, sku, reorderPoint })
+   */
+  ipcMain.handle('save-component', async (event, component) => {
+    try {
+      if (!component) {
+        throw new Error('Component is required');
+      }
+      
+      const saved = saveComponent(component);
+      
+      return { 
+        success: true, 
+        data: { 
+          component: saved,
+          message: component.id ? `Updated ${saved.name}` : `Added ${saved.name}`
+        } 
+      };
+    } catch (error) {
+      console.error('Error saving component:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Delete a component (it is taken out of every recipe)
+   */
+  ipcMain.handle('delete-component', async (event, componentId) => {
+    try {
+      const removedFrom = runInTransaction(() => deleteComponent(componentId));
+      
+      return { 
+        success: true, 
+        data: { 
+          removedFrom,
+          message: removedFrom > 0 
+            ? `Component deleted and taken out of ${removedFrom} recipe${removedFrom === 1 ? '' : 's'}` 
+            : 'Component deleted'
+        } 
+      };
+    } catch (error) {
+      console.error('Error deleting component:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the components one unit of a variant uses
+   */
+  ipcMain.handle('get-variant-recipe', async (event, variantId) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
+      
+      return { success: true, data: getVariantRecipe(variantId) };
+    } catch (error) {
+      console.error('Error getting variant recipe:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Replace a variant's recipe (lines: [{ componentId, quantity }])
+   */
+  ipcMain.handle('save-variant-recipe', async (event, variantId, lines) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
+      if (!Array.isArray(lines)) {
+        throw new Error('Recipe lines are required');
+      }
+      
+      const recipe = runInTransaction(() => setVariantRecipe(variantId, lines));
+      
+      return { 
+        success: true, 
+        data: { 
+          recipe,
+          message: recipe.length > 0 
+            ? `Recipe saved (${recipe.length} component${recipe.length === 1 ? '' : 's'})` 
+            : 'Recipe cleared'
+        } 
+      };
+    } catch (error) {
+      console.error('Error saving variant recipe:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get total component demand across the backlog
+   * Uses net to make when the store plans against net requirement
+   */
+  ipcMain.handle('get-materials-needed', async (event) => {
+    try {
+      const { netRequirement } = getPlanningSettings();
+      
+      return { 
+        success: true, 
+        data: {
+          ...getMaterialsNeeded(netRequirement),
+          netRequirement
+        }
+      };
+    } catch (error) {
+      console.error('Error getting materials needed:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get the store's material stock settings
+   */
+  ipcMain.handle('get-material-settings', async (event) => {
+    try {
+      return { success: true, data: getMaterialSettings() };
+    } catch (error) {
+      console.error('Error getting material settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Save the store's material stock settings ({ consumeOnMake })
+   */
+  ipcMain.handle('save-material-settings', async (event, settings) => {
+    try {
+      const saved = saveMaterialSettings(settings);
+      
+      return {
+        success: true,
+        data: {
+          ...saved,
+          message: saved.consumeOnMake
+            ? 'Marking units made will use up their materials'
+            : 'Marking units made no longer uses up materials'
+        }
+      };
+    } catch (error) {
+      console.error('Error saving material settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Set a component's on-hand count after counting it
+   */
+  ipcMain.handle('set-component-stock', async (event, componentId, onHand) => {
+    try {
+      const component = runInTransaction(() => setComponentStock(componentId, onHand, getOperatorName()));
+      
+      return {
+        success: true,
+        data: {
+          component,
+          message: `${component.name}: ${component.on_hand} ${component.unit} on hand`
+        }
+      };
+    } catch (error) {
+      console.error('Error setting component stock:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get a component's recent stock movements (newest first)
+   */
+  ipcMain.handle('get-material-movements', async (event, componentId) => {
+    try {
+      return { success: true, data: getMaterialMovements(componentId) };
+    } catch (error) {
+      console.error('Error getting material movements:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get components the open orders need more of than stock and open purchase
+   * orders cover, or that would drop below their reorder point
+   */
+  ipcMain.handle('get-material-shortfall', async (event) => {
+    try {
+      const { netRequirement } = getPlanningSettings();
+      
+      return { success: true, data: getMaterialShortfall(netRequirement) };
+    } catch (error) {
+      console.error('Error getting material shortfall:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get all purchase orders with their lines
+   */
+  ipcMain.handle('get-purchase-orders', async (event) => {
+    try {
+      return { success: true, data: getPurchaseOrders() };
+    } catch (error) {
+      console.error('Error getting purchase orders:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Add or change a draft purchase order ({ id, supplier, reference, lines: [{ componentId, quantity }] })
+   */
+  ipcMain.handle('save-purchase-order', async (event, purchaseOrder) => {
+    try {
+      if (!purchaseOrder) {
+        throw new Error('Purchase order is required');
+      }
+      
+      const saved = runInTransaction(() => savePurchaseOrder(purchaseOrder));
+      
+      return {
+        success: true,
+        data: {
+          purchaseOrder: saved,
+          message: purchaseOrder.id ? `Updated purchase order #${saved.id}` : `Drafted purchase order #${saved.id}`
+        }
+      };
+    } catch (error) {
+      console.error('Error saving purchase order:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Mark a draft purchase order as sent to the supplier
+   */
+  ipcMain.handle('mark-purchase-order-ordered', async (event, purchaseOrderId) => {
+    try {
+      const purchaseOrder = runInTransaction(() => markPurchaseOrderOrdered(purchaseOrderId));
+      
+      return {
+        success: true,
+        data: {
+          purchaseOrder,
+          message: `Purchase order #${purchaseOrder.id} marked as ordered`
+        }
+      };
+    } catch (error) {
+      console.error('Error marking purchase order ordered:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Receive an ordered purchase order, adding its lines to stock
+   */
+  ipcMain.handle('receive-purchase-order', async (event, purchaseOrderId) => {
+    try {
+      const purchaseOrder = runInTransaction(() => receivePurchaseOrder(purchaseOrderId, getOperatorName()));
+      
+      return {
+        success: true,
+        data: {
+          purchaseOrder,
+          message: `Received purchase order #${purchaseOrder.id} into stock`
+        }
+      };
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Delete a purchase order that hasn't been received
+   */
+  ipcMain.handle('delete-purchase-order', async (event, purchaseOrderId) => {
+    try {
+      runInTransaction(() => deletePurchaseOrder(purchaseOrderId));
+      
+      return { success: true, data: { message: `Purchase order #${purchaseOrderId} deleted` } };
+    } catch (error) {
+      console.error('Error deleting purchase order:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get all production batches with their items
+   */
+  ipcMain.handle('get-batches', async (event) => {
+    try {
+      return { success: true, data: getBatches() };
+    } catch (error) {
+      console.error('Error getting batches:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Start a new, empty production batch
+   */
+  ipcMain.handle('create-batch', async (event, name) => {
+    try {
+      const batch = createBatch(name, getOperatorName());
+      
+      return { success: true, data: { batch, message: `Started batch "${batch.name}"` } };
+    } catch (error) {
+      console.error('Error creating batch:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Add units of a variant to an open batch
+   */
+  ipcMain.handle('add-to-batch', async (event, batchId, variantId, quantity) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
+      
+      const batch = runInTransaction(() => addToBatch(batchId, variantId, quantity));
+      
+      return { success: true, data: { batch, message: `Added ${quantity} to "${batch.name}"` } };
+    } catch (error) {
+      console.error('Error adding to batch:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Change how many units of a variant an open batch plans (0 takes it out)
+   */
+  ipcMain.handle('set-batch-item-quantity', async (event, batchId, variantId, quantity) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
+      
+      const batch = runInTransaction(() => setBatchItemQuantity(batchId, variantId, quantity));
+      
+      return { success: true, data: { batch } };
+    } catch (error) {
+      console.error('Error setting batch item quantity:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Delete an open batch, freeing the units it planned
+   */
+  ipcMain.handle('delete-batch', async (event, batchId) => {
+    try {
+      runInTransaction(() => deleteBatch(batchId));
+      
+      return { success: true, data: { message: 'Batch deleted' } };
+    } catch (error) {
+      console.error('Error deleting batch:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Close a batch and mark what it made, the same way as mark-made (undoable)
+   * madeQuantities: { variantId: quantity } - items left out were made as planned
+   */
+  ipcMain.handle('close-batch', async (event, batchId, madeQuantities) => {
+    try {
+      const { batch, madeUnits, newlyFulfilledOrders } = runInTransaction(() => {
+        const batch = getBatch(batchId);
+        
+        return runUndoable({
+          action: 'close_batch',
+          description: `Close batch: ${batch.name}`,
+          scope: { variantIds: batch.items.map(item => item.variant_id), batchIds: [batch.id] }
+        }, () => {
+          const made = closeBatch(batch.id, madeQuantities || {}, getOperatorName());
+          const newlyFulfilledOrders = [];
+          
+          for (const item of made) {
+            newlyFulfilledOrders.push(...applyMadeQuantity(item.variantId, item.quantity, 'close_batch').newlyFulfilledOrders);
+          }
+          
+          return {
+            batch: getBatch(batch.id),
+            madeUnits: made.reduce((sum, item) => sum + item.quantity, 0),
+            newlyFulfilledOrders
+          };
+        });
+      });
+      
+      pushInventoryChanges();
+      
+      return {
+        success: true,
+        data: {
+          batch,
+          madeUnits,
+          message: `Closed "${batch.name}" - ${madeUnits} unit(s) marked made`
+        },
+        newlyFulfilledOrders: withShopifyAdminUrls(newlyFulfilledOrders)
+      };
+    } catch (error) {
+      console.error('Error closing batch:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get a document's HTML for the print preview
+   */
+  ipcMain.handle('get-print-preview', async (event, type, options) => {
+    try {
+      const { title, html } = buildPrintDocument(type, options);
+      
+      return { success: true, data: { title, html } };
+    } catch (error) {
+      console.error('Error building print preview:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Save a document as a PDF wherever the user picks
+   */
+  ipcMain.handle('save-print-pdf', async (event, type, options) => {
+    try {
+      const { title, fileName, html } = buildPrintDocument(type, options);
+      const { saved, filePath } = await savePdf(html, fileName, BrowserWindow.fromWebContents(event.sender));
+      
+      return {
+        success: true,
+        data: { saved, filePath, message: saved ? `Saved ${title} to ${filePath}` : 'Save cancelled' }
+      };
+    } catch (error) {
+      console.error('Error saving PDF:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Send a document to the system printer
+   */
+  ipcMain.handle('print-document', async (event, type, options) => {
+    try {
+      const { title, html } = buildPrintDocument(type, options);
+      const { printed } = await printDocument(html);
+      
+      return { success: true, data: { printed, message: printed ? `${title} sent to the printer` : 'Printing cancelled' } };
+    } catch (error) {
+      console.error('Error printing document:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get the datasets and columns that can be exported, with the last choices made
+   */
+  ipcMain.handle('get-export-options', async (event) => {
+    try {
+      return {
+        success: true,
+        data: { datasets: getExportColumns(), formats: EXPORT_FORMATS, settings: getExportSettings() }
+      };
+    } catch (error) {
+      console.error('Error getting export options:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Export a dataset as CSV or XLSX wherever the user picks
+   * options: { format, columns, ids, locationId }
+   */
+  ipcMain.handle('export-data', async (event, dataset, options = {}) => {
+    try {
+      const format = EXPORT_FORMATS.includes(options.format) ? options.format : 'csv';
+      const table = buildExportTable(dataset, getExportRows(dataset, options), options.columns);
+      const fileName = `${dataset.replace(/_/g, '-')}-${new Date().toISOString().slice(0, 10)}`;
+      const { saved, filePath } = await saveExport(table, format, fileName, BrowserWindow.fromWebContents(event.sender));
+      
+      // Remember the choices for next time
+      if (saved && options.columns) {
+        const settings = getExportSettings();
+        saveExportSettings({ format, columns: { ...settings.columns, [dataset]: options.columns } });
+      }
+      
+      return {
+        success: true,
+        data: {
+          saved,
+          filePath,
+          rowCount: table.rows.length,
+          message: saved ? `Exported ${table.rows.length} row(s) to ${filePath}` : 'Export cancelled'
+        }
+      };
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Get all stocktakes with their counts and variance
+   */
+  ipcMain.handle('get-stocktakes', async (event) => {
+    try {
+      return { success: true, data: getStocktakes() };
+    } catch (error) {
+      console.error('Error getting stocktakes:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Start a count session ({ name, locationId } - no location counts against all locations)
+   */
+  ipcMain.handle('start-stocktake', async (event, options) => {
+    try {
+      const stocktake = startStocktake(options || {}, getOperatorName());
+      
+      return { success: true, data: { stocktake, message: `Started stocktake "${stocktake.name}"` } };
+    } catch (error) {
+      console.error('Error starting stocktake:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Set a variant's counted quantity in an open stocktake (null removes the count)
+   */
+  ipcMain.handle('set-stocktake-count', async (event, stocktakeId, variantId, quantity) => {
+    try {
+      if (!variantId) {
+        throw new Error('Variant ID is required');
+      }
+      
+      const stocktake = runInTransaction(() => setStocktakeCount(stocktakeId, variantId, quantity));
+      
+      return { success: true, data: { stocktake } };
+    } catch (error) {
+      console.error('Error setting stocktake count:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Count one unit (or quantity units) of the variant with a scanned or typed SKU
+   */
+  ipcMain.handle('scan-stocktake-sku', async (event, stocktakeId, sku, quantity = 1) => {
+    try {
+      const { stocktake, variantId } = runInTransaction(() => countStocktakeSku(stocktakeId, sku, quantity));
+      const count = stocktake.counts.find(row => row.variant_id === variantId);
+      
+      return {
+        success: true,
+        data: { stocktake, variantId, message: `${describeTask(count)}: ${count.counted_quantity} counted` }
+      };
+    } catch (error) {
+      console.error('Error counting scanned SKU:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Import counted quantities by SKU from a CSV file the user picks
+   */
+  ipcMain.handle('import-stocktake-csv', async (event, stocktakeId) => {
+    try {
+      const file = await openStocktakeCsv(BrowserWindow.fromWebContents(event.sender));
+      if (!file.opened) {
+        return { success: true, data: { imported: 0, skipped: [], message: 'Import cancelled' } };
+      }
+      
+      const { stocktake, imported, skipped } = runInTransaction(() => importStocktakeCounts(stocktakeId, file.counts));
+      const problems = [...file.errors, ...skipped];
+      
+      return {
+        success: true,
+        data: {
+          stocktake,
+          imported,
+          skipped: problems,
+          message: problems.length > 0
+            ? `Imported ${imported} count(s), ${problems.length} line(s) skipped`
+            : `Imported ${imported} count(s)`
+        }
+      };
+    } catch (error) {
+      console.error('Error importing stocktake counts:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Finish a stocktake, keeping its variance as a record
+   * With writeBack, Shopify inventory at the stocktake's location is set to the counts
+   */
+  ipcMain.handle('finish-stocktake', async (event, stocktakeId, options) => {
+    try {
+      const writeBack = Boolean(options && options.writeBack);
+      const { stocktake, adjusted, skipped } = runInTransaction(() => finishStocktake(stocktakeId, { writeBack }, getOperatorName()));
+      
+      if (adjusted > 0) {
+        pushInventoryChanges();
+      }
+      
+      let message = `Finished "${stocktake.name}"`;
+      if (writeBack) {
+        message += ` - ${adjusted} variant(s) set to their count in Shopify`;
+      }
+      if (skipped > 0) {
+        message += `, ${skipped} not stocked at ${stocktake.location_name} in Shopify`;
+      }
+      
+      return { success: true, data: { stocktake, adjusted, skipped, message } };
+    } catch (error) {
+      console.error('Error finishing stocktake:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  /**
+   * Delete an open stocktake and its counts
+   */
+  ipcMain.handle('delete-stocktake', async (event, stocktakeId) => {
+    try {
+      runInTransaction(() => deleteStocktake(stocktakeId));
+      
+      return { success: true, data: { message: 'Stocktake deleted' } };
+    } catch (error) {
+      console.error('Error deleting stocktake:', error);
       return { success: false, error: error.message };
     }
   });
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 require('dotenv').config();
 
@@ -6,6 +6,7 @@ const { initDatabase } = require('./database');
 const { registerIpcHandlers } = require('./ipc-handlers');
 const { getStoreUrl } = require('./config');
 const { initAutoUpdater } = require('./auto-updater');
+const { startSyncScheduler } = require('./sync-scheduler');
 
 let mainWindow;
 
@@ -66,7 +67,14 @@ function createWindow() {
 app.whenReady().then(() => {
   // Initialize database with stored store URL (if available)
   const storedStoreUrl = getStoreUrl();
-  initDatabase(storedStoreUrl);
+  try {
+    initDatabase(storedStoreUrl);
+  } catch (error) {
+    // Don't run against a half-migrated database
+    dialog.showErrorBox('Database Error', `Could not open the local database.\n\n${error.message}`);
+    app.quit();
+    return;
+  }
   
   // Register IPC handlers for communication with renderer
   registerIpcHandlers(ipcMain);
@@ -76,6 +84,9 @@ app.whenReady().then(() => {
   
   // Initialize auto-updater (checks for updates in packaged app)
   initAutoUpdater();
+  
+  // Background auto-sync runs here, so it keeps going across window reloads
+  startSyncScheduler();
 
   app.on('activate', () => {
     // On macOS, re-create window when dock icon is clicked
@@ -0,0 +1,622 @@
+/**
+ * Versioned schema migrations for the per-store SQLite databases
+ *
+ * Each migration has a unique, increasing version number and an `up(db)`
+ * function. Migrations only use `db.exec(sql)` and `db.prepare(sql).get/all/run()`
+ * so the same list runs against better-sqlite3 in the app and sql.js in tests.
+ *
+ * To change the schema, append a new migration to the end of MIGRATIONS.
+ * Never edit or reorder a migration that has already shipped.
+ *
+ * A migration that rebuilds a table other tables reference sets
+ * `foreignKeysOff: true` - the app's connections enforce foreign keys, and
+ * dropping the old table would otherwise cascade to the rows that point at it.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(db) {
+      // Uses IF NOT EXISTS so databases created before versioning was added
+      // are adopted as-is and only picked up by the later migrations
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT UNIQUE NOT NULL,
+          variant_title TEXT NOT NULL,
+          product_title TEXT NOT NULL,
+          sku TEXT DEFAULT '',
+          image_url TEXT DEFAULT NULL,
+          total_quantity INTEGER NOT NULL DEFAULT 0,
+          made_quantity INTEGER NOT NULL DEFAULT 0,
+          status TEXT CHECK(status IN ('pending', 'in_progress', 'completed')) DEFAULT 'pending',
+          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT UNIQUE NOT NULL,
+          order_name TEXT NOT NULL,
+          order_date DATETIME NOT NULL,
+          total_items INTEGER NOT NULL DEFAULT 0,
+          fulfilled_items INTEGER NOT NULL DEFAULT 0,
+          status TEXT CHECK(status IN ('pending', 'in_progress', 'fulfilled', 'archived')) DEFAULT 'pending',
+          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS order_line_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL,
+          line_item_id TEXT UNIQUE NOT NULL,
+          variant_id TEXT NOT NULL,
+          variant_title TEXT NOT NULL,
+          product_title TEXT NOT NULL,
+          sku TEXT DEFAULT '',
+          image_url TEXT DEFAULT NULL,
+          quantity INTEGER NOT NULL DEFAULT 0,
+          fulfilled_quantity INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          orders_fetched INTEGER,
+          variants_updated INTEGER,
+          status TEXT,
+          error_message TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS inventory (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT UNIQUE NOT NULL,
+          product_id TEXT NOT NULL,
+          product_title TEXT NOT NULL,
+          variant_title TEXT NOT NULL,
+          sku TEXT DEFAULT '',
+          image_url TEXT DEFAULT NULL,
+          inventory_quantity INTEGER NOT NULL DEFAULT 0,
+          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_variant_id ON tasks(variant_id);
+        CREATE INDEX IF NOT EXISTS idx_status ON tasks(status);
+        CREATE INDEX IF NOT EXISTS idx_order_id ON orders(order_id);
+        CREATE INDEX IF NOT EXISTS idx_order_date ON orders(order_date);
+        CREATE INDEX IF NOT EXISTS idx_line_order_id ON order_line_items(order_id);
+        CREATE INDEX IF NOT EXISTS idx_line_variant_id ON order_line_items(variant_id);
+        CREATE INDEX IF NOT EXISTS idx_inventory_variant_id ON inventory(variant_id);
+        CREATE INDEX IF NOT EXISTS idx_inventory_quantity ON inventory(inventory_quantity);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'tasks_sku_and_image_url',
+    up(db) {
+      // Very old databases created the tasks table before these columns existed
+      if (!hasColumn(db, 'tasks', 'sku')) {
+        db.exec(`ALTER TABLE tasks ADD COLUMN sku TEXT DEFAULT ''`);
+      }
+      if (!hasColumn(db, 'tasks', 'image_url')) {
+        db.exec(`ALTER TABLE tasks ADD COLUMN image_url TEXT DEFAULT NULL`);
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'orders_archived_status',
+    // order_line_items cascade on delete from orders
+    foreignKeysOff: true,
+    up(db) {
+      // SQLite can't alter a CHECK constraint, so older orders tables that don't
+      // allow 'archived' have to be rebuilt
+      const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'orders'").get();
+      if (!table || table.sql.includes('archived')) {
+        return;
+      }
+
+      db.exec(`
+        CREATE TABLE orders_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT UNIQUE NOT NULL,
+          order_name TEXT NOT NULL,
+          order_date DATETIME NOT NULL,
+          total_items INTEGER NOT NULL DEFAULT 0,
+          fulfilled_items INTEGER NOT NULL DEFAULT 0,
+          status TEXT CHECK(status IN ('pending', 'in_progress', 'fulfilled', 'archived')) DEFAULT 'pending',
+          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO orders_new (id, order_id, order_name, order_date, total_items, fulfilled_items, status, last_synced_at, created_at, updated_at)
+        SELECT id, order_id, order_name, order_date, total_items, fulfilled_items, status, last_synced_at, created_at, updated_at
+        FROM orders;
+
+        DROP TABLE orders;
+        ALTER TABLE orders_new RENAME TO orders;
+
+        CREATE INDEX IF NOT EXISTS idx_order_id ON orders(order_id);
+        CREATE INDEX IF NOT EXISTS idx_order_date ON orders(order_date);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'production_events',
+    up(db) {
+      // Append-only ledger of production actions. `action` is deliberately not
+      // CHECK-constrained so new actions don't need a table rebuild.
+      // Each event lists the order line items its quantity was (de)allocated to.
+      db.exec(`
+        CREATE TABLE production_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT NOT NULL,
+          action TEXT NOT NULL,
+          quantity_delta INTEGER NOT NULL,
+          made_before INTEGER NOT NULL DEFAULT 0,
+          made_after INTEGER NOT NULL DEFAULT 0,
+          actor TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE production_event_allocations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_id INTEGER NOT NULL,
+          order_id TEXT NOT NULL,
+          line_item_id TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          FOREIGN KEY (event_id) REFERENCES production_events(id)
+        );
+
+        CREATE INDEX idx_production_events_variant ON production_events(variant_id, created_at);
+        CREATE INDEX idx_production_event_allocations_event ON production_event_allocations(event_id);
+
+        CREATE TRIGGER production_events_no_update BEFORE UPDATE ON production_events
+        BEGIN
+          SELECT RAISE(ABORT, 'production_events is append-only');
+        END;
+
+        CREATE TRIGGER production_events_no_delete BEFORE DELETE ON production_events
+        BEGIN
+          SELECT RAISE(ABORT, 'production_events is append-only');
+        END;
+
+        CREATE TRIGGER production_event_allocations_no_update BEFORE UPDATE ON production_event_allocations
+        BEGIN
+          SELECT RAISE(ABORT, 'production_event_allocations is append-only');
+        END;
+
+        CREATE TRIGGER production_event_allocations_no_delete BEFORE DELETE ON production_event_allocations
+        BEGIN
+          SELECT RAISE(ABORT, 'production_event_allocations is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'undo_history',
+    up(db) {
+      // Undo/redo stack - see undo-history.js. Snapshots are JSON row sets
+      // from just before and just after each action.
+      db.exec(`
+        CREATE TABLE undo_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          description TEXT NOT NULL,
+          snapshot_before TEXT NOT NULL,
+          snapshot_after TEXT NOT NULL,
+          undone INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'allocation_strategies',
+    up(db) {
+      // Order details the allocation strategies sort on. Tags are stored
+      // comma-separated, the way Shopify admin shows them.
+      db.exec(`
+        ALTER TABLE orders ADD COLUMN shipping_method TEXT DEFAULT NULL;
+        ALTER TABLE orders ADD COLUMN tags TEXT DEFAULT '';
+      `);
+
+      // Manual ranks live in their own table so they survive sync
+      // deleting and re-inserting orders without progress
+      db.exec(`
+        CREATE TABLE order_priorities (
+          order_id TEXT PRIMARY KEY,
+          priority_rank INTEGER NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'line_item_pinned_quantity',
+    up(db) {
+      // Units allocated by hand to a specific line item. They count towards
+      // fulfilled_quantity but automatic (de)allocation never moves them.
+      db.exec(`
+        ALTER TABLE order_line_items ADD COLUMN pinned_quantity INTEGER NOT NULL DEFAULT 0;
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'incremental_sync',
+    up(db) {
+      // started_at is when the sync began fetching (ISO 8601) - the next
+      // incremental sync asks Shopify for orders updated after it
+      db.exec(`
+        ALTER TABLE sync_history ADD COLUMN sync_mode TEXT DEFAULT 'full';
+        ALTER TABLE sync_history ADD COLUMN started_at TEXT DEFAULT NULL;
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'order_attention',
+    up(db) {
+      // Why a preserved order needs a person to look at it (e.g. cancelled in
+      // Shopify after units were made for it) - NULL when it doesn't. Once
+      // dismissed, the reason stays so sync doesn't flag the order again.
+      db.exec(`
+        ALTER TABLE orders ADD COLUMN attention_reason TEXT DEFAULT NULL;
+        ALTER TABLE orders ADD COLUMN attention_dismissed_at TEXT DEFAULT NULL;
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'fulfillment_log',
+    up(db) {
+      // One row per attempt to fulfill an order in Shopify, kept as a log -
+      // the latest row says whether the order has been fulfilled there
+      db.exec(`
+        CREATE TABLE fulfillment_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL,
+          status TEXT NOT NULL CHECK(status IN ('success', 'error')),
+          shopify_fulfillment_id TEXT DEFAULT NULL,
+          tracking_number TEXT DEFAULT NULL,
+          tracking_company TEXT DEFAULT NULL,
+          error_message TEXT DEFAULT NULL,
+          actor TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_fulfillment_log_order ON fulfillment_log(order_id, id);
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'inventory_push',
+    up(db) {
+      // Products whose made units are added to Shopify inventory at a location,
+      // and the adjustments waiting to be sent (kept until Shopify accepts them)
+      db.exec(`
+        ALTER TABLE inventory ADD COLUMN inventory_item_id TEXT DEFAULT NULL;
+
+        CREATE TABLE inventory_push_products (
+          product_id TEXT PRIMARY KEY,
+          location_id TEXT NOT NULL,
+          location_name TEXT DEFAULT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE inventory_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT NOT NULL,
+          inventory_item_id TEXT NOT NULL,
+          location_id TEXT NOT NULL,
+          delta INTEGER NOT NULL,
+          reason TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sent_at TEXT DEFAULT NULL
+        );
+
+        CREATE INDEX idx_inventory_outbox_status ON inventory_outbox(status, id);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'inventory_levels',
+    up(db) {
+      // Per-location quantities for each inventory variant (inventory keeps the total)
+      db.exec(`
+        CREATE TABLE inventory_levels (
+          variant_id TEXT NOT NULL,
+          location_id TEXT NOT NULL,
+          location_name TEXT NOT NULL,
+          available INTEGER NOT NULL DEFAULT 0,
+          committed INTEGER NOT NULL DEFAULT 0,
+          on_hand INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (variant_id, location_id)
+        );
+
+        CREATE INDEX idx_inventory_levels_location ON inventory_levels(location_id);
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'line_item_stock_quantity',
+    up(db) {
+      // Units taken from stock on hand rather than made. They are pinned too,
+      // so stock_quantity never exceeds pinned_quantity.
+      db.exec(`
+        ALTER TABLE order_line_items ADD COLUMN stock_quantity INTEGER NOT NULL DEFAULT 0;
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'bill_of_materials',
+    up(db) {
+      // Components (blanks, vinyl, packaging...) and how many of each one unit
+      // of a variant uses. Recipes are keyed by variant_id so they outlive the
+      // variant's task between orders.
+      db.exec(`
+        CREATE TABLE components (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          unit TEXT NOT NULL DEFAULT 'pcs',
+          sku TEXT DEFAULT '',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE variant_components (
+          variant_id TEXT NOT NULL,
+          component_id INTEGER NOT NULL,
+          quantity REAL NOT NULL CHECK(quantity > 0),
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (variant_id, component_id),
+          FOREIGN KEY (component_id) REFERENCES components(id)
+        );
+
+        CREATE INDEX idx_variant_components_component ON variant_components(component_id);
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'material_stock_and_purchase_orders',
+    up(db) {
+      // Stock held of each component, in the component's unit. Every change
+      // goes through material_movements so counts can be traced.
+      // Purchase orders go draft -> ordered -> received; receiving adds the
+      // lines to stock.
+      db.exec(`
+        ALTER TABLE components ADD COLUMN on_hand REAL NOT NULL DEFAULT 0;
+        ALTER TABLE components ADD COLUMN reorder_point REAL NOT NULL DEFAULT 0;
+
+        CREATE TABLE material_movements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          component_id INTEGER NOT NULL,
+          delta REAL NOT NULL,
+          reason TEXT NOT NULL,
+          variant_id TEXT DEFAULT NULL,
+          purchase_order_id INTEGER DEFAULT NULL,
+          actor TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (component_id) REFERENCES components(id)
+        );
+
+        CREATE TABLE purchase_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          supplier TEXT NOT NULL DEFAULT '',
+          reference TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'ordered', 'received')),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ordered_at DATETIME DEFAULT NULL,
+          received_at DATETIME DEFAULT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE purchase_order_lines (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          purchase_order_id INTEGER NOT NULL,
+          component_id INTEGER NOT NULL,
+          quantity REAL NOT NULL CHECK(quantity > 0),
+          FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+          FOREIGN KEY (component_id) REFERENCES components(id)
+        );
+
+        CREATE INDEX idx_material_movements_component ON material_movements(component_id, created_at);
+        CREATE INDEX idx_purchase_order_lines_order ON purchase_order_lines(purchase_order_id);
+        CREATE INDEX idx_purchase_order_lines_component ON purchase_order_lines(component_id);
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'production_batches',
+    up(db) {
+      // A batch is a named work session (e.g. "Tuesday screen-print run").
+      // Items of open batches reserve units of a task; made_quantity is what
+      // was recorded when the batch was closed. Titles are copied so a batch
+      // sheet still reads right after its task is gone.
+      db.exec(`
+        CREATE TABLE batches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'closed')),
+          created_by TEXT DEFAULT NULL,
+          closed_by TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          closed_at DATETIME DEFAULT NULL
+        );
+
+        CREATE TABLE batch_items (
+          batch_id INTEGER NOT NULL,
+          variant_id TEXT NOT NULL,
+          product_title TEXT NOT NULL DEFAULT '',
+          variant_title TEXT DEFAULT '',
+          sku TEXT DEFAULT '',
+          planned_quantity INTEGER NOT NULL CHECK(planned_quantity > 0),
+          made_quantity INTEGER DEFAULT NULL,
+          PRIMARY KEY (batch_id, variant_id),
+          FOREIGN KEY (batch_id) REFERENCES batches(id)
+        );
+
+        CREATE INDEX idx_batch_items_variant ON batch_items(variant_id);
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'stocktakes',
+    up(db) {
+      // A stocktake is a count session, across all locations or at one.
+      // expected_quantity is filled in when the stocktake is finished so
+      // the variance stays on record after Shopify's numbers move on.
+      db.exec(`
+        CREATE TABLE stocktakes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'finished')),
+          location_id TEXT DEFAULT NULL,
+          location_name TEXT DEFAULT NULL,
+          write_back INTEGER NOT NULL DEFAULT 0,
+          created_by TEXT DEFAULT NULL,
+          finished_by TEXT DEFAULT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME DEFAULT NULL
+        );
+
+        CREATE TABLE stocktake_counts (
+          stocktake_id INTEGER NOT NULL,
+          variant_id TEXT NOT NULL,
+          product_title TEXT NOT NULL DEFAULT '',
+          variant_title TEXT DEFAULT '',
+          sku TEXT DEFAULT '',
+          counted_quantity INTEGER NOT NULL CHECK(counted_quantity >= 0),
+          expected_quantity INTEGER DEFAULT NULL,
+          counted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (stocktake_id, variant_id),
+          FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'inventory_outbox_set_quantity',
+    up(db) {
+      // Stocktakes set the on-hand quantity in Shopify rather than adjusting
+      // available. delta still holds the change applied to the local inventory.
+      db.exec(`ALTER TABLE inventory_outbox ADD COLUMN set_quantity INTEGER DEFAULT NULL`);
+    }
+  }
+];
+
+/**
+ * Check whether a table has a given column
+ */
+function hasColumn(db, tableName, columnName) {
+  const columns = db.prepare(`PRAGMA table_info(${tableName})`).all();
+  return columns.some(column => column.name === columnName);
+}
+
+/**
+ * Get the schema version currently recorded in the database (0 if none)
+ */
+function getSchemaVersion(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  const row = db.prepare('SELECT MAX(version) as version FROM schema_version').get();
+  return (row && row.version) || 0;
+}
+
+/**
+ * Apply all pending migrations in order, each inside its own transaction
+ * Throws (after rolling back the failed migration) if any migration fails,
+ * or if the database was written by a newer version of the app
+ * Returns the list of versions that were applied
+ */
+function runMigrations(db, migrations = MIGRATIONS) {
+  const currentVersion = getSchemaVersion(db);
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this app supports (${latestVersion}). ` +
+      'Please update Shopify Inventoryinator.'
+    );
+  }
+
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) {
+      continue;
+    }
+
+    console.log(`Applying database migration ${migration.version} (${migration.name})...`);
+
+    // Can't be changed inside a transaction, so it's turned off around it
+    const foreignKeys = db.prepare('PRAGMA foreign_keys').get().foreign_keys;
+    if (migration.foreignKeysOff) {
+      db.exec('PRAGMA foreign_keys = OFF');
+    }
+
+    db.exec('BEGIN');
+    try {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)')
+        .run(migration.version, migration.name);
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw new Error(`Database migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    } finally {
+      if (migration.foreignKeysOff) {
+        db.exec(`PRAGMA foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+      }
+    }
+
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS,
+  getSchemaVersion,
+  runMigrations
+};
@@ -35,7 +35,7 @@ class ShopifyOAuth {
     
     const params = new URLSearchParams({
       client_id: this.clientId,
-      scope: 'read_orders,read_products',
+      scope: 'read_orders,read_products,write_merchant_managed_fulfillment_orders,write_inventory,read_locations',
       redirect_uri: REDIRECT_URI,
       state: this.state
     });
@@ -0,0 +1,68 @@
+/**
+ * Order reconciliation - decide what to do with preserved orders that
+ * dropped out of Shopify's unfulfilled orders
+ *
+ * Sync keeps orders with made units even when Shopify stops returning them,
+ * so their progress isn't lost. Once Shopify says what happened to one:
+ * - fulfilled: the made units shipped, so the order is archived
+ * - cancelled, refunded, closed unfulfilled or deleted: the made units may
+ *   need to go back to stock, so the order is flagged for a person to check
+ * - anything else: still open, so it is left alone
+ */
+
+const RECONCILE_ACTIONS = {
+  ARCHIVED: 'archived',
+  NEEDS_ATTENTION: 'needs_attention',
+  KEPT: 'kept'
+};
+
+/**
+ * Decide what to do with a preserved order from its state in Shopify
+ * order: { order_id, order_name } from the database
+ * state: the order from ShopifyClient.fetchOrderStates, or null if Shopify has none
+ * Returns { orderId, orderName, action, reason }
+ */
+function decideOrderReconciliation(order, state) {
+  const decision = (action, reason) => ({ orderId: order.order_id, orderName: order.order_name, action, reason });
+
+  if (!state) {
+    return decision(RECONCILE_ACTIONS.NEEDS_ATTENTION, 'Not found in Shopify (deleted?)');
+  }
+  if (state.cancelledAt) {
+    return decision(RECONCILE_ACTIONS.NEEDS_ATTENTION, 'Cancelled in Shopify');
+  }
+  if (state.displayFinancialStatus === 'REFUNDED' || state.displayFinancialStatus === 'VOIDED') {
+    return decision(RECONCILE_ACTIONS.NEEDS_ATTENTION, 'Refunded in Shopify');
+  }
+  if (state.displayFulfillmentStatus === 'FULFILLED') {
+    return decision(RECONCILE_ACTIONS.ARCHIVED, 'Fulfilled in Shopify');
+  }
+  if (state.closed) {
+    return decision(RECONCILE_ACTIONS.NEEDS_ATTENTION, 'Closed in Shopify without being fulfilled');
+  }
+  return decision(RECONCILE_ACTIONS.KEPT, `Still open in Shopify (${state.displayFulfillmentStatus})`);
+}
+
+/**
+ * One-line summary of reconciliation decisions, e.g. "2 orders archived, 1 needs attention"
+ * Empty when nothing was archived or flagged
+ */
+function summarizeReconciliation(decisions) {
+  const archived = decisions.filter(d => d.action === RECONCILE_ACTIONS.ARCHIVED).length;
+  const flagged = decisions.filter(d => d.action === RECONCILE_ACTIONS.NEEDS_ATTENTION).length;
+
+  const parts = [];
+  if (archived > 0) {
+    parts.push(`${archived} order${archived === 1 ? '' : 's'} archived (fulfilled in Shopify)`);
+  }
+  if (flagged > 0) {
+    parts.push(`${flagged} order${flagged === 1 ? ' needs' : 's need'} attention`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  RECONCILE_ACTIONS,
+  decideOrderReconciliation,
+  summarizeReconciliation
+};
@@ -18,13 +18,44 @@ contextBridge.exposeInMainWorld('api', {
   // Fetch orders with line items and progress
   getOrders: () => ipcRenderer.invoke('get-orders'),
   
-  // Sync tasks from Shopify API (fetch unfulfilled orders)
-  syncFromShopify: () => ipcRenderer.invoke('sync-shopify'),
+  // Sync tasks from Shopify API (orders changed since the last sync; { full: true } refetches all unfulfilled orders)
+  syncFromShopify: (options) => ipcRenderer.invoke('sync-shopify', options),
+  
+  // Stop the sync in progress (nothing is saved)
+  cancelSync: () => ipcRenderer.invoke('cancel-sync'),
+  
+  // Subscribe to sync progress ({ phase, page, ordersSoFar, productsSoFar, bulkObjectCount })
+  // Returns a function that unsubscribes
+  onSyncProgress: (callback) => {
+    const listener = (event, progress) => callback(progress);
+    ipcRenderer.on('sync-progress', listener);
+    return () => ipcRenderer.removeListener('sync-progress', listener);
+  },
+  
+  // Subscribe to finished syncs from any window or the auto-sync scheduler
+  // ({ trigger: 'manual' | 'auto', success, data, error, cancelled }); returns a function that unsubscribes
+  onSyncCompleted: (callback) => {
+    const listener = (event, result) => callback(result);
+    ipcRenderer.on('sync-completed', listener);
+    return () => ipcRenderer.removeListener('sync-completed', listener);
+  },
   
   // Mark quantity as made for a specific variant
   markMade: (variantId, quantity) => 
     ipcRenderer.invoke('mark-made', variantId, quantity),
   
+  // Take back quantity marked as made
+  unmarkMade: (variantId, quantity) => 
+    ipcRenderer.invoke('unmark-made', variantId, quantity),
+  
+  // Allocate made units to one specific order line item (pinned)
+  allocateToLineItem: (lineItemId, quantity) => 
+    ipcRenderer.invoke('allocate-to-line-item', lineItemId, quantity),
+  
+  // Mark every remaining item of an order as made
+  markOrderMade: (orderId) => 
+    ipcRenderer.invoke('mark-order-made', orderId),
+  
   // Reset task progress (set made back to 0)
   resetTask: (variantId) => 
     ipcRenderer.invoke('reset-task', variantId),
@@ -33,10 +64,28 @@ contextBridge.exposeInMainWorld('api', {
   markComplete: (variantId) => 
     ipcRenderer.invoke('mark-complete', variantId),
   
+  // Production ledger for a variant (newest first)
+  getProductionHistory: (variantId, limit) => 
+    ipcRenderer.invoke('get-production-history', variantId, limit),
+  
+  // Undo/redo of mark made, complete, reset, archive and unarchive
+  getUndoState: () => 
+    ipcRenderer.invoke('get-undo-state'),
+  
+  undo: () => 
+    ipcRenderer.invoke('undo'),
+  
+  redo: () => 
+    ipcRenderer.invoke('redo'),
+  
   // Archive a single order
   archiveOrder: (orderId) => 
     ipcRenderer.invoke('archive-order', orderId),
   
+  // Clear an order's needs-attention flag (set by sync for orders closed in Shopify)
+  dismissOrderAttention: (orderId) => 
+    ipcRenderer.invoke('dismiss-order-attention', orderId),
+  
   // Archive all fulfilled orders
   archiveAllFulfilled: () => 
     ipcRenderer.invoke('archive-all-fulfilled'),
@@ -57,11 +106,177 @@ contextBridge.exposeInMainWorld('api', {
   getAutoSyncSettings: () => 
     ipcRenderer.invoke('get-auto-sync-settings'),
   
-  saveAutoSyncSettings: (enabled, intervalMinutes) => 
-    ipcRenderer.invoke('save-auto-sync-settings', enabled, intervalMinutes),
+  // workingHours: { enabled, start: 'HH:MM', end: 'HH:MM', days: [0-6, 0 = Sunday] }
+  saveAutoSyncSettings: (enabled, intervalMinutes, workingHours) => 
+    ipcRenderer.invoke('save-auto-sync-settings', enabled, intervalMinutes, workingHours),
+  
+  // Allocation strategy (which orders made units go to first)
+  getAllocationStrategy: () => 
+    ipcRenderer.invoke('get-allocation-strategy'),
+  
+  saveAllocationStrategy: (settings) => 
+    ipcRenderer.invoke('save-allocation-strategy', settings),
+  
+  // Fulfillment write-back (creating fulfillments in Shopify for made orders)
+  getFulfillmentSettings: () => 
+    ipcRenderer.invoke('get-fulfillment-settings'),
+  
+  saveFulfillmentSettings: (settings) => 
+    ipcRenderer.invoke('save-fulfillment-settings', settings),
+  
+  // requests: [{ orderId, trackingNumber, trackingCompany }]
+  fulfillInShopify: (requests) => 
+    ipcRenderer.invoke('fulfill-in-shopify', requests),
+  
+  getFulfillmentLog: (orderId) => 
+    ipcRenderer.invoke('get-fulfillment-log', orderId),
+  
+  // Production planning (net requirement and allocating stock on hand)
+  getPlanningSettings: () => 
+    ipcRenderer.invoke('get-planning-settings'),
+  
+  // settings: { netRequirement, allocateStock }
+  savePlanningSettings: (settings) => 
+    ipcRenderer.invoke('save-planning-settings', settings),
+  
+  previewAllocation: (variantId, quantity) => 
+    ipcRenderer.invoke('preview-allocation', variantId, quantity),
+  
+  setOrderPriority: (orderId, rank) => 
+    ipcRenderer.invoke('set-order-priority', orderId, rank),
   
   // Inventory
   
   getInventory: (options) => 
-    ipcRenderer.invoke('get-inventory', options)
+    ipcRenderer.invoke('get-inventory', options),
+  
+  // Pushing made units to Shopify inventory (per product, at one location)
+  getShopifyLocations: () => 
+    ipcRenderer.invoke('get-shopify-locations'),
+  
+  // location: { id, name }, or null to stop pushing
+  setInventoryPushProduct: (productId, location) => 
+    ipcRenderer.invoke('set-inventory-push-product', productId, location),
+  
+  retryInventoryPushes: () => 
+    ipcRenderer.invoke('retry-inventory-pushes'),
+  
+  // Bill of materials (components, per-variant recipes, materials needed)
+  getComponents: () => 
+    ipcRenderer.invoke('get-components'),
+  
+  // component: { id, name, unit, sku, reorderPoint } - leave id out to add one
+  saveComponent: (component) => 
+    ipcRenderer.invoke('save-component', component),
+  
+  deleteComponent: (componentId) => 
+    ipcRenderer.invoke('delete-component', componentId),
+  
+  getVariantRecipe: (variantId) => 
+    ipcRenderer.invoke('get-variant-recipe', variantId),
+  
+  // lines: [{ componentId, quantity }]
+  saveVariantRecipe: (variantId, lines) => 
+    ipcRenderer.invoke('save-variant-recipe', variantId, lines),
+  
+  getMaterialsNeeded: () => 
+    ipcRenderer.invoke('get-materials-needed'),
+  
+  // Material stock (on-hand counts, purchase orders, shortfall)
+  getMaterialSettings: () => 
+    ipcRenderer.invoke('get-material-settings'),
+  
+  // settings: { consumeOnMake }
+  saveMaterialSettings: (settings) => 
+    ipcRenderer.invoke('save-material-settings', settings),
+  
+  setComponentStock: (componentId, onHand) => 
+    ipcRenderer.invoke('set-component-stock', componentId, onHand),
+  
+  getMaterialMovements: (componentId) => 
+    ipcRenderer.invoke('get-material-movements', componentId),
+  
+  getMaterialShortfall: () => 
+    ipcRenderer.invoke('get-material-shortfall'),
+  
+  getPurchaseOrders: () => 
+    ipcRenderer.invoke('get-purchase-orders'),
+  
+  // purchaseOrder: { id, supplier, reference, lines: [{ componentId, quantity }] } - leave id out to add one
+  savePurchaseOrder: (purchaseOrder) => 
+    ipcRenderer.invoke('save-purchase-order', purchaseOrder),
+  
+  markPurchaseOrderOrdered: (purchaseOrderId) => 
+    ipcRenderer.invoke('mark-purchase-order-ordered', purchaseOrderId),
+  
+  receivePurchaseOrder: (purchaseOrderId) => 
+    ipcRenderer.invoke('receive-purchase-order', purchaseOrderId),
+  
+  deletePurchaseOrder: (purchaseOrderId) => 
+    ipcRenderer.invoke('delete-purchase-order', purchaseOrderId),
+  
+  // Production batches (named work sessions that reserve units of tasks)
+  getBatches: () => 
+    ipcRenderer.invoke('get-batches'),
+  
+  createBatch: (name) => 
+    ipcRenderer.invoke('create-batch', name),
+  
+  addToBatch: (batchId, variantId, quantity) => 
+    ipcRenderer.invoke('add-to-batch', batchId, variantId, quantity),
+  
+  // quantity 0 takes the variant out of the batch
+  setBatchItemQuantity: (batchId, variantId, quantity) => 
+    ipcRenderer.invoke('set-batch-item-quantity', batchId, variantId, quantity),
+  
+  deleteBatch: (batchId) => 
+    ipcRenderer.invoke('delete-batch', batchId),
+  
+  // madeQuantities: { variantId: quantity } - variants left out were made as planned
+  closeBatch: (batchId, madeQuantities) => 
+    ipcRenderer.invoke('close-batch', batchId, madeQuantities),
+  
+  // Printing - type: 'production' | 'packing_slips' | 'pick_list' | 'batch'
+  // options: { orderIds } for packing slips, { batchId } for a batch sheet
+  getPrintPreview: (type, options) => 
+    ipcRenderer.invoke('get-print-preview', type, options),
+  
+  savePrintPdf: (type, options) => 
+    ipcRenderer.invoke('save-print-pdf', type, options),
+  
+  printDocument: (type, options) => 
+    ipcRenderer.invoke('print-document', type, options),
+  
+  // Export - dataset: 'tasks' | 'orders' | 'archived_orders' | 'inventory'
+  getExportOptions: () => 
+    ipcRenderer.invoke('get-export-options'),
+  
+  // options: { format, columns, ids, locationId } - ids limits the export to the filtered rows
+  exportData: (dataset, options) => 
+    ipcRenderer.invoke('export-data', dataset, options),
+  
+  // Stocktakes (count sessions compared against Shopify inventory)
+  getStocktakes: () => 
+    ipcRenderer.invoke('get-stocktakes'),
+  
+  // options: { name, locationId } - no location counts against all locations
+  startStocktake: (options) => 
+    ipcRenderer.invoke('start-stocktake', options),
+  
+  // quantity null removes the count
+  setStocktakeCount: (stocktakeId, variantId, quantity) => 
+    ipcRenderer.invoke('set-stocktake-count', stocktakeId, variantId, quantity),
+  
+  scanStocktakeSku: (stocktakeId, sku, quantity) => 
+    ipcRenderer.invoke('scan-stocktake-sku', stocktakeId, sku, quantity),
+  
+  importStocktakeCsv: (stocktakeId) => 
+    ipcRenderer.invoke('import-stocktake-csv', stocktakeId),
+  
+  // options: { writeBack } - set Shopify inventory at the stocktake's location to the counts
+  finishStocktake: (stocktakeId, options) => 
+    ipcRenderer.invoke('finish-stocktake', stocktakeId, options),
+  
+  deleteStocktake: (stocktakeId) => 
+    ipcRenderer.invoke('delete-stocktake', stocktakeId)
 });
@@ -0,0 +1,325 @@
+/**
+ * Print documents - production sheets, packing slips, pick lists and batch
+ * sheets rendered as plain HTML
+ *
+ * Documents are loaded into a hidden window so the app's own page isn't
+ * printed, then either sent to the system print dialog or saved as a PDF.
+ */
+
+const { BrowserWindow, dialog } = require('electron');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function variantLabel(variantTitle) {
+  return variantTitle && variantTitle !== 'Default Title' ? variantTitle : '';
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value || '') : date.toLocaleDateString();
+}
+
+function renderImage(imageUrl) {
+  return imageUrl ? `<img src="${escapeHtml(imageUrl)}" alt="" class="thumb">` : '';
+}
+
+/**
+ * Wrap a document body in the page layout every printout shares
+ */
+function renderDocument(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 2rem; }
+    h1 { margin: 0 0 0.25rem; font-size: 1.5rem; }
+    .meta { margin: 0 0 1.5rem; color: #4b5563; font-size: 0.9rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.95rem; }
+    th, td { padding: 0.5rem; border-bottom: 1px solid #d1d5db; text-align: left; vertical-align: middle; }
+    th { border-bottom: 2px solid #111827; }
+    tr { page-break-inside: avoid; }
+    .number { text-align: right; }
+    .write-in { width: 6rem; border: 1px solid #9ca3af; text-align: right; }
+    .check { width: 1.5rem; }
+    .check::before { content: ''; display: inline-block; width: 1rem; height: 1rem; border: 1px solid #4b5563; }
+    .image { width: 48px; }
+    .thumb { width: 48px; height: 48px; object-fit: cover; border-radius: 4px; }
+    .orders { color: #4b5563; font-size: 0.85rem; }
+    .slip + .slip { page-break-before: always; }
+    tfoot td { font-weight: 700; border-bottom: none; }
+  </style>
+</head>
+<body>${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the sheet for a batch from getBatch
+ * Returns a complete HTML document
+ */
+function renderBatchSheet(batch) {
+  const totalPlanned = batch.items.reduce((sum, item) => sum + item.planned_quantity, 0);
+  const rows = batch.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.product_title)}</td>
+          <td>${escapeHtml(variantLabel(item.variant_title))}</td>
+          <td>${escapeHtml(item.sku)}</td>
+          <td class="number">${item.planned_quantity}</td>
+          <td class="write-in">${item.made_quantity === null || item.made_quantity === undefined ? '' : item.made_quantity}</td>
+        </tr>`).join('');
+
+  return renderDocument(`Batch: ${batch.name}`, `
+  <h1>Batch: ${escapeHtml(batch.name)}</h1>
+  <p class="meta">
+    Batch #${batch.id} · started ${escapeHtml(batch.created_at)}${batch.created_by ? ` by ${escapeHtml(batch.created_by)}` : ''}
+    · ${batch.items.length} variant(s), ${totalPlanned} unit(s)
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Product</th>
+        <th>Variant</th>
+        <th>SKU</th>
+        <th class="number">Planned</th>
+        <th class="number">Made</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="3">Total</td>
+        <td class="number">${totalPlanned}</td>
+        <td></td>
+      </tr>
+    </tfoot>
+  </table>`);
+}
+
+/**
+ * Build a production sheet for tasks from getAllTasks
+ * Only tasks with something left to make are listed
+ */
+function renderProductionSheet(tasks, printedAt = new Date()) {
+  const toMake = tasks.filter(task => task.remaining_quantity > 0);
+  const totalRemaining = toMake.reduce((sum, task) => sum + task.remaining_quantity, 0);
+  const rows = toMake.map(task => `
+        <tr>
+          <td class="image">${renderImage(task.image_url)}</td>
+          <td>${escapeHtml(task.product_title)}</td>
+          <td>${escapeHtml(variantLabel(task.variant_title))}</td>
+          <td>${escapeHtml(task.sku)}</td>
+          <td class="number">${task.remaining_quantity}</td>
+          <td class="write-in"></td>
+        </tr>`).join('');
+
+  return renderDocument('Production sheet', `
+  <h1>Production sheet</h1>
+  <p class="meta">Printed ${escapeHtml(printedAt.toLocaleString())} · ${toMake.length} variant(s), ${totalRemaining} unit(s) left to make</p>
+  <table>
+    <thead>
+      <tr>
+        <th class="image"></th>
+        <th>Product</th>
+        <th>Variant</th>
+        <th>SKU</th>
+        <th class="number">Remaining</th>
+        <th class="number">Made</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="4">Total</td>
+        <td class="number">${totalRemaining}</td>
+        <td></td>
+      </tr>
+    </tfoot>
+  </table>`);
+}
+
+/**
+ * Build one packing slip per order from getOrdersWithLineItems
+ * Each slip starts on a new page
+ */
+function renderPackingSlips(orders) {
+  const slips = orders.map(order => {
+    const totalItems = order.lineItems.reduce((sum, item) => sum + item.quantity, 0);
+    const rows = order.lineItems.map(item => `
+          <tr>
+            <td class="check"></td>
+            <td class="image">${renderImage(item.image_url)}</td>
+            <td>${escapeHtml(item.product_title)}</td>
+            <td>${escapeHtml(variantLabel(item.variant_title))}</td>
+            <td>${escapeHtml(item.sku)}</td>
+            <td class="number">${item.quantity}</td>
+          </tr>`).join('');
+
+    return `
+  <section class="slip">
+    <h1>Packing slip ${escapeHtml(order.order_name)}</h1>
+    <p class="meta">
+      Ordered ${escapeHtml(formatDate(order.order_date))}${order.shipping_method ? ` · ${escapeHtml(order.shipping_method)}` : ''}
+      · ${totalItems} item(s)
+    </p>
+    <table>
+      <thead>
+        <tr>
+          <th class="check"></th>
+          <th class="image"></th>
+          <th>Product</th>
+          <th>Variant</th>
+          <th>SKU</th>
+          <th class="number">Qty</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+  }).join('');
+
+  return renderDocument(orders.length === 1 ? `Packing slip ${orders[0].order_name}` : 'Packing slips', slips);
+}
+
+/**
+ * Build a pick list for orders from getOrdersWithLineItems
+ * Line items are combined per variant with the orders they go to
+ */
+function renderPickList(orders, printedAt = new Date()) {
+  const byVariant = new Map();
+
+  for (const order of orders) {
+    for (const item of order.lineItems) {
+      if (!byVariant.has(item.variant_id)) {
+        byVariant.set(item.variant_id, { ...item, quantity: 0, orders: [] });
+      }
+      const pick = byVariant.get(item.variant_id);
+      pick.quantity += item.quantity;
+      pick.orders.push(item.quantity > 1 ? `${order.order_name} ×${item.quantity}` : order.order_name);
+    }
+  }
+
+  const picks = [...byVariant.values()].sort((a, b) =>
+    a.product_title.localeCompare(b.product_title) || variantLabel(a.variant_title).localeCompare(variantLabel(b.variant_title))
+  );
+  const totalUnits = picks.reduce((sum, pick) => sum + pick.quantity, 0);
+  const rows = picks.map(pick => `
+        <tr>
+          <td class="check"></td>
+          <td class="image">${renderImage(pick.image_url)}</td>
+          <td>${escapeHtml(pick.product_title)}</td>
+          <td>${escapeHtml(variantLabel(pick.variant_title))}</td>
+          <td>${escapeHtml(pick.sku)}</td>
+          <td class="number">${pick.quantity}</td>
+          <td class="orders">${escapeHtml(pick.orders.join(', '))}</td>
+        </tr>`).join('');
+
+  return renderDocument('Pick list', `
+  <h1>Pick list</h1>
+  <p class="meta">Printed ${escapeHtml(printedAt.toLocaleString())} · ${orders.length} order(s), ${totalUnits} unit(s)</p>
+  <table>
+    <thead>
+      <tr>
+        <th class="check"></th>
+        <th class="image"></th>
+        <th>Product</th>
+        <th>Variant</th>
+        <th>SKU</th>
+        <th class="number">Qty</th>
+        <th>Orders</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="5">Total</td>
+        <td class="number">${totalUnits}</td>
+        <td></td>
+      </tr>
+    </tfoot>
+  </table>`);
+}
+
+/**
+ * Load a document into a hidden window and hand its webContents to fn
+ * The HTML goes through a temp file - long runs of packing slips are too big
+ * for a data URL
+ */
+async function withDocumentWindow(html, fn) {
+  const filePath = path.join(os.tmpdir(), `inventoryinator-print-${process.pid}-${Date.now()}.html`);
+  await fs.promises.writeFile(filePath, html, 'utf8');
+  const win = new BrowserWindow({ show: false });
+
+  try {
+    await win.loadFile(filePath);
+    return await fn(win.webContents);
+  } finally {
+    win.close();
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+}
+
+/**
+ * Open the system print dialog for a document
+ * Resolves to { printed } - false if the print was cancelled
+ */
+function printDocument(html) {
+  return withDocumentWindow(html, webContents => new Promise((resolve, reject) => {
+    webContents.print({}, (success, failureReason) => {
+      if (success || failureReason === 'cancelled') {
+        resolve({ printed: success });
+      } else {
+        reject(new Error(`Printing failed: ${failureReason}`));
+      }
+    });
+  }));
+}
+
+/**
+ * Ask where to save a document and write it there as a PDF
+ * Resolves to { saved, filePath } - saved is false if the dialog was cancelled
+ */
+async function savePdf(html, fileName, parentWindow) {
+  const options = {
+    title: 'Save PDF',
+    defaultPath: fileName,
+    filters: [{ name: 'PDF', extensions: ['pdf'] }]
+  };
+  const { canceled, filePath } = parentWindow
+    ? await dialog.showSaveDialog(parentWindow, options)
+    : await dialog.showSaveDialog(options);
+
+  if (canceled || !filePath) {
+    return { saved: false, filePath: null };
+  }
+
+  const pdf = await withDocumentWindow(html, webContents => webContents.printToPDF({ printBackground: true }));
+  await fs.promises.writeFile(filePath, pdf);
+
+  return { saved: true, filePath };
+}
+
+module.exports = {
+  renderBatchSheet,
+  renderProductionSheet,
+  renderPackingSlips,
+  renderPickList,
+  printDocument,
+  savePdf
+};
@@ -1,14 +1,69 @@
 const fetch = require('node-fetch');
+const readline = require('readline');
 
 const SHOPIFY_API_VERSION = '2024-01';
 
-// GraphQL query for fetching unfulfilled orders
-const UNFULFILLED_ORDERS_QUERY = `
-  query GetUnfulfilledOrders($cursor: String) {
+// How often to check on a running bulk operation
+const BULK_POLL_INTERVAL_MS = 2000;
+
+// Retries for throttled (THROTTLED / 429) and server error (5xx) responses
+const MAX_QUERY_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Order search filters
+const UNFULFILLED_ORDERS_FILTER = 'fulfillment_status:unfulfilled OR fulfillment_status:partial';
+
+// Page size of nested connections (an order's line items, a product's variants).
+// Nodes with more are completed with follow-up queries.
+const NESTED_PAGE_SIZE = 100;
+
+// Fields selected for each line item and variant, shared by the paginated,
+// follow-up and bulk queries
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  quantity
+  fulfillableQuantity
+  variant {
+    id
+    title
+    sku
+    image {
+      url
+      altText
+    }
+    product {
+      id
+      title
+      featuredImage {
+        url
+        altText
+      }
+    }
+  }
+`;
+
+const VARIANT_FIELDS = `
+  id
+  title
+  sku
+  inventoryQuantity
+  inventoryItem {
+    id
+  }
+  image {
+    url
+    altText
+  }
+`;
+
+// GraphQL query for fetching orders matching a search filter
+const ORDERS_QUERY = `
+  query GetOrders($cursor: String, $query: String) {
     orders(
       first: 250,
       after: $cursor,
-      query: "fulfillment_status:unfulfilled OR fulfillment_status:partial"
+      query: $query
     ) {
       pageInfo {
         hasNextPage
@@ -19,28 +74,88 @@ const UNFULFILLED_ORDERS_QUERY = `
           id
           name
           createdAt
-          lineItems(first: 100) {
+          tags
+          shippingLine {
+            title
+            code
+          }
+          lineItems(first: ${NESTED_PAGE_SIZE}) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
-                id
-                title
-                quantity
-                fulfillableQuantity
-                variant {
+                ${LINE_ITEM_FIELDS}
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Follow-up query for the rest of an order's line items
+const ORDER_LINE_ITEMS_QUERY = `
+  query GetOrderLineItems($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on Order {
+        lineItems(first: ${NESTED_PAGE_SIZE}, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {
+              ${LINE_ITEM_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Look up the current state of orders by ID (missing orders come back as null)
+const ORDER_STATES_QUERY = `
+  query GetOrderStates($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Order {
+        id
+        name
+        displayFulfillmentStatus
+        displayFinancialStatus
+        cancelledAt
+        closed
+      }
+    }
+  }
+`;
+
+// Most IDs Shopify accepts in one nodes() lookup
+const NODES_PER_QUERY = 250;
+
+// An order's fulfillment orders, with how much of each line is still to ship
+const ORDER_FULFILLMENT_ORDERS_QUERY = `
+  query GetFulfillmentOrders($id: ID!) {
+    order(id: $id) {
+      id
+      fulfillmentOrders(first: 20) {
+        edges {
+          node {
+            id
+            status
+            supportedActions {
+              action
+            }
+            lineItems(first: 100) {
+              edges {
+                node {
                   id
-                  title
-                  sku
-                  image {
-                    url
-                    altText
-                  }
-                  product {
+                  remainingQuantity
+                  lineItem {
                     id
-                    title
-                    featuredImage {
-                      url
-                      altText
-                    }
                   }
                 }
               }
@@ -52,6 +167,98 @@ const UNFULFILLED_ORDERS_QUERY = `
   }
 `;
 
+const FULFILLMENT_CREATE_MUTATION = `
+  mutation CreateFulfillment($fulfillment: FulfillmentV2Input!) {
+    fulfillmentCreateV2(fulfillment: $fulfillment) {
+      fulfillment {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Locations made units can be added to
+const LOCATIONS_QUERY = `
+  query GetLocations {
+    locations(first: 100) {
+      edges {
+        node {
+          id
+          name
+          isActive
+        }
+      }
+    }
+  }
+`;
+
+// Quantities of one inventory item at one location
+const INVENTORY_LEVEL_FIELDS = `
+  quantities(names: ["available", "committed", "on_hand"]) {
+    name
+    quantity
+  }
+  item {
+    variant {
+      id
+    }
+  }
+`;
+
+// One page of the inventory levels at a location
+const LOCATION_INVENTORY_LEVELS_QUERY = `
+  query GetLocationInventoryLevels($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on Location {
+        inventoryLevels(first: 250, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {
+              ${INVENTORY_LEVEL_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const INVENTORY_ADJUST_MUTATION = `
+  mutation AdjustInventory($input: InventoryAdjustQuantitiesInput!) {
+    inventoryAdjustQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const INVENTORY_SET_ON_HAND_MUTATION = `
+  mutation SetOnHandInventory($input: InventorySetOnHandQuantitiesInput!) {
+    inventorySetOnHandQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
 // GraphQL query for fetching all products with inventory levels
 const PRODUCTS_INVENTORY_QUERY = `
   query GetProductsInventory($cursor: String) {
@@ -68,17 +275,63 @@ const PRODUCTS_INVENTORY_QUERY = `
             url
             altText
           }
-          variants(first: 100) {
+          variants(first: ${NESTED_PAGE_SIZE}) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
-                id
-                title
-                sku
-                inventoryQuantity
-                image {
-                  url
-                  altText
-                }
+                ${VARIANT_FIELDS}
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Follow-up query for the rest of a product's variants
+const PRODUCT_VARIANTS_QUERY = `
+  query GetProductVariants($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on Product {
+        variants(first: ${NESTED_PAGE_SIZE}, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            node {
+              ${VARIANT_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Bulk operation versions of the queries above. Bulk queries take no variables
+// or page sizes - Shopify returns every node, nested connections included, as JSONL.
+const BULK_UNFULFILLED_ORDERS_QUERY = `
+  {
+    orders(query: "${UNFULFILLED_ORDERS_FILTER}") {
+      edges {
+        node {
+          id
+          name
+          createdAt
+          tags
+          shippingLine {
+            title
+            code
+          }
+          lineItems {
+            edges {
+              node {
+                ${LINE_ITEM_FIELDS}
               }
             }
           }
@@ -88,13 +341,131 @@ const PRODUCTS_INVENTORY_QUERY = `
   }
 `;
 
+const BULK_PRODUCTS_INVENTORY_QUERY = `
+  {
+    products {
+      edges {
+        node {
+          id
+          title
+          featuredImage {
+            url
+            altText
+          }
+          variants {
+            edges {
+              node {
+                ${VARIANT_FIELDS}
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const BULK_INVENTORY_LEVELS_QUERY = `
+  {
+    locations {
+      edges {
+        node {
+          id
+          name
+          isActive
+          inventoryLevels {
+            edges {
+              node {
+                ${INVENTORY_LEVEL_FIELDS}
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const BULK_OPERATION_RUN_MUTATION = `
+  mutation RunBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const BULK_OPERATION_CANCEL_MUTATION = `
+  mutation CancelBulkOperation($id: ID!) {
+    bulkOperationCancel(id: $id) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const BULK_OPERATION_STATUS_QUERY = `
+  query GetBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+      }
+    }
+  }
+`;
+
+// Bulk operation statuses that mean it stopped without results
+const BULK_OPERATION_FAILED_STATUSES = ['FAILED', 'CANCELED', 'CANCELING', 'EXPIRED'];
+
 class ShopifyClient {
-  constructor(storeUrl, accessToken) {
+  /**
+   * options.baseUrl overrides https://<store> (e.g. a local stand-in server in tests)
+   * options.bulkPollIntervalMs overrides how often bulk operations are polled
+   * options.maxRetries / options.retryBaseDelayMs override the retry backoff
+   * options.onProgress(progress) is called as fetching moves along, with
+   *   { phase, page, ordersSoFar, productsSoFar, bulkObjectCount }
+   */
+  constructor(storeUrl, accessToken, options = {}) {
     if (!storeUrl || !accessToken) {
       throw new Error('Shopify store URL and access token are required');
     }
     
-    this.endpoint = `https://${storeUrl}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+    const baseUrl = options.baseUrl || `https://${storeUrl}`;
+    this.endpoint = `${baseUrl}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+    this.bulkPollIntervalMs = options.bulkPollIntervalMs || BULK_POLL_INTERVAL_MS;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_QUERY_RETRIES;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || RETRY_BASE_DELAY_MS;
+    
+    // Rate limit state from the last response's extensions.cost.throttleStatus
+    this.throttleStatus = null;
+    // Last requested cost of each query document, to know how many points to wait for
+    this.requestedCosts = new Map();
+    this.queryCost = { queries: 0, requested: 0, actual: 0, retries: 0 };
+    // Things worth reporting in the sync result (e.g. nested pagination happened)
+    this.warnings = [];
+    
+    this.onProgress = options.onProgress || null;
+    this.progress = { phase: null, page: 0, ordersSoFar: 0, productsSoFar: 0, bulkObjectCount: null };
+    
+    // cancel() aborts in-flight requests and waits
+    this.abortController = new AbortController();
+    this.cancelled = false;
     this.headers = {
       'Content-Type': 'application/json',
       'X-Shopify-Access-Token': accessToken
@@ -103,53 +474,392 @@ class ShopifyClient {
 
   /**
    * Execute a GraphQL query
+   * Waits for enough rate limit points before sending, and retries THROTTLED,
+   * 429 and 5xx responses with jittered exponential backoff. Mutations are only
+   * retried on THROTTLED and 429 - Shopify may already have applied one that got
+   * a 5xx, so that's left to the caller (e.g. the inventory outbox)
    */
   async query(graphqlQuery, variables = {}) {
+    const isMutation = /^\s*mutation\b/.test(graphqlQuery);
+    
     try {
-      const response = await fetch(this.endpoint, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({ 
-          query: graphqlQuery, 
-          variables 
-        })
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Shopify API HTTP error ${response.status}: ${errorText}`);
+      for (let attempt = 0; ; attempt++) {
+        this.throwIfCancelled();
+        await this.waitForQueryBudget(graphqlQuery);
+        this.throwIfCancelled();
+        
+        const response = await fetch(this.endpoint, {
+          method: 'POST',
+          headers: this.headers,
+          body: JSON.stringify({ 
+            query: graphqlQuery, 
+            variables 
+          }),
+          signal: this.abortController.signal
+        });
+        
+        if (!response.ok) {
+          const errorText = await response.text();
+          
+          const retryable = response.status === 429 || (response.status >= 500 && !isMutation);
+          if (retryable && attempt < this.maxRetries) {
+            const retryAfterMs = (parseFloat(response.headers.get('retry-after')) || 0) * 1000;
+            await this.backOff(attempt, `HTTP ${response.status}`, retryAfterMs);
+            continue;
+          }
+          
+          throw new Error(`Shopify API HTTP error ${response.status}: ${errorText}`);
+        }
+        
+        const data = await response.json();
+        this.recordQueryCost(graphqlQuery, data.extensions);
+        
+        // Check for GraphQL errors
+        if (data.errors) {
+          const throttled = data.errors.some(e => e.extensions && e.extensions.code === 'THROTTLED');
+          
+          if (throttled && attempt < this.maxRetries) {
+            await this.backOff(attempt, 'THROTTLED');
+            continue;
+          }
+          
+          const error = new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+          // The app wasn't granted a scope this query needs (e.g. connected before it was asked for)
+          error.accessDenied = data.errors.some(e => e.extensions && e.extensions.code === 'ACCESS_DENIED');
+          throw error;
+        }
+        
+        return data.data;
       }
+    } catch (error) {
+      // An aborted request is a cancelled sync, not an API problem
+      this.throwIfCancelled();
       
-      const data = await response.json();
+      console.error('Shopify API query error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop fetching - in-flight requests are aborted and the current fetch
+   * rejects with an error whose `cancelled` property is true
+   */
+  cancel() {
+    this.cancelled = true;
+    this.abortController.abort();
+  }
+
+  /**
+   * Throw the cancellation error if cancel() has been called
+   */
+  throwIfCancelled() {
+    if (this.cancelled) {
+      const error = new Error('Sync cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Update the progress state and pass a copy to onProgress
+   */
+  reportProgress(changes) {
+    this.progress = { ...this.progress, ...changes };
+    if (this.onProgress) {
+      this.onProgress({ ...this.progress });
+    }
+  }
+
+  /**
+   * Track query cost and rate limit state from a response's extensions.cost
+   */
+  recordQueryCost(graphqlQuery, extensions) {
+    const cost = extensions && extensions.cost;
+    if (!cost) return;
+    
+    this.queryCost.queries++;
+    this.queryCost.requested += cost.requestedQueryCost || 0;
+    this.queryCost.actual += cost.actualQueryCost || 0;
+    
+    if (cost.requestedQueryCost) {
+      this.requestedCosts.set(graphqlQuery, cost.requestedQueryCost);
+    }
+    if (cost.throttleStatus) {
+      this.throttleStatus = { ...cost.throttleStatus, receivedAt: Date.now() };
+    }
+  }
+
+  /**
+   * Wait until the points restored since the last response cover this query's cost
+   */
+  async waitForQueryBudget(graphqlQuery) {
+    const cost = this.requestedCosts.get(graphqlQuery);
+    if (!cost || !this.throttleStatus) return;
+    
+    const { maximumAvailable, currentlyAvailable, restoreRate, receivedAt } = this.throttleStatus;
+    if (!restoreRate) return;
+    
+    const needed = Math.min(cost, maximumAvailable);
+    const restored = ((Date.now() - receivedAt) / 1000) * restoreRate;
+    const available = Math.min(maximumAvailable, currentlyAvailable + restored);
+    
+    if (available < needed) {
+      const waitMs = Math.ceil(((needed - available) / restoreRate) * 1000);
+      console.log(`Waiting ${waitMs}ms for Shopify rate limit (${Math.floor(available)}/${needed} points)`);
+      await this.sleep(waitMs);
+    }
+  }
+
+  /**
+   * Sleep before retrying - exponential backoff with jitter, at least minDelayMs
+   */
+  async backOff(attempt, reason, minDelayMs = 0) {
+    const ceiling = this.retryBaseDelayMs * 2 ** attempt;
+    const delay = Math.max(minDelayMs, Math.round(ceiling / 2 + Math.random() * ceiling / 2));
+    
+    this.queryCost.retries++;
+    console.log(`Shopify API ${reason}, retrying in ${delay}ms (attempt ${attempt + 1} of ${this.maxRetries})`);
+    await this.sleep(delay);
+  }
+
+  /**
+   * Total query cost so far: { queries, requested, actual, retries }
+   */
+  getQueryCost() {
+    return { ...this.queryCost };
+  }
+
+  /**
+   * Warnings collected while fetching
+   */
+  getWarnings() {
+    return [...this.warnings];
+  }
+
+  /**
+   * Fetch the rest of a nested connection (e.g. an order's lineItems) past its
+   * first page with follow-up queries, appending the edges to the node
+   */
+  async completeNestedConnection(node, connectionName, followUpQuery, label) {
+    const connection = node[connectionName];
+    let { hasNextPage, endCursor: cursor } = connection.pageInfo;
+    let followUps = 0;
+    
+    while (hasNextPage) {
+      const data = await this.query(followUpQuery, { id: node.id, cursor });
+      const page = data.node && data.node[connectionName];
       
-      // Check for GraphQL errors
-      if (data.errors) {
-        throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+      if (!page) {
+        throw new Error(`${label} disappeared while fetching its ${connectionName}`);
       }
       
-      return data.data;
-    } catch (error) {
-      console.error('Shopify API query error:', error);
-      throw error;
+      connection.edges = connection.edges.concat(page.edges);
+      hasNextPage = page.pageInfo.hasNextPage;
+      cursor = page.pageInfo.endCursor;
+      followUps++;
     }
+    
+    const warning = `${label} has more than ${NESTED_PAGE_SIZE} ${connectionName} - fetched all ${connection.edges.length} with ${followUps} follow-up quer${followUps === 1 ? 'y' : 'ies'}`;
+    console.log(warning);
+    this.warnings.push(warning);
   }
 
   /**
    * Fetch all unfulfilled orders with pagination
    */
   async fetchAllUnfulfilledOrders() {
+    console.log('Fetching unfulfilled orders from Shopify...');
+    return this.fetchOrders(UNFULFILLED_ORDERS_FILTER);
+  }
+
+  /**
+   * Fetch every order updated after a timestamp (ISO 8601), whatever its fulfillment status
+   * Orders that were fulfilled or cancelled in Shopify come back with no fulfillable items
+   */
+  async fetchOrdersUpdatedSince(since) {
+    console.log(`Fetching orders updated since ${since} from Shopify...`);
+    return this.fetchOrders(`updated_at:>'${since}'`);
+  }
+
+  /**
+   * Look up the current state of orders by ID, whatever their status
+   * Returns a Map of order ID -> { id, name, displayFulfillmentStatus,
+   * displayFinancialStatus, cancelledAt, closed }, or null if Shopify has no such order
+   */
+  async fetchOrderStates(orderIds) {
+    const states = new Map();
+    
+    for (let i = 0; i < orderIds.length; i += NODES_PER_QUERY) {
+      const ids = orderIds.slice(i, i + NODES_PER_QUERY);
+      const data = await this.query(ORDER_STATES_QUERY, { ids });
+      ids.forEach((id, index) => states.set(id, data.nodes[index] || null));
+    }
+    
+    console.log(`Looked up ${states.size} orders by ID`);
+    return states;
+  }
+
+  /**
+   * Get an order's fulfillment orders that can still be fulfilled
+   * Returns [{ id, status, lineItems: [{ id, remainingQuantity, lineItemId }] }]
+   */
+  async fetchFulfillableFulfillmentOrders(orderId) {
+    const data = await this.query(ORDER_FULFILLMENT_ORDERS_QUERY, { id: orderId });
+    
+    if (!data.order) {
+      throw new Error('Order not found in Shopify');
+    }
+    
+    return data.order.fulfillmentOrders.edges
+      .map(edge => edge.node)
+      .filter(fo => fo.supportedActions.some(a => a.action === 'CREATE_FULFILLMENT'))
+      .map(fo => ({
+        id: fo.id,
+        status: fo.status,
+        lineItems: fo.lineItems.edges.map(edge => ({
+          id: edge.node.id,
+          remainingQuantity: edge.node.remainingQuantity,
+          lineItemId: edge.node.lineItem.id
+        }))
+      }));
+  }
+
+  /**
+   * Fulfill made units of an order in Shopify
+   * quantities: Map of order line item ID -> units to fulfill (capped at what
+   *   Shopify still has to ship)
+   * options: { trackingNumber, trackingCompany, notifyCustomer }
+   * Returns { id, status } of the new fulfillment
+   */
+  async createFulfillment(orderId, quantities, options = {}) {
+    const fulfillmentOrders = await this.fetchFulfillableFulfillmentOrders(orderId);
+    const left = new Map(quantities);
+    const lineItemsByFulfillmentOrder = [];
+    
+    // A line can be split across fulfillment orders (e.g. two locations)
+    for (const fulfillmentOrder of fulfillmentOrders) {
+      const fulfillmentOrderLineItems = [];
+      
+      for (const item of fulfillmentOrder.lineItems) {
+        const quantity = Math.min(item.remainingQuantity, left.get(item.lineItemId) || 0);
+        if (quantity > 0) {
+          fulfillmentOrderLineItems.push({ id: item.id, quantity });
+          left.set(item.lineItemId, left.get(item.lineItemId) - quantity);
+        }
+      }
+      
+      if (fulfillmentOrderLineItems.length > 0) {
+        lineItemsByFulfillmentOrder.push({ fulfillmentOrderId: fulfillmentOrder.id, fulfillmentOrderLineItems });
+      }
+    }
+    
+    if (lineItemsByFulfillmentOrder.length === 0) {
+      throw new Error('Nothing left to fulfill in Shopify for this order');
+    }
+    
+    const fulfillment = {
+      lineItemsByFulfillmentOrder,
+      notifyCustomer: options.notifyCustomer === true
+    };
+    if (options.trackingNumber) {
+      fulfillment.trackingInfo = {
+        number: options.trackingNumber,
+        company: options.trackingCompany || null
+      };
+    }
+    
+    const data = await this.query(FULFILLMENT_CREATE_MUTATION, { fulfillment });
+    const { fulfillment: created, userErrors } = data.fulfillmentCreateV2;
+    
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(`Shopify rejected the fulfillment: ${userErrors.map(e => e.message).join(', ')}`);
+    }
+    
+    console.log(`Created fulfillment ${created.id} for order ${orderId}`);
+    return created;
+  }
+
+  /**
+   * Get the store's active locations: [{ id, name }]
+   */
+  async fetchLocations() {
+    const data = await this.query(LOCATIONS_QUERY);
+    
+    return data.locations.edges
+      .map(edge => edge.node)
+      .filter(location => location.isActive)
+      .map(location => ({ id: location.id, name: location.name }));
+  }
+
+  /**
+   * Change the available quantity of an inventory item at a location
+   * adjustment: { inventoryItemId, locationId, delta, referenceDocumentUri }
+   * Returns the ID of the inventory adjustment group Shopify created
+   */
+  async adjustInventoryQuantity(adjustment) {
+    const data = await this.query(INVENTORY_ADJUST_MUTATION, {
+      input: {
+        name: 'available',
+        reason: adjustment.delta > 0 ? 'received' : 'correction',
+        referenceDocumentUri: adjustment.referenceDocumentUri,
+        changes: [{
+          delta: adjustment.delta,
+          inventoryItemId: adjustment.inventoryItemId,
+          locationId: adjustment.locationId
+        }]
+      }
+    });
+    const { inventoryAdjustmentGroup, userErrors } = data.inventoryAdjustQuantities;
+    
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(`Shopify rejected the inventory adjustment: ${userErrors.map(e => e.message).join(', ')}`);
+    }
+    
+    return inventoryAdjustmentGroup.id;
+  }
+
+  /**
+   * Set the on-hand quantity of an inventory item at a location, whatever it is now
+   * (available follows, less what is committed to orders)
+   * quantities: { inventoryItemId, locationId, quantity, referenceDocumentUri }
+   * Returns the ID of the inventory adjustment group Shopify created
+   */
+  async setOnHandQuantity(quantities) {
+    const data = await this.query(INVENTORY_SET_ON_HAND_MUTATION, {
+      input: {
+        reason: 'cycle_count_available',
+        referenceDocumentUri: quantities.referenceDocumentUri,
+        setQuantities: [{
+          inventoryItemId: quantities.inventoryItemId,
+          locationId: quantities.locationId,
+          quantity: quantities.quantity
+        }]
+      }
+    });
+    const { inventoryAdjustmentGroup, userErrors } = data.inventorySetOnHandQuantities;
+    
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(`Shopify rejected the inventory quantity: ${userErrors.map(e => e.message).join(', ')}`);
+    }
+    
+    return inventoryAdjustmentGroup ? inventoryAdjustmentGroup.id : null;
+  }
+
+  /**
+   * Fetch all orders matching a search filter with pagination
+   */
+  async fetchOrders(filter) {
     let allOrders = [];
     let hasNextPage = true;
     let cursor = null;
     let pageCount = 0;
 
-    console.log('Fetching unfulfilled orders from Shopify...');
-
     while (hasNextPage) {
       pageCount++;
       console.log(`Fetching page ${pageCount}...`);
+      this.reportProgress({ phase: 'orders', page: pageCount });
       
-      const data = await this.query(UNFULFILLED_ORDERS_QUERY, { cursor });
+      const data = await this.query(ORDERS_QUERY, { cursor, query: filter });
       const { orders } = data;
       
       if (!orders || !orders.edges) {
@@ -161,22 +871,147 @@ class ShopifyClient {
       const orderNodes = orders.edges.map(edge => edge.node);
       allOrders = allOrders.concat(orderNodes);
       
+      // Orders with more line items than fit in one page
+      for (const order of orderNodes) {
+        if (order.lineItems && order.lineItems.pageInfo && order.lineItems.pageInfo.hasNextPage) {
+          await this.completeNestedConnection(order, 'lineItems', ORDER_LINE_ITEMS_QUERY, `Order ${order.name}`);
+        }
+      }
+      
       // Check pagination
       hasNextPage = orders.pageInfo.hasNextPage;
       cursor = orders.pageInfo.endCursor;
       
       console.log(`Fetched ${orderNodes.length} orders (total so far: ${allOrders.length})`);
-      
-      // Rate limiting: conservative delay between requests
-      if (hasNextPage) {
-        await this.sleep(500);
-      }
+      this.reportProgress({ ordersSoFar: allOrders.length });
     }
 
     console.log(`Completed fetching ${allOrders.length} total orders in ${pageCount} page(s)`);
     return allOrders;
   }
 
+  /**
+   * Start a bulk query and wait for it to finish
+   * Returns the JSONL result URL, or null if the query matched nothing
+   */
+  async runBulkQuery(bulkQuery) {
+    const data = await this.query(BULK_OPERATION_RUN_MUTATION, { query: bulkQuery });
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+    
+    if (userErrors && userErrors.length > 0) {
+      const error = new Error(`Bulk operation could not start: ${userErrors.map(e => e.message).join(', ')}`);
+      error.accessDenied = userErrors.some(e => /access denied/i.test(e.message));
+      throw error;
+    }
+    
+    console.log(`Started bulk operation ${bulkOperation.id}`);
+    
+    try {
+      while (true) {
+        await this.sleep(this.bulkPollIntervalMs);
+        
+        const { node: operation } = await this.query(BULK_OPERATION_STATUS_QUERY, { id: bulkOperation.id });
+        
+        if (!operation) {
+          throw new Error(`Bulk operation ${bulkOperation.id} not found`);
+        }
+        
+        this.reportProgress({ bulkObjectCount: Number(operation.objectCount) || 0 });
+        
+        if (operation.status === 'COMPLETED') {
+          console.log(`Bulk operation completed with ${operation.objectCount} objects`);
+          return operation.url || null;
+        }
+        if (BULK_OPERATION_FAILED_STATUSES.includes(operation.status)) {
+          const error = new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+          error.accessDenied = operation.errorCode === 'ACCESS_DENIED';
+          throw error;
+        }
+        
+        console.log(`Bulk operation ${operation.status.toLowerCase()} (${operation.objectCount || 0} objects so far)`);
+      }
+    } catch (error) {
+      if (error.cancelled) {
+        await this.cancelBulkOperation(bulkOperation.id);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Ask Shopify to stop a bulk operation we no longer need (best effort)
+   * Left running, it would block the next bulk query for this store
+   * Sent directly rather than through query(), which refuses once cancelled
+   */
+  async cancelBulkOperation(id) {
+    try {
+      await fetch(this.endpoint, {
+        method: 'POST',
+        headers: this.headers,
+        body: JSON.stringify({ query: BULK_OPERATION_CANCEL_MUTATION, variables: { id } })
+      });
+      console.log(`Cancelled bulk operation ${id}`);
+    } catch (error) {
+      console.error('Error cancelling bulk operation:', error);
+    }
+  }
+
+  /**
+   * Run a bulk query and stream-parse its JSONL result back into the nested
+   * shape the paginated queries return (top-level nodes with { edges: [{ node }] }
+   * for the child connection)
+   * Child lines carry __parentId and always come after their parent.
+   */
+  async fetchBulk(bulkQuery, childConnection) {
+    const url = await this.runBulkQuery(bulkQuery);
+    if (!url) {
+      return [];
+    }
+    
+    const response = await fetch(url, { signal: this.abortController.signal });
+    if (!response.ok) {
+      throw new Error(`Bulk operation result download failed with HTTP ${response.status}`);
+    }
+    
+    const nodes = [];
+    const nodesById = new Map();
+    const lines = readline.createInterface({ input: response.body, crlfDelay: Infinity });
+    
+    for await (const line of lines) {
+      this.throwIfCancelled();
+      if (!line.trim()) continue;
+      
+      const record = JSON.parse(line);
+      
+      if (record.__parentId) {
+        const parent = nodesById.get(record.__parentId);
+        if (!parent) {
+          throw new Error(`Bulk operation result has a ${childConnection} line before its parent ${record.__parentId}`);
+        }
+        delete record.__parentId;
+        parent[childConnection].edges.push({ node: record });
+      } else {
+        record[childConnection] = { edges: [] };
+        nodes.push(record);
+        nodesById.set(record.id, record);
+      }
+    }
+    
+    return nodes;
+  }
+
+  /**
+   * Fetch all unfulfilled orders in one bulk operation (no page or line item limits)
+   */
+  async fetchAllUnfulfilledOrdersBulk() {
+    console.log('Fetching unfulfilled orders from Shopify (bulk operation)...');
+    this.reportProgress({ phase: 'orders', page: null, bulkObjectCount: 0 });
+    const orders = await this.fetchBulk(BULK_UNFULFILLED_ORDERS_QUERY, 'lineItems');
+    console.log(`Completed fetching ${orders.length} total orders`);
+    this.reportProgress({ ordersSoFar: orders.length, bulkObjectCount: null });
+    return orders;
+  }
+
   /**
    * Aggregate line items by variant ID and sum fulfillable quantities
    */
@@ -291,6 +1126,8 @@ class ShopifyClient {
           orderName: order.name,
           orderDate: order.createdAt,
           totalItems: totalItems,
+          shippingMethod: order.shippingLine ? (order.shippingLine.title || order.shippingLine.code) : null,
+          tags: (order.tags || []).join(', '),
           lineItems: lineItems
         });
       }
@@ -303,9 +1140,18 @@ class ShopifyClient {
   /**
    * Fetch unfulfilled orders and aggregate by variant
    * This is the main method to call for syncing
+   * Pass updatedSince to only fetch orders changed after that time (incremental sync),
+   * or bulk to fetch every unfulfilled order with a bulk operation
    */
-  async fetchAndAggregate() {
-    const orders = await this.fetchAllUnfulfilledOrders();
+  async fetchAndAggregate({ updatedSince = null, bulk = false } = {}) {
+    let orders;
+    if (updatedSince) {
+      orders = await this.fetchOrdersUpdatedSince(updatedSince);
+    } else if (bulk) {
+      orders = await this.fetchAllUnfulfilledOrdersBulk();
+    } else {
+      orders = await this.fetchAllUnfulfilledOrders();
+    }
     const aggregated = this.aggregateByVariant(orders);
     const ordersForStorage = this.extractOrdersForStorage(orders);
     
@@ -334,6 +1180,7 @@ class ShopifyClient {
     while (hasNextPage) {
       pageCount++;
       console.log(`Fetching products page ${pageCount}...`);
+      this.reportProgress({ phase: 'inventory', page: pageCount });
       
       const data = await this.query(PRODUCTS_INVENTORY_QUERY, { cursor });
       const { products } = data;
@@ -347,22 +1194,37 @@ class ShopifyClient {
       const productNodes = products.edges.map(edge => edge.node);
       allProducts = allProducts.concat(productNodes);
       
+      // Products with more variants than fit in one page
+      for (const product of productNodes) {
+        if (product.variants && product.variants.pageInfo && product.variants.pageInfo.hasNextPage) {
+          await this.completeNestedConnection(product, 'variants', PRODUCT_VARIANTS_QUERY, `Product "${product.title}"`);
+        }
+      }
+      
       // Check pagination
       hasNextPage = products.pageInfo.hasNextPage;
       cursor = products.pageInfo.endCursor;
       
       console.log(`Fetched ${productNodes.length} products (total so far: ${allProducts.length})`);
-      
-      // Rate limiting: conservative delay between requests
-      if (hasNextPage) {
-        await this.sleep(500);
-      }
+      this.reportProgress({ productsSoFar: allProducts.length });
     }
 
     console.log(`Completed fetching ${allProducts.length} total products in ${pageCount} page(s)`);
     return allProducts;
   }
 
+  /**
+   * Fetch all products with inventory levels in one bulk operation (no page or variant limits)
+   */
+  async fetchAllProductsWithInventoryBulk() {
+    console.log('Fetching products with inventory from Shopify (bulk operation)...');
+    this.reportProgress({ phase: 'inventory', page: null, bulkObjectCount: 0 });
+    const products = await this.fetchBulk(BULK_PRODUCTS_INVENTORY_QUERY, 'variants');
+    console.log(`Completed fetching ${products.length} total products`);
+    this.reportProgress({ productsSoFar: products.length, bulkObjectCount: null });
+    return products;
+  }
+
   /**
    * Extract inventory data from products for storage
    */
@@ -397,7 +1259,8 @@ class ShopifyClient {
           variantTitle: displayVariantTitle,
           sku: variant.sku || '',
           imageUrl: variantImage,
-          inventoryQuantity: variant.inventoryQuantity || 0
+          inventoryQuantity: variant.inventoryQuantity || 0,
+          inventoryItemId: variant.inventoryItem?.id || null
         });
       }
     }
@@ -408,9 +1271,12 @@ class ShopifyClient {
 
   /**
    * Fetch products and extract inventory data
+   * Pass bulk to fetch with a bulk operation
    */
-  async fetchInventory() {
-    const products = await this.fetchAllProductsWithInventory();
+  async fetchInventory({ bulk = false } = {}) {
+    const products = bulk
+      ? await this.fetchAllProductsWithInventoryBulk()
+      : await this.fetchAllProductsWithInventory();
     const inventoryData = this.extractInventoryForStorage(products);
     
     return {
@@ -424,10 +1290,120 @@ class ShopifyClient {
   }
 
   /**
-   * Helper method for delays
+   * Fetch the inventory levels at every active location, a page at a time
+   * Returns [{ id, name, inventoryLevels: { edges: [{ node }] } }]
+   */
+  async fetchAllInventoryLevels() {
+    const locations = await this.fetchLocations();
+    
+    for (const location of locations) {
+      const edges = [];
+      let hasNextPage = true;
+      let cursor = null;
+      
+      while (hasNextPage) {
+        const data = await this.query(LOCATION_INVENTORY_LEVELS_QUERY, { id: location.id, cursor });
+        const levels = data.node && data.node.inventoryLevels;
+        
+        if (!levels) {
+          throw new Error(`Location "${location.name}" disappeared while fetching its inventory levels`);
+        }
+        
+        edges.push(...levels.edges);
+        hasNextPage = levels.pageInfo.hasNextPage;
+        cursor = levels.pageInfo.endCursor;
+      }
+      
+      console.log(`Fetched ${edges.length} inventory levels at ${location.name}`);
+      location.inventoryLevels = { edges };
+    }
+    
+    return locations;
+  }
+
+  /**
+   * Fetch the inventory levels at every active location in one bulk operation
+   */
+  async fetchAllInventoryLevelsBulk() {
+    console.log('Fetching inventory levels from Shopify (bulk operation)...');
+    const locations = await this.fetchBulk(BULK_INVENTORY_LEVELS_QUERY, 'inventoryLevels');
+    return locations.filter(location => location.isActive);
+  }
+
+  /**
+   * Flatten locations into per-variant levels for storage
+   * Returns [{ variantId, locationId, locationName, available, committed, onHand }]
+   */
+  extractInventoryLevelsForStorage(locations) {
+    const levels = [];
+    
+    for (const location of locations) {
+      for (const { node: level } of location.inventoryLevels.edges) {
+        // Inventory items can outlive their variant
+        if (!level.item || !level.item.variant) {
+          continue;
+        }
+        
+        const quantities = Object.fromEntries(level.quantities.map(q => [q.name, q.quantity]));
+        levels.push({
+          variantId: level.item.variant.id,
+          locationId: location.id,
+          locationName: location.name,
+          available: quantities.available || 0,
+          committed: quantities.committed || 0,
+          onHand: quantities.on_hand || 0
+        });
+      }
+    }
+    
+    return levels;
+  }
+
+  /**
+   * Fetch per-location inventory levels
+   * Pass bulk to fetch with a bulk operation
+   * levels is null (with a warning) when the app isn't allowed to read locations
+   */
+  async fetchInventoryLevels({ bulk = false } = {}) {
+    let locations;
+    try {
+      locations = bulk
+        ? await this.fetchAllInventoryLevelsBulk()
+        : await this.fetchAllInventoryLevels();
+    } catch (error) {
+      if (!error.accessDenied) {
+        throw error;
+      }
+      
+      // Stores connected before per-location stock didn't grant read_locations -
+      // sync everything else rather than fail until they reconnect
+      const warning = 'Reconnect to Shopify to see stock per location';
+      console.log(`${warning} (${error.message})`);
+      this.warnings.push(warning);
+      return { levels: null, locationCount: 0 };
+    }
+    
+    const levels = this.extractInventoryLevelsForStorage(locations);
+    
+    console.log(`Extracted ${levels.length} inventory levels across ${locations.length} location(s)`);
+    return { levels, locationCount: locations.length };
+  }
+
+  /**
+   * Helper method for delays (ends early if the fetch is cancelled)
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const { signal } = this.abortController;
+    
+    return new Promise(resolve => {
+      const finish = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', finish);
+        resolve();
+      };
+      const timer = setTimeout(finish, ms);
+      signal.addEventListener('abort', finish);
+    });
   }
 }
 
@@ -0,0 +1,145 @@
+/**
+ * Stocktake import - counted quantities by SKU from a CSV file
+ *
+ * Accepts what spreadsheets and barcode scanner apps write: comma or
+ * semicolon separated, with or without a byte order mark and a header row.
+ * With a header the SKU and count columns are found by name, otherwise the
+ * first column is the SKU and the second the count.
+ */
+
+const { dialog } = require('electron');
+const fs = require('fs');
+
+const SKU_HEADERS = ['sku', 'variantsku'];
+const COUNT_HEADERS = ['count', 'counted', 'countedquantity', 'quantity', 'qty', 'onhand'];
+
+const headerKey = value => value.toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Split CSV text into rows of cells, handling quoted cells and CRLF line endings
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read counted quantities from CSV text
+ * Counts for the same SKU on several lines are added together
+ * Returns { counts: [{ sku, quantity }], errors: [messages for lines left out] }
+ */
+function readStocktakeCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = parseCsv(content, delimiter);
+
+  let skuColumn = 0;
+  let countColumn = 1;
+  let firstRow = 0;
+
+  const header = (rows[0] || []).map(headerKey);
+  if (header.some(key => SKU_HEADERS.includes(key))) {
+    skuColumn = header.findIndex(key => SKU_HEADERS.includes(key));
+    countColumn = COUNT_HEADERS.map(name => header.indexOf(name)).find(index => index !== -1);
+    if (countColumn === undefined) {
+      throw new Error('The CSV has a SKU column but no Count or Quantity column');
+    }
+    firstRow = 1;
+  }
+
+  const totals = new Map();
+  const errors = [];
+
+  rows.slice(firstRow).forEach((row, index) => {
+    const line = firstRow + index + 1;
+    // Our own CSV export prefixes text that looks like a formula with '
+    const sku = (row[skuColumn] || '').trim().replace(/^'(?=[=+\-@])/, '');
+    const quantity = (row[countColumn] || '').trim();
+
+    if (!sku && !quantity) {
+      return;
+    }
+    if (!sku) {
+      errors.push(`Line ${line} has no SKU`);
+      return;
+    }
+    if (!/^\d+$/.test(quantity)) {
+      errors.push(`Line ${line}: the count for ${sku} is not a whole number`);
+      return;
+    }
+
+    const key = sku.toLowerCase();
+    const total = totals.get(key);
+    totals.set(key, { sku: total ? total.sku : sku, quantity: (total ? total.quantity : 0) + Number(quantity) });
+  });
+
+  return { counts: [...totals.values()], errors };
+}
+
+/**
+ * Ask for a CSV file of counts and read it
+ * Resolves to { opened, filePath, counts, errors } - opened is false if the dialog was cancelled
+ */
+async function openStocktakeCsv(parentWindow) {
+  const options = {
+    title: 'Import counts',
+    properties: ['openFile'],
+    filters: [{ name: 'CSV', extensions: ['csv', 'txt'] }]
+  };
+  const { canceled, filePaths } = parentWindow
+    ? await dialog.showOpenDialog(parentWindow, options)
+    : await dialog.showOpenDialog(options);
+
+  if (canceled || !filePaths || filePaths.length === 0) {
+    return { opened: false, filePath: null, counts: [], errors: [] };
+  }
+
+  const text = await fs.promises.readFile(filePaths[0], 'utf8');
+
+  return { opened: true, filePath: filePaths[0], ...readStocktakeCsv(text) };
+}
+
+module.exports = {
+  readStocktakeCsv,
+  openStocktakeCsv
+};
@@ -0,0 +1,140 @@
+/**
+ * Auto-sync scheduler - runs background syncs from the main process
+ *
+ * Syncs go through the sync service, so they never overlap a manual sync,
+ * and their results reach every open window on 'sync-completed'.
+ * Pauses while the computer sleeps and catches up on wake if a sync is due.
+ */
+
+const { powerMonitor } = require('electron');
+const { getAutoSyncSettings, getStoreUrl, getAccessToken } = require('./config');
+const { runSync, isSyncRunning, getLastSyncAt } = require('./sync-service');
+const { isWithinWorkingHours } = require('./working-hours');
+
+// How long to wait before looking again when a sync is due but can't run yet
+const RECHECK_INTERVAL_MS = 60 * 1000;
+
+let started = false;
+let suspended = false;
+let timer = null;
+
+// Counts from here until the first sync finishes
+let scheduledFrom = null;
+
+/**
+ * Milliseconds until the next sync is due (0 if overdue)
+ */
+function getTimeUntilDue(settings) {
+  const lastSyncAt = getLastSyncAt() || scheduledFrom;
+  const dueAt = lastSyncAt + settings.intervalMinutes * 60 * 1000;
+  return Math.max(0, dueAt - Date.now());
+}
+
+/**
+ * Set the timer for the next check, replacing any earlier one
+ */
+function scheduleCheck(delayMs) {
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(checkAndSync, delayMs);
+}
+
+/**
+ * Schedule the next sync from the current settings
+ */
+function scheduleNext() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (!started || suspended) return;
+
+  try {
+    const settings = getAutoSyncSettings();
+    if (!settings.enabled) return;
+
+    scheduleCheck(getTimeUntilDue(settings));
+  } catch (error) {
+    // e.g. unreadable working hours - keep looking rather than stop syncing for good
+    console.error('Error scheduling auto-sync:', error);
+    scheduleCheck(RECHECK_INTERVAL_MS);
+  }
+}
+
+/**
+ * Run a sync if one is due, allowed by the working hours and not already running
+ */
+async function checkAndSync() {
+  timer = null;
+  if (!started || suspended) return;
+
+  try {
+    const settings = getAutoSyncSettings();
+    if (!settings.enabled) return;
+
+    const waitMs = getTimeUntilDue(settings);
+    if (waitMs > 0) {
+      scheduleCheck(waitMs);
+      return;
+    }
+
+    // Still due - try again shortly (e.g. once connected to Shopify, or working hours start)
+    const connected = getStoreUrl() && getAccessToken();
+    if (!connected || !isWithinWorkingHours(settings.workingHours) || isSyncRunning()) {
+      scheduleCheck(RECHECK_INTERVAL_MS);
+      return;
+    }
+
+    console.log('Auto-sync starting');
+    const result = await runSync({ trigger: 'auto' });
+    if (!result.success && !result.cancelled) {
+      console.error('Auto-sync failed:', result.error);
+    }
+  } catch (error) {
+    // Runs from a timer, so nothing else would catch this and the schedule would stop
+    console.error('Error checking auto-sync:', error);
+    scheduleCheck(RECHECK_INTERVAL_MS);
+    return;
+  }
+
+  scheduleNext();
+}
+
+/**
+ * Start the scheduler (call once the app is ready)
+ */
+function startSyncScheduler() {
+  if (started) return;
+  started = true;
+  scheduledFrom = Date.now();
+
+  powerMonitor.on('suspend', () => {
+    console.log('Auto-sync paused for sleep');
+    suspended = true;
+    scheduleNext();
+  });
+
+  powerMonitor.on('resume', () => {
+    // An overdue sync runs straight away
+    console.log('Auto-sync resumed after sleep');
+    suspended = false;
+    scheduleNext();
+  });
+
+  scheduleNext();
+}
+
+/**
+ * Pick up changed auto-sync settings
+ */
+function restartSyncScheduler() {
+  // Enabling counts the interval from now rather than from an old sync
+  if (!getLastSyncAt()) {
+    scheduledFrom = Date.now();
+  }
+  scheduleNext();
+}
+
+module.exports = {
+  startSyncScheduler,
+  restartSyncScheduler
+};
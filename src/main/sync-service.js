@@ -0,0 +1,484 @@
+/**
+ * Sync service - fetches from Shopify and writes the results to the database
+ *
+ * Shared by the sync button and the auto-sync scheduler, so only one sync
+ * runs at a time however it was started.
+ */
+
+const { BrowserWindow } = require('electron');
+const {
+  upsertTask,
+  logSync,
+  getLastSuccessfulSync,
+  upsertOrder,
+  upsertOrderLineItem,
+  clearOrdersWithoutProgress,
+  mergeUpdatedOrders,
+  getOrderIdsToSkipDuringSync,
+  recalculateTaskTotalsFromOrders,
+  updateAllOrderStatuses,
+  runInTransaction,
+  clearUndoHistory,
+  bulkUpsertInventory,
+  replaceInventoryLevels,
+  getPreservedOrdersToReconcile,
+  applyOrderReconciliation,
+  mergePreservedOrderEdits,
+  getTaskByVariantId,
+  recordProductionEvent,
+  reapplyUnsyncedInventoryPushes,
+  getInventoryPushStats,
+  getPlanningSettings,
+  allocateStockToOrders
+} = require('./database');
+const { ShopifyClient } = require('./shopify-api');
+const { decideOrderReconciliation, summarizeReconciliation } = require('./order-reconciliation');
+const { flushInventoryOutbox } = require('./inventory-outbox');
+const { getAccessToken, getStoreUrl } = require('./config');
+
+// Incremental syncs fall back to a full resync at least this often
+const FULL_RESYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Look back a little before the last sync started, in case Shopify's updated_at lags behind
+const INCREMENTAL_SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+/**
+ * Work out where an incremental sync should start (ISO 8601)
+ * Returns null when a full resync is needed: forced, no previous sync, or the last full one is too old
+ */
+function getIncrementalSyncStart(forceFull) {
+  if (forceFull) return null;
+  
+  const lastSync = getLastSuccessfulSync();
+  const lastFullSync = getLastSuccessfulSync('full');
+  if (!lastSync || !lastFullSync) return null;
+  
+  if (Date.now() - Date.parse(lastFullSync.started_at) > FULL_RESYNC_INTERVAL_MS) return null;
+  
+  return new Date(Date.parse(lastSync.started_at) - INCREMENTAL_SYNC_OVERLAP_MS).toISOString();
+}
+
+// Client of the sync in progress, so it can be cancelled and a second sync refused
+let activeSyncClient = null;
+
+// When the last sync finished (ms), whether it worked or not
+let lastSyncAt = null;
+
+/**
+ * Send a push event to every open window
+ */
+function sendToAllWindows(channel, payload) {
+  for (const win of BrowserWindow.getAllWindows()) {
+    if (!win.isDestroyed()) {
+      win.webContents.send(channel, payload);
+    }
+  }
+}
+
+/**
+ * Look up preserved orders that Shopify no longer lists as unfulfilled and
+ * decide what to do with each (see order-reconciliation.js)
+ * A full sync checks every preserved order missing from its results; an
+ * incremental sync only the ones that changed, as it didn't fetch the rest
+ */
+async function reconcilePreservedOrders(client, syncMode, { orders, ordersForStorage }) {
+  const openOrderIds = new Set(ordersForStorage.map(order => order.orderId));
+  const fetchedOrderIds = new Set(orders.map(order => order.id));
+  
+  const missing = getPreservedOrdersToReconcile().filter(order =>
+    !openOrderIds.has(order.order_id) && (syncMode === 'full' || fetchedOrderIds.has(order.order_id))
+  );
+  if (missing.length === 0) return [];
+  
+  const states = await client.fetchOrderStates(missing.map(order => order.order_id));
+  const decisions = missing.map(order => decideOrderReconciliation(order, states.get(order.order_id)));
+  
+  for (const decision of decisions) {
+    console.log(`Reconciled preserved order ${decision.orderName}: ${decision.action} - ${decision.reason}`);
+  }
+  return decisions;
+}
+
+/**
+ * Record made units taken off edited orders, and the orders they went to, in
+ * the production ledger (call after task totals are recalculated)
+ * Returns the units no order needed per variant: [{ variantId, productTitle, variantTitle, quantity }]
+ */
+function recordClampedUnits(orderEdits) {
+  const byVariant = new Map();
+  
+  for (const order of orderEdits) {
+    for (const change of order.changes) {
+      if (change.clampedQuantity <= 0) continue;
+      
+      if (!byVariant.has(change.variantId)) {
+        byVariant.set(change.variantId, {
+          variantId: change.variantId,
+          productTitle: change.productTitle,
+          variantTitle: change.variantTitle,
+          quantity: 0,
+          allocations: []
+        });
+      }
+      const entry = byVariant.get(change.variantId);
+      const reassigned = change.reassigned.reduce((sum, allocation) => sum + allocation.allocated, 0);
+      entry.quantity += change.clampedQuantity - reassigned;
+      entry.allocations.push({ orderId: order.orderId, lineItemId: change.lineItemId, allocated: -change.clampedQuantity }, ...change.reassigned);
+    }
+  }
+  
+  const recorded = [...byVariant.values()].map(({ allocations, ...surplus }) => {
+    const task = getTaskByVariantId(surplus.variantId);
+    const madeAfter = task ? task.made_quantity : 0;
+    
+    recordProductionEvent({
+      variantId: surplus.variantId,
+      action: 'order_edited',
+      quantityDelta: -surplus.quantity,
+      madeBefore: madeAfter + surplus.quantity,
+      madeAfter,
+      actor: 'Shopify sync',
+      allocations
+    });
+    return surplus;
+  });
+  
+  return recorded.filter(surplus => surplus.quantity > 0);
+}
+
+/**
+ * Give unallocated stock on hand to the oldest orders, if the store has it
+ * turned on, and record it in the production ledger
+ * Returns the number of units allocated
+ */
+function allocateStockAfterSync() {
+  if (!getPlanningSettings().allocateStock) {
+    return 0;
+  }
+  
+  const { variants } = allocateStockToOrders();
+  for (const variant of variants) {
+    recordProductionEvent({
+      variantId: variant.variantId,
+      action: 'allocate_stock',
+      quantityDelta: variant.quantity,
+      madeBefore: variant.madeBefore,
+      madeAfter: variant.madeAfter,
+      actor: 'Shopify sync',
+      allocations: variant.allocations
+    });
+  }
+  
+  return variants.reduce((sum, variant) => sum + variant.quantity, 0);
+}
+
+/**
+ * One-line summary of edits applied to preserved orders, e.g.
+ * "2 orders edited in Shopify (2 made units moved to other orders, 3 made units now spare)"
+ */
+function summarizeOrderEdits(orderEdits, surplusUnits) {
+  if (orderEdits.length === 0) return '';
+  
+  const moved = orderEdits
+    .flatMap(order => order.changes)
+    .flatMap(change => change.reassigned)
+    .reduce((sum, allocation) => sum + allocation.allocated, 0);
+  const spare = surplusUnits.reduce((sum, unit) => sum + unit.quantity, 0);
+  const units = count => `${count} made unit${count === 1 ? '' : 's'}`;
+  const parts = [];
+  if (moved > 0) {
+    parts.push(`${units(moved)} moved to other orders`);
+  }
+  if (spare > 0) {
+    parts.push(`${units(spare)} now spare`);
+  }
+  const detail = parts.length > 0 ? ` (${parts.join(', ')})` : '';
+  return `${orderEdits.length} order${orderEdits.length === 1 ? '' : 's'} edited in Shopify${detail}`;
+}
+
+/**
+ * One-line summary of queued inventory changes sent during a sync, e.g.
+ * "4 inventory changes pushed, 1 waiting to retry"
+ */
+function summarizeInventoryPushes({ sent, failed }) {
+  const parts = [];
+  if (sent > 0) {
+    parts.push(`${sent} inventory change${sent === 1 ? '' : 's'} pushed`);
+  }
+  if (failed > 0) {
+    parts.push(`${failed} inventory change${failed === 1 ? '' : 's'} not pushed`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Write fetched Shopify data to the database (call inside a transaction)
+ * inventory: { inventoryData, levels, fetchedFrom } where fetchedFrom is when fetching it started
+ * Returns { updatedCount, removedCount, orderEdits, surplusUnits, stockAllocated }
+ */
+function saveSyncResults(syncMode, { orders, aggregated, ordersForStorage }, inventory, reconciliation) {
+  // Sync rewrites orders and task totals, so earlier actions can't be undone exactly
+  clearUndoHistory();
+  
+  let removedCount = 0;
+  
+  if (syncMode === 'incremental') {
+    // Replace the changed orders, drop the ones fulfilled or cancelled in Shopify
+    const merged = mergeUpdatedOrders(orders.map(order => order.id), ordersForStorage);
+    removedCount = merged.removedCount;
+    console.log(`Merged ${merged.storedCount} updated orders, removed ${merged.removedCount} closed (skipped ${merged.skippedCount} preserved)`);
+  } else {
+    // Get order IDs to skip during sync (archived + orders with progress)
+    const skipOrderIds = getOrderIdsToSkipDuringSync();
+    console.log(`Preserving ${skipOrderIds.size} orders (archived or with progress)`);
+    
+    // Clear orders without progress (safe to refresh from Shopify)
+    clearOrdersWithoutProgress();
+    
+    // Store orders and their line items (skip archived and orders with progress)
+    let storedCount = 0;
+    let skippedCount = 0;
+    for (const order of ordersForStorage) {
+      // Skip if this order is archived or has progress
+      if (skipOrderIds.has(order.orderId)) {
+        console.log(`Skipping preserved order: ${order.orderName}`);
+        skippedCount++;
+        continue;
+      }
+      upsertOrder(order);
+      for (const lineItem of order.lineItems) {
+        upsertOrderLineItem(lineItem);
+      }
+      storedCount++;
+    }
+    console.log(`Stored ${storedCount} orders with line items (skipped ${skippedCount} preserved)`);
+  }
+  
+  // Orders with progress were left alone above - bring in their Shopify edits
+  const orderEdits = mergePreservedOrderEdits(ordersForStorage);
+  for (const order of orderEdits) {
+    console.log(`Applied Shopify edits to preserved order ${order.orderName}: ${order.changes.length} line item(s) changed`);
+  }
+  
+  // Archive or flag preserved orders that were closed in Shopify
+  applyOrderReconciliation(reconciliation);
+  
+  // Update tasks (variant aggregates) - first upsert from Shopify data
+  let updatedCount = 0;
+  for (const item of aggregated) {
+    upsertTask(item);
+    updatedCount++;
+  }
+  
+  // Recalculate task totals to exclude archived order quantities
+  // This is necessary because Shopify aggregated data includes all orders,
+  // and an incremental sync only aggregates the orders that changed
+  if (syncMode === 'incremental' || getOrderIdsToSkipDuringSync().size > 0) {
+    recalculateTaskTotalsFromOrders();
+  }
+  
+  // Ensure order statuses are consistent with their line items
+  updateAllOrderStatuses();
+  
+  const surplusUnits = recordClampedUnits(orderEdits);
+  
+  bulkUpsertInventory(inventory.inventoryData);
+  // Null when levels couldn't be read - keep what was there
+  if (inventory.levels) {
+    replaceInventoryLevels(inventory.levels);
+  }
+  
+  // Keep made units that haven't reached Shopify's numbers yet
+  reapplyUnsyncedInventoryPushes(inventory.fetchedFrom);
+  
+  // Needs this sync's tasks and inventory
+  const stockAllocated = allocateStockAfterSync();
+  
+  return { updatedCount, removedCount, orderEdits, surplusUnits, stockAllocated };
+}
+
+/**
+ * Fetch from Shopify and save (activeSyncClient is set while it runs)
+ * Returns { success, data } like an IPC handler, with cancelled: true when cancelled
+ */
+async function fetchAndSave(options) {
+  const startedAt = new Date().toISOString();
+  let syncMode = 'full';
+  
+  try {
+    console.log('Starting Shopify sync...');
+    
+    // Get credentials from config
+    const storeUrl = getStoreUrl();
+    const accessToken = getAccessToken();
+    
+    if (!storeUrl || !accessToken) {
+      throw new Error('Not authenticated. Please connect to Shopify first.');
+    }
+    
+    // Create Shopify client - it reports progress as it fetches, and cancelSync can stop it
+    const client = new ShopifyClient(storeUrl, accessToken, {
+      onProgress: progress => sendToAllWindows('sync-progress', progress)
+    });
+    activeSyncClient = client;
+    
+    // Only fetch orders changed since the last sync, unless a full resync is due
+    const updatedSince = getIncrementalSyncStart(options.full);
+    syncMode = updatedSince ? 'incremental' : 'full';
+    console.log(updatedSince ? `Incremental sync of orders updated since ${updatedSince}` : 'Full resync of all unfulfilled orders');
+    
+    // Fetch everything before writing anything, so a cancelled or failed
+    // fetch leaves the database untouched
+    // Full resyncs use bulk operations instead of paging
+    const result = await client.fetchAndAggregate({ updatedSince, bulk: syncMode === 'full' });
+    const { stats } = result;
+    console.log(`Synced ${stats.orderCount} orders, ${stats.variantCount} variants`);
+    
+    const reconciliation = await reconcilePreservedOrders(client, syncMode, result);
+    
+    const inventoryFetchedFrom = new Date().toISOString();
+    
+    console.log('Syncing inventory data...');
+    const { inventoryData, stats: inventoryStats } = await client.fetchInventory({ bulk: syncMode === 'full' });
+    console.log(`Synced ${inventoryStats.variantCount} inventory variants`);
+    
+    const { levels, locationCount } = await client.fetchInventoryLevels({ bulk: syncMode === 'full' });
+    if (levels) {
+      console.log(`Synced ${levels.length} inventory levels at ${locationCount} location(s)`);
+    }
+    const inventory = { inventoryData, levels, fetchedFrom: inventoryFetchedFrom };
+    
+    // Last chance to cancel - after this the sync is written in one go
+    client.throwIfCancelled();
+    client.reportProgress({ phase: 'saving' });
+    
+    const { updatedCount, removedCount, orderEdits, surplusUnits, stockAllocated } = runInTransaction(() => saveSyncResults(syncMode, result, inventory, reconciliation));
+    
+    // Send queued inventory changes only now the sync can no longer be cancelled -
+    // sending changes Shopify and the outbox. Changes still queued when inventory
+    // was fetched were re-applied on top of it above.
+    // The sync is saved by now, so a failed send only leaves changes queued
+    const warnings = client.getWarnings();
+    let inventoryPushes;
+    try {
+      inventoryPushes = await flushInventoryOutbox();
+    } catch (error) {
+      console.error('Error pushing inventory changes:', error);
+      inventoryPushes = { sent: 0, failed: 0, pending: getInventoryPushStats().pending };
+      warnings.push(`Inventory changes not pushed, they stay queued for the next sync: ${error.message}`);
+    }
+    
+    // Log sync to history
+    logSync({
+      ordersFetched: stats.orderCount,
+      variantsUpdated: updatedCount,
+      status: 'success',
+      syncMode,
+      startedAt
+    });
+    
+    const queryCost = client.getQueryCost();
+    console.log(`Sync completed successfully (query cost ${queryCost.actual} points over ${queryCost.queries} queries, ${queryCost.retries} retries)`);
+    
+    const orderSummary = syncMode === 'incremental'
+      ? `${stats.orderCount} updated orders${removedCount > 0 ? ` (${removedCount} closed in Shopify)` : ''}`
+      : `${stats.orderCount} orders`;
+    const editSummary = summarizeOrderEdits(orderEdits, surplusUnits);
+    const reconciliationSummary = summarizeReconciliation(reconciliation);
+    const pushSummary = summarizeInventoryPushes(inventoryPushes);
+    const stockSummary = stockAllocated > 0 ? `${stockAllocated} unit${stockAllocated === 1 ? '' : 's'} allocated from stock` : '';
+    const notes = [editSummary, reconciliationSummary, pushSummary, stockSummary].filter(Boolean).join(', ');
+    
+    return { 
+      success: true, 
+      data: {
+        mode: syncMode,
+        ordersCount: stats.orderCount,
+        removedCount,
+        variantsCount: stats.variantCount,
+        inventoryCount: inventoryStats.variantCount,
+        locationCount,
+        queryCost,
+        warnings,
+        reconciliation,
+        orderEdits,
+        surplusUnits,
+        inventoryPushes,
+        stockAllocated,
+        message: `Synced ${orderSummary}, ${stats.variantCount} task variants, ${inventoryStats.variantCount} inventory items${notes ? ` - ${notes}` : ''}`
+      }
+    };
+  } catch (error) {
+    // Cancelled on purpose - nothing was written, so nothing to log either
+    if (error.cancelled) {
+      console.log('Sync cancelled');
+      return { success: false, cancelled: true, error: error.message };
+    }
+    
+    console.error('Error syncing from Shopify:', error);
+    
+    // Log failed sync
+    logSync({
+      ordersFetched: 0,
+      variantsUpdated: 0,
+      status: 'error',
+      errorMessage: error.message,
+      syncMode,
+      startedAt
+    });
+    
+    return { success: false, error: error.message };
+  } finally {
+    activeSyncClient = null;
+  }
+}
+
+/**
+ * Run a sync from Shopify, unless one is already running
+ * options: { full: force a full resync, trigger: 'manual' | 'auto' }
+ * Every open window is sent the result on 'sync-completed', with its trigger
+ */
+async function runSync(options = {}) {
+  if (activeSyncClient) {
+    return { success: false, error: 'A sync is already running' };
+  }
+  
+  const result = await fetchAndSave(options);
+  lastSyncAt = Date.now();
+  
+  sendToAllWindows('sync-completed', { trigger: options.trigger || 'manual', ...result });
+  return result;
+}
+
+/**
+ * Cancel the sync in progress (the database is left as it was)
+ * Returns false when no sync is running
+ */
+function cancelSync() {
+  if (!activeSyncClient) return false;
+  
+  activeSyncClient.cancel();
+  return true;
+}
+
+/**
+ * Check whether a sync is running
+ */
+function isSyncRunning() {
+  return activeSyncClient !== null;
+}
+
+/**
+ * When the last sync finished (ms since epoch), or null if none has run since launch
+ */
+function getLastSyncAt() {
+  return lastSyncAt;
+}
+
+module.exports = {
+  runSync,
+  cancelSync,
+  isSyncRunning,
+  getLastSyncAt,
+  sendToAllWindows
+};
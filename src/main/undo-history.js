@@ -0,0 +1,315 @@
+/**
+ * Undo/redo history for local production and archive actions
+ *
+ * Each undoable action stores a snapshot of every row it could touch (tasks,
+ * orders, order line items, production batches and their items) from just
+ * before and just after it ran. Undo writes the "before" rows back and redo
+ * writes the "after" rows back, so the exact fulfilled_quantity allocations
+ * are restored rather than re-allocated.
+ *
+ * Like migrations.js, these functions only use `db.exec(sql)` and
+ * `db.prepare(sql).get/all/run()` so they run against better-sqlite3 in the
+ * app and sql.js in tests. Callers are responsible for wrapping them in a
+ * transaction.
+ */
+
+// Keep the newest N actions - older ones can no longer be undone
+const UNDO_HISTORY_LIMIT = 50;
+
+// Tables covered by snapshots, their natural key (a list of columns for a
+// composite key), and the columns that must still match before an undo/redo
+// is allowed (timestamps are ignored)
+const SNAPSHOT_TABLES = {
+  tasks: { key: 'variant_id', compare: ['total_quantity', 'made_quantity', 'status'] },
+  orders: { key: 'order_id', compare: ['total_items', 'fulfilled_items', 'status'] },
+  order_line_items: { key: 'line_item_id', compare: ['quantity', 'fulfilled_quantity', 'pinned_quantity', 'stock_quantity'] },
+  batches: { key: 'id', compare: ['status'] },
+  batch_items: { key: ['batch_id', 'variant_id'], compare: ['planned_quantity', 'made_quantity'] }
+};
+
+function placeholders(values) {
+  return values.map(() => '?').join(',');
+}
+
+function keyColumns(key) {
+  return Array.isArray(key) ? key : [key];
+}
+
+// Snapshots are keyed by the row's key - a JSON array of the values for a composite key
+function rowKey(key, row) {
+  return Array.isArray(key) ? JSON.stringify(key.map(column => row[column])) : row[key];
+}
+
+function keyValues(key, id) {
+  return Array.isArray(key) ? JSON.parse(id) : [id];
+}
+
+/**
+ * Work out which rows an action on the given variants/orders/batches can touch
+ * scope: { variantIds: [], orderIds: [], batchIds: [] }
+ */
+function resolveSnapshotKeys(db, scope) {
+  const variantIds = new Set(scope.variantIds || []);
+  const orderIds = new Set(scope.orderIds || []);
+  const lineItems = [];
+
+  if (variantIds.size > 0) {
+    lineItems.push(...db.prepare(`
+      SELECT line_item_id, order_id, variant_id FROM order_line_items
+      WHERE variant_id IN (${placeholders([...variantIds])})
+    `).all(...variantIds));
+  }
+
+  if (orderIds.size > 0) {
+    lineItems.push(...db.prepare(`
+      SELECT line_item_id, order_id, variant_id FROM order_line_items
+      WHERE order_id IN (${placeholders([...orderIds])})
+    `).all(...orderIds));
+  }
+
+  const lineItemIds = new Set();
+  for (const item of lineItems) {
+    lineItemIds.add(item.line_item_id);
+    orderIds.add(item.order_id);
+    variantIds.add(item.variant_id);
+  }
+
+  const batchIds = [...(scope.batchIds || [])];
+  const batchItems = batchIds.length === 0 ? [] : db.prepare(`
+    SELECT batch_id, variant_id FROM batch_items
+    WHERE batch_id IN (${placeholders(batchIds)})
+  `).all(...batchIds);
+
+  return {
+    tasks: [...variantIds],
+    orders: [...orderIds],
+    order_line_items: [...lineItemIds],
+    batches: batchIds,
+    batch_items: batchItems.map(item => rowKey(SNAPSHOT_TABLES.batch_items.key, item))
+  };
+}
+
+/**
+ * Read the current rows for a set of keys
+ * Returns { tableName: { key: row | null } } - null means the row doesn't exist
+ */
+function captureSnapshot(db, keys) {
+  const snapshot = {};
+
+  for (const [table, { key }] of Object.entries(SNAPSHOT_TABLES)) {
+    const ids = keys[table] || [];
+    snapshot[table] = {};
+
+    for (const id of ids) {
+      snapshot[table][id] = null;
+    }
+
+    if (ids.length === 0) {
+      continue;
+    }
+
+    const columns = keyColumns(key);
+    const rows = db.prepare(`
+      SELECT * FROM ${table}
+      WHERE (${columns.join(', ')}) IN (VALUES ${ids.map(() => `(${placeholders(columns)})`).join(', ')})
+    `).all(...ids.flatMap(id => keyValues(key, id)));
+    for (const row of rows) {
+      snapshot[table][rowKey(key, row)] = row;
+    }
+  }
+
+  return snapshot;
+}
+
+function snapshotKeys(snapshot) {
+  const keys = {};
+  for (const table of Object.keys(SNAPSHOT_TABLES)) {
+    keys[table] = Object.keys(snapshot[table] || {});
+  }
+  return keys;
+}
+
+/**
+ * Check whether two snapshots agree on every compared column
+ */
+function snapshotsMatch(a, b) {
+  for (const [table, { compare }] of Object.entries(SNAPSHOT_TABLES)) {
+    const ids = new Set([...Object.keys(a[table] || {}), ...Object.keys(b[table] || {})]);
+
+    for (const id of ids) {
+      const rowA = a[table] ? a[table][id] : null;
+      const rowB = b[table] ? b[table][id] : null;
+
+      if (!rowA || !rowB) {
+        if (rowA || rowB) return false;
+        continue;
+      }
+
+      if (compare.some(column => rowA[column] !== rowB[column])) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Write snapshot rows back to the database (deleting rows that didn't exist)
+ */
+function applySnapshot(db, snapshot) {
+  for (const [table, { key }] of Object.entries(SNAPSHOT_TABLES)) {
+    for (const [id, row] of Object.entries(snapshot[table] || {})) {
+      const keyColumnNames = keyColumns(key);
+
+      if (!row) {
+        db.prepare(`DELETE FROM ${table} WHERE ${keyColumnNames.map(column => `${column} = ?`).join(' AND ')}`).run(...keyValues(key, id));
+        continue;
+      }
+
+      // Update in place rather than INSERT OR REPLACE - replacing deletes the
+      // row first, which cascades to an order's line items outside the snapshot
+      const columns = Object.keys(row);
+      const updates = columns.filter(column => !keyColumnNames.includes(column)).map(column => `${column} = excluded.${column}`);
+      db.prepare(`
+        INSERT INTO ${table} (${columns.join(', ')})
+        VALUES (${placeholders(columns)})
+        ON CONFLICT(${keyColumnNames.join(', ')}) DO UPDATE SET ${updates.join(', ')}
+      `).run(...columns.map(column => row[column]));
+    }
+  }
+}
+
+/**
+ * Describe how made quantities and line item allocations differ between two snapshots
+ */
+function diffSnapshots(from, to) {
+  const tasks = [];
+  const lineItems = [];
+
+  for (const variantId of Object.keys({ ...from.tasks, ...to.tasks })) {
+    const madeBefore = from.tasks[variantId] ? from.tasks[variantId].made_quantity : 0;
+    const madeAfter = to.tasks[variantId] ? to.tasks[variantId].made_quantity : 0;
+    if (madeBefore !== madeAfter) {
+      tasks.push({ variantId, madeBefore, madeAfter });
+    }
+  }
+
+  for (const lineItemId of Object.keys({ ...from.order_line_items, ...to.order_line_items })) {
+    const before = from.order_line_items[lineItemId];
+    const after = to.order_line_items[lineItemId];
+    const row = after || before;
+    const allocated = (after ? after.fulfilled_quantity : 0) - (before ? before.fulfilled_quantity : 0);
+    if (allocated !== 0) {
+      lineItems.push({ orderId: row.order_id, lineItemId, variantId: row.variant_id, allocated });
+    }
+  }
+
+  return { tasks, lineItems };
+}
+
+/**
+ * Store an action on the undo stack (clears anything that could be redone)
+ * Returns false if the action changed nothing and wasn't recorded
+ */
+function recordUndoAction(db, { action, description, before, after }) {
+  if (snapshotsMatch(before, after)) {
+    return false;
+  }
+
+  db.prepare('DELETE FROM undo_history WHERE undone = 1').run();
+  db.prepare(`
+    INSERT INTO undo_history (action, description, snapshot_before, snapshot_after)
+    VALUES (?, ?, ?, ?)
+  `).run(action, description, JSON.stringify(before), JSON.stringify(after));
+
+  db.prepare(`
+    DELETE FROM undo_history
+    WHERE id NOT IN (SELECT id FROM undo_history ORDER BY id DESC LIMIT ?)
+  `).run(UNDO_HISTORY_LIMIT);
+
+  return true;
+}
+
+/**
+ * Move an entry from one snapshot to the other, refusing if the rows
+ * have been changed by something else since
+ */
+function replayEntry(db, entry, verb, fromSnapshot, toSnapshot) {
+  const current = captureSnapshot(db, snapshotKeys(fromSnapshot));
+  if (!snapshotsMatch(current, fromSnapshot)) {
+    throw new Error(`Cannot ${verb} "${entry.description}" - the affected orders or tasks have changed since`);
+  }
+
+  applySnapshot(db, toSnapshot);
+
+  return {
+    id: entry.id,
+    action: entry.action,
+    description: entry.description,
+    changes: diffSnapshots(fromSnapshot, toSnapshot)
+  };
+}
+
+/**
+ * Undo the most recent action that hasn't been undone
+ */
+function undoLastAction(db) {
+  const entry = db.prepare('SELECT * FROM undo_history WHERE undone = 0 ORDER BY id DESC LIMIT 1').get();
+  if (!entry) {
+    throw new Error('Nothing to undo');
+  }
+
+  const result = replayEntry(db, entry, 'undo', JSON.parse(entry.snapshot_after), JSON.parse(entry.snapshot_before));
+  db.prepare('UPDATE undo_history SET undone = 1 WHERE id = ?').run(entry.id);
+
+  return result;
+}
+
+/**
+ * Redo the most recently undone action
+ */
+function redoLastAction(db) {
+  const entry = db.prepare('SELECT * FROM undo_history WHERE undone = 1 ORDER BY id ASC LIMIT 1').get();
+  if (!entry) {
+    throw new Error('Nothing to redo');
+  }
+
+  const result = replayEntry(db, entry, 'redo', JSON.parse(entry.snapshot_before), JSON.parse(entry.snapshot_after));
+  db.prepare('UPDATE undo_history SET undone = 0 WHERE id = ?').run(entry.id);
+
+  return result;
+}
+
+/**
+ * Get what can currently be undone/redone (for the UI)
+ */
+function getUndoState(db) {
+  const undoEntry = db.prepare('SELECT description FROM undo_history WHERE undone = 0 ORDER BY id DESC LIMIT 1').get();
+  const redoEntry = db.prepare('SELECT description FROM undo_history WHERE undone = 1 ORDER BY id ASC LIMIT 1').get();
+
+  return {
+    canUndo: !!undoEntry,
+    canRedo: !!redoEntry,
+    undoDescription: undoEntry ? undoEntry.description : null,
+    redoDescription: redoEntry ? redoEntry.description : null
+  };
+}
+
+/**
+ * Forget all undo/redo history (e.g. after a sync rewrites orders)
+ */
+function clearUndoHistory(db) {
+  db.prepare('DELETE FROM undo_history').run();
+}
+
+module.exports = {
+  UNDO_HISTORY_LIMIT,
+  resolveSnapshotKeys,
+  captureSnapshot,
+  recordUndoAction,
+  undoLastAction,
+  redoLastAction,
+  getUndoState,
+  clearUndoHistory
+};
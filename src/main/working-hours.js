@@ -0,0 +1,99 @@
+/**
+ * Working hours - limit auto-sync to a daily time window on chosen weekdays
+ *
+ * A window whose end is before its start runs overnight, e.g. 22:00-06:00.
+ * The overnight part after midnight belongs to the day the window started.
+ */
+
+const DEFAULT_WORKING_HOURS = {
+  enabled: false,
+  start: '08:00',
+  end: '18:00',
+  days: [1, 2, 3, 4, 5] // Monday to Friday (0 = Sunday, like Date.getDay)
+};
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert an "HH:MM" time to minutes after midnight
+ */
+function parseTime(time) {
+  const match = TIME_PATTERN.exec(time);
+  if (!match) {
+    throw new Error(`Invalid time "${time}" - use HH:MM, e.g. 08:00`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Validate and fill in defaults for a stored working hours setting
+ * workingHours: { enabled, start, end, days }
+ */
+function normalizeWorkingHours(workingHours) {
+  const settings = { ...DEFAULT_WORKING_HOURS, ...(workingHours || {}) };
+
+  parseTime(settings.start);
+  parseTime(settings.end);
+  if (settings.start === settings.end) {
+    throw new Error('Working hours must start and end at different times');
+  }
+
+  const days = [...new Set((settings.days || []).map(Number))].sort((a, b) => a - b);
+  if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error('Working days must be numbers from 0 (Sunday) to 6 (Saturday)');
+  }
+  if (settings.enabled && days.length === 0) {
+    throw new Error('Choose at least one working day');
+  }
+
+  return { enabled: !!settings.enabled, start: settings.start, end: settings.end, days };
+}
+
+/**
+ * Check whether a moment falls inside the working hours
+ * Always true when working hours are turned off
+ */
+function isWithinWorkingHours(workingHours, date = new Date()) {
+  if (!workingHours || !workingHours.enabled) return true;
+
+  const start = parseTime(workingHours.start);
+  const end = parseTime(workingHours.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+
+  if (start < end) {
+    return workingHours.days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window
+  return (workingHours.days.includes(day) && minutes >= start) ||
+    (workingHours.days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * Short description for messages, e.g. "08:00-18:00 weekdays"
+ */
+function describeWorkingHours(workingHours) {
+  const days = workingHours.days.join(',');
+  let dayText;
+  if (days === '1,2,3,4,5') {
+    dayText = 'weekdays';
+  } else if (days === '0,1,2,3,4,5,6') {
+    dayText = 'every day';
+  } else {
+    dayText = workingHours.days.map(day => DAY_NAMES[day]).join(', ');
+  }
+  return `${workingHours.start}-${workingHours.end} ${dayText}`;
+}
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  DAY_NAMES,
+  parseTime,
+  normalizeWorkingHours,
+  isWithinWorkingHours,
+  describeWorkingHours
+};
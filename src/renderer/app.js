@@ -30,24 +30,117 @@ const App = {
     const toastMessage = ref(null);
     const fulfilledOrderToast = ref(null); // For order fulfilled notification
     const filter = ref('active'); // all, active, completed
-    const viewMode = ref('variants'); // 'variants', 'orders', or 'inventory'
-    const orderFilter = ref('active'); // all, active, fulfilled, archived
+    const viewMode = ref('variants'); // 'variants', 'orders', 'inventory', 'materials', 'batches' or 'stocktake'
+    const orderFilter = ref('active'); // all, active, fulfilled, archived, attention
     
     // Inventory state
     const inventoryFilter = ref('all'); // 'all' or 'out-of-stock'
     const inventorySearchQuery = ref('');
     const debouncedInventorySearch = ref('');
     const inventoryLoading = ref(false);
+    const inventoryLocationId = ref(''); // '' for all locations
+    const inventoryLocations = ref([]);
+    
+    // Inventory push state (made units added to Shopify inventory, per product)
+    const inventoryPushProducts = ref({}); // product ID -> { location_id, location_name }
+    const inventoryPushStats = ref({ pending: 0, failed: 0, lastError: null });
+    const inventoryPushEditing = ref(false);
+    const shopifyLocations = ref(null); // loaded when inventory push is first set up
+    const shopifyLocationsError = ref(null);
     let inventorySearchTimeout = null;
     
+    // Bill of materials state
+    const components = ref([]);
+    const componentForm = ref({ id: null, name: '', unit: 'pcs', sku: '', reorderPoint: 0 });
+    const materialsNeeded = ref({ components: [], variantsWithoutRecipe: [], netRequirement: false });
+    const expandedMaterialId = ref(null); // component whose variants are listed
+    const recipeVariantId = ref(null); // task whose recipe is being edited
+    const recipeLines = ref([]); // [{ componentId, quantity }]
+    
+    // Material stock state
+    const materialSettings = ref({ consumeOnMake: false });
+    const materialShortfall = ref([]);
+    const purchaseOrders = ref([]);
+    const purchaseOrderForm = ref({ id: null, supplier: '', reference: '', lines: [] });
+    const countingComponentId = ref(null); // component whose stock is being counted
+    const stockCount = ref(0);
+    const movementsComponentId = ref(null); // component whose stock movements are listed
+    const materialMovements = ref([]);
+    
     // Auto-sync state
     const autoSyncEnabled = ref(false);
     const autoSyncInterval = ref(5);
+    const autoSyncWorkingHours = ref({ enabled: false, start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5] });
     const lastSyncTime = ref(null);
     const lastSyncAgo = ref('');
-    let autoSyncTimer = null;
     let lastSyncAgoTimer = null;
     
+    // Days for the working hours picker, Monday first (day numbers as in Date.getDay)
+    const workingDayOptions = [
+      { day: 1, label: 'M', name: 'Monday' },
+      { day: 2, label: 'T', name: 'Tuesday' },
+      { day: 3, label: 'W', name: 'Wednesday' },
+      { day: 4, label: 'T', name: 'Thursday' },
+      { day: 5, label: 'F', name: 'Friday' },
+      { day: 6, label: 'S', name: 'Saturday' },
+      { day: 0, label: 'S', name: 'Sunday' }
+    ];
+    
+    // Made units taken off orders edited in Shopify, waiting to be reassigned
+    const surplusUnits = ref([]);
+    
+    // Sync progress and results pushed from the main process
+    const syncProgress = ref(null);
+    let unsubscribeSyncProgress = null;
+    let unsubscribeSyncCompleted = null;
+    
+    // Production history state
+    const historyVariantId = ref(null);
+    const productionHistory = ref([]);
+    const historyLoading = ref(false);
+    
+    // Allocation strategy state
+    const allocationStrategy = ref({ strategy: 'oldest_first', tag: '' });
+    const allocationStrategies = ref([]);
+    const previewVariantId = ref(null);
+    const previewQuantity = ref(1);
+    const allocationPreview = ref([]);
+    
+    // Fulfillment write-back state
+    const fulfillmentSettings = ref({ enabled: false, notifyCustomer: false });
+    // { orders: [{ orderId, orderName, trackingNumber, trackingCompany }], running, results }
+    const fulfillDialog = ref(null);
+    
+    // Production planning state (net requirement and allocating stock on hand)
+    const planningSettings = ref({ netRequirement: false, allocateStock: false });
+    
+    // Production batch state (named work sessions that reserve units of tasks)
+    const batches = ref([]);
+    const newBatchName = ref('');
+    const batchVariantId = ref(null); // task whose "add to batch" panel is open
+    const batchForm = ref({ batchId: 'new', name: '', quantity: 1 }); // batchId 'new' starts a batch
+    const closingBatchId = ref(null); // batch whose made quantities are being entered
+    const closingQuantities = ref({}); // variant ID -> made quantity
+    
+    // Print preview state - { type, options, title, html, busy }
+    const printPreview = ref(null);
+    
+    // Export state
+    const exportOptions = ref(null); // { datasets, formats, settings } from the main process
+    const exportDialog = ref(null); // { dataset, format, columns, busy }
+    
+    // Stocktake state (count sessions compared against Shopify inventory)
+    const stocktakes = ref([]);
+    const stocktakeForm = ref({ name: '', locationId: '' }); // locationId '' counts against all locations
+    const stocktakeScan = ref(''); // SKU scanned or typed into the open stocktake
+    const stocktakeSearch = ref(''); // finds variants to type counts for
+    const stocktakeWriteBack = ref(false);
+    const stocktakeSkipped = ref([]); // lines of the last import that weren't counted
+    const expandedStocktakeId = ref(null); // finished stocktake whose counts are shown
+    
+    // Undo/redo state
+    const undoState = ref({ canUndo: false, canRedo: false, undoDescription: null, redoDescription: null });
+    
     // Search state
     const taskSearchQuery = ref('');
     const orderSearchQuery = ref('');
@@ -57,6 +150,22 @@ const App = {
     let orderSearchTimeout = null;
 
     // Computed properties
+    const syncProgressText = computed(() => {
+      const progress = syncProgress.value;
+      if (!progress || !progress.phase) return 'Syncing...';
+      if (progress.phase === 'saving') return 'Saving...';
+      
+      const label = progress.phase === 'orders' ? 'Orders' : 'Inventory';
+      if (progress.bulkObjectCount !== null && progress.bulkObjectCount !== undefined) {
+        return `${label}: ${progress.bulkObjectCount} objects...`;
+      }
+      
+      const count = progress.phase === 'orders' 
+        ? `${progress.ordersSoFar} orders` 
+        : `${progress.productsSoFar} products`;
+      return `${label} page ${progress.page} (${count})...`;
+    });
+
     const filteredTasks = computed(() => {
       let result = tasks.value;
       
@@ -72,7 +181,7 @@ const App = {
       
       // Apply status filter
       if (filter.value === 'active') {
-        return result.filter(t => t.status === 'pending' || t.status === 'in_progress');
+        return result.filter(isActiveTask);
       }
       if (filter.value !== 'all') {
         return result.filter(t => t.status === filter.value);
@@ -80,6 +189,24 @@ const App = {
       return result;
     });
 
+    // Still production work - planning against net requirement drops tasks stock can cover
+    function isActiveTask(task) {
+      if (planningSettings.value.netRequirement) {
+        return task.net_to_make > 0;
+      }
+      return task.status === 'pending' || task.status === 'in_progress';
+    }
+
+    // Units still to make: what stock can't cover when planning against net requirement
+    function quantityToMake(task) {
+      return planningSettings.value.netRequirement ? task.net_to_make : task.remaining_quantity;
+    }
+
+    // Flagged by sync (e.g. cancelled in Shopify after units were made) and not dismissed yet
+    function needsAttention(order) {
+      return !!order.attention_reason && !order.attention_dismissed_at;
+    }
+
     const filteredOrders = computed(() => {
       let result;
       
@@ -90,6 +217,8 @@ const App = {
         result = orders.value.filter(o => o.status === 'pending' || o.status === 'in_progress');
       } else if (orderFilter.value === 'archived') {
         result = archivedOrders.value;
+      } else if (orderFilter.value === 'attention') {
+        result = orders.value.filter(needsAttention);
       } else {
         result = orders.value.filter(o => o.status === orderFilter.value);
       }
@@ -117,17 +246,44 @@ const App = {
       return result;
     });
 
+    // Made locally but not fulfilled in Shopify yet
+    function needsShopifyFulfillment(order) {
+      return order.status === 'fulfilled' && order.shopify_fulfillment_status !== 'success';
+    }
+
+    const ordersToFulfillInShopify = computed(() => orders.value.filter(needsShopifyFulfillment));
+
     const summary = computed(() => ({
       total: tasks.value.length,
-      active: tasks.value.filter(t => t.status === 'pending' || t.status === 'in_progress').length,
+      active: tasks.value.filter(isActiveTask).length,
       completed: tasks.value.filter(t => t.status === 'completed').length
     }));
 
+    const openBatches = computed(() => batches.value.filter(batch => batch.status === 'open'));
+    
+    const openStocktakes = computed(() => stocktakes.value.filter(stocktake => stocktake.status === 'open'));
+    const finishedStocktakes = computed(() => stocktakes.value.filter(stocktake => stocktake.status === 'finished'));
+    
+    // Inventory variants matching the stocktake search, to type counts for
+    const stocktakeMatches = computed(() => {
+      const query = stocktakeSearch.value.trim().toLowerCase();
+      if (!query) {
+        return [];
+      }
+      
+      return inventory.value.filter(item =>
+        (item.product_title && item.product_title.toLowerCase().includes(query)) ||
+        (item.variant_title && item.variant_title.toLowerCase().includes(query)) ||
+        (item.sku && item.sku.toLowerCase().includes(query))
+      ).slice(0, 20);
+    });
+    
     const orderSummary = computed(() => ({
       total: orders.value.length,
       active: orders.value.filter(o => o.status === 'pending' || o.status === 'in_progress').length,
       fulfilled: orders.value.filter(o => o.status === 'fulfilled').length,
-      archived: archivedOrders.value.length
+      archived: archivedOrders.value.length,
+      attention: orders.value.filter(needsAttention).length
     }));
 
     // Computed: Filtered inventory
@@ -136,7 +292,7 @@ const App = {
       
       // Apply out-of-stock filter
       if (inventoryFilter.value === 'out-of-stock') {
-        result = result.filter(item => item.inventory_quantity <= 0);
+        result = result.filter(item => item.is_out_of_stock);
       }
       
       // Apply no-image filter
@@ -157,6 +313,11 @@ const App = {
       return result;
     });
 
+    // Available at the selected location, or the total across all of them
+    function inventoryQuantity(item) {
+      return inventoryLocationId.value ? item.available : item.inventory_quantity;
+    }
+
     // Computed: Count of inventory items without images
     const inventoryNoImageCount = computed(() => {
       return inventory.value.filter(item => !item.image_url).length;
@@ -228,6 +389,9 @@ const App = {
           if (isAuthenticated.value) {
             await loadAll();
             await loadAutoSyncSettings();
+            await loadAllocationStrategy();
+            await loadFulfillmentSettings();
+            await loadPlanningSettings();
             startLastSyncAgoTimer();
           }
         }
@@ -256,6 +420,9 @@ const App = {
           isAuthenticated.value = true;
           storeUrl.value = result.data.storeUrl;
           await loadAll();
+          await loadAllocationStrategy();
+          await loadFulfillmentSettings();
+          await loadPlanningSettings();
           
           setTimeout(() => {
             successMessage.value = null;
@@ -347,57 +514,45 @@ const App = {
     }
 
     async function loadAll() {
-      await Promise.all([loadTasks(), loadOrders(), loadArchivedOrders(), loadInventory()]);
+      await Promise.all([loadTasks(), loadOrders(), loadArchivedOrders(), loadInventory(), loadMaterials(), loadBatches(), loadStocktakes(), loadUndoState()]);
+      
+      // Keep an open history panel in step with the latest actions
+      if (historyVariantId.value) {
+        await loadProductionHistory(historyVariantId.value);
+      }
+      
+      if (previewVariantId.value) {
+        await loadAllocationPreview();
+      }
     }
 
-    // Auto-sync functions
+    // Auto-sync functions (the syncs themselves run on a schedule in the main process)
     async function loadAutoSyncSettings() {
       try {
         const result = await window.api.getAutoSyncSettings();
         if (result.success) {
           autoSyncEnabled.value = result.data.enabled;
           autoSyncInterval.value = result.data.intervalMinutes;
-          if (autoSyncEnabled.value) {
-            startAutoSync();
-          }
+          autoSyncWorkingHours.value = result.data.workingHours;
         }
       } catch (e) {
         console.error('Failed to load auto-sync settings:', e);
       }
     }
 
-    function startAutoSync() {
-      stopAutoSync();
-      if (autoSyncEnabled.value && autoSyncInterval.value >= 1) {
-        const intervalMs = autoSyncInterval.value * 60 * 1000;
-        autoSyncTimer = setInterval(() => {
-          backgroundSync();
-        }, intervalMs);
-        console.log(`Auto-sync started: every ${autoSyncInterval.value} minute(s)`);
-      }
-    }
-
-    function stopAutoSync() {
-      if (autoSyncTimer) {
-        clearInterval(autoSyncTimer);
-        autoSyncTimer = null;
-      }
+    function saveAutoSyncSettings() {
+      return window.api.saveAutoSyncSettings(
+        autoSyncEnabled.value, 
+        autoSyncInterval.value,
+        { ...autoSyncWorkingHours.value, days: [...autoSyncWorkingHours.value.days] }
+      );
     }
 
     async function toggleAutoSync() {
       try {
-        const result = await window.api.saveAutoSyncSettings(
-          autoSyncEnabled.value, 
-          autoSyncInterval.value
-        );
+        const result = await saveAutoSyncSettings();
         if (result.success) {
-          if (autoSyncEnabled.value) {
-            startAutoSync();
-            showToast('Auto-sync enabled');
-          } else {
-            stopAutoSync();
-            showToast('Auto-sync disabled');
-          }
+          showToast(autoSyncEnabled.value ? 'Auto-sync enabled' : 'Auto-sync disabled');
         }
       } catch (e) {
         console.error('Failed to save auto-sync settings:', e);
@@ -412,12 +567,8 @@ const App = {
       autoSyncInterval.value = Math.floor(autoSyncInterval.value);
       
       try {
-        const result = await window.api.saveAutoSyncSettings(
-          autoSyncEnabled.value, 
-          autoSyncInterval.value
-        );
+        const result = await saveAutoSyncSettings();
         if (result.success && autoSyncEnabled.value) {
-          startAutoSync(); // Restart with new interval
           showToast(`Sync interval: ${autoSyncInterval.value} min`);
         }
       } catch (e) {
@@ -425,26 +576,48 @@ const App = {
       }
     }
 
-    async function backgroundSync() {
-      if (loading.value) return; // Skip if already syncing
-      
-      const previousOrderCount = orders.value.length;
+    function toggleWorkingDay(day) {
+      const days = autoSyncWorkingHours.value.days;
+      autoSyncWorkingHours.value.days = days.includes(day)
+        ? days.filter(d => d !== day)
+        : [...days, day].sort((a, b) => a - b);
+      updateAutoSyncWorkingHours();
+    }
+
+    async function updateAutoSyncWorkingHours() {
+      error.value = null;
       
       try {
-        const result = await window.api.syncFromShopify();
-        
+        const result = await saveAutoSyncSettings();
         if (result.success) {
-          await loadAll();
-          updateLastSyncTime();
-          
-          // Check for new orders
-          const newOrderCount = orders.value.length - previousOrderCount;
-          if (newOrderCount > 0) {
-            showToast(`🔄 ${newOrderCount} new order${newOrderCount > 1 ? 's' : ''} synced`);
-          }
+          autoSyncWorkingHours.value = result.data.workingHours;
+          showToast(result.data.message);
+        } else {
+          error.value = result.error;
+          await loadAutoSyncSettings();
         }
       } catch (e) {
-        console.error('Background sync error:', e);
+        console.error('Failed to update auto-sync working hours:', e);
+      }
+    }
+
+    // A sync finished in the main process - auto-sync, or a sync started in another window
+    async function handleSyncCompleted(result) {
+      // This window's own syncs update it when they return
+      if (loading.value) return;
+      
+      syncProgress.value = null;
+      if (!result.success) return;
+      
+      const previousOrderCount = orders.value.length;
+      addSurplusUnits(result.data.surplusUnits);
+      await loadAll();
+      updateLastSyncTime();
+      
+      // Check for new orders
+      const newOrderCount = orders.value.length - previousOrderCount;
+      if (result.trigger === 'auto' && newOrderCount > 0) {
+        showToast(`🔄 ${newOrderCount} new order${newOrderCount > 1 ? 's' : ''} synced`);
       }
     }
 
@@ -501,194 +674,1585 @@ const App = {
       try {
         const result = await window.api.getInventory({
           outOfStockOnly: false,
-          search: ''
+          search: '',
+          locationId: inventoryLocationId.value || null
         });
         
         if (result.success) {
           inventory.value = result.data.inventory;
           inventoryStats.value = result.data.stats;
+          inventoryLocations.value = result.data.locations;
+          
+          // The selected location is gone after a sync - show all of them
+          if (inventoryLocationId.value && !result.data.locations.some(l => l.location_id === inventoryLocationId.value)) {
+            inventoryLocationId.value = '';
+            await loadInventory();
+            return;
+          }
+          inventoryPushProducts.value = Object.fromEntries(result.data.pushProducts.map(p => [p.product_id, p]));
+          inventoryPushStats.value = result.data.pushStats;
         }
       } catch (e) {
         console.error('Error loading inventory:', e);
       }
     }
 
+    async function toggleInventoryPushEditing() {
+      inventoryPushEditing.value = !inventoryPushEditing.value;
+      if (!inventoryPushEditing.value || shopifyLocations.value) return;
+      
+      shopifyLocationsError.value = null;
+      
+      try {
+        const result = await window.api.getShopifyLocations();
+        
+        if (result.success) {
+          shopifyLocations.value = result.data;
+        } else {
+          shopifyLocationsError.value = result.error || 'Failed to load Shopify locations';
+        }
+      } catch (e) {
+        shopifyLocationsError.value = e.message || 'Failed to load Shopify locations';
+        console.error('Load Shopify locations error:', e);
+      }
+    }
 
-    async function syncFromShopify() {
-      loading.value = true;
+    // locationId '' stops pushing the product
+    async function setInventoryPushLocation(item, locationId) {
+      const location = shopifyLocations.value.find(l => l.id === locationId) || null;
       error.value = null;
-      successMessage.value = null;
       
       try {
-        const result = await window.api.syncFromShopify();
+        const result = await window.api.setInventoryPushProduct(item.product_id, location);
         
         if (result.success) {
-          successMessage.value = result.data.message || 'Sync completed successfully';
-          await loadAll();
-          updateLastSyncTime();
-          
-          // Auto-hide success message after 5 seconds
-          setTimeout(() => {
-            successMessage.value = null;
-          }, 5000);
+          showToast(result.data.message);
+          await loadInventory();
         } else {
-          error.value = result.error || 'Sync failed';
+          error.value = result.error || 'Failed to save inventory push';
         }
       } catch (e) {
-        error.value = e.message || 'Failed to sync from Shopify';
-        console.error('Sync error:', e);
-      } finally {
-        loading.value = false;
+        error.value = e.message || 'Failed to save inventory push';
+        console.error('Set inventory push error:', e);
       }
     }
 
-    async function markMade(variantId, quantity) {
+    async function retryInventoryPushes() {
       error.value = null;
       
       try {
-        const result = await window.api.markMade(variantId, quantity);
+        const result = await window.api.retryInventoryPushes();
         
         if (result.success) {
-          await loadAll();
-          
-          // Check for newly fulfilled orders
-          if (result.newlyFulfilledOrders && result.newlyFulfilledOrders.length > 0) {
-            showFulfilledOrderToast(result.newlyFulfilledOrders);
-          }
+          showToast(result.data.message);
+          await loadInventory();
         } else {
-          error.value = result.error || 'Failed to mark quantity';
+          error.value = result.error || 'Failed to push inventory changes';
         }
       } catch (e) {
-        error.value = e.message || 'Failed to mark quantity';
-        console.error('Mark made error:', e);
+        error.value = e.message || 'Failed to push inventory changes';
+        console.error('Retry inventory pushes error:', e);
       }
     }
 
-    async function markMadeCustom(task) {
-      if (!task.customQty || task.customQty < 1) {
+    async function loadMaterials() {
+      try {
+        const [componentsResult, materialsResult, shortfallResult, purchaseOrdersResult, settingsResult] = await Promise.all([
+          window.api.getComponents(),
+          window.api.getMaterialsNeeded(),
+          window.api.getMaterialShortfall(),
+          window.api.getPurchaseOrders(),
+          window.api.getMaterialSettings()
+        ]);
+        
+        if (componentsResult.success) {
+          components.value = componentsResult.data;
+        }
+        if (materialsResult.success) {
+          materialsNeeded.value = materialsResult.data;
+        }
+        if (shortfallResult.success) {
+          materialShortfall.value = shortfallResult.data;
+        }
+        if (purchaseOrdersResult.success) {
+          purchaseOrders.value = purchaseOrdersResult.data;
+        }
+        if (settingsResult.success) {
+          materialSettings.value = settingsResult.data;
+        }
+      } catch (e) {
+        console.error('Error loading materials:', e);
+      }
+    }
+
+    function editComponent(component) {
+      componentForm.value = { 
+        id: component.id, 
+        name: component.name, 
+        unit: component.unit, 
+        sku: component.sku || '', 
+        reorderPoint: component.reorder_point 
+      };
+    }
+    
+    function resetComponentForm() {
+      componentForm.value = { id: null, name: '', unit: 'pcs', sku: '', reorderPoint: 0 };
+    }
+
+    async function saveComponent() {
+      if (!componentForm.value.name.trim()) {
         return;
       }
       
-      await markMade(task.variant_id, task.customQty);
+      error.value = null;
       
-      // Reset custom quantity input
-      task.customQty = null;
+      try {
+        const result = await window.api.saveComponent({ 
+          ...componentForm.value, 
+          reorderPoint: Number(componentForm.value.reorderPoint) || 0 
+        });
+        
+        if (result.success) {
+          showToast(result.data.message);
+          resetComponentForm();
+          await loadMaterials();
+        } else {
+          error.value = result.error || 'Failed to save component';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save component';
+        console.error('Save component error:', e);
+      }
     }
 
-    async function markComplete(variantId) {
+    async function deleteComponent(component) {
+      const usedBy = component.recipe_count > 0 
+        ? ` It is used in ${component.recipe_count} recipe(s) and will be taken out of them.` 
+        : '';
+      if (!confirm(`Are you sure you want to delete ${component.name}?${usedBy}`)) {
+        return;
+      }
+      
       error.value = null;
       
       try {
-        const result = await window.api.markComplete(variantId);
+        const result = await window.api.deleteComponent(component.id);
         
         if (result.success) {
-          await loadAll();
-          
-          // Check for newly fulfilled orders
-          if (result.newlyFulfilledOrders && result.newlyFulfilledOrders.length > 0) {
-            showFulfilledOrderToast(result.newlyFulfilledOrders);
+          showToast(result.data.message);
+          if (componentForm.value.id === component.id) {
+            resetComponentForm();
           }
+          await loadMaterials();
         } else {
-          error.value = result.error || 'Failed to mark complete';
+          error.value = result.error || 'Failed to delete component';
         }
       } catch (e) {
-        error.value = e.message || 'Failed to mark complete';
-        console.error('Mark complete error:', e);
+        error.value = e.message || 'Failed to delete component';
+        console.error('Delete component error:', e);
       }
     }
 
-    async function resetTask(variantId) {
-      if (!confirm('Are you sure you want to reset this task? All progress will be lost.')) {
+    async function toggleRecipeEditor(variantId) {
+      if (recipeVariantId.value === variantId) {
+        recipeVariantId.value = null;
+        recipeLines.value = [];
         return;
       }
       
       error.value = null;
       
       try {
-        const result = await window.api.resetTask(variantId);
+        const result = await window.api.getVariantRecipe(variantId);
         
         if (result.success) {
-          await loadAll();
+          recipeVariantId.value = variantId;
+          recipeLines.value = result.data.map(line => ({ componentId: line.component_id, quantity: line.quantity }));
         } else {
-          error.value = result.error || 'Failed to reset task';
+          error.value = result.error || 'Failed to load recipe';
         }
       } catch (e) {
-        error.value = e.message || 'Failed to reset task';
-        console.error('Reset task error:', e);
+        error.value = e.message || 'Failed to load recipe';
+        console.error('Load recipe error:', e);
       }
     }
 
-    function progressPercentage(task) {
-      if (task.total_quantity === 0) return 0;
-      return Math.round((task.made_quantity / task.total_quantity) * 100);
+    function addRecipeLine() {
+      const used = new Set(recipeLines.value.map(line => line.componentId));
+      const next = components.value.find(component => !used.has(component.id));
+      if (next) {
+        recipeLines.value.push({ componentId: next.id, quantity: 1 });
+      }
     }
 
-    function orderProgressPercentage(order) {
-      if (order.total_items === 0) return 0;
-      return Math.round((order.fulfilled_items / order.total_items) * 100);
+    function removeRecipeLine(index) {
+      recipeLines.value.splice(index, 1);
     }
 
-    function formatStatus(status) {
-      const statusMap = {
-        'pending': 'Pending',
-        'in_progress': 'In Progress',
-        'completed': 'Completed',
-        'fulfilled': 'Fulfilled',
-        'archived': 'Archived'
-      };
-      return statusMap[status] || status;
+    async function saveRecipe() {
+      error.value = null;
+      
+      try {
+        const lines = recipeLines.value.map(line => ({ componentId: line.componentId, quantity: Number(line.quantity) }));
+        const result = await window.api.saveVariantRecipe(recipeVariantId.value, lines);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          recipeVariantId.value = null;
+          recipeLines.value = [];
+          await loadMaterials();
+        } else {
+          error.value = result.error || 'Failed to save recipe';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save recipe';
+        console.error('Save recipe error:', e);
+      }
     }
 
-    function formatOrderDate(dateStr) {
-      const date = new Date(dateStr);
-      return date.toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric', 
-        year: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
+    function toggleMaterialVariants(componentId) {
+      expandedMaterialId.value = expandedMaterialId.value === componentId ? null : componentId;
     }
 
-    function showFulfilledOrderToast(orders) {
-      // Support both single order and array of orders
-      const orderArray = Array.isArray(orders) ? orders : [orders];
+    // Component quantities can be fractions (e.g. 0.25 m of vinyl)
+    function formatComponentQuantity(quantity) {
+      return Number.isInteger(quantity) ? String(quantity) : quantity.toFixed(3).replace(/0+$/, '');
+    }
+    
+    async function saveMaterialSettings() {
+      error.value = null;
       
-      fulfilledOrderToast.value = {
-        orders: orderArray.map(order => ({
-          orderName: order.order_name,
-          orderId: order.order_id,
-          shopifyAdminUrl: order.shopifyAdminUrl
-        }))
-      };
+      try {
+        const result = await window.api.saveMaterialSettings({ ...materialSettings.value });
+        
+        if (result.success) {
+          materialSettings.value = { consumeOnMake: result.data.consumeOnMake };
+          showToast(result.data.message);
+        } else {
+          error.value = result.error || 'Failed to save material settings';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save material settings';
+        console.error('Save material settings error:', e);
+      }
     }
-
-    function dismissFulfilledOrderToast() {
-      fulfilledOrderToast.value = null;
+    
+    function startStockCount(component) {
+      countingComponentId.value = component.id;
+      stockCount.value = Math.max(component.on_hand, 0);
     }
-
-    function openShopifyOrder(url) {
-      // Open in OS default browser
-      window.api.openExternal(url);
+    
+    function cancelStockCount() {
+      countingComponentId.value = null;
     }
-
-    function copyOrderLink(url) {
-      if (url) {
-        navigator.clipboard.writeText(url);
-        toastMessage.value = '✓ Link copied to clipboard!';
-        setTimeout(() => {
-          toastMessage.value = null;
-        }, 2000);
+    
+    async function saveStockCount() {
+      error.value = null;
+      
+      try {
+        const result = await window.api.setComponentStock(countingComponentId.value, Number(stockCount.value));
+        
+        if (result.success) {
+          showToast(result.data.message);
+          countingComponentId.value = null;
+          await loadMaterials();
+          if (movementsComponentId.value === result.data.component.id) {
+            await loadMaterialMovements();
+          }
+        } else {
+          error.value = result.error || 'Failed to save stock count';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save stock count';
+        console.error('Save stock count error:', e);
       }
     }
-
-    // Build Shopify admin URL for a product variant
-    function getInventoryAdminUrl(item) {
-      if (!storeUrl.value || !item.product_id || !item.variant_id) return null;
-      
-      // Extract numeric IDs from GIDs
-      const productMatch = item.product_id.match(/Product\/(\d+)/);
-      const variantMatch = item.variant_id.match(/ProductVariant\/(\d+)/);
+    
+    async function loadMaterialMovements() {
+      try {
+        const result = await window.api.getMaterialMovements(movementsComponentId.value);
+        
+        if (result.success) {
+          materialMovements.value = result.data;
+        }
+      } catch (e) {
+        console.error('Load material movements error:', e);
+      }
+    }
+    
+    async function toggleMaterialMovements(componentId) {
+      if (movementsComponentId.value === componentId) {
+        movementsComponentId.value = null;
+        materialMovements.value = [];
+        return;
+      }
+      
+      movementsComponentId.value = componentId;
+      materialMovements.value = [];
+      await loadMaterialMovements();
+    }
+    
+    function formatMovementReason(movement) {
+      const reasonMap = {
+        'count': 'Stock count',
+        'received': `Received on PO #${movement.purchase_order_id}`,
+        'mark_made': 'Used making',
+        'unmark_made': 'Returned (unmade)',
+        'allocate_manual': 'Used making for an order',
+        'mark_order_made': 'Used making an order',
+        'mark_complete': 'Used completing',
+        'reset': 'Returned (reset)',
+        'close_batch': 'Used in batch',
+        'undo': 'Undone',
+        'redo': 'Redone'
+      };
+      return reasonMap[movement.reason] || movement.reason;
+    }
+    
+    function resetPurchaseOrderForm() {
+      purchaseOrderForm.value = { id: null, supplier: '', reference: '', lines: [] };
+    }
+    
+    function editPurchaseOrder(purchaseOrder) {
+      purchaseOrderForm.value = {
+        id: purchaseOrder.id,
+        supplier: purchaseOrder.supplier,
+        reference: purchaseOrder.reference,
+        lines: purchaseOrder.lines.map(line => ({ componentId: line.component_id, quantity: line.quantity }))
+      };
+    }
+    
+    // Start a draft with what the shortfall report says to order
+    function draftPurchaseOrderFromShortfall() {
+      purchaseOrderForm.value = {
+        id: null,
+        supplier: '',
+        reference: '',
+        lines: materialShortfall.value.map(row => ({ componentId: row.componentId, quantity: row.toOrder }))
+      };
+    }
+    
+    function addPurchaseOrderLine() {
+      const used = new Set(purchaseOrderForm.value.lines.map(line => line.componentId));
+      const next = components.value.find(component => !used.has(component.id));
+      if (next) {
+        purchaseOrderForm.value.lines.push({ componentId: next.id, quantity: 1 });
+      }
+    }
+    
+    function removePurchaseOrderLine(index) {
+      purchaseOrderForm.value.lines.splice(index, 1);
+    }
+    
+    async function savePurchaseOrder() {
+      error.value = null;
+      
+      try {
+        const result = await window.api.savePurchaseOrder({
+          ...purchaseOrderForm.value,
+          lines: purchaseOrderForm.value.lines.map(line => ({ componentId: line.componentId, quantity: Number(line.quantity) }))
+        });
+        
+        if (result.success) {
+          showToast(result.data.message);
+          resetPurchaseOrderForm();
+          await loadMaterials();
+        } else {
+          error.value = result.error || 'Failed to save purchase order';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save purchase order';
+        console.error('Save purchase order error:', e);
+      }
+    }
+    
+    async function markPurchaseOrderOrdered(purchaseOrder) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.markPurchaseOrderOrdered(purchaseOrder.id);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          if (purchaseOrderForm.value.id === purchaseOrder.id) {
+            resetPurchaseOrderForm();
+          }
+          await loadMaterials();
+        } else {
+          error.value = result.error || 'Failed to mark purchase order ordered';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to mark purchase order ordered';
+        console.error('Mark purchase order ordered error:', e);
+      }
+    }
+    
+    async function receivePurchaseOrder(purchaseOrder) {
+      if (!confirm(`Receive purchase order #${purchaseOrder.id}? Its ${purchaseOrder.lines.length} line(s) will be added to stock.`)) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.receivePurchaseOrder(purchaseOrder.id);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          await loadMaterials();
+        } else {
+          error.value = result.error || 'Failed to receive purchase order';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to receive purchase order';
+        console.error('Receive purchase order error:', e);
+      }
+    }
+    
+    async function deletePurchaseOrder(purchaseOrder) {
+      if (!confirm(`Are you sure you want to delete purchase order #${purchaseOrder.id}?`)) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.deletePurchaseOrder(purchaseOrder.id);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          if (purchaseOrderForm.value.id === purchaseOrder.id) {
+            resetPurchaseOrderForm();
+          }
+          await loadMaterials();
+        } else {
+          error.value = result.error || 'Failed to delete purchase order';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to delete purchase order';
+        console.error('Delete purchase order error:', e);
+      }
+    }
+
+    // options.full forces a full resync instead of fetching only changed orders
+    async function syncFromShopify(options = {}) {
+      loading.value = true;
+      error.value = null;
+      successMessage.value = null;
+      
+      try {
+        const result = await window.api.syncFromShopify({ full: !!options.full });
+        
+        if (result.success) {
+          successMessage.value = result.data.message || 'Sync completed successfully';
+          
+          // e.g. orders with more line items than one page - worth a mention, not an error
+          const warnings = result.data.warnings || [];
+          if (warnings.length > 0) {
+            const more = warnings.length > 3 ? ` (and ${warnings.length - 3} more)` : '';
+            successMessage.value += ` ⚠ ${warnings.slice(0, 3).join('; ')}${more}`;
+          }
+          
+          addSurplusUnits(result.data.surplusUnits);
+          await loadAll();
+          updateLastSyncTime();
+          
+          // Auto-hide success message after 5 seconds
+          setTimeout(() => {
+            successMessage.value = null;
+          }, 5000);
+        } else if (result.cancelled) {
+          showToast('Sync cancelled - nothing was changed');
+        } else {
+          error.value = result.error || 'Sync failed';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to sync from Shopify';
+        console.error('Sync error:', e);
+      } finally {
+        loading.value = false;
+        syncProgress.value = null;
+      }
+    }
+
+    // Add spare units from a sync to the ones not reassigned yet
+    function addSurplusUnits(units) {
+      for (const unit of units || []) {
+        const existing = surplusUnits.value.find(u => u.variantId === unit.variantId);
+        if (existing) {
+          existing.quantity += unit.quantity;
+        } else {
+          surplusUnits.value.push({ ...unit });
+        }
+      }
+    }
+
+    // Mark spare units made again, so they go to the next orders that need them
+    async function reassignSurplusUnit(unit) {
+      await markMade(unit.variantId, unit.quantity);
+      if (!error.value) {
+        surplusUnits.value = surplusUnits.value.filter(u => u !== unit);
+        showToast(`Reassigned ${unit.quantity} × ${unit.productTitle}`);
+      }
+    }
+
+    async function cancelSync() {
+      try {
+        await window.api.cancelSync();
+      } catch (e) {
+        console.error('Cancel sync error:', e);
+      }
+    }
+
+    async function markMade(variantId, quantity) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.markMade(variantId, quantity);
+        
+        if (result.success) {
+          await loadAll();
+          
+          // Check for newly fulfilled orders
+          if (result.newlyFulfilledOrders && result.newlyFulfilledOrders.length > 0) {
+            showFulfilledOrderToast(result.newlyFulfilledOrders);
+          }
+        } else {
+          error.value = result.error || 'Failed to mark quantity';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to mark quantity';
+        console.error('Mark made error:', e);
+      }
+    }
+
+    async function markMadeCustom(task) {
+      if (!task.customQty || task.customQty < 1) {
+        return;
+      }
+      
+      await markMade(task.variant_id, task.customQty);
+      
+      // Reset custom quantity input
+      task.customQty = null;
+    }
+
+    // Made units for one specific order (pinned there, automatic allocation won't move them)
+    async function allocateToLineItem(item, quantity) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.allocateToLineItem(item.line_item_id, quantity);
+        
+        if (result.success) {
+          await loadAll();
+          
+          if (result.newlyFulfilledOrders && result.newlyFulfilledOrders.length > 0) {
+            showFulfilledOrderToast(result.newlyFulfilledOrders);
+          }
+        } else {
+          error.value = result.error || 'Failed to allocate to order';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to allocate to order';
+        console.error('Allocate to line item error:', e);
+      }
+    }
+
+    // Make everything still left on one order (pinned to that order)
+    async function markOrderMade(order) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.markOrderMade(order.order_id);
+        
+        if (result.success) {
+          await loadAll();
+          
+          if (result.newlyFulfilledOrders && result.newlyFulfilledOrders.length > 0) {
+            showFulfilledOrderToast(result.newlyFulfilledOrders);
+          } else {
+            showToast(result.data.message);
+          }
+        } else {
+          error.value = result.error || 'Failed to mark order made';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to mark order made';
+        console.error('Mark order made error:', e);
+      }
+    }
+
+    async function unmarkMade(variantId, quantity) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.unmarkMade(variantId, quantity);
+        
+        if (result.success) {
+          await loadAll();
+          
+          // Let the user know which orders are no longer ready to ship
+          if (result.noLongerFulfilledOrders && result.noLongerFulfilledOrders.length > 0) {
+            const names = result.noLongerFulfilledOrders.map(o => o.order_name).join(', ');
+            showToast(`↩ ${names} no longer fulfilled`);
+          }
+        } else {
+          error.value = result.error || 'Failed to unmark quantity';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to unmark quantity';
+        console.error('Unmark made error:', e);
+      }
+    }
+
+    async function unmarkMadeCustom(task) {
+      if (!task.customQty || task.customQty < 1) {
+        return;
+      }
+      
+      await unmarkMade(task.variant_id, task.customQty);
+      
+      // Reset custom quantity input
+      task.customQty = null;
+    }
+
+    async function markComplete(variantId) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.markComplete(variantId);
+        
+        if (result.success) {
+          await loadAll();
+          
+          // Check for newly fulfilled orders
+          if (result.newlyFulfilledOrders && result.newlyFulfilledOrders.length > 0) {
+            showFulfilledOrderToast(result.newlyFulfilledOrders);
+          }
+        } else {
+          error.value = result.error || 'Failed to mark complete';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to mark complete';
+        console.error('Mark complete error:', e);
+      }
+    }
+
+    async function resetTask(variantId) {
+      if (!confirm('Are you sure you want to reset this task? All progress will be lost.')) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.resetTask(variantId);
+        
+        if (result.success) {
+          await loadAll();
+        } else {
+          error.value = result.error || 'Failed to reset task';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to reset task';
+        console.error('Reset task error:', e);
+      }
+    }
+
+    async function loadProductionHistory(variantId) {
+      historyLoading.value = true;
+      
+      try {
+        const result = await window.api.getProductionHistory(variantId);
+        
+        if (result.success) {
+          productionHistory.value = result.data;
+        } else {
+          error.value = result.error || 'Failed to load production history';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to load production history';
+        console.error('Load production history error:', e);
+      } finally {
+        historyLoading.value = false;
+      }
+    }
+
+    async function toggleProductionHistory(variantId) {
+      if (historyVariantId.value === variantId) {
+        historyVariantId.value = null;
+        productionHistory.value = [];
+        return;
+      }
+      
+      historyVariantId.value = variantId;
+      productionHistory.value = [];
+      await loadProductionHistory(variantId);
+    }
+
+    function formatProductionAction(action) {
+      const actionMap = {
+        'mark_made': 'Made',
+        'unmark_made': 'Unmade',
+        'allocate_manual': 'Made for order',
+        'mark_order_made': 'Order made',
+        'allocate_stock': 'Allocated from stock',
+        'close_batch': 'Made in batch',
+        'order_edited': 'Order edited in Shopify',
+        'mark_complete': 'Completed all',
+        'reset': 'Reset',
+        'undo': 'Undone',
+        'redo': 'Redone'
+      };
+      return actionMap[action] || action;
+    }
+
+    async function loadAllocationStrategy() {
+      try {
+        const result = await window.api.getAllocationStrategy();
+        
+        if (result.success) {
+          allocationStrategies.value = result.data.strategies;
+          allocationStrategy.value = { strategy: result.data.strategy, tag: result.data.tag };
+        }
+      } catch (e) {
+        console.error('Load allocation strategy error:', e);
+      }
+    }
+
+    async function saveAllocationStrategy() {
+      // Wait for a tag before saving the tag strategy
+      if (allocationStrategy.value.strategy === 'tag_first' && !allocationStrategy.value.tag.trim()) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.saveAllocationStrategy({ ...allocationStrategy.value });
+        
+        if (result.success) {
+          showToast(result.data.message);
+          await loadAll();
+        } else {
+          error.value = result.error || 'Failed to save allocation strategy';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save allocation strategy';
+        console.error('Save allocation strategy error:', e);
+      }
+    }
+
+    async function loadFulfillmentSettings() {
+      try {
+        const result = await window.api.getFulfillmentSettings();
+        
+        if (result.success) {
+          fulfillmentSettings.value = result.data;
+        }
+      } catch (e) {
+        console.error('Load fulfillment settings error:', e);
+      }
+    }
+
+    async function saveFulfillmentSettings() {
+      error.value = null;
+      
+      try {
+        const result = await window.api.saveFulfillmentSettings({ ...fulfillmentSettings.value });
+        
+        if (result.success) {
+          fulfillmentSettings.value = { enabled: result.data.enabled, notifyCustomer: result.data.notifyCustomer };
+          showToast(result.data.message);
+        } else {
+          error.value = result.error || 'Failed to save fulfillment settings';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save fulfillment settings';
+        console.error('Save fulfillment settings error:', e);
+      }
+    }
+
+    async function loadBatches() {
+      try {
+        const result = await window.api.getBatches();
+        
+        if (result.success) {
+          batches.value = result.data;
+        }
+      } catch (e) {
+        console.error('Error loading batches:', e);
+      }
+    }
+    
+    // Units of a task not planned in an open batch yet
+    function freeToPlan(task) {
+      return Math.max(task.remaining_quantity - task.reserved_quantity, 0);
+    }
+    
+    function toggleBatchPanel(task) {
+      if (batchVariantId.value === task.variant_id) {
+        batchVariantId.value = null;
+        return;
+      }
+      
+      batchVariantId.value = task.variant_id;
+      batchForm.value = {
+        batchId: openBatches.value.length > 0 ? openBatches.value[0].id : 'new',
+        name: '',
+        quantity: freeToPlan(task)
+      };
+    }
+    
+    async function createBatch() {
+      const name = newBatchName.value.trim();
+      if (!name) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.createBatch(name);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          newBatchName.value = '';
+          await loadBatches();
+        } else {
+          error.value = result.error || 'Failed to start batch';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to start batch';
+        console.error('Create batch error:', e);
+      }
+    }
+    
+    async function addTaskToBatch(task) {
+      error.value = null;
+      
+      try {
+        let batchId = batchForm.value.batchId;
+        
+        if (batchId === 'new') {
+          const created = await window.api.createBatch(batchForm.value.name);
+          if (!created.success) {
+            error.value = created.error || 'Failed to start batch';
+            return;
+          }
+          batchId = created.data.batch.id;
+        }
+        
+        const result = await window.api.addToBatch(batchId, task.variant_id, Number(batchForm.value.quantity));
+        
+        if (result.success) {
+          showToast(result.data.message);
+          batchVariantId.value = null;
+          await Promise.all([loadTasks(), loadBatches()]);
+        } else {
+          error.value = result.error || 'Failed to add to batch';
+          await loadBatches();
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to add to batch';
+        console.error('Add to batch error:', e);
+      }
+    }
+    
+    async function setBatchItemQuantity(batch, item, quantity) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.setBatchItemQuantity(batch.id, item.variant_id, Number(quantity));
+        
+        if (!result.success) {
+          error.value = result.error || 'Failed to change batch';
+        }
+        await Promise.all([loadTasks(), loadBatches()]);
+      } catch (e) {
+        error.value = e.message || 'Failed to change batch';
+        console.error('Set batch item quantity error:', e);
+      }
+    }
+    
+    async function deleteBatch(batch) {
+      if (!confirm(`Are you sure you want to delete the batch "${batch.name}"? Its planned units are freed; nothing is marked made.`)) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.deleteBatch(batch.id);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          await Promise.all([loadTasks(), loadBatches()]);
+        } else {
+          error.value = result.error || 'Failed to delete batch';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to delete batch';
+        console.error('Delete batch error:', e);
+      }
+    }
+    
+    // Ask what was actually made, starting from what was planned
+    function startClosingBatch(batch) {
+      closingBatchId.value = batch.id;
+      closingQuantities.value = Object.fromEntries(batch.items.map(item => [item.variant_id, item.planned_quantity]));
+    }
+    
+    function cancelClosingBatch() {
+      closingBatchId.value = null;
+      closingQuantities.value = {};
+    }
+    
+    async function closeBatch(batch) {
+      error.value = null;
+      
+      try {
+        const madeQuantities = Object.fromEntries(
+          Object.entries(closingQuantities.value).map(([variantId, quantity]) => [variantId, Number(quantity) || 0])
+        );
+        const result = await window.api.closeBatch(batch.id, madeQuantities);
+        
+        if (result.success) {
+          cancelClosingBatch();
+          await loadAll();
+          
+          if (result.newlyFulfilledOrders && result.newlyFulfilledOrders.length > 0) {
+            showFulfilledOrderToast(result.newlyFulfilledOrders);
+          } else {
+            showToast(result.data.message);
+          }
+        } else {
+          error.value = result.error || 'Failed to close batch';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to close batch';
+        console.error('Close batch error:', e);
+      }
+    }
+    
+    async function loadStocktakes() {
+      try {
+        const result = await window.api.getStocktakes();
+        
+        if (result.success) {
+          stocktakes.value = result.data;
+        }
+      } catch (e) {
+        console.error('Error loading stocktakes:', e);
+      }
+    }
+    
+    // Units counted and how far the counts are from Shopify overall
+    function stocktakeTotals(stocktake) {
+      return {
+        counted: stocktake.counts.reduce((sum, count) => sum + count.counted_quantity, 0),
+        variance: stocktake.counts.reduce((sum, count) => sum + count.variance, 0),
+        mismatched: stocktake.counts.filter(count => count.variance !== 0).length
+      };
+    }
+    
+    function countedQuantity(stocktake, variantId) {
+      const count = stocktake.counts.find(row => row.variant_id === variantId);
+      return count ? count.counted_quantity : '';
+    }
+    
+    function formatVariance(variance) {
+      return variance > 0 ? `+${variance}` : String(variance);
+    }
+    
+    async function startStocktake() {
+      const name = stocktakeForm.value.name.trim();
+      if (!name) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.startStocktake({ name, locationId: stocktakeForm.value.locationId || null });
+        
+        if (result.success) {
+          showToast(result.data.message);
+          stocktakeForm.value = { name: '', locationId: '' };
+          stocktakeSkipped.value = [];
+          await loadStocktakes();
+        } else {
+          error.value = result.error || 'Failed to start stocktake';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to start stocktake';
+        console.error('Start stocktake error:', e);
+      }
+    }
+    
+    // Each scan counts one more unit of the variant with that SKU
+    async function scanStocktakeSku(stocktake) {
+      const sku = stocktakeScan.value.trim();
+      if (!sku) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.scanStocktakeSku(stocktake.id, sku);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          stocktakeScan.value = '';
+          await loadStocktakes();
+        } else {
+          error.value = result.error || 'Failed to count SKU';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to count SKU';
+        console.error('Scan stocktake SKU error:', e);
+      }
+    }
+    
+    // An empty value removes the count
+    async function setStocktakeCount(stocktake, variantId, value) {
+      error.value = null;
+      
+      try {
+        const quantity = String(value).trim() === '' ? null : Number(value);
+        const result = await window.api.setStocktakeCount(stocktake.id, variantId, quantity);
+        
+        if (!result.success) {
+          error.value = result.error || 'Failed to save count';
+        }
+        await loadStocktakes();
+      } catch (e) {
+        error.value = e.message || 'Failed to save count';
+        console.error('Set stocktake count error:', e);
+      }
+    }
+    
+    async function importStocktakeCsv(stocktake) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.importStocktakeCsv(stocktake.id);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          stocktakeSkipped.value = result.data.skipped;
+          await loadStocktakes();
+        } else {
+          error.value = result.error || 'Failed to import counts';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to import counts';
+        console.error('Import stocktake CSV error:', e);
+      }
+    }
+    
+    async function finishStocktake(stocktake) {
+      const writeBack = stocktakeWriteBack.value && Boolean(stocktake.location_id);
+      const question = writeBack
+        ? `Finish "${stocktake.name}" and set Shopify inventory at ${stocktake.location_name} to the counted quantities?`
+        : `Finish "${stocktake.name}"? Its counts are kept as a record and can no longer be changed.`;
+      if (!confirm(question)) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.finishStocktake(stocktake.id, { writeBack });
+        
+        if (result.success) {
+          showToast(result.data.message);
+          stocktakeWriteBack.value = false;
+          stocktakeSkipped.value = [];
+          expandedStocktakeId.value = stocktake.id;
+          await Promise.all([loadStocktakes(), loadInventory()]);
+        } else {
+          error.value = result.error || 'Failed to finish stocktake';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to finish stocktake';
+        console.error('Finish stocktake error:', e);
+      }
+    }
+    
+    async function deleteStocktake(stocktake) {
+      if (!confirm(`Are you sure you want to delete the stocktake "${stocktake.name}" and its counts?`)) {
+        return;
+      }
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.deleteStocktake(stocktake.id);
+        
+        if (result.success) {
+          showToast(result.data.message);
+          stocktakeSkipped.value = [];
+          await loadStocktakes();
+        } else {
+          error.value = result.error || 'Failed to delete stocktake';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to delete stocktake';
+        console.error('Delete stocktake error:', e);
+      }
+    }
+    
+    function toggleStocktakeDetails(stocktake) {
+      expandedStocktakeId.value = expandedStocktakeId.value === stocktake.id ? null : stocktake.id;
+    }
+    
+    async function openPrintPreview(type, options = {}) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.getPrintPreview(type, options);
+        
+        if (result.success) {
+          printPreview.value = { type, options, ...result.data, busy: false };
+        } else {
+          error.value = result.error || 'Failed to build print preview';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to build print preview';
+        console.error('Print preview error:', e);
+      }
+    }
+    
+    function closePrintPreview() {
+      if (printPreview.value && printPreview.value.busy) return;
+      printPreview.value = null;
+    }
+    
+    // output: 'pdf' saves a PDF, 'printer' opens the system print dialog
+    async function outputPrintPreview(output) {
+      const preview = printPreview.value;
+      if (!preview || preview.busy) return;
+      
+      preview.busy = true;
+      
+      try {
+        // Plain copy - reactive proxies can't be sent over IPC
+        const options = JSON.parse(JSON.stringify(preview.options));
+        const result = output === 'pdf'
+          ? await window.api.savePrintPdf(preview.type, options)
+          : await window.api.printDocument(preview.type, options);
+        
+        preview.busy = false;
+        
+        if (result.success) {
+          showToast(result.data.message);
+          if (result.data.saved || result.data.printed) {
+            closePrintPreview();
+          }
+        } else {
+          showToast(result.error || 'Printing failed');
+        }
+      } catch (e) {
+        preview.busy = false;
+        showToast(e.message || 'Printing failed');
+        console.error('Print error:', e);
+      }
+    }
+    
+    // dataset: 'tasks' | 'orders' | 'archived_orders' | 'inventory'
+    async function openExportDialog(dataset) {
+      error.value = null;
+      
+      try {
+        if (!exportOptions.value) {
+          const result = await window.api.getExportOptions();
+          if (!result.success) {
+            error.value = result.error || 'Failed to load export options';
+            return;
+          }
+          exportOptions.value = result.data;
+        }
+        
+        const { datasets, settings } = exportOptions.value;
+        const defaultColumns = datasets[dataset].columns.filter(column => !column.optional).map(column => column.id);
+        
+        exportDialog.value = {
+          dataset,
+          format: settings.format,
+          columns: settings.columns[dataset] || defaultColumns,
+          busy: false
+        };
+      } catch (e) {
+        error.value = e.message || 'Failed to load export options';
+        console.error('Export options error:', e);
+      }
+    }
+    
+    function closeExportDialog() {
+      if (exportDialog.value && exportDialog.value.busy) return;
+      exportDialog.value = null;
+    }
+    
+    // The rows on screen, so the export has the current filters applied
+    function exportedIds(dataset) {
+      if (dataset === 'tasks') {
+        return filteredTasks.value.map(task => task.variant_id);
+      }
+      if (dataset === 'inventory') {
+        return filteredInventory.value.map(item => item.variant_id);
+      }
+      return filteredOrders.value.map(order => order.order_id);
+    }
+    
+    async function runExport() {
+      const dialog = exportDialog.value;
+      if (!dialog || dialog.busy) return;
+      
+      dialog.busy = true;
+      
+      try {
+        const columns = [...dialog.columns];
+        const result = await window.api.exportData(dialog.dataset, {
+          format: dialog.format,
+          columns,
+          ids: exportedIds(dialog.dataset),
+          locationId: dialog.dataset === 'inventory' ? inventoryLocationId.value || null : null
+        });
+        
+        dialog.busy = false;
+        
+        if (result.success) {
+          showToast(result.data.message);
+          if (result.data.saved) {
+            const settings = exportOptions.value.settings;
+            exportOptions.value.settings = {
+              format: dialog.format,
+              columns: { ...settings.columns, [dialog.dataset]: columns }
+            };
+            closeExportDialog();
+          }
+        } else {
+          showToast(result.error || 'Export failed');
+        }
+      } catch (e) {
+        dialog.busy = false;
+        showToast(e.message || 'Export failed');
+        console.error('Export error:', e);
+      }
+    }
+    
+    async function loadPlanningSettings() {
+      try {
+        const result = await window.api.getPlanningSettings();
+        
+        if (result.success) {
+          planningSettings.value = result.data;
+        }
+      } catch (e) {
+        console.error('Load planning settings error:', e);
+      }
+    }
+
+    async function savePlanningSettings() {
+      error.value = null;
+      
+      try {
+        const result = await window.api.savePlanningSettings({ ...planningSettings.value });
+        
+        if (result.success) {
+          planningSettings.value = { netRequirement: result.data.netRequirement, allocateStock: result.data.allocateStock };
+          showToast(result.data.message);
+          
+          // Stock allocation changes tasks; net requirement changes materials needed
+          if (result.data.allocatedUnits > 0) {
+            await loadAll();
+          } else {
+            await loadMaterials();
+          }
+          if (result.data.newlyFulfilledOrders.length > 0) {
+            showFulfilledOrderToast(result.data.newlyFulfilledOrders);
+          }
+        } else {
+          error.value = result.error || 'Failed to save planning settings';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to save planning settings';
+        console.error('Save planning settings error:', e);
+      }
+    }
+
+    // Ask for tracking details before fulfilling one or more orders in Shopify
+    function openFulfillDialog(ordersToFulfill) {
+      if (ordersToFulfill.length === 0) {
+        showToast('No orders to fulfill in Shopify');
+        return;
+      }
+      
+      fulfillDialog.value = {
+        orders: ordersToFulfill.map(order => ({
+          orderId: order.order_id,
+          orderName: order.order_name,
+          trackingNumber: '',
+          trackingCompany: ''
+        })),
+        running: false,
+        results: null
+      };
+    }
+
+    function closeFulfillDialog() {
+      if (fulfillDialog.value && fulfillDialog.value.running) return;
+      fulfillDialog.value = null;
+    }
+
+    function fulfillmentResultFor(orderId) {
+      const results = fulfillDialog.value && fulfillDialog.value.results;
+      return results ? results.find(r => r.orderId === orderId) : null;
+    }
+
+    async function submitFulfillDialog() {
+      const dialog = fulfillDialog.value;
+      
+      // Retrying only sends the orders that failed
+      const requests = dialog.orders
+        .filter(order => {
+          const previous = fulfillmentResultFor(order.orderId);
+          return !previous || !previous.success;
+        })
+        .map(order => ({ ...order }));
+      
+      dialog.running = true;
+      error.value = null;
+      
+      try {
+        const result = await window.api.fulfillInShopify(requests);
+        
+        if (result.success) {
+          const earlier = (dialog.results || []).filter(r => r.success);
+          dialog.results = [...earlier, ...result.data.results];
+          showToast(result.data.message);
+          await loadOrders();
+        } else {
+          error.value = result.error || 'Failed to fulfill in Shopify';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to fulfill in Shopify';
+        console.error('Fulfill in Shopify error:', e);
+      } finally {
+        dialog.running = false;
+      }
+    }
+
+    async function loadAllocationPreview() {
+      try {
+        const result = await window.api.previewAllocation(previewVariantId.value, previewQuantity.value);
+        
+        if (result.success) {
+          allocationPreview.value = result.data;
+        } else {
+          error.value = result.error || 'Failed to preview allocation';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to preview allocation';
+        console.error('Preview allocation error:', e);
+      }
+    }
+
+    // Show which orders the next N units would go to (N = custom qty, or 1)
+    async function toggleAllocationPreview(task) {
+      if (previewVariantId.value === task.variant_id) {
+        previewVariantId.value = null;
+        allocationPreview.value = [];
+        return;
+      }
+      
+      previewVariantId.value = task.variant_id;
+      previewQuantity.value = Math.max(1, Math.min(task.customQty || 1, task.remaining_quantity || 1));
+      allocationPreview.value = [];
+      await loadAllocationPreview();
+    }
+
+    async function setOrderPriority(orderId, value) {
+      const rank = value === '' || value === null ? null : parseInt(value, 10);
+      
+      try {
+        const result = await window.api.setOrderPriority(orderId, rank);
+        
+        if (result.success) {
+          await loadOrders();
+        } else {
+          error.value = result.error || 'Failed to set order priority';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to set order priority';
+        console.error('Set order priority error:', e);
+      }
+    }
+
+    async function loadUndoState() {
+      try {
+        const result = await window.api.getUndoState();
+        
+        if (result.success) {
+          undoState.value = result.data;
+        }
+      } catch (e) {
+        console.error('Load undo state error:', e);
+      }
+    }
+
+    async function undoLastAction() {
+      if (!undoState.value.canUndo) return;
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.undo();
+        
+        if (result.success) {
+          showToast(`↶ ${result.data.message}`);
+          await loadAll();
+        } else {
+          error.value = result.error || 'Failed to undo';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to undo';
+        console.error('Undo error:', e);
+      }
+    }
+
+    async function redoLastAction() {
+      if (!undoState.value.canRedo) return;
+      
+      error.value = null;
+      
+      try {
+        const result = await window.api.redo();
+        
+        if (result.success) {
+          showToast(`↷ ${result.data.message}`);
+          await loadAll();
+        } else {
+          error.value = result.error || 'Failed to redo';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to redo';
+        console.error('Redo error:', e);
+      }
+    }
+
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo (outside text fields)
+    function handleUndoShortcut(e) {
+      if (!isAuthenticated.value) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+        return;
+      }
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastAction();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastAction();
+      }
+    }
+
+    function formatEventTime(timestamp) {
+      // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+      const date = new Date(timestamp.replace(' ', 'T') + 'Z');
+      return date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    }
+
+    function progressPercentage(task) {
+      if (task.total_quantity === 0) return 0;
+      return Math.round((task.made_quantity / task.total_quantity) * 100);
+    }
+
+    function orderProgressPercentage(order) {
+      if (order.total_items === 0) return 0;
+      return Math.round((order.fulfilled_items / order.total_items) * 100);
+    }
+
+    function formatStatus(status) {
+      const statusMap = {
+        'pending': 'Pending',
+        'in_progress': 'In Progress',
+        'completed': 'Completed',
+        'fulfilled': 'Fulfilled',
+        'archived': 'Archived',
+        'draft': 'Draft',
+        'ordered': 'Ordered',
+        'received': 'Received',
+        'open': 'Open',
+        'closed': 'Closed',
+        'finished': 'Finished'
+      };
+      return statusMap[status] || status;
+    }
+
+    function formatOrderDate(dateStr) {
+      const date = new Date(dateStr);
+      return date.toLocaleDateString('en-US', { 
+        month: 'short', 
+        day: 'numeric', 
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    }
+
+    function showFulfilledOrderToast(orders) {
+      // Support both single order and array of orders
+      const orderArray = Array.isArray(orders) ? orders : [orders];
+      
+      fulfilledOrderToast.value = {
+        orders: orderArray.map(order => ({
+          orderName: order.order_name,
+          orderId: order.order_id,
+          shopifyAdminUrl: order.shopifyAdminUrl
+        }))
+      };
+    }
+
+    function dismissFulfilledOrderToast() {
+      fulfilledOrderToast.value = null;
+    }
+
+    function openShopifyOrder(url) {
+      // Open in OS default browser
+      window.api.openExternal(url);
+    }
+
+    function copyOrderLink(url) {
+      if (url) {
+        navigator.clipboard.writeText(url);
+        toastMessage.value = '✓ Link copied to clipboard!';
+        setTimeout(() => {
+          toastMessage.value = null;
+        }, 2000);
+      }
+    }
+
+    // Build Shopify admin URL for a product variant
+    function getInventoryAdminUrl(item) {
+      if (!storeUrl.value || !item.product_id || !item.variant_id) return null;
+      
+      // Extract numeric IDs from GIDs
+      const productMatch = item.product_id.match(/Product\/(\d+)/);
+      const variantMatch = item.variant_id.match(/ProductVariant\/(\d+)/);
       
       if (!productMatch || !variantMatch) return null;
       
@@ -743,6 +2307,28 @@ const App = {
       }
     }
 
+    async function dismissOrderAttention(order) {
+      error.value = null;
+      
+      try {
+        const result = await window.api.dismissOrderAttention(order.order_id);
+        
+        if (result.success) {
+          await loadOrders();
+          
+          // Nothing left to look at
+          if (orderFilter.value === 'attention' && orderSummary.value.attention === 0) {
+            orderFilter.value = 'active';
+          }
+        } else {
+          error.value = result.error || 'Failed to dismiss';
+        }
+      } catch (e) {
+        error.value = e.message || 'Failed to dismiss';
+        console.error('Dismiss order attention error:', e);
+      }
+    }
+
     async function archiveOrderFromToast() {
       if (fulfilledOrderToast.value && fulfilledOrderToast.value.orders) {
         // Archive all orders in the toast
@@ -753,6 +2339,12 @@ const App = {
       }
     }
 
+    function fulfillFromToast() {
+      const toastOrders = fulfilledOrderToast.value ? fulfilledOrderToast.value.orders : [];
+      fulfilledOrderToast.value = null;
+      openFulfillDialog(toastOrders.map(order => ({ order_id: order.orderId, order_name: order.orderName })));
+    }
+
     async function archiveAllFulfilled() {
       const fulfilledCount = orders.value.filter(o => o.status === 'fulfilled').length;
       
@@ -850,10 +2442,17 @@ const App = {
     // Lifecycle
     onMounted(() => {
       checkAuth();
+      window.addEventListener('keydown', handleUndoShortcut);
+      unsubscribeSyncProgress = window.api.onSyncProgress(progress => {
+        syncProgress.value = progress;
+      });
+      unsubscribeSyncCompleted = window.api.onSyncCompleted(handleSyncCompleted);
     });
 
     onUnmounted(() => {
-      stopAutoSync();
+      window.removeEventListener('keydown', handleUndoShortcut);
+      if (unsubscribeSyncProgress) unsubscribeSyncProgress();
+      if (unsubscribeSyncCompleted) unsubscribeSyncCompleted();
       if (lastSyncAgoTimer) clearInterval(lastSyncAgoTimer);
       if (taskSearchTimeout) clearTimeout(taskSearchTimeout);
       if (orderSearchTimeout) clearTimeout(orderSearchTimeout);
@@ -891,6 +2490,11 @@ const App = {
       copyOrderLink,
       archiveOrder,
       archiveOrderFromToast,
+      fulfillFromToast,
+      dismissOrderAttention,
+      needsAttention,
+      surplusUnits,
+      reassignSurplusUnit,
       archiveAllFulfilled,
       unarchiveOrder,
       unarchiveAllOrders,
@@ -899,12 +2503,53 @@ const App = {
       summary,
       loadTasks,
       syncFromShopify,
+      cancelSync,
+      syncProgressText,
       markMade,
       markMadeCustom,
+      unmarkMade,
+      unmarkMadeCustom,
+      allocateToLineItem,
+      markOrderMade,
       markComplete,
       resetTask,
       progressPercentage,
       formatStatus,
+      // Production history
+      historyVariantId,
+      productionHistory,
+      historyLoading,
+      toggleProductionHistory,
+      formatProductionAction,
+      formatEventTime,
+      // Allocation strategy
+      allocationStrategy,
+      allocationStrategies,
+      saveAllocationStrategy,
+      previewVariantId,
+      previewQuantity,
+      allocationPreview,
+      toggleAllocationPreview,
+      loadAllocationPreview,
+      setOrderPriority,
+      // Production planning
+      planningSettings,
+      savePlanningSettings,
+      quantityToMake,
+      // Fulfillment write-back
+      fulfillmentSettings,
+      saveFulfillmentSettings,
+      needsShopifyFulfillment,
+      ordersToFulfillInShopify,
+      fulfillDialog,
+      openFulfillDialog,
+      closeFulfillDialog,
+      fulfillmentResultFor,
+      submitFulfillDialog,
+      // Undo/redo
+      undoState,
+      undoLastAction,
+      redoLastAction,
       // Orders
       orders,
       archivedOrders,
@@ -917,10 +2562,14 @@ const App = {
       // Auto-sync
       autoSyncEnabled,
       autoSyncInterval,
+      autoSyncWorkingHours,
+      workingDayOptions,
       lastSyncTime,
       lastSyncAgo,
       toggleAutoSync,
       updateAutoSyncInterval,
+      toggleWorkingDay,
+      updateAutoSyncWorkingHours,
       // Search
       taskSearchQuery,
       orderSearchQuery,
@@ -938,7 +2587,107 @@ const App = {
       inventoryNoImageCount,
       onInventorySearchInput,
       copyInventoryLink,
-      openInventoryLink
+      inventoryLocationId,
+      inventoryLocations,
+      inventoryQuantity,
+      loadInventory,
+      inventoryPushProducts,
+      inventoryPushStats,
+      inventoryPushEditing,
+      shopifyLocations,
+      shopifyLocationsError,
+      toggleInventoryPushEditing,
+      setInventoryPushLocation,
+      retryInventoryPushes,
+      openInventoryLink,
+      // Bill of materials
+      components,
+      componentForm,
+      materialsNeeded,
+      expandedMaterialId,
+      recipeVariantId,
+      recipeLines,
+      editComponent,
+      resetComponentForm,
+      saveComponent,
+      deleteComponent,
+      toggleRecipeEditor,
+      addRecipeLine,
+      removeRecipeLine,
+      saveRecipe,
+      toggleMaterialVariants,
+      formatComponentQuantity,
+      // Material stock
+      materialSettings,
+      materialShortfall,
+      purchaseOrders,
+      purchaseOrderForm,
+      countingComponentId,
+      stockCount,
+      movementsComponentId,
+      materialMovements,
+      saveMaterialSettings,
+      startStockCount,
+      cancelStockCount,
+      saveStockCount,
+      toggleMaterialMovements,
+      formatMovementReason,
+      resetPurchaseOrderForm,
+      editPurchaseOrder,
+      draftPurchaseOrderFromShortfall,
+      addPurchaseOrderLine,
+      removePurchaseOrderLine,
+      savePurchaseOrder,
+      markPurchaseOrderOrdered,
+      receivePurchaseOrder,
+      deletePurchaseOrder,
+      // Production batches
+      batches,
+      openBatches,
+      newBatchName,
+      batchVariantId,
+      batchForm,
+      closingBatchId,
+      closingQuantities,
+      freeToPlan,
+      toggleBatchPanel,
+      createBatch,
+      addTaskToBatch,
+      setBatchItemQuantity,
+      deleteBatch,
+      startClosingBatch,
+      cancelClosingBatch,
+      closeBatch,
+      printPreview,
+      openPrintPreview,
+      closePrintPreview,
+      outputPrintPreview,
+      exportOptions,
+      exportDialog,
+      openExportDialog,
+      closeExportDialog,
+      runExport,
+      // Stocktakes
+      stocktakes,
+      openStocktakes,
+      finishedStocktakes,
+      stocktakeForm,
+      stocktakeScan,
+      stocktakeSearch,
+      stocktakeWriteBack,
+      stocktakeSkipped,
+      stocktakeMatches,
+      expandedStocktakeId,
+      stocktakeTotals,
+      countedQuantity,
+      formatVariance,
+      startStocktake,
+      scanStocktakeSku,
+      setStocktakeCount,
+      importStocktakeCsv,
+      finishStocktake,
+      deleteStocktake,
+      toggleStocktakeDetails
     };
   }
 };
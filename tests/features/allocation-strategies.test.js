@@ -0,0 +1,169 @@
+/**
+ * Feature: Allocation Strategies
+ *
+ * Tests that the store's allocation strategy decides which orders made
+ * units go to (and are taken back from), and that the preview matches.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getLineItemsByOrderId,
+  allocateMadeQuantityToOrders,
+  deallocateQuantityFromOrders,
+  previewAllocation,
+  setOrderPriority,
+  getAllocationStrategy,
+  saveAllocationStrategy
+} = require('../helpers/test-database');
+const { isExpressShipping, hasTag } = require('../../src/main/allocation-strategies');
+
+function fulfilled(orderId) {
+  return getLineItemsByOrderId(orderId)
+    .filter(item => item.variant_id === 'variant-1')
+    .reduce((sum, item) => sum + item.fulfilled_quantity, 0);
+}
+
+describe('Feature: Allocation Strategies', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    // Oldest: big standard order
+    upsertOrder({ orderId: 'order-a', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 5, shippingMethod: 'Standard' });
+    upsertOrderLineItem({ lineItemId: 'line-a', orderId: 'order-a', variantId: 'variant-1', productTitle: 'Mug', quantity: 3 });
+    upsertOrderLineItem({ lineItemId: 'line-a2', orderId: 'order-a', variantId: 'variant-2', productTitle: 'Cup', quantity: 2 });
+
+    // Tagged order
+    upsertOrder({ orderId: 'order-b', orderName: '#1002', orderDate: '2025-01-02T10:00:00Z', totalItems: 2, tags: 'wholesale, Rush' });
+    upsertOrderLineItem({ lineItemId: 'line-b', orderId: 'order-b', variantId: 'variant-1', productTitle: 'Mug', quantity: 2 });
+
+    // Newest: small express order
+    upsertOrder({ orderId: 'order-c', orderName: '#1003', orderDate: '2025-01-03T10:00:00Z', totalItems: 1, shippingMethod: 'Express Overnight' });
+    upsertOrderLineItem({ lineItemId: 'line-c', orderId: 'order-c', variantId: 'variant-1', productTitle: 'Mug', quantity: 1 });
+
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 6 });
+  });
+
+  describe('Settings', () => {
+    test('defaults to oldest first', () => {
+      expect(getAllocationStrategy()).toEqual({ strategy: 'oldest_first', tag: '' });
+    });
+
+    test('saves the strategy for the store', () => {
+      saveAllocationStrategy({ strategy: 'tag_first', tag: ' rush ' });
+
+      expect(getAllocationStrategy()).toEqual({ strategy: 'tag_first', tag: 'rush' });
+    });
+
+    test('rejects unknown strategies and tag strategy without a tag', () => {
+      expect(() => saveAllocationStrategy({ strategy: 'random' })).toThrow('Unknown allocation strategy: random');
+      expect(() => saveAllocationStrategy({ strategy: 'tag_first', tag: '' })).toThrow('A tag is required');
+    });
+  });
+
+  describe('Allocation order', () => {
+    test('oldest first fills the oldest order first', () => {
+      allocateMadeQuantityToOrders('variant-1', 3);
+
+      expect([fulfilled('order-a'), fulfilled('order-b'), fulfilled('order-c')]).toEqual([3, 0, 0]);
+    });
+
+    test('fewest remaining items first fills the smallest order first', () => {
+      saveAllocationStrategy({ strategy: 'fewest_remaining' });
+
+      allocateMadeQuantityToOrders('variant-1', 3);
+
+      expect([fulfilled('order-a'), fulfilled('order-b'), fulfilled('order-c')]).toEqual([0, 2, 1]);
+    });
+
+    test('express first fills express shipping orders first', () => {
+      saveAllocationStrategy({ strategy: 'express_first' });
+
+      allocateMadeQuantityToOrders('variant-1', 2);
+
+      expect([fulfilled('order-a'), fulfilled('order-b'), fulfilled('order-c')]).toEqual([1, 0, 1]);
+    });
+
+    test('tag first fills tagged orders first (case-insensitive)', () => {
+      saveAllocationStrategy({ strategy: 'tag_first', tag: 'rush' });
+
+      allocateMadeQuantityToOrders('variant-1', 2);
+
+      expect([fulfilled('order-a'), fulfilled('order-b'), fulfilled('order-c')]).toEqual([0, 2, 0]);
+    });
+
+    test('manual rank fills ranked orders by rank, then the rest oldest first', () => {
+      saveAllocationStrategy({ strategy: 'manual_rank' });
+      setOrderPriority('order-c', 1);
+      setOrderPriority('order-b', 2);
+
+      allocateMadeQuantityToOrders('variant-1', 4);
+
+      expect([fulfilled('order-a'), fulfilled('order-b'), fulfilled('order-c')]).toEqual([1, 2, 1]);
+    });
+
+    test('clearing a rank puts the order back with the unranked ones', () => {
+      saveAllocationStrategy({ strategy: 'manual_rank' });
+      setOrderPriority('order-c', 1);
+      setOrderPriority('order-c', null);
+
+      allocateMadeQuantityToOrders('variant-1', 1);
+
+      expect(fulfilled('order-a')).toBe(1);
+    });
+  });
+
+  describe('Deallocation', () => {
+    test('takes units back in reverse of the strategy order', () => {
+      saveAllocationStrategy({ strategy: 'tag_first', tag: 'rush' });
+      allocateMadeQuantityToOrders('variant-1', 6);
+
+      deallocateQuantityFromOrders('variant-1', 2);
+
+      // The tagged order keeps its units, the last untagged order gives them back
+      expect([fulfilled('order-a'), fulfilled('order-b'), fulfilled('order-c')]).toEqual([2, 2, 0]);
+    });
+  });
+
+  describe('Preview', () => {
+    test('shows where the next units would go without changing anything', () => {
+      saveAllocationStrategy({ strategy: 'fewest_remaining' });
+
+      const preview = previewAllocation('variant-1', 2);
+
+      expect(preview).toEqual([
+        { orderId: 'order-c', orderName: '#1003', lineItemId: 'line-c', allocated: 1, completesOrder: true },
+        { orderId: 'order-b', orderName: '#1002', lineItemId: 'line-b', allocated: 1, completesOrder: false }
+      ]);
+      expect(fulfilled('order-c')).toBe(0);
+    });
+  });
+
+  describe('Helpers', () => {
+    test('recognises express shipping method names', () => {
+      expect(isExpressShipping('Express Overnight')).toBe(true);
+      expect(isExpressShipping('Priority Mail')).toBe(true);
+      expect(isExpressShipping('Next-Day Delivery')).toBe(true);
+      expect(isExpressShipping('Standard')).toBe(false);
+      expect(isExpressShipping(null)).toBe(false);
+    });
+
+    test('matches whole tags only', () => {
+      expect(hasTag('wholesale, Rush', 'rush')).toBe(true);
+      expect(hasTag('rushed', 'rush')).toBe(false);
+      expect(hasTag('', 'rush')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Feature: Bill of Materials
+ *
+ * Tests components, per-variant recipes and the "materials needed" rollup
+ * that multiplies what is left to make by each variant's recipe.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertTask,
+  upsertInventory,
+  updateMadeQuantity,
+  getAllComponents,
+  saveComponent,
+  deleteComponent,
+  getVariantRecipe,
+  setVariantRecipe,
+  getMaterialsNeeded
+} = require('../helpers/test-database');
+
+describe('Feature: Bill of Materials', () => {
+  let blank;
+  let vinyl;
+  let box;
+
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    blank = saveComponent({ name: 'Mug blank', sku: 'BLK-11' });
+    vinyl = saveComponent({ name: 'Vinyl', unit: 'm' });
+    box = saveComponent({ name: 'Box', unit: 'pcs' });
+
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', variantTitle: 'Red', totalQuantity: 4 });
+    upsertTask({ variantId: 'variant-2', productTitle: 'Mug', variantTitle: 'Blue', totalQuantity: 2 });
+    upsertTask({ variantId: 'variant-3', productTitle: 'Sticker', totalQuantity: 10 });
+  });
+
+  describe('Components', () => {
+    test('components default to pieces and names are unique', () => {
+      expect(blank).toMatchObject({ name: 'Mug blank', unit: 'pcs', sku: 'BLK-11' });
+
+      expect(() => saveComponent({ name: 'mug BLANK' })).toThrow('There is already a component called "mug BLANK"');
+      expect(() => saveComponent({ name: '  ' })).toThrow('Component name is required');
+    });
+
+    test('a component can be renamed', () => {
+      const renamed = saveComponent({ id: vinyl.id, name: 'Red vinyl', unit: 'm' });
+
+      expect(renamed).toMatchObject({ id: vinyl.id, name: 'Red vinyl' });
+      expect(getAllComponents().map(c => c.name)).toEqual(['Box', 'Mug blank', 'Red vinyl']);
+    });
+
+    test('deleting a component takes it out of recipes', () => {
+      setVariantRecipe('variant-1', [{ componentId: blank.id, quantity: 1 }, { componentId: box.id, quantity: 1 }]);
+      setVariantRecipe('variant-2', [{ componentId: blank.id, quantity: 1 }]);
+
+      expect(getAllComponents().find(c => c.id === blank.id).recipe_count).toBe(2);
+      expect(deleteComponent(blank.id)).toBe(2);
+      expect(getVariantRecipe('variant-1').map(line => line.name)).toEqual(['Box']);
+      expect(() => deleteComponent(blank.id)).toThrow('Component not found');
+    });
+  });
+
+  describe('Recipes', () => {
+    test('saving a recipe replaces the old one', () => {
+      setVariantRecipe('variant-1', [{ componentId: blank.id, quantity: 1 }]);
+      const recipe = setVariantRecipe('variant-1', [{ componentId: vinyl.id, quantity: 0.25 }, { componentId: box.id, quantity: 1 }]);
+
+      expect(recipe).toEqual([
+        { component_id: box.id, name: 'Box', unit: 'pcs', sku: '', quantity: 1 },
+        { component_id: vinyl.id, name: 'Vinyl', unit: 'm', sku: '', quantity: 0.25 }
+      ]);
+      expect(setVariantRecipe('variant-1', [])).toEqual([]);
+    });
+
+    test('rejects bad quantities, repeated components and unknown ones', () => {
+      expect(() => setVariantRecipe('variant-1', [{ componentId: blank.id, quantity: 0 }]))
+        .toThrow('Component quantities must be positive numbers');
+      expect(() => setVariantRecipe('variant-1', [{ componentId: blank.id, quantity: 1 }, { componentId: blank.id, quantity: 2 }]))
+        .toThrow('Each component can only be listed once per recipe');
+      expect(() => setVariantRecipe('variant-1', [{ componentId: 999, quantity: 1 }]))
+        .toThrow('Component not found');
+    });
+  });
+
+  describe('Materials needed', () => {
+    beforeEach(() => {
+      setVariantRecipe('variant-1', [{ componentId: blank.id, quantity: 1 }, { componentId: vinyl.id, quantity: 0.1 }]);
+      setVariantRecipe('variant-2', [{ componentId: blank.id, quantity: 1 }, { componentId: vinyl.id, quantity: 0.2 }]);
+    });
+
+    test('multiplies what is left to make by each recipe and rolls it up', () => {
+      updateMadeQuantity('variant-1', 1);
+
+      const { components, variantsWithoutRecipe } = getMaterialsNeeded();
+
+      expect(components.map(c => [c.name, c.quantityNeeded, c.unit])).toEqual([
+        ['Mug blank', 5, 'pcs'],
+        ['Vinyl', 0.7, 'm']
+      ]);
+      expect(components[1].variants).toEqual([
+        { variantId: 'variant-2', productTitle: 'Mug', variantTitle: 'Blue', units: 2, perUnit: 0.2, quantity: 0.4 },
+        { variantId: 'variant-1', productTitle: 'Mug', variantTitle: 'Red', units: 3, perUnit: 0.1, quantity: 0.3 }
+      ]);
+      expect(variantsWithoutRecipe.map(v => [v.variant_id, v.units])).toEqual([['variant-3', 10]]);
+    });
+
+    test('finished variants need nothing', () => {
+      updateMadeQuantity('variant-1', 4);
+      updateMadeQuantity('variant-2', 2);
+
+      expect(getMaterialsNeeded().components).toEqual([]);
+    });
+
+    test('planning against net requirement leaves out what stock covers', () => {
+      upsertInventory({ variantId: 'variant-1', productId: 'product-1', productTitle: 'Mug', variantTitle: 'Red', inventoryQuantity: 3 });
+
+      const blanks = getMaterialsNeeded(true).components.find(c => c.componentId === blank.id);
+
+      expect(blanks.quantityNeeded).toBe(3);
+      expect(blanks.variants.map(v => [v.variantId, v.units])).toEqual([['variant-2', 2], ['variant-1', 1]]);
+    });
+  });
+});
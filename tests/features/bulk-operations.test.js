@@ -0,0 +1,146 @@
+/**
+ * Feature: Bulk Operations
+ *
+ * Tests fetching orders and inventory with a Shopify bulk operation against
+ * a local stand-in server: starting the operation, polling, and rebuilding
+ * the JSONL result into the same shapes the paginated queries produce.
+ */
+
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+const ORDERS_JSONL = [
+  { id: 'gid://shopify/Order/1', name: '#1001', createdAt: '2025-01-01T10:00:00Z', tags: ['rush'], shippingLine: { title: 'Express', code: 'EXP' } },
+  { id: 'gid://shopify/LineItem/11', title: 'Mug', quantity: 2, fulfillableQuantity: 2, variant: { id: 'gid://shopify/ProductVariant/1', title: 'Default Title', sku: 'MUG', image: null, product: { id: 'gid://shopify/Product/1', title: 'Mug', featuredImage: { url: 'https://cdn/mug.png' } } }, __parentId: 'gid://shopify/Order/1' },
+  { id: 'gid://shopify/Order/2', name: '#1002', createdAt: '2025-01-02T10:00:00Z', tags: [], shippingLine: null },
+  { id: 'gid://shopify/LineItem/21', title: 'Mug', quantity: 1, fulfillableQuantity: 1, variant: { id: 'gid://shopify/ProductVariant/1', title: 'Default Title', sku: 'MUG', image: null, product: { id: 'gid://shopify/Product/1', title: 'Mug', featuredImage: null } }, __parentId: 'gid://shopify/Order/2' },
+  // Lines can arrive after other parents - they attach by __parentId
+  { id: 'gid://shopify/LineItem/12', title: 'Cup', quantity: 3, fulfillableQuantity: 3, variant: { id: 'gid://shopify/ProductVariant/2', title: 'Blue', sku: 'CUP', image: null, product: { id: 'gid://shopify/Product/2', title: 'Cup', featuredImage: null } }, __parentId: 'gid://shopify/Order/1' }
+].map(record => JSON.stringify(record)).join('\n') + '\n';
+
+const PRODUCTS_JSONL = [
+  { id: 'gid://shopify/Product/1', title: 'Mug', featuredImage: { url: 'https://cdn/mug.png' } },
+  { id: 'gid://shopify/ProductVariant/1', title: 'Default Title', sku: 'MUG', inventoryQuantity: 4, inventoryItem: { id: 'gid://shopify/InventoryItem/1' }, image: null, __parentId: 'gid://shopify/Product/1' },
+  { id: 'gid://shopify/ProductVariant/3', title: 'Large', sku: 'MUG-L', inventoryQuantity: 0, image: { url: 'https://cdn/mug-l.png' }, __parentId: 'gid://shopify/Product/1' }
+].map(record => JSON.stringify(record)).join('\n') + '\n';
+
+/**
+ * Stand-in that reports the operation as running once, then completed with a result file
+ */
+async function startBulkStandIn({ resultPath, finalStatus = 'COMPLETED', userErrors = [] }) {
+  let polls = 0;
+
+  const standIn = await startShopifyStandIn({
+    files: {
+      '/orders.jsonl': ORDERS_JSONL,
+      '/products.jsonl': PRODUCTS_JSONL
+    },
+    handlers: {
+      RunBulkQuery: () => ({
+        data: {
+          bulkOperationRunQuery: {
+            bulkOperation: userErrors.length > 0 ? null : { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' },
+            userErrors
+          }
+        }
+      }),
+      GetBulkOperation: () => {
+        polls++;
+        const status = polls === 1 ? 'RUNNING' : finalStatus;
+        return {
+          data: {
+            node: {
+              id: 'gid://shopify/BulkOperation/1',
+              status,
+              errorCode: status === 'FAILED' ? 'INTERNAL_SERVER_ERROR' : null,
+              objectCount: '5',
+              url: status === 'COMPLETED' && resultPath ? `${standIn.baseUrl}${resultPath}` : null
+            }
+          }
+        };
+      }
+    }
+  });
+
+  return standIn;
+}
+
+function createClient(standIn) {
+  return new ShopifyClient('test-store.myshopify.com', 'test-token', {
+    baseUrl: standIn.baseUrl,
+    bulkPollIntervalMs: 1
+  });
+}
+
+describe('Feature: Bulk Operations', () => {
+  let standIn;
+
+  afterEach(async () => {
+    if (standIn) {
+      await standIn.close();
+      standIn = null;
+    }
+  });
+
+  test('fetches orders with a bulk operation into the paginated shape', async () => {
+    standIn = await startBulkStandIn({ resultPath: '/orders.jsonl' });
+
+    const { ordersForStorage, aggregated, stats } = await createClient(standIn).fetchAndAggregate({ bulk: true });
+
+    expect(stats).toEqual({ orderCount: 2, variantCount: 2 });
+    expect(ordersForStorage[0]).toMatchObject({
+      orderId: 'gid://shopify/Order/1',
+      orderName: '#1001',
+      totalItems: 5,
+      shippingMethod: 'Express',
+      tags: 'rush'
+    });
+    expect(ordersForStorage[0].lineItems.map(item => [item.lineItemId, item.quantity])).toEqual([
+      ['gid://shopify/LineItem/11', 2],
+      ['gid://shopify/LineItem/12', 3]
+    ]);
+    expect(aggregated.find(item => item.variantId === 'gid://shopify/ProductVariant/1').totalQuantity).toBe(3);
+  });
+
+  test('polls until the operation completes and sends the access token', async () => {
+    standIn = await startBulkStandIn({ resultPath: '/orders.jsonl' });
+
+    await createClient(standIn).fetchAllUnfulfilledOrdersBulk();
+
+    expect(standIn.requests.map(r => r.operationName)).toEqual(['RunBulkQuery', 'GetBulkOperation', 'GetBulkOperation']);
+    expect(standIn.requests[0].variables.query).toContain('fulfillment_status:unfulfilled');
+    expect(standIn.requests[0].headers['x-shopify-access-token']).toBe('test-token');
+  });
+
+  test('fetches inventory with a bulk operation', async () => {
+    standIn = await startBulkStandIn({ resultPath: '/products.jsonl' });
+
+    const { inventoryData, stats } = await createClient(standIn).fetchInventory({ bulk: true });
+
+    expect(stats).toEqual({ productCount: 1, variantCount: 2 });
+    expect(inventoryData).toEqual([
+      { variantId: 'gid://shopify/ProductVariant/1', productId: 'gid://shopify/Product/1', productTitle: 'Mug', variantTitle: '', sku: 'MUG', imageUrl: 'https://cdn/mug.png', inventoryQuantity: 4, inventoryItemId: 'gid://shopify/InventoryItem/1' },
+      { variantId: 'gid://shopify/ProductVariant/3', productId: 'gid://shopify/Product/1', productTitle: 'Mug', variantTitle: 'Large', sku: 'MUG-L', imageUrl: 'https://cdn/mug-l.png', inventoryQuantity: 0, inventoryItemId: null }
+    ]);
+  });
+
+  test('returns nothing when the operation matched no objects', async () => {
+    standIn = await startBulkStandIn({ resultPath: null });
+
+    expect(await createClient(standIn).fetchAllUnfulfilledOrdersBulk()).toEqual([]);
+  });
+
+  test('reports a failed operation', async () => {
+    standIn = await startBulkStandIn({ finalStatus: 'FAILED' });
+
+    await expect(createClient(standIn).fetchAllUnfulfilledOrdersBulk())
+      .rejects.toThrow('Bulk operation failed: INTERNAL_SERVER_ERROR');
+  });
+
+  test('reports when the operation cannot start', async () => {
+    standIn = await startBulkStandIn({ userErrors: [{ field: null, message: 'A bulk query operation for this app and shop is already in progress' }] });
+
+    await expect(createClient(standIn).fetchAllUnfulfilledOrdersBulk())
+      .rejects.toThrow('Bulk operation could not start: A bulk query operation for this app and shop is already in progress');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Feature: Data Export
+ *
+ * Tests turning tasks, orders and inventory into tables of the chosen
+ * columns, and writing them as CSV or XLSX that spreadsheets open cleanly.
+ */
+
+const zlib = require('zlib');
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  upsertInventory,
+  getAllTasks,
+  getOrdersWithLineItems,
+  getAllInventory,
+  getExportSettings,
+  saveExportSettings
+} = require('../helpers/test-database');
+const { getExportColumns, buildExportTable, toCsv, toXlsx } = require('../../src/main/data-export');
+
+// Read the files back out of a zip archive: { name: content }
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+
+  while (buffer.readUInt32LE(offset) === 0x04034B50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+
+  return files;
+}
+
+describe('Feature: Data Export', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    upsertOrder({ orderId: 'gid://shopify/Order/1001', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 3 });
+    upsertOrderLineItem({ orderId: 'gid://shopify/Order/1001', lineItemId: 'line-1', variantId: 'variant-1', productTitle: 'Tasse «Café» ☕', variantTitle: 'Rouge', quantity: 2 });
+    upsertOrderLineItem({ orderId: 'gid://shopify/Order/1001', lineItemId: 'line-2', variantId: 'variant-2', productTitle: 'Cap', variantTitle: 'Default Title', quantity: 1 });
+    upsertTask({ variantId: 'variant-1', productTitle: 'Tasse «Café» ☕', variantTitle: 'Rouge', sku: 'TAS-R', totalQuantity: 2 });
+  });
+
+  describe('Columns', () => {
+    test('optional columns are left out unless picked', () => {
+      const table = buildExportTable('tasks', getAllTasks());
+
+      expect(table.name).toBe('Tasks');
+      expect(table.header).not.toContain('Variant ID');
+      expect(table.rows[0].slice(0, 4)).toEqual(['Tasse «Café» ☕', 'Rouge', 'TAS-R', 'pending']);
+
+      expect(getExportColumns().tasks.columns.find(column => column.id === 'variant_id').optional).toBe(true);
+    });
+
+    test('picked columns keep the dataset column order', () => {
+      const table = buildExportTable('tasks', getAllTasks(), ['remaining_quantity', 'variant_id', 'product_title']);
+
+      expect(table.header).toEqual(['Product', 'Remaining', 'Variant ID']);
+      expect(table.rows).toEqual([['Tasse «Café» ☕', 2, 'variant-1']]);
+      expect(() => buildExportTable('tasks', getAllTasks(), [])).toThrow('Pick at least one column to export');
+      expect(() => buildExportTable('customers', [])).toThrow('Unknown export: customers');
+    });
+
+    test('orders get a row per line item with the Shopify admin URL', () => {
+      const orders = getOrdersWithLineItems().map(order => ({ ...order, shopifyAdminUrl: 'https://a.myshopify.com/admin/orders/1001' }));
+      const table = buildExportTable('orders', orders, ['order_name', 'shopify_admin_url', 'product_title', 'variant_title', 'remaining_quantity']);
+
+      expect(table.rows).toEqual([
+        ['#1001', 'https://a.myshopify.com/admin/orders/1001', 'Tasse «Café» ☕', 'Rouge', 2],
+        ['#1001', 'https://a.myshopify.com/admin/orders/1001', 'Cap', '', 1]
+      ]);
+    });
+
+    test('inventory shows the quantity at the chosen location', () => {
+      upsertInventory({ variantId: 'variant-1', productId: 'product-1', productTitle: 'Mug', variantTitle: 'Red', inventoryQuantity: 0 });
+
+      const table = buildExportTable('inventory', getAllInventory(), ['product_title', 'location_name', 'quantity', 'out_of_stock']);
+
+      expect(table.rows).toEqual([['Mug', 'All locations', 0, 'Yes']]);
+    });
+  });
+
+  describe('CSV', () => {
+    test('starts with a byte order mark and quotes what needs quoting', () => {
+      const csv = toCsv({
+        name: 'Tasks',
+        header: ['Product', 'Qty', 'Note'],
+        rows: [
+          ['Mug, "large"', 3, null],
+          ['Tasse «Café» ☕', -1, 'two\nlines']
+        ]
+      });
+
+      expect(csv).toBe('\uFEFFProduct,Qty,Note\r\n"Mug, ""large""",3,\r\nTasse «Café» ☕,-1,"two\nlines"\r\n');
+    });
+
+    test('text that looks like a formula is not run', () => {
+      const csv = toCsv({ name: 'Tasks', header: ['Product'], rows: [['=HYPERLINK("x")'], ['@SUM(A1)']] });
+
+      expect(csv.split('\r\n').slice(1, 3)).toEqual(['"\'=HYPERLINK(""x"")"', "'@SUM(A1)"]);
+    });
+  });
+
+  describe('XLSX', () => {
+    test('writes a workbook with one sheet of inline strings and numbers', () => {
+      const files = unzip(toXlsx({
+        name: 'Archived orders',
+        header: ['Order', 'Product', 'Qty'],
+        rows: [['#1001', 'Tasse «Café» ☕ & <Co>', 2], ['#1002', null, 1]]
+      }));
+
+      expect(Object.keys(files)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml'
+      ]);
+      expect(files['xl/workbook.xml']).toContain('<sheet name="Archived orders" sheetId="1" r:id="rId1"/>');
+
+      const sheet = files['xl/worksheets/sheet1.xml'];
+      expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Order</t></is></c>');
+      expect(sheet).toContain('<c r="B2" t="inlineStr"><is><t xml:space="preserve">Tasse «Café» ☕ &amp; &lt;Co&gt;</t></is></c>');
+      expect(sheet).toContain('<c r="C2"><v>2</v></c>');
+      // Empty cells are left out
+      expect(sheet).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">#1002</t></is></c><c r="C3"><v>1</v></c></row>');
+    });
+  });
+
+  describe('Settings', () => {
+    test('remembers the format and columns per dataset', () => {
+      expect(getExportSettings()).toEqual({ format: 'csv', columns: {} });
+
+      const saved = saveExportSettings({ format: 'xlsx', columns: { tasks: ['sku', 3], orders: 'all' } });
+
+      expect(saved).toEqual({ format: 'xlsx', columns: { tasks: ['sku'] } });
+      expect(getExportSettings()).toEqual(saved);
+    });
+  });
+});
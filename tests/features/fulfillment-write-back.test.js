@@ -0,0 +1,146 @@
+/**
+ * Feature: Fulfillment Write-back
+ *
+ * Tests fulfilling made orders in Shopify through fulfillment orders, and
+ * the per-order log of attempts that the orders view shows.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  getAllOrders,
+  getFulfillmentSettings,
+  saveFulfillmentSettings,
+  recordFulfillmentAttempt,
+  getFulfillmentLog
+} = require('../helpers/test-database');
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+const ORDER_ID = 'gid://shopify/Order/1';
+
+function fulfillmentOrder(id, lineItems, actions = ['CREATE_FULFILLMENT']) {
+  return {
+    node: {
+      id,
+      status: 'OPEN',
+      supportedActions: actions.map(action => ({ action })),
+      lineItems: {
+        edges: lineItems.map(([lineItemId, remainingQuantity]) => ({
+          node: { id: `${id}-${lineItemId}`, remainingQuantity, lineItem: { id: lineItemId } }
+        }))
+      }
+    }
+  };
+}
+
+describe('Feature: Fulfillment Write-back', () => {
+  describe('Creating fulfillments', () => {
+    let standIn;
+    let client;
+
+    async function startStandIn(fulfillmentOrders, createResult = { fulfillment: { id: 'gid://shopify/Fulfillment/1', status: 'SUCCESS' }, userErrors: [] }) {
+      standIn = await startShopifyStandIn({
+        handlers: {
+          GetFulfillmentOrders: () => ({ data: { order: { id: ORDER_ID, fulfillmentOrders: { edges: fulfillmentOrders } } } }),
+          CreateFulfillment: () => ({ data: { fulfillmentCreateV2: createResult } })
+        }
+      });
+      client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await standIn.close();
+    });
+
+    test('fulfills made units across fulfillment orders, capped at what is left to ship', async () => {
+      await startStandIn([
+        fulfillmentOrder('fo-1', [['line-a', 2], ['line-b', 1]]),
+        fulfillmentOrder('fo-2', [['line-a', 3]]),
+        fulfillmentOrder('fo-3', [['line-b', 5]], ['CANCEL_FULFILLMENT_ORDER'])
+      ]);
+
+      const created = await client.createFulfillment(ORDER_ID, new Map([['line-a', 4], ['line-b', 9]]), {
+        trackingNumber: '1Z999',
+        trackingCompany: 'UPS'
+      });
+
+      expect(created.id).toBe('gid://shopify/Fulfillment/1');
+      expect(standIn.requests.map(r => r.operationName)).toEqual(['GetFulfillmentOrders', 'CreateFulfillment']);
+      expect(standIn.requests[1].variables.fulfillment).toEqual({
+        lineItemsByFulfillmentOrder: [
+          { fulfillmentOrderId: 'fo-1', fulfillmentOrderLineItems: [{ id: 'fo-1-line-a', quantity: 2 }, { id: 'fo-1-line-b', quantity: 1 }] },
+          { fulfillmentOrderId: 'fo-2', fulfillmentOrderLineItems: [{ id: 'fo-2-line-a', quantity: 2 }] }
+        ],
+        notifyCustomer: false,
+        trackingInfo: { number: '1Z999', company: 'UPS' }
+      });
+    });
+
+    test('refuses when Shopify has nothing left to fulfill', async () => {
+      await startStandIn([fulfillmentOrder('fo-1', [['line-a', 0]])]);
+
+      await expect(client.createFulfillment(ORDER_ID, new Map([['line-a', 2]])))
+        .rejects.toThrow('Nothing left to fulfill in Shopify for this order');
+      expect(standIn.requests.map(r => r.operationName)).toEqual(['GetFulfillmentOrders']);
+    });
+
+    test('surfaces errors Shopify reports for the fulfillment', async () => {
+      await startStandIn([fulfillmentOrder('fo-1', [['line-a', 1]])], {
+        fulfillment: null,
+        userErrors: [{ field: ['fulfillment'], message: 'Fulfillment order is on hold' }]
+      });
+
+      await expect(client.createFulfillment(ORDER_ID, new Map([['line-a', 1]]), { notifyCustomer: true }))
+        .rejects.toThrow('Shopify rejected the fulfillment: Fulfillment order is on hold');
+      expect(standIn.requests[1].variables.fulfillment.notifyCustomer).toBe(true);
+      expect(standIn.requests[1].variables.fulfillment.trackingInfo).toBeUndefined();
+    });
+  });
+
+  describe('Settings and log', () => {
+    beforeAll(async () => {
+      await initTestDatabase();
+    });
+
+    afterAll(() => {
+      closeTestDatabase();
+    });
+
+    beforeEach(() => {
+      resetTestDatabase();
+      upsertOrder({ orderId: 'order-1', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 1 });
+    });
+
+    test('write-back is off until turned on', () => {
+      expect(getFulfillmentSettings()).toEqual({ enabled: false, notifyCustomer: false });
+
+      expect(saveFulfillmentSettings({ enabled: true, notifyCustomer: 'yes' })).toEqual({ enabled: true, notifyCustomer: false });
+      expect(getFulfillmentSettings()).toEqual({ enabled: true, notifyCustomer: false });
+    });
+
+    test('orders show the outcome of their latest attempt', () => {
+      recordFulfillmentAttempt({ orderId: 'order-1', status: 'error', errorMessage: 'Fulfillment order is on hold' });
+      expect(getAllOrders()[0]).toMatchObject({
+        shopify_fulfillment_status: 'error',
+        shopify_fulfillment_error: 'Fulfillment order is on hold'
+      });
+
+      recordFulfillmentAttempt({ orderId: 'order-1', status: 'success', fulfillmentId: 'gid://shopify/Fulfillment/1', trackingNumber: '1Z999' });
+      expect(getAllOrders()[0]).toMatchObject({ shopify_fulfillment_status: 'success', shopify_fulfillment_error: null });
+
+      expect(getFulfillmentLog('order-1').map(entry => [entry.order_name, entry.status, entry.tracking_number])).toEqual([
+        ['#1001', 'success', '1Z999'],
+        ['#1001', 'error', null]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Feature: Incremental Sync
+ *
+ * Tests merging orders fetched by an incremental sync (only orders updated
+ * since the last sync) and the sync history it is anchored on.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getOrderByOrderId,
+  getLineItemsByOrderId,
+  getTaskByVariantId,
+  updateMadeQuantity,
+  allocateMadeQuantityToOrders,
+  archiveOrder,
+  recalculateTaskTotalsFromOrders,
+  mergeUpdatedOrders,
+  logSync,
+  getLastSuccessfulSync
+} = require('../helpers/test-database');
+
+function shopifyOrder(orderId, orderName, quantity) {
+  return {
+    orderId,
+    orderName,
+    orderDate: '2025-01-01T10:00:00Z',
+    totalItems: quantity,
+    lineItems: [
+      { orderId, lineItemId: `${orderId}-line`, variantId: 'variant-1', productTitle: 'Mug', quantity }
+    ]
+  };
+}
+
+function storeOrder(order) {
+  upsertOrder(order);
+  for (const lineItem of order.lineItems) {
+    upsertOrderLineItem(lineItem);
+  }
+}
+
+describe('Feature: Incremental Sync', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    storeOrder(shopifyOrder('order-1', '#1001', 2));
+    storeOrder(shopifyOrder('order-2', '#1002', 3));
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 5 });
+  });
+
+  describe('Merging updated orders', () => {
+    test('adds new orders and leaves unchanged ones alone', () => {
+      const result = mergeUpdatedOrders(['order-3'], [shopifyOrder('order-3', '#1003', 1)]);
+
+      expect(result).toEqual({ storedCount: 1, removedCount: 0, skippedCount: 0 });
+      expect(getOrderByOrderId('order-1')).toBeDefined();
+      expect(getOrderByOrderId('order-3').total_items).toBe(1);
+    });
+
+    test('replaces edited orders without progress', () => {
+      mergeUpdatedOrders(['order-2'], [shopifyOrder('order-2', '#1002', 1)]);
+
+      expect(getOrderByOrderId('order-2').total_items).toBe(1);
+      expect(getLineItemsByOrderId('order-2').map(item => item.quantity)).toEqual([1]);
+    });
+
+    test('removes orders that were fulfilled or cancelled in Shopify', () => {
+      const result = mergeUpdatedOrders(['order-2', 'order-unknown'], []);
+
+      expect(result).toEqual({ storedCount: 0, removedCount: 1, skippedCount: 0 });
+      expect(getOrderByOrderId('order-2')).toBeUndefined();
+      expect(getLineItemsByOrderId('order-2')).toEqual([]);
+    });
+
+    test('keeps orders with progress and archived orders', () => {
+      updateMadeQuantity('variant-1', 2);
+      allocateMadeQuantityToOrders('variant-1', 2);
+      archiveOrder('order-1');
+      updateMadeQuantity('variant-1', 1);
+      allocateMadeQuantityToOrders('variant-1', 1);
+
+      const result = mergeUpdatedOrders(['order-1', 'order-2'], []);
+
+      expect(result).toEqual({ storedCount: 0, removedCount: 0, skippedCount: 2 });
+      expect(getOrderByOrderId('order-1').status).toBe('archived');
+      expect(getLineItemsByOrderId('order-2')[0].fulfilled_quantity).toBe(1);
+    });
+
+    test('task totals follow the merged orders after recalculating', () => {
+      mergeUpdatedOrders(['order-2', 'order-3'], [shopifyOrder('order-3', '#1003', 4)]);
+      recalculateTaskTotalsFromOrders();
+
+      expect(getTaskByVariantId('variant-1').total_quantity).toBe(6);
+    });
+  });
+
+  describe('Sync history', () => {
+    test('finds the latest successful sync that recorded its start time', () => {
+      logSync({ ordersFetched: 5, status: 'success', syncMode: 'full', startedAt: '2025-01-01T10:00:00.000Z' });
+      logSync({ ordersFetched: 1, status: 'success', syncMode: 'incremental', startedAt: '2025-01-01T11:00:00.000Z' });
+      logSync({ status: 'error', errorMessage: 'offline', syncMode: 'incremental', startedAt: '2025-01-01T12:00:00.000Z' });
+      logSync({ ordersFetched: 2, status: 'success' });
+
+      expect(getLastSuccessfulSync().started_at).toBe('2025-01-01T11:00:00.000Z');
+      expect(getLastSuccessfulSync('full').started_at).toBe('2025-01-01T10:00:00.000Z');
+    });
+
+    test('has nothing to anchor on before the first successful sync', () => {
+      logSync({ status: 'error', errorMessage: 'offline', syncMode: 'full', startedAt: '2025-01-01T10:00:00.000Z' });
+
+      expect(getLastSuccessfulSync()).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Feature: Inventory Levels
+ *
+ * Tests per-location stock: storing available, committed and on-hand
+ * quantities for each location, and filtering the inventory view and its
+ * stats by location.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertInventory,
+  getAllInventory,
+  getInventoryStats,
+  replaceInventoryLevels,
+  getInventoryLocations,
+  setInventoryPushProduct,
+  queueInventoryPush
+} = require('../helpers/test-database');
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+const WAREHOUSE = { id: 'gid://shopify/Location/1', name: 'Warehouse' };
+const SHOP = { id: 'gid://shopify/Location/2', name: 'Shop' };
+
+function level(variantId, location, available, committed = 0) {
+  return {
+    variantId,
+    locationId: location.id,
+    locationName: location.name,
+    available,
+    committed,
+    onHand: available + committed
+  };
+}
+
+function levelNode(variantId, available, committed, onHand) {
+  return {
+    node: {
+      quantities: [
+        { name: 'available', quantity: available },
+        { name: 'committed', quantity: committed },
+        { name: 'on_hand', quantity: onHand }
+      ],
+      item: { variant: variantId ? { id: variantId } : null }
+    }
+  };
+}
+
+describe('Feature: Inventory Levels', () => {
+  describe('Filtering by location', () => {
+    beforeAll(async () => {
+      await initTestDatabase();
+    });
+
+    afterAll(() => {
+      closeTestDatabase();
+    });
+
+    beforeEach(() => {
+      resetTestDatabase();
+      upsertInventory({ variantId: 'variant-1', productId: 'product-1', productTitle: 'Mug', variantTitle: '', inventoryQuantity: 4, inventoryItemId: 'item-1' });
+      upsertInventory({ variantId: 'variant-2', productId: 'product-2', productTitle: 'Cup', variantTitle: '', inventoryQuantity: 3, inventoryItemId: 'item-2' });
+
+      // Mugs are all in the warehouse; cups are split
+      replaceInventoryLevels([
+        level('variant-1', WAREHOUSE, 4, 1),
+        level('variant-1', SHOP, 0),
+        level('variant-2', WAREHOUSE, 1),
+        level('variant-2', SHOP, 2)
+      ]);
+    });
+
+    test('lists the locations that have stock levels', () => {
+      expect(getInventoryLocations()).toEqual([
+        { location_id: SHOP.id, location_name: 'Shop' },
+        { location_id: WAREHOUSE.id, location_name: 'Warehouse' }
+      ]);
+    });
+
+    test('out of stock is judged at the chosen location', () => {
+      expect(getAllInventory({ outOfStockOnly: true })).toEqual([]);
+
+      const atShop = getAllInventory({ outOfStockOnly: true, locationId: SHOP.id });
+      expect(atShop.map(item => [item.product_title, item.available, item.is_out_of_stock])).toEqual([['Mug', 0, 1]]);
+    });
+
+    test('a location shows available, committed and on hand quantities', () => {
+      const atWarehouse = getAllInventory({ locationId: WAREHOUSE.id });
+
+      expect(atWarehouse.find(item => item.variant_id === 'variant-1')).toMatchObject({
+        location_name: 'Warehouse',
+        available: 4,
+        committed: 1,
+        on_hand: 5
+      });
+    });
+
+    test('stats count the chosen location only', () => {
+      expect(getInventoryStats()).toMatchObject({ total_variants: 2, out_of_stock_count: 0, total_inventory: 7 });
+      expect(getInventoryStats(SHOP.id)).toMatchObject({ total_variants: 2, out_of_stock_count: 1, in_stock_count: 1, total_inventory: 2 });
+    });
+
+    test('a sync replaces the levels of locations that went away', () => {
+      replaceInventoryLevels([level('variant-1', WAREHOUSE, 6)]);
+
+      expect(getInventoryLocations().map(location => location.location_id)).toEqual([WAREHOUSE.id]);
+      expect(getAllInventory({ locationId: SHOP.id })).toEqual([]);
+    });
+
+    test('pushed made units count at the push location', () => {
+      setInventoryPushProduct('product-2', SHOP);
+
+      queueInventoryPush('variant-2', 3, 'mark_made');
+
+      expect(getAllInventory({ locationId: SHOP.id }).find(item => item.variant_id === 'variant-2'))
+        .toMatchObject({ available: 5, on_hand: 5 });
+      expect(getAllInventory({ locationId: WAREHOUSE.id }).find(item => item.variant_id === 'variant-2').available).toBe(1);
+    });
+  });
+
+  describe('Fetching from Shopify', () => {
+    let standIn;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await standIn.close();
+    });
+
+    test('pages through the levels at each active location', async () => {
+      standIn = await startShopifyStandIn({
+        handlers: {
+          GetLocations: () => ({
+            data: {
+              locations: {
+                edges: [
+                  { node: { ...WAREHOUSE, isActive: true } },
+                  { node: { id: 'gid://shopify/Location/3', name: 'Closed shop', isActive: false } }
+                ]
+              }
+            }
+          }),
+          GetLocationInventoryLevels: ({ variables }) => ({
+            data: {
+              node: {
+                inventoryLevels: variables.cursor
+                  ? { pageInfo: { hasNextPage: false, endCursor: null }, edges: [levelNode('variant-2', 0, 2, 2), levelNode(null, 9, 0, 9)] }
+                  : { pageInfo: { hasNextPage: true, endCursor: 'page-2' }, edges: [levelNode('variant-1', 4, 1, 5)] }
+              }
+            }
+          })
+        }
+      });
+      const client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+
+      const { levels, locationCount } = await client.fetchInventoryLevels();
+
+      expect(locationCount).toBe(1);
+      expect(standIn.requests.map(r => [r.operationName, r.variables.cursor])).toEqual([
+        ['GetLocations', undefined],
+        ['GetLocationInventoryLevels', null],
+        ['GetLocationInventoryLevels', 'page-2']
+      ]);
+      expect(levels).toEqual([
+        level('variant-1', WAREHOUSE, 4, 1),
+        level('variant-2', WAREHOUSE, 0, 2)
+      ]);
+    });
+
+    test('stores that have not granted read_locations sync without levels', async () => {
+      standIn = await startShopifyStandIn({
+        handlers: {
+          GetLocations: () => ({
+            errors: [{ message: 'Access denied for locations field.', extensions: { code: 'ACCESS_DENIED' } }]
+          }),
+          RunBulkQuery: () => ({
+            data: {
+              bulkOperationRunQuery: {
+                bulkOperation: null,
+                userErrors: [{ field: ['query'], message: 'Access denied for locations field.' }]
+              }
+            }
+          })
+        }
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+
+      expect(await client.fetchInventoryLevels()).toEqual({ levels: null, locationCount: 0 });
+      expect(await client.fetchInventoryLevels({ bulk: true })).toEqual({ levels: null, locationCount: 0 });
+      expect(client.getWarnings()).toEqual([
+        'Reconnect to Shopify to see stock per location',
+        'Reconnect to Shopify to see stock per location'
+      ]);
+    });
+
+    test('other errors still fail the fetch', async () => {
+      standIn = await startShopifyStandIn({
+        handlers: {
+          GetLocations: () => ({ errors: [{ message: 'Internal error' }] })
+        }
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+
+      await expect(client.fetchInventoryLevels()).rejects.toThrow('Internal error');
+    });
+  });
+});
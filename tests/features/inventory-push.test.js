@@ -0,0 +1,212 @@
+/**
+ * Feature: Inventory Push
+ *
+ * Tests adding made units to Shopify inventory for make-to-stock products:
+ * the per-product setting, the outbox of queued changes, the optimistic
+ * local update and the inventory adjustment sent to Shopify.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertInventory,
+  getInventoryByVariantId,
+  setInventoryPushProduct,
+  getInventoryPushProducts,
+  queueInventoryPush,
+  getPendingInventoryPushes,
+  markInventoryPushSent,
+  markInventoryPushFailed,
+  retryFailedInventoryPushes,
+  getInventoryPushStats,
+  reapplyUnsyncedInventoryPushes
+} = require('../helpers/test-database');
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+const WAREHOUSE = { id: 'gid://shopify/Location/1', name: 'Warehouse' };
+
+function storeInventory(variantId, productId, quantity) {
+  upsertInventory({
+    variantId,
+    productId,
+    productTitle: productId === 'product-1' ? 'Mug' : 'Cup',
+    variantTitle: '',
+    inventoryQuantity: quantity,
+    inventoryItemId: `item-${variantId}`
+  });
+}
+
+describe('Feature: Inventory Push', () => {
+  describe('Outbox', () => {
+    beforeAll(async () => {
+      await initTestDatabase();
+    });
+
+    afterAll(() => {
+      closeTestDatabase();
+    });
+
+    beforeEach(() => {
+      resetTestDatabase();
+      storeInventory('variant-1', 'product-1', 10);
+      storeInventory('variant-2', 'product-2', 5);
+    });
+
+    test('nothing is pushed until a product is set up', () => {
+      expect(getInventoryPushProducts()).toEqual([]);
+      expect(queueInventoryPush('variant-1', 3, 'mark_made')).toBeNull();
+      expect(getInventoryByVariantId('variant-1').inventory_quantity).toBe(10);
+    });
+
+    test('made units of a pushed product are queued and counted straight away', () => {
+      setInventoryPushProduct('product-1', WAREHOUSE);
+
+      queueInventoryPush('variant-1', 3, 'mark_made');
+      queueInventoryPush('variant-2', 3, 'mark_made');
+
+      expect(getPendingInventoryPushes()).toMatchObject([{
+        variant_id: 'variant-1',
+        inventory_item_id: 'item-variant-1',
+        location_id: 'gid://shopify/Location/1',
+        delta: 3,
+        reason: 'mark_made',
+        status: 'pending'
+      }]);
+      expect(getInventoryByVariantId('variant-1').inventory_quantity).toBe(13);
+      expect(getInventoryByVariantId('variant-2').inventory_quantity).toBe(5);
+    });
+
+    test('turning a product off stops new pushes', () => {
+      setInventoryPushProduct('product-1', WAREHOUSE);
+      setInventoryPushProduct('product-1', null);
+
+      expect(queueInventoryPush('variant-1', 3, 'mark_made')).toBeNull();
+    });
+
+    test('failed changes stay queued until they run out of attempts, then can be retried', () => {
+      setInventoryPushProduct('product-1', WAREHOUSE);
+      const id = queueInventoryPush('variant-1', 2, 'mark_made');
+
+      markInventoryPushFailed(id, 'Network down', 2);
+      expect(getInventoryPushStats()).toEqual({ pending: 1, failed: 0, lastError: 'Network down' });
+
+      markInventoryPushFailed(id, 'Network down', 2);
+      expect(getInventoryPushStats()).toEqual({ pending: 0, failed: 1, lastError: 'Network down' });
+
+      expect(retryFailedInventoryPushes()).toBe(1);
+      expect(getPendingInventoryPushes()).toMatchObject([{ id, attempts: 0 }]);
+    });
+
+    test('synced inventory keeps changes Shopify has not counted yet', () => {
+      setInventoryPushProduct('product-1', WAREHOUSE);
+      const sentId = queueInventoryPush('variant-1', 2, 'mark_made');
+      markInventoryPushSent(sentId);
+      queueInventoryPush('variant-1', 3, 'mark_made');
+
+      // Fetched before the first change reached Shopify
+      storeInventory('variant-1', 'product-1', 10);
+      reapplyUnsyncedInventoryPushes('2000-01-01T00:00:00.000Z');
+      expect(getInventoryByVariantId('variant-1').inventory_quantity).toBe(15);
+
+      // Fetched after it - only the queued change is missing
+      storeInventory('variant-1', 'product-1', 12);
+      reapplyUnsyncedInventoryPushes('2999-01-01T00:00:00.000Z');
+      expect(getInventoryByVariantId('variant-1').inventory_quantity).toBe(15);
+    });
+  });
+
+  describe('Shopify requests', () => {
+    let standIn;
+    let client;
+
+    async function startStandIn(handlers) {
+      standIn = await startShopifyStandIn({ handlers });
+      client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await standIn.close();
+    });
+
+    test('adjusts the available quantity at the location', async () => {
+      await startStandIn({
+        AdjustInventory: () => ({
+          data: { inventoryAdjustQuantities: { inventoryAdjustmentGroup: { id: 'gid://shopify/InventoryAdjustmentGroup/1' }, userErrors: [] } }
+        })
+      });
+
+      const groupId = await client.adjustInventoryQuantity({
+        inventoryItemId: 'item-1',
+        locationId: WAREHOUSE.id,
+        delta: -2,
+        referenceDocumentUri: 'inventoryinator://outbox/7'
+      });
+
+      expect(groupId).toBe('gid://shopify/InventoryAdjustmentGroup/1');
+      expect(standIn.requests[0].variables.input).toEqual({
+        name: 'available',
+        reason: 'correction',
+        referenceDocumentUri: 'inventoryinator://outbox/7',
+        changes: [{ delta: -2, inventoryItemId: 'item-1', locationId: WAREHOUSE.id }]
+      });
+    });
+
+    test('surfaces errors Shopify reports for the adjustment', async () => {
+      await startStandIn({
+        AdjustInventory: () => ({
+          data: { inventoryAdjustQuantities: { inventoryAdjustmentGroup: null, userErrors: [{ field: ['input'], message: 'Inventory item is not stocked at the location' }] } }
+        })
+      });
+
+      await expect(client.adjustInventoryQuantity({ inventoryItemId: 'item-1', locationId: WAREHOUSE.id, delta: 1 }))
+        .rejects.toThrow('Shopify rejected the inventory adjustment: Inventory item is not stocked at the location');
+      expect(standIn.requests[0].variables.input.reason).toBe('received');
+    });
+
+    test('sets the on-hand quantity at the location whatever Shopify has now', async () => {
+      await startStandIn({
+        SetOnHandInventory: () => ({
+          data: { inventorySetOnHandQuantities: { inventoryAdjustmentGroup: { id: 'gid://shopify/InventoryAdjustmentGroup/2' }, userErrors: [] } }
+        })
+      });
+
+      const groupId = await client.setOnHandQuantity({
+        inventoryItemId: 'item-1',
+        locationId: WAREHOUSE.id,
+        quantity: 5,
+        referenceDocumentUri: 'inventoryinator://outbox/8'
+      });
+
+      expect(groupId).toBe('gid://shopify/InventoryAdjustmentGroup/2');
+      expect(standIn.requests[0].variables.input).toEqual({
+        reason: 'cycle_count_available',
+        referenceDocumentUri: 'inventoryinator://outbox/8',
+        setQuantities: [{ inventoryItemId: 'item-1', locationId: WAREHOUSE.id, quantity: 5 }]
+      });
+    });
+
+    test('lists active locations only', async () => {
+      await startStandIn({
+        GetLocations: () => ({
+          data: {
+            locations: {
+              edges: [
+                { node: { ...WAREHOUSE, isActive: true } },
+                { node: { id: 'gid://shopify/Location/2', name: 'Old shop', isActive: false } }
+              ]
+            }
+          }
+        })
+      });
+
+      expect(await client.fetchLocations()).toEqual([WAREHOUSE]);
+    });
+  });
+});
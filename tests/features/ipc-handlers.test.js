@@ -0,0 +1,271 @@
+/**
+ * Feature: IPC Handlers
+ *
+ * Tests the handlers the renderer calls, registered on a stand-in for
+ * electron's ipcMain and running on the app's own database: what each
+ * production action writes to the ledger, the inventory outbox and
+ * material stock, and what a finished stocktake sends back to Shopify.
+ */
+
+jest.mock('electron', () => require('../helpers/app-environment').createElectronMock());
+
+const electron = require('electron');
+const { describeWithAppDatabase, invoke, removeAppData } = require('../helpers/app-environment');
+
+const WAREHOUSE = { id: 'gid://shopify/Location/1', name: 'Warehouse' };
+
+describeWithAppDatabase('Feature: IPC Handlers', () => {
+  let database;
+
+  // Each test gets its own variant, with one order per quantity (oldest first)
+  function storeTask(variantId, quantities) {
+    quantities.forEach((quantity, index) => {
+      const orderId = `${variantId}-order-${index + 1}`;
+      database.upsertOrder({ orderId, orderName: `#${variantId}-${index + 1}`, orderDate: `2025-01-0${index + 1}T10:00:00Z`, totalItems: quantity });
+      database.upsertOrderLineItem({ orderId, lineItemId: `${orderId}-a`, variantId, variantTitle: '', productTitle: 'Mug', quantity });
+    });
+    database.upsertTask({
+      variantId,
+      variantTitle: '',
+      productTitle: 'Mug',
+      totalQuantity: quantities.reduce((sum, quantity) => sum + quantity, 0)
+    });
+  }
+
+  // A task whose product pushes made units to Shopify inventory
+  async function storePushTask(variantId) {
+    storeTask(variantId, [2, 3]);
+    database.upsertInventory({
+      variantId,
+      productId: `${variantId}-product`,
+      productTitle: 'Mug',
+      variantTitle: '',
+      sku: '',
+      imageUrl: null,
+      inventoryQuantity: 10,
+      inventoryItemId: `${variantId}-item`
+    });
+    await invoke(electron, 'set-inventory-push-product', `${variantId}-product`, WAREHOUSE);
+  }
+
+  async function history(variantId) {
+    const result = await invoke(electron, 'get-production-history', variantId);
+    return result.data;
+  }
+
+  function queued(variantId) {
+    return database.getPendingInventoryPushes()
+      .filter(push => push.variant_id === variantId)
+      .map(push => [push.reason, push.delta]);
+  }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    database = require('../../src/main/database');
+    database.initDatabase('test-store.myshopify.com');
+    require('../../src/main/ipc-handlers').registerIpcHandlers(electron.ipcMain);
+  });
+
+  afterAll(() => {
+    removeAppData(electron);
+    jest.restoreAllMocks();
+  });
+
+  describe('Production ledger', () => {
+    test('mark made records the units made and the orders they went to', async () => {
+      storeTask('ledger-1', [2, 3]);
+
+      const result = await invoke(electron, 'mark-made', 'ledger-1', 4);
+
+      expect(result).toMatchObject({ success: true, data: { made_quantity: 4 } });
+      const [event] = await history('ledger-1');
+      expect(event).toMatchObject({ action: 'mark_made', quantity_delta: 4, made_before: 0, made_after: 4 });
+      expect(event.allocations.map(a => [a.line_item_id, a.quantity])).toEqual([
+        ['ledger-1-order-1-a', 2],
+        ['ledger-1-order-2-a', 2]
+      ]);
+    });
+
+    test('mark complete records only what was left to make', async () => {
+      storeTask('ledger-2', [2, 3]);
+      await invoke(electron, 'mark-made', 'ledger-2', 1);
+
+      await invoke(electron, 'mark-complete', 'ledger-2');
+
+      const [event] = await history('ledger-2');
+      expect(event).toMatchObject({ action: 'mark_complete', quantity_delta: 4, made_before: 1, made_after: 5 });
+    });
+
+    test('marking more than is left records nothing', async () => {
+      storeTask('ledger-3', [2]);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await invoke(electron, 'mark-made', 'ledger-3', 3);
+
+      expect(result.success).toBe(false);
+      expect(await history('ledger-3')).toEqual([]);
+    });
+  });
+
+  describe('Inventory push', () => {
+    test('made and unmade units are queued for Shopify', async () => {
+      await storePushTask('push-1');
+
+      await invoke(electron, 'mark-made', 'push-1', 3);
+      await invoke(electron, 'unmark-made', 'push-1', 1);
+
+      expect(queued('push-1')).toEqual([['mark_made', 3], ['unmark_made', -1]]);
+    });
+
+    test('undo takes the units back out of Shopify and redo puts them back', async () => {
+      await storePushTask('push-2');
+      await invoke(electron, 'mark-made', 'push-2', 3);
+
+      expect((await invoke(electron, 'undo')).success).toBe(true);
+      expect(database.getTaskByVariantId('push-2').made_quantity).toBe(0);
+      expect((await invoke(electron, 'redo')).success).toBe(true);
+
+      expect(database.getTaskByVariantId('push-2').made_quantity).toBe(3);
+      expect(queued('push-2')).toEqual([['mark_made', 3], ['undo', -3], ['redo', 3]]);
+      expect((await history('push-2')).map(event => [event.action, event.quantity_delta])).toEqual([
+        ['redo', 3],
+        ['undo', -3],
+        ['mark_made', 3]
+      ]);
+    });
+
+    test('products not set up to push queue nothing', async () => {
+      storeTask('push-3', [2]);
+
+      await invoke(electron, 'mark-made', 'push-3', 2);
+
+      expect(queued('push-3')).toEqual([]);
+    });
+  });
+
+  describe('Material stock', () => {
+    let clay;
+
+    // A task whose recipe takes 5g of clay per unit, with 100g on the shelf
+    async function storeRecipeTask(variantId) {
+      storeTask(variantId, [2, 3]);
+      await invoke(electron, 'set-component-stock', clay.id, 100);
+      await invoke(electron, 'save-variant-recipe', variantId, [{ componentId: clay.id, quantity: 5 }]);
+    }
+
+    async function clayOnHand() {
+      const result = await invoke(electron, 'get-components');
+      return result.data.find(component => component.id === clay.id).on_hand;
+    }
+
+    beforeAll(async () => {
+      await invoke(electron, 'save-material-settings', { consumeOnMake: true });
+      clay = (await invoke(electron, 'save-component', { name: 'Clay', unit: 'g' })).data.component;
+    });
+
+    afterAll(async () => {
+      await invoke(electron, 'save-material-settings', { consumeOnMake: false });
+    });
+
+    test('made units use up their materials and unmade units put them back', async () => {
+      await storeRecipeTask('materials-1');
+
+      const made = await invoke(electron, 'mark-made', 'materials-1', 3);
+      expect(made.materialsUsed).toEqual([{ componentId: clay.id, name: 'Clay', unit: 'g', quantity: 15 }]);
+      expect(await clayOnHand()).toBe(85);
+
+      await invoke(electron, 'unmark-made', 'materials-1', 1);
+      expect(await clayOnHand()).toBe(90);
+    });
+
+    test('undo and redo move the materials with the units', async () => {
+      await storeRecipeTask('materials-2');
+      await invoke(electron, 'mark-made', 'materials-2', 4);
+
+      await invoke(electron, 'undo');
+      expect(await clayOnHand()).toBe(100);
+      await invoke(electron, 'redo');
+      expect(await clayOnHand()).toBe(80);
+
+      const movements = (await invoke(electron, 'get-material-movements', clay.id)).data;
+      expect(movements.slice(0, 3).map(movement => [movement.reason, movement.delta])).toEqual([
+        ['redo', -20],
+        ['undo', 20],
+        ['mark_made', -20]
+      ]);
+    });
+
+    test('nothing is used up while the store has it turned off', async () => {
+      await storeRecipeTask('materials-3');
+      await invoke(electron, 'save-material-settings', { consumeOnMake: false });
+
+      await invoke(electron, 'mark-made', 'materials-3', 2);
+
+      expect(await clayOnHand()).toBe(100);
+    });
+  });
+
+  describe('Production batches', () => {
+    test('closing a batch marks what it made like mark made', async () => {
+      await storePushTask('batch-1');
+      const { batch } = (await invoke(electron, 'create-batch', 'Morning')).data;
+      await invoke(electron, 'add-to-batch', batch.id, 'batch-1', 4);
+
+      const result = await invoke(electron, 'close-batch', batch.id, { 'batch-1': 3 });
+
+      expect(result).toMatchObject({ success: true, data: { madeUnits: 3, batch: { status: 'closed' } } });
+      expect(database.getTaskByVariantId('batch-1').made_quantity).toBe(3);
+      expect((await history('batch-1'))[0]).toMatchObject({ action: 'close_batch', quantity_delta: 3 });
+      expect(queued('batch-1')).toEqual([['close_batch', 3]]);
+    });
+
+    test('undo reopens the batch and takes its units back', async () => {
+      await storePushTask('batch-2');
+      const { batch } = (await invoke(electron, 'create-batch', 'Afternoon')).data;
+      await invoke(electron, 'add-to-batch', batch.id, 'batch-2', 2);
+      await invoke(electron, 'close-batch', batch.id);
+
+      await invoke(electron, 'undo');
+
+      expect(database.getBatch(batch.id)).toMatchObject({ status: 'open' });
+      expect(database.getBatch(batch.id).items[0]).toMatchObject({ planned_quantity: 2, made_quantity: null });
+      expect(database.getTaskByVariantId('batch-2').made_quantity).toBe(0);
+      expect(queued('batch-2')).toEqual([['close_batch', 2], ['undo', -2]]);
+    });
+  });
+
+  describe('Stocktakes', () => {
+    test('writing counts back queues the on-hand quantity for Shopify', async () => {
+      await storePushTask('stock-1');
+      await storePushTask('stock-2');
+      // 4 available and 1 committed to an order at the warehouse, stock-2 isn't stocked there
+      database.replaceInventoryLevels([
+        { variantId: 'stock-1', locationId: WAREHOUSE.id, locationName: WAREHOUSE.name, available: 4, committed: 1, onHand: 5 }
+      ]);
+      const { stocktake } = (await invoke(electron, 'start-stocktake', { name: 'Shelf count', locationId: WAREHOUSE.id })).data;
+      await invoke(electron, 'set-stocktake-count', stocktake.id, 'stock-1', 7);
+      await invoke(electron, 'set-stocktake-count', stocktake.id, 'stock-2', 3);
+
+      const result = await invoke(electron, 'finish-stocktake', stocktake.id, { writeBack: true });
+
+      expect(result).toMatchObject({ success: true, data: { adjusted: 1, skipped: 1, stocktake: { status: 'finished' } } });
+      expect(result.data.stocktake.counts.find(count => count.variant_id === 'stock-1'))
+        .toMatchObject({ expected_quantity: 5, counted_quantity: 7, variance: 2 });
+      expect(database.getPendingInventoryPushes().filter(push => push.reason === 'stocktake')).toEqual([
+        expect.objectContaining({ variant_id: 'stock-1', location_id: WAREHOUSE.id, delta: 2, set_quantity: 7 })
+      ]);
+      expect(queued('stock-2')).toEqual([]);
+    });
+
+    test('finishing without writing back leaves Shopify alone', async () => {
+      await storePushTask('stock-3');
+      const { stocktake } = (await invoke(electron, 'start-stocktake', { name: 'Quick count' })).data;
+      await invoke(electron, 'set-stocktake-count', stocktake.id, 'stock-3', 8);
+
+      const result = await invoke(electron, 'finish-stocktake', stocktake.id);
+
+      expect(result).toMatchObject({ success: true, data: { adjusted: 0, stocktake: { status: 'finished' } } });
+      expect(queued('stock-3')).toEqual([]);
+    });
+  });
+});
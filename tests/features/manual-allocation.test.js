@@ -0,0 +1,114 @@
+/**
+ * Feature: Manual Allocation
+ *
+ * Tests allocating made units by hand to a specific order line item, and
+ * that those pinned units aren't moved by automatic (de)allocation.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getTaskByVariantId,
+  getOrderByOrderId,
+  getLineItemsByOrderId,
+  updateMadeQuantity,
+  allocateMadeQuantityToOrders,
+  deallocateQuantityFromOrders,
+  resetVariantInOrders,
+  archiveOrder,
+  allocateToLineItem
+} = require('../helpers/test-database');
+
+function lineItem(orderId) {
+  return getLineItemsByOrderId(orderId)[0];
+}
+
+describe('Feature: Manual Allocation', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    upsertOrder({ orderId: 'order-old', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 2 });
+    upsertOrder({ orderId: 'order-rush', orderName: '#1002', orderDate: '2025-01-05T10:00:00Z', totalItems: 2 });
+
+    upsertOrderLineItem({ lineItemId: 'line-old', orderId: 'order-old', variantId: 'variant-1', productTitle: 'Mug', quantity: 2 });
+    upsertOrderLineItem({ lineItemId: 'line-rush', orderId: 'order-rush', variantId: 'variant-1', productTitle: 'Mug', quantity: 2 });
+
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 4 });
+  });
+
+  test('allocates to the chosen line item and counts as made', () => {
+    const result = allocateToLineItem('line-rush', 2);
+
+    expect(lineItem('order-rush')).toMatchObject({ fulfilled_quantity: 2, pinned_quantity: 2 });
+    expect(lineItem('order-old').fulfilled_quantity).toBe(0);
+    expect(getTaskByVariantId('variant-1').made_quantity).toBe(2);
+    expect(result.allocations).toEqual([{ orderId: 'order-rush', lineItemId: 'line-rush', allocated: 2 }]);
+  });
+
+  test('reports the order as newly fulfilled', () => {
+    const result = allocateToLineItem('line-rush', 2);
+
+    expect(getOrderByOrderId('order-rush').status).toBe('fulfilled');
+    expect(result.newlyFulfilledOrders.map(o => o.order_id)).toEqual(['order-rush']);
+  });
+
+  test('cannot allocate more than the line item still needs', () => {
+    allocateToLineItem('line-rush', 1);
+
+    expect(() => allocateToLineItem('line-rush', 2)).toThrow('only 1 left on this line item');
+  });
+
+  test('cannot exceed the task total', () => {
+    updateMadeQuantity('variant-1', 3);
+
+    expect(() => allocateToLineItem('line-rush', 2)).toThrow('would exceed total');
+    expect(lineItem('order-rush').pinned_quantity).toBe(0);
+  });
+
+  test('cannot allocate to an archived order', () => {
+    archiveOrder('order-rush');
+
+    expect(() => allocateToLineItem('line-rush', 1)).toThrow('Cannot allocate to an archived order');
+  });
+
+  test('automatic deallocation leaves pinned units alone', () => {
+    allocateToLineItem('line-rush', 2);
+    updateMadeQuantity('variant-1', 2);
+    allocateMadeQuantityToOrders('variant-1', 2);
+
+    const { deallocations } = deallocateQuantityFromOrders('variant-1', 4);
+
+    // Only the automatically allocated units come back
+    expect(deallocations).toEqual([{ orderId: 'order-old', lineItemId: 'line-old', allocated: -2 }]);
+    expect(lineItem('order-rush')).toMatchObject({ fulfilled_quantity: 2, pinned_quantity: 2 });
+  });
+
+  test('automatic allocation fills in around pinned units', () => {
+    allocateToLineItem('line-rush', 1);
+    updateMadeQuantity('variant-1', 3);
+    allocateMadeQuantityToOrders('variant-1', 3);
+
+    expect(lineItem('order-old').fulfilled_quantity).toBe(2);
+    expect(lineItem('order-rush')).toMatchObject({ fulfilled_quantity: 2, pinned_quantity: 1 });
+  });
+
+  test('reset clears pins along with progress', () => {
+    allocateToLineItem('line-rush', 2);
+
+    resetVariantInOrders('variant-1');
+
+    expect(lineItem('order-rush')).toMatchObject({ fulfilled_quantity: 0, pinned_quantity: 0 });
+  });
+});
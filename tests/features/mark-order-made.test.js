@@ -0,0 +1,100 @@
+/**
+ * Feature: Mark Order Made
+ *
+ * Tests filling every remaining line item of one order in a single action:
+ * made quantities per variant, pinning, and order status.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getTaskByVariantId,
+  getOrderByOrderId,
+  getLineItemsByOrderId,
+  updateMadeQuantity,
+  allocateMadeQuantityToOrders,
+  deallocateQuantityFromOrders,
+  archiveOrder,
+  markOrderMade
+} = require('../helpers/test-database');
+
+describe('Feature: Mark Order Made', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    upsertOrder({ orderId: 'order-old', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 2 });
+    upsertOrder({ orderId: 'order-new', orderName: '#1002', orderDate: '2025-01-05T10:00:00Z', totalItems: 5 });
+
+    upsertOrderLineItem({ lineItemId: 'line-old', orderId: 'order-old', variantId: 'variant-1', productTitle: 'Mug', quantity: 2 });
+    upsertOrderLineItem({ lineItemId: 'line-new-1', orderId: 'order-new', variantId: 'variant-1', productTitle: 'Mug', quantity: 2 });
+    upsertOrderLineItem({ lineItemId: 'line-new-2', orderId: 'order-new', variantId: 'variant-2', productTitle: 'Cup', quantity: 3 });
+
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 4 });
+    upsertTask({ variantId: 'variant-2', productTitle: 'Cup', totalQuantity: 3 });
+  });
+
+  test('fills every line item and adds to each variant\'s made quantity', () => {
+    const result = markOrderMade('order-new');
+
+    expect(getLineItemsByOrderId('order-new').map(item => item.fulfilled_quantity)).toEqual([2, 3]);
+    expect(getTaskByVariantId('variant-1').made_quantity).toBe(2);
+    expect(getTaskByVariantId('variant-2').made_quantity).toBe(3);
+    expect(result.variants.map(v => [v.variantId, v.quantity])).toEqual([['variant-1', 2], ['variant-2', 3]]);
+  });
+
+  test('leaves other orders alone even when they are older', () => {
+    markOrderMade('order-new');
+
+    expect(getLineItemsByOrderId('order-old')[0].fulfilled_quantity).toBe(0);
+  });
+
+  test('marks the order fulfilled and reports it', () => {
+    const result = markOrderMade('order-new');
+
+    expect(getOrderByOrderId('order-new').status).toBe('fulfilled');
+    expect(result.newlyFulfilledOrders.map(o => o.order_id)).toEqual(['order-new']);
+  });
+
+  test('only makes what is still left on the order', () => {
+    updateMadeQuantity('variant-1', 3);
+    allocateMadeQuantityToOrders('variant-1', 3);
+
+    const result = markOrderMade('order-new');
+
+    expect(result.variants).toEqual([
+      { variantId: 'variant-1', quantity: 1, allocations: [{ orderId: 'order-new', lineItemId: 'line-new-1', allocated: 1 }] },
+      { variantId: 'variant-2', quantity: 3, allocations: [{ orderId: 'order-new', lineItemId: 'line-new-2', allocated: 3 }] }
+    ]);
+    expect(getTaskByVariantId('variant-1').made_quantity).toBe(4);
+  });
+
+  test('pins the units so unmarking does not take them from this order', () => {
+    markOrderMade('order-new');
+
+    const { deallocations } = deallocateQuantityFromOrders('variant-1', 2);
+
+    expect(deallocations).toEqual([]);
+    expect(getLineItemsByOrderId('order-new')[0].pinned_quantity).toBe(2);
+  });
+
+  test('rejects archived or already complete orders', () => {
+    markOrderMade('order-new');
+    expect(() => markOrderMade('order-new')).toThrow('Nothing left to make for this order');
+
+    archiveOrder('order-new');
+    expect(() => markOrderMade('order-new')).toThrow('Cannot mark an archived order as made');
+    expect(() => markOrderMade('missing')).toThrow('Order not found');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Feature: Material Stock
+ *
+ * Tests on-hand counts and reorder points for components, purchase orders
+ * going from draft to ordered to received, using up materials when units
+ * are made, and the shortfall report.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertTask,
+  getAllComponents,
+  saveComponent,
+  deleteComponent,
+  setVariantRecipe,
+  getMaterialSettings,
+  saveMaterialSettings,
+  setComponentStock,
+  consumeMaterialsForVariant,
+  getMaterialMovements,
+  getMaterialShortfall,
+  getPurchaseOrders,
+  savePurchaseOrder,
+  markPurchaseOrderOrdered,
+  receivePurchaseOrder,
+  deletePurchaseOrder
+} = require('../helpers/test-database');
+
+describe('Feature: Material Stock', () => {
+  let blank;
+  let vinyl;
+
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    blank = saveComponent({ name: 'Mug blank' });
+    vinyl = saveComponent({ name: 'Vinyl', unit: 'm' });
+
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', variantTitle: 'Red', totalQuantity: 4 });
+    setVariantRecipe('variant-1', [{ componentId: blank.id, quantity: 1 }, { componentId: vinyl.id, quantity: 0.25 }]);
+  });
+
+  describe('Stock counts', () => {
+    test('components start with nothing on hand and no reorder point', () => {
+      expect(blank).toMatchObject({ on_hand: 0, reorder_point: 0 });
+
+      const saved = saveComponent({ id: blank.id, name: 'Mug blank', reorderPoint: 10 });
+      expect(saved.reorder_point).toBe(10);
+      expect(() => saveComponent({ name: 'Box', reorderPoint: -1 })).toThrow('Reorder point must be zero or more');
+    });
+
+    test('a count sets on hand and records the difference', () => {
+      setComponentStock(blank.id, 12, 'sam');
+      const counted = setComponentStock(blank.id, 9, 'sam');
+
+      expect(counted.on_hand).toBe(9);
+      expect(getMaterialMovements(blank.id).map(m => [m.reason, m.delta, m.actor])).toEqual([
+        ['count', -3, 'sam'],
+        ['count', 12, 'sam']
+      ]);
+      expect(() => setComponentStock(blank.id, -1)).toThrow('Stock count must be zero or more');
+    });
+  });
+
+  describe('Using up materials', () => {
+    test('making units takes their recipe out of stock and unmaking puts it back', () => {
+      setComponentStock(blank.id, 10);
+
+      expect(consumeMaterialsForVariant('variant-1', 3, 'mark_made')).toEqual([
+        { componentId: blank.id, name: 'Mug blank', unit: 'pcs', quantity: 3 },
+        { componentId: vinyl.id, name: 'Vinyl', unit: 'm', quantity: 0.75 }
+      ]);
+      consumeMaterialsForVariant('variant-1', -1, 'unmark_made');
+
+      const stock = getAllComponents().map(c => [c.name, c.on_hand]);
+      expect(stock).toEqual([['Mug blank', 8], ['Vinyl', -0.5]]);
+      expect(getMaterialMovements(vinyl.id)[0]).toMatchObject({ reason: 'unmark_made', delta: 0.25, variant_id: 'variant-1' });
+    });
+
+    test('variants without a recipe use nothing', () => {
+      expect(consumeMaterialsForVariant('variant-2', 5, 'mark_made')).toEqual([]);
+    });
+
+    test('using up materials is off until turned on', () => {
+      expect(getMaterialSettings()).toEqual({ consumeOnMake: false });
+      expect(saveMaterialSettings({ consumeOnMake: true })).toEqual({ consumeOnMake: true });
+      expect(getMaterialSettings()).toEqual({ consumeOnMake: true });
+    });
+  });
+
+  describe('Purchase orders', () => {
+    test('a purchase order goes from draft to ordered to received', () => {
+      const draft = savePurchaseOrder({ supplier: ' Blanks Ltd ', lines: [{ componentId: blank.id, quantity: 20 }] });
+      expect(draft).toMatchObject({ supplier: 'Blanks Ltd', status: 'draft', ordered_at: null });
+      expect(getAllComponents().find(c => c.id === blank.id).on_order).toBe(0);
+
+      const ordered = markPurchaseOrderOrdered(draft.id);
+      expect(ordered.status).toBe('ordered');
+      expect(ordered.ordered_at).not.toBeNull();
+      expect(getAllComponents().find(c => c.id === blank.id).on_order).toBe(20);
+
+      const received = receivePurchaseOrder(draft.id, 'sam');
+      expect(received.status).toBe('received');
+      expect(getAllComponents().find(c => c.id === blank.id)).toMatchObject({ on_hand: 20, on_order: 0 });
+      expect(getMaterialMovements(blank.id)[0]).toMatchObject({ reason: 'received', delta: 20, purchase_order_id: draft.id });
+    });
+
+    test('only drafts can be changed and only ordered purchase orders received', () => {
+      const draft = savePurchaseOrder({ lines: [{ componentId: blank.id, quantity: 5 }] });
+
+      expect(() => receivePurchaseOrder(draft.id)).toThrow('Only ordered purchase orders can be received');
+
+      const edited = savePurchaseOrder({ id: draft.id, reference: 'PO-1', lines: [{ componentId: vinyl.id, quantity: 2.5 }] });
+      expect(edited.lines.map(line => [line.name, line.quantity, line.unit])).toEqual([['Vinyl', 2.5, 'm']]);
+
+      markPurchaseOrderOrdered(draft.id);
+      expect(() => savePurchaseOrder({ id: draft.id, lines: [{ componentId: blank.id, quantity: 1 }] }))
+        .toThrow('Only draft purchase orders can be changed');
+      expect(() => markPurchaseOrderOrdered(draft.id)).toThrow('Only draft purchase orders can be marked as ordered');
+    });
+
+    test('rejects empty orders and repeated components', () => {
+      expect(() => savePurchaseOrder({ lines: [] })).toThrow('Add at least one component to the purchase order');
+      expect(() => savePurchaseOrder({ lines: [{ componentId: blank.id, quantity: 1 }, { componentId: blank.id, quantity: 1 }] }))
+        .toThrow('Each component can only be listed once per purchase order');
+    });
+
+    test('open purchase orders can be deleted and keep their components', () => {
+      const order = savePurchaseOrder({ lines: [{ componentId: blank.id, quantity: 5 }] });
+      markPurchaseOrderOrdered(order.id);
+
+      expect(() => deleteComponent(blank.id)).toThrow(`Component is on purchase order #${order.id} - take it off the order first`);
+
+      deletePurchaseOrder(order.id);
+      expect(getPurchaseOrders()).toEqual([]);
+
+      const received = savePurchaseOrder({ lines: [{ componentId: vinyl.id, quantity: 1 }] });
+      markPurchaseOrderOrdered(received.id);
+      receivePurchaseOrder(received.id);
+      expect(() => deletePurchaseOrder(received.id)).toThrow('Received purchase orders cannot be deleted');
+    });
+  });
+
+  describe('Shortfall', () => {
+    test('demand not covered by stock or open purchase orders is short', () => {
+      setComponentStock(blank.id, 1);
+      const order = savePurchaseOrder({ lines: [{ componentId: blank.id, quantity: 2 }] });
+
+      // Drafts aren't on order yet
+      expect(getMaterialShortfall().map(row => [row.name, row.shortfall, row.toOrder])).toEqual([
+        ['Mug blank', 3, 3],
+        ['Vinyl', 1, 1]
+      ]);
+
+      markPurchaseOrderOrdered(order.id);
+      expect(getMaterialShortfall().find(row => row.componentId === blank.id)).toEqual({
+        componentId: blank.id,
+        name: 'Mug blank',
+        unit: 'pcs',
+        sku: '',
+        quantityNeeded: 4,
+        onHand: 1,
+        onOrder: 2,
+        reorderPoint: 0,
+        shortfall: 1,
+        toOrder: 1
+      });
+    });
+
+    test('ordering tops stock back up to the reorder point', () => {
+      setComponentStock(vinyl.id, 1);
+      saveComponent({ id: blank.id, name: 'Mug blank', reorderPoint: 5 });
+      setComponentStock(blank.id, 8);
+
+      // 8 on hand - 4 needed leaves 4, one under the reorder point; vinyl is covered
+      expect(getMaterialShortfall().map(row => [row.name, row.shortfall, row.toOrder])).toEqual([['Mug blank', 0, 1]]);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Feature Test: Versioned Schema Migrations
+ *
+ * Tests that migrations are applied in order, recorded in schema_version,
+ * upgrade databases created before versioning existed, and roll back cleanly
+ * when a migration fails.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  getTestDb
+} = require('../helpers/test-database');
+const { MIGRATIONS, getSchemaVersion, runMigrations } = require('../../src/main/migrations');
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Drop every table so a test can lay down an old, unversioned schema by hand
+ */
+function dropAllTables(db) {
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+  for (const table of tables) {
+    db.exec(`DROP TABLE ${table.name}`);
+  }
+}
+
+describe('Feature: Versioned Schema Migrations', () => {
+  let db;
+
+  beforeEach(async () => {
+    await initTestDatabase();
+    db = getTestDb();
+  });
+
+  afterEach(() => {
+    closeTestDatabase();
+  });
+
+  describe('Fresh database', () => {
+    test('records every migration in schema_version', () => {
+      const rows = db.prepare('SELECT version, name FROM schema_version ORDER BY version ASC').all();
+
+      expect(rows.map(r => r.version)).toEqual(MIGRATIONS.map(m => m.version));
+      expect(getSchemaVersion(db)).toBe(LATEST_VERSION);
+    });
+
+    test('creates all core tables', () => {
+      const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all()
+        .map(t => t.name);
+
+      expect(tables).toEqual(expect.arrayContaining([
+        'tasks', 'orders', 'order_line_items', 'sync_history', 'inventory', 'schema_version'
+      ]));
+    });
+
+    test('running migrations again applies nothing', () => {
+      const applied = runMigrations(db);
+
+      expect(applied).toEqual([]);
+      expect(getSchemaVersion(db)).toBe(LATEST_VERSION);
+    });
+  });
+
+  describe('Databases created before versioning', () => {
+    test('rebuilds orders table without archived status and keeps its data', () => {
+      // Simulate an old database: orders CHECK constraint without 'archived', no schema_version
+      dropAllTables(db);
+      db.exec(`
+        CREATE TABLE orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT UNIQUE NOT NULL,
+          order_name TEXT NOT NULL,
+          order_date DATETIME NOT NULL,
+          total_items INTEGER NOT NULL DEFAULT 0,
+          fulfilled_items INTEGER NOT NULL DEFAULT 0,
+          status TEXT CHECK(status IN ('pending', 'in_progress', 'fulfilled')) DEFAULT 'pending',
+          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      db.prepare("INSERT INTO orders (order_id, order_name, order_date, total_items, fulfilled_items, status) VALUES (?, ?, ?, ?, ?, ?)")
+        .run('order-1', '#1001', '2025-01-10T10:00:00Z', 5, 5, 'fulfilled');
+
+      const applied = runMigrations(db);
+
+      expect(applied).toEqual(MIGRATIONS.map(m => m.version));
+
+      // Existing data survives the rebuild
+      const order = db.prepare('SELECT * FROM orders WHERE order_id = ?').get('order-1');
+      expect(order.order_name).toBe('#1001');
+      expect(order.status).toBe('fulfilled');
+
+      // New constraint accepts 'archived'
+      expect(() => {
+        db.prepare("UPDATE orders SET status = 'archived' WHERE order_id = ?").run('order-1');
+      }).not.toThrow();
+    });
+
+    test('rebuilding orders keeps their line items with foreign keys on', () => {
+      // The app's better-sqlite3 connections enforce foreign keys, and line
+      // items are deleted with their order
+      dropAllTables(db);
+      db.exec(`
+        CREATE TABLE orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT UNIQUE NOT NULL,
+          order_name TEXT NOT NULL,
+          order_date DATETIME NOT NULL,
+          total_items INTEGER NOT NULL DEFAULT 0,
+          fulfilled_items INTEGER NOT NULL DEFAULT 0,
+          status TEXT CHECK(status IN ('pending', 'in_progress', 'fulfilled')) DEFAULT 'pending',
+          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE order_line_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL,
+          line_item_id TEXT UNIQUE NOT NULL,
+          variant_id TEXT NOT NULL,
+          variant_title TEXT NOT NULL,
+          product_title TEXT NOT NULL,
+          quantity INTEGER NOT NULL DEFAULT 0,
+          fulfilled_quantity INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+        );
+      `);
+      db.exec('PRAGMA foreign_keys = ON');
+      db.prepare("INSERT INTO orders (order_id, order_name, order_date, total_items) VALUES (?, ?, ?, ?)")
+        .run('order-1', '#1001', '2025-01-10T10:00:00Z', 3);
+      db.prepare("INSERT INTO order_line_items (order_id, line_item_id, variant_id, variant_title, product_title, quantity, fulfilled_quantity) VALUES (?, ?, ?, ?, ?, ?, ?)")
+        .run('order-1', 'line-1', 'variant-1', 'Red', 'Mug', 3, 1);
+
+      runMigrations(db);
+
+      expect(db.prepare('SELECT line_item_id, quantity, fulfilled_quantity FROM order_line_items').all()).toEqual([
+        { line_item_id: 'line-1', quantity: 3, fulfilled_quantity: 1 }
+      ]);
+      expect(db.prepare('PRAGMA foreign_keys').get()).toEqual({ foreign_keys: 1 });
+
+      // Still linked to the rebuilt orders table
+      db.prepare('DELETE FROM orders WHERE order_id = ?').run('order-1');
+      expect(db.prepare('SELECT COUNT(*) as count FROM order_line_items').get().count).toBe(0);
+    });
+
+    test('adds missing sku and image_url columns to tasks', () => {
+      dropAllTables(db);
+      db.exec(`
+        CREATE TABLE tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          variant_id TEXT UNIQUE NOT NULL,
+          variant_title TEXT NOT NULL,
+          product_title TEXT NOT NULL,
+          total_quantity INTEGER NOT NULL DEFAULT 0,
+          made_quantity INTEGER NOT NULL DEFAULT 0,
+          status TEXT CHECK(status IN ('pending', 'in_progress', 'completed')) DEFAULT 'pending',
+          last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      runMigrations(db);
+
+      const columns = db.prepare('PRAGMA table_info(tasks)').all().map(c => c.name);
+      expect(columns).toEqual(expect.arrayContaining(['sku', 'image_url']));
+    });
+  });
+
+  describe('Failures', () => {
+    test('rolls back a failing migration and throws a clear error', () => {
+      const migrations = [
+        ...MIGRATIONS,
+        {
+          version: LATEST_VERSION + 1,
+          name: 'broken_migration',
+          up(migrationDb) {
+            migrationDb.exec('CREATE TABLE half_done (id INTEGER PRIMARY KEY)');
+            migrationDb.exec('ALTER TABLE table_that_does_not_exist ADD COLUMN nope TEXT');
+          }
+        }
+      ];
+
+      expect(() => runMigrations(db, migrations))
+        .toThrow(`Database migration ${LATEST_VERSION + 1} (broken_migration) failed`);
+
+      // Nothing from the failed migration is left behind
+      const halfDone = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'half_done'").get();
+      expect(halfDone).toBeUndefined();
+      expect(getSchemaVersion(db)).toBe(LATEST_VERSION);
+    });
+
+    test('refuses a database written by a newer app version', () => {
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)')
+        .run(LATEST_VERSION + 10, 'from_the_future');
+
+      expect(() => runMigrations(db)).toThrow(/newer than this app supports/);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Feature: Nested Pagination
+ *
+ * Tests that ShopifyClient follows an order's line items and a product's
+ * variants past their first page, against a local stand-in server, and
+ * reports a warning when it had to.
+ */
+
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+function lineItemEdge(id, quantity) {
+  return {
+    node: {
+      id: `gid://shopify/LineItem/${id}`,
+      title: 'Mug',
+      quantity,
+      fulfillableQuantity: quantity,
+      variant: { id: 'gid://shopify/ProductVariant/1', title: 'Default Title', sku: 'MUG', image: null, product: { id: 'gid://shopify/Product/1', title: 'Mug', featuredImage: null } }
+    }
+  };
+}
+
+function variantEdge(id) {
+  return { node: { id: `gid://shopify/ProductVariant/${id}`, title: `Size ${id}`, sku: '', inventoryQuantity: 1, image: null } };
+}
+
+function connection(edges, endCursor = null) {
+  return { pageInfo: { hasNextPage: endCursor !== null, endCursor }, edges };
+}
+
+function createClient(standIn) {
+  return new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+}
+
+describe('Feature: Nested Pagination', () => {
+  let standIn;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (standIn) {
+      await standIn.close();
+      standIn = null;
+    }
+  });
+
+  test('follows an order\'s line items to the last page', async () => {
+    standIn = await startShopifyStandIn({
+      handlers: {
+        GetOrders: () => ({
+          data: {
+            orders: connection([
+              { node: { id: 'gid://shopify/Order/1', name: '#1001', createdAt: '2025-01-01T10:00:00Z', tags: [], shippingLine: null, lineItems: connection([lineItemEdge(1, 2)], 'page-2') } },
+              { node: { id: 'gid://shopify/Order/2', name: '#1002', createdAt: '2025-01-02T10:00:00Z', tags: [], shippingLine: null, lineItems: connection([lineItemEdge(9, 1)]) } }
+            ])
+          }
+        }),
+        GetOrderLineItems: ({ variables }) => ({
+          data: {
+            node: {
+              lineItems: variables.cursor === 'page-2'
+                ? connection([lineItemEdge(2, 3)], 'page-3')
+                : connection([lineItemEdge(3, 4)])
+            }
+          }
+        })
+      }
+    });
+    const client = createClient(standIn);
+
+    const { ordersForStorage, aggregated } = await client.fetchAndAggregate();
+
+    expect(ordersForStorage[0].lineItems.map(item => item.quantity)).toEqual([2, 3, 4]);
+    expect(ordersForStorage[0].totalItems).toBe(9);
+    expect(aggregated[0].totalQuantity).toBe(10);
+    expect(standIn.requests.filter(r => r.operationName === 'GetOrderLineItems').map(r => r.variables))
+      .toEqual([{ id: 'gid://shopify/Order/1', cursor: 'page-2' }, { id: 'gid://shopify/Order/1', cursor: 'page-3' }]);
+    expect(client.getWarnings()).toEqual(['Order #1001 has more than 100 lineItems - fetched all 3 with 2 follow-up queries']);
+  });
+
+  test('follows a product\'s variants to the last page', async () => {
+    standIn = await startShopifyStandIn({
+      handlers: {
+        GetProductsInventory: () => ({
+          data: {
+            products: connection([
+              { node: { id: 'gid://shopify/Product/1', title: 'Mug', featuredImage: null, variants: connection([variantEdge(1)], 'page-2') } }
+            ])
+          }
+        }),
+        GetProductVariants: () => ({
+          data: { node: { variants: connection([variantEdge(2)]) } }
+        })
+      }
+    });
+    const client = createClient(standIn);
+
+    const { inventoryData } = await client.fetchInventory();
+
+    expect(inventoryData.map(item => item.variantId)).toEqual(['gid://shopify/ProductVariant/1', 'gid://shopify/ProductVariant/2']);
+    expect(client.getWarnings()).toEqual(['Product "Mug" has more than 100 variants - fetched all 2 with 1 follow-up query']);
+  });
+
+  test('has no warnings when everything fits in one page', async () => {
+    standIn = await startShopifyStandIn({
+      handlers: {
+        GetOrders: () => ({
+          data: {
+            orders: connection([
+              { node: { id: 'gid://shopify/Order/1', name: '#1001', createdAt: '2025-01-01T10:00:00Z', tags: [], shippingLine: null, lineItems: connection([lineItemEdge(1, 2)]) } }
+            ])
+          }
+        })
+      }
+    });
+    const client = createClient(standIn);
+
+    await client.fetchAndAggregate();
+
+    expect(client.getWarnings()).toEqual([]);
+    expect(standIn.requests).toHaveLength(1);
+  });
+});
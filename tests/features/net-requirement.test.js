@@ -0,0 +1,145 @@
+/**
+ * Feature: Net Requirement
+ *
+ * Tests the "net to make" figure (what is left to make once stock on hand is
+ * used) and allocating stock on hand to the oldest orders so only the
+ * shortfall is left as production work.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  upsertInventory,
+  getTaskByVariantId,
+  getAllTasks,
+  getLineItemsByOrderId,
+  getOrderByOrderId,
+  updateMadeQuantity,
+  allocateMadeQuantityToOrders,
+  archiveOrder,
+  saveAllocationStrategy,
+  allocateStockToOrders,
+  getPlanningSettings,
+  savePlanningSettings,
+  resetVariantInOrders
+} = require('../helpers/test-database');
+
+function storeOrder(orderId, orderName, orderDate, quantity) {
+  upsertOrder({ orderId, orderName, orderDate, totalItems: quantity });
+  upsertOrderLineItem({ orderId, lineItemId: `${orderId}-line`, variantId: 'variant-1', productTitle: 'Mug', quantity });
+}
+
+function storeStock(quantity) {
+  upsertInventory({ variantId: 'variant-1', productId: 'product-1', productTitle: 'Mug', variantTitle: '', inventoryQuantity: quantity });
+}
+
+describe('Feature: Net Requirement', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    // Newest order first, so allocation order isn't insertion order
+    storeOrder('order-2', '#1002', '2025-01-02T10:00:00Z', 3);
+    storeOrder('order-1', '#1001', '2025-01-01T10:00:00Z', 2);
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 5 });
+  });
+
+  test('without stock the net requirement is what is left to make', () => {
+    expect(getTaskByVariantId('variant-1')).toMatchObject({
+      remaining_quantity: 5,
+      stock_on_hand: 0,
+      stock_allocated: 0,
+      net_to_make: 5
+    });
+  });
+
+  test('stock on hand comes off the net requirement but never below zero', () => {
+    storeStock(3);
+    expect(getTaskByVariantId('variant-1')).toMatchObject({ remaining_quantity: 5, stock_on_hand: 3, net_to_make: 2 });
+
+    storeStock(9);
+    expect(getAllTasks()[0].net_to_make).toBe(0);
+
+    storeStock(-4);
+    expect(getTaskByVariantId('variant-1')).toMatchObject({ stock_on_hand: 0, net_to_make: 5 });
+  });
+
+  test('stock goes to the oldest orders first whatever the allocation strategy', () => {
+    saveAllocationStrategy({ strategy: 'fewest_remaining' });
+    storeStock(3);
+
+    const { variants, newlyFulfilledOrders } = allocateStockToOrders();
+
+    expect(variants).toEqual([{
+      variantId: 'variant-1',
+      quantity: 3,
+      madeBefore: 0,
+      madeAfter: 3,
+      allocations: [
+        { orderId: 'order-1', lineItemId: 'order-1-line', allocated: 2 },
+        { orderId: 'order-2', lineItemId: 'order-2-line', allocated: 1 }
+      ]
+    }]);
+    expect(newlyFulfilledOrders.map(order => order.order_id)).toEqual(['order-1']);
+    expect(getLineItemsByOrderId('order-1')[0]).toMatchObject({ fulfilled_quantity: 2, pinned_quantity: 2, stock_quantity: 2 });
+    expect(getOrderByOrderId('order-2').status).toBe('in_progress');
+  });
+
+  test('allocated stock is not counted twice', () => {
+    storeStock(3);
+    allocateStockToOrders();
+
+    expect(getTaskByVariantId('variant-1')).toMatchObject({
+      made_quantity: 3,
+      remaining_quantity: 2,
+      stock_allocated: 3,
+      net_to_make: 2
+    });
+    expect(allocateStockToOrders().variants).toEqual([]);
+
+    // New stock arrives - only the new units are allocated
+    storeStock(4);
+    expect(allocateStockToOrders().variants[0].quantity).toBe(1);
+    expect(getTaskByVariantId('variant-1').net_to_make).toBe(1);
+  });
+
+  test('stock only covers what is not made yet', () => {
+    updateMadeQuantity('variant-1', 4);
+    allocateMadeQuantityToOrders('variant-1', 4);
+    storeStock(3);
+
+    const { variants } = allocateStockToOrders();
+
+    expect(variants[0]).toMatchObject({ quantity: 1, madeBefore: 4, madeAfter: 5 });
+    expect(getTaskByVariantId('variant-1').status).toBe('completed');
+  });
+
+  test('stock given to archived or reset orders is free again', () => {
+    storeStock(3);
+    allocateStockToOrders();
+
+    archiveOrder('order-1');
+    expect(getTaskByVariantId('variant-1').stock_allocated).toBe(1);
+
+    resetVariantInOrders('variant-1');
+    expect(getTaskByVariantId('variant-1').stock_allocated).toBe(0);
+  });
+
+  test('planning settings are off until turned on', () => {
+    expect(getPlanningSettings()).toEqual({ netRequirement: false, allocateStock: false });
+
+    expect(savePlanningSettings({ netRequirement: true, allocateStock: 'yes' })).toEqual({ netRequirement: true, allocateStock: false });
+    expect(getPlanningSettings()).toEqual({ netRequirement: true, allocateStock: false });
+  });
+});
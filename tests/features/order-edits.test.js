@@ -0,0 +1,153 @@
+/**
+ * Feature: Order Edits
+ *
+ * Tests merging Shopify order edits (changed quantities, removed and added
+ * lines) into orders that already have made units, which sync otherwise
+ * leaves untouched.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getOrderByOrderId,
+  getLineItemsByOrderId,
+  getTaskByVariantId,
+  updateMadeQuantity,
+  allocateMadeQuantityToOrders,
+  archiveOrder,
+  mergePreservedOrderEdits,
+  recalculateTaskTotalsFromOrders,
+  updateAllOrderStatuses
+} = require('../helpers/test-database');
+
+function lineItem(orderId, suffix, variantId, quantity) {
+  return { orderId, lineItemId: `${orderId}-${suffix}`, variantId, variantTitle: '', productTitle: variantId === 'variant-1' ? 'Mug' : 'Cup', quantity };
+}
+
+function shopifyOrder(orderId, orderName, lineItems) {
+  return {
+    orderId,
+    orderName,
+    orderDate: '2025-01-01T10:00:00Z',
+    totalItems: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+    lineItems
+  };
+}
+
+function storeOrder(order) {
+  upsertOrder(order);
+  for (const item of order.lineItems) {
+    upsertOrderLineItem(item);
+  }
+}
+
+describe('Feature: Order Edits', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    // order-1: 4 mugs and 2 cups, all made; order-2: 3 mugs, none made
+    storeOrder(shopifyOrder('order-1', '#1001', [lineItem('order-1', 'a', 'variant-1', 4), lineItem('order-1', 'b', 'variant-2', 2)]));
+    storeOrder(shopifyOrder('order-2', '#1002', [lineItem('order-2', 'a', 'variant-1', 3)]));
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 7 });
+    upsertTask({ variantId: 'variant-2', productTitle: 'Cup', totalQuantity: 2 });
+    updateMadeQuantity('variant-1', 4);
+    allocateMadeQuantityToOrders('variant-1', 4);
+    updateMadeQuantity('variant-2', 2);
+    allocateMadeQuantityToOrders('variant-2', 2);
+    updateAllOrderStatuses();
+  });
+
+  test('a lower quantity clamps made units and gives them to the next order', () => {
+    const edits = mergePreservedOrderEdits([
+      shopifyOrder('order-1', '#1001', [lineItem('order-1', 'a', 'variant-1', 1), lineItem('order-1', 'b', 'variant-2', 2)])
+    ]);
+
+    expect(edits).toEqual([{
+      orderId: 'order-1',
+      orderName: '#1001',
+      changes: [{
+        lineItemId: 'order-1-a',
+        variantId: 'variant-1',
+        productTitle: 'Mug',
+        variantTitle: '',
+        oldQuantity: 4,
+        newQuantity: 1,
+        clampedQuantity: 3,
+        reassigned: [{ orderId: 'order-2', lineItemId: 'order-2-a', allocated: 3 }]
+      }]
+    }]);
+    expect(getLineItemsByOrderId('order-1').find(item => item.line_item_id === 'order-1-a'))
+      .toMatchObject({ quantity: 1, fulfilled_quantity: 1 });
+    expect(getLineItemsByOrderId('order-2')[0]).toMatchObject({ quantity: 3, fulfilled_quantity: 3 });
+    expect(getOrderByOrderId('order-1').total_items).toBe(3);
+  });
+
+  test('made units no order is waiting for are left spare', () => {
+    const edits = mergePreservedOrderEdits([
+      shopifyOrder('order-1', '#1001', [lineItem('order-1', 'a', 'variant-1', 4)])
+    ]);
+
+    expect(edits[0].changes).toEqual([
+      expect.objectContaining({ lineItemId: 'order-1-b', newQuantity: 0, clampedQuantity: 2, reassigned: [] })
+    ]);
+  });
+
+  test('a higher quantity keeps the made units', () => {
+    const edits = mergePreservedOrderEdits([
+      shopifyOrder('order-1', '#1001', [lineItem('order-1', 'a', 'variant-1', 6), lineItem('order-1', 'b', 'variant-2', 2)])
+    ]);
+
+    expect(edits[0].changes[0]).toMatchObject({ oldQuantity: 4, newQuantity: 6, clampedQuantity: 0 });
+    expect(getLineItemsByOrderId('order-1').find(item => item.line_item_id === 'order-1-a'))
+      .toMatchObject({ quantity: 6, fulfilled_quantity: 4 });
+  });
+
+  test('removed lines give up their made units and added lines come in', () => {
+    const edits = mergePreservedOrderEdits([
+      shopifyOrder('order-1', '#1001', [lineItem('order-1', 'a', 'variant-1', 4), lineItem('order-1', 'c', 'variant-2', 1)])
+    ]);
+
+    expect(edits[0].changes.map(c => [c.lineItemId, c.oldQuantity, c.newQuantity, c.clampedQuantity])).toEqual([
+      ['order-1-c', 0, 1, 0],
+      ['order-1-b', 2, 0, 2]
+    ]);
+    expect(getLineItemsByOrderId('order-1').map(item => item.line_item_id).sort()).toEqual(['order-1-a', 'order-1-c']);
+  });
+
+  test('task totals follow the edits after recalculating', () => {
+    mergePreservedOrderEdits([
+      shopifyOrder('order-1', '#1001', [lineItem('order-1', 'a', 'variant-1', 1), lineItem('order-1', 'b', 'variant-2', 2)])
+    ]);
+    recalculateTaskTotalsFromOrders();
+    updateAllOrderStatuses();
+
+    expect(getTaskByVariantId('variant-1')).toMatchObject({ total_quantity: 4, made_quantity: 4 });
+    expect(getOrderByOrderId('order-1').status).toBe('fulfilled');
+    expect(getOrderByOrderId('order-2').status).toBe('fulfilled');
+  });
+
+  test('unchanged, unstarted and archived orders are left alone', () => {
+    archiveOrder('order-1');
+
+    const edits = mergePreservedOrderEdits([
+      shopifyOrder('order-1', '#1001', [lineItem('order-1', 'a', 'variant-1', 1)]),
+      shopifyOrder('order-2', '#1002', [lineItem('order-2', 'a', 'variant-1', 1)])
+    ]);
+
+    expect(edits).toEqual([]);
+    expect(getLineItemsByOrderId('order-1').map(item => item.quantity).sort()).toEqual([2, 4]);
+    expect(getLineItemsByOrderId('order-2')[0].quantity).toBe(3);
+  });
+});
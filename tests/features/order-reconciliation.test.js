@@ -0,0 +1,194 @@
+/**
+ * Feature: Order Reconciliation
+ *
+ * Tests what sync does with preserved orders (orders with made units) that
+ * Shopify stopped listing as unfulfilled: looking them up by ID, archiving
+ * the fulfilled ones and flagging the rest for attention.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getOrderByOrderId,
+  getTaskByVariantId,
+  updateMadeQuantity,
+  allocateMadeQuantityToOrders,
+  archiveOrder,
+  getPreservedOrdersToReconcile,
+  applyOrderReconciliation,
+  dismissOrderAttention
+} = require('../helpers/test-database');
+const { decideOrderReconciliation, summarizeReconciliation } = require('../../src/main/order-reconciliation');
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+const ORDER = { order_id: 'gid://shopify/Order/1', order_name: '#1001' };
+
+function state(changes = {}) {
+  return {
+    id: ORDER.order_id,
+    name: ORDER.order_name,
+    displayFulfillmentStatus: 'UNFULFILLED',
+    displayFinancialStatus: 'PAID',
+    cancelledAt: null,
+    closed: false,
+    ...changes
+  };
+}
+
+function storeOrder(orderId, orderName, quantity) {
+  upsertOrder({ orderId, orderName, orderDate: '2025-01-01T10:00:00Z', totalItems: quantity });
+  upsertOrderLineItem({ orderId, lineItemId: `${orderId}-line`, variantId: 'variant-1', productTitle: 'Mug', quantity });
+}
+
+describe('Feature: Order Reconciliation', () => {
+  describe('Deciding', () => {
+    test('archives orders fulfilled in Shopify', () => {
+      expect(decideOrderReconciliation(ORDER, state({ displayFulfillmentStatus: 'FULFILLED', closed: true }))).toEqual({
+        orderId: 'gid://shopify/Order/1',
+        orderName: '#1001',
+        action: 'archived',
+        reason: 'Fulfilled in Shopify'
+      });
+    });
+
+    test('flags cancelled, refunded, closed and deleted orders', () => {
+      const reasons = [
+        state({ cancelledAt: '2025-01-02T10:00:00Z', closed: true }),
+        state({ displayFinancialStatus: 'REFUNDED' }),
+        state({ closed: true }),
+        null
+      ].map(s => decideOrderReconciliation(ORDER, s));
+
+      expect(reasons.map(d => d.action)).toEqual(['needs_attention', 'needs_attention', 'needs_attention', 'needs_attention']);
+      expect(reasons.map(d => d.reason)).toEqual([
+        'Cancelled in Shopify',
+        'Refunded in Shopify',
+        'Closed in Shopify without being fulfilled',
+        'Not found in Shopify (deleted?)'
+      ]);
+    });
+
+    test('a cancelled order counts as cancelled even if it was fulfilled', () => {
+      const decision = decideOrderReconciliation(ORDER, state({ displayFulfillmentStatus: 'FULFILLED', cancelledAt: '2025-01-02T10:00:00Z' }));
+
+      expect(decision.action).toBe('needs_attention');
+    });
+
+    test('keeps orders that are still open', () => {
+      const decision = decideOrderReconciliation(ORDER, state({ displayFulfillmentStatus: 'ON_HOLD' }));
+
+      expect(decision).toMatchObject({ action: 'kept', reason: 'Still open in Shopify (ON_HOLD)' });
+    });
+
+    test('summarizes what changed', () => {
+      const decisions = [
+        { action: 'archived' },
+        { action: 'archived' },
+        { action: 'needs_attention' },
+        { action: 'kept' }
+      ];
+
+      expect(summarizeReconciliation(decisions)).toBe('2 orders archived (fulfilled in Shopify), 1 order needs attention');
+      expect(summarizeReconciliation([{ action: 'kept' }])).toBe('');
+    });
+  });
+
+  describe('Applying', () => {
+    beforeAll(async () => {
+      await initTestDatabase();
+    });
+
+    afterAll(() => {
+      closeTestDatabase();
+    });
+
+    beforeEach(() => {
+      resetTestDatabase();
+
+      storeOrder('order-1', '#1001', 2);
+      storeOrder('order-2', '#1002', 3);
+      storeOrder('order-3', '#1003', 1);
+      upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 6 });
+
+      // Oldest first: 2 units fill order-1 and 1 goes to order-2
+      updateMadeQuantity('variant-1', 3);
+      allocateMadeQuantityToOrders('variant-1', 3);
+    });
+
+    test('only preserved orders that are not flagged yet are checked', () => {
+      applyOrderReconciliation([{ orderId: 'order-2', action: 'needs_attention', reason: 'Cancelled in Shopify' }]);
+
+      expect(getPreservedOrdersToReconcile()).toEqual([{ order_id: 'order-1', order_name: '#1001' }]);
+
+      archiveOrder('order-1');
+      expect(getPreservedOrdersToReconcile()).toEqual([]);
+    });
+
+    test('archives fulfilled orders, taking them out of the task totals', () => {
+      applyOrderReconciliation([{ orderId: 'order-1', action: 'archived', reason: 'Fulfilled in Shopify' }]);
+
+      expect(getOrderByOrderId('order-1').status).toBe('archived');
+      expect(getTaskByVariantId('variant-1')).toMatchObject({ total_quantity: 4, made_quantity: 1 });
+    });
+
+    test('flags orders that need attention and leaves kept ones alone', () => {
+      applyOrderReconciliation([
+        { orderId: 'order-1', action: 'kept', reason: 'Still open in Shopify (ON_HOLD)' },
+        { orderId: 'order-2', action: 'needs_attention', reason: 'Refunded in Shopify' }
+      ]);
+
+      expect(getOrderByOrderId('order-1').attention_reason).toBeNull();
+      expect(getOrderByOrderId('order-2').attention_reason).toBe('Refunded in Shopify');
+      expect(getTaskByVariantId('variant-1').total_quantity).toBe(6);
+    });
+
+    test('dismissing keeps the order out of later checks', () => {
+      applyOrderReconciliation([{ orderId: 'order-2', action: 'needs_attention', reason: 'Refunded in Shopify' }]);
+
+      dismissOrderAttention('order-2');
+
+      expect(getOrderByOrderId('order-2').attention_dismissed_at).not.toBeNull();
+      expect(getPreservedOrdersToReconcile().map(order => order.order_id)).toEqual(['order-1']);
+      expect(() => dismissOrderAttention('order-unknown')).toThrow('Order not found');
+    });
+  });
+
+  describe('Looking up orders by ID', () => {
+    let standIn;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await standIn.close();
+    });
+
+    test('batches IDs and maps missing orders to null', async () => {
+      standIn = await startShopifyStandIn({
+        handlers: {
+          GetOrderStates: ({ variables }) => ({
+            data: {
+              nodes: variables.ids.map(id => (id.endsWith('/2') ? null : { ...state(), id }))
+            }
+          })
+        }
+      });
+      const client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+      const ids = Array.from({ length: 300 }, (_, i) => `gid://shopify/Order/${i + 1}`);
+
+      const states = await client.fetchOrderStates(ids);
+
+      expect(standIn.requests.map(r => r.variables.ids.length)).toEqual([250, 50]);
+      expect(states.size).toBe(300);
+      expect(states.get('gid://shopify/Order/1').displayFulfillmentStatus).toBe('UNFULFILLED');
+      expect(states.get('gid://shopify/Order/2')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Feature: Printing
+ *
+ * Tests the printable documents: a production sheet of everything left to
+ * make, a packing slip per order and a pick list combining made orders.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getAllTasks,
+  getOrdersWithLineItems,
+  updateMadeQuantity,
+  allocateMadeQuantityToOrders
+} = require('../helpers/test-database');
+const { renderProductionSheet, renderPackingSlips, renderPickList } = require('../../src/main/print-documents');
+
+function storeLine(orderId, variantId, productTitle, variantTitle, quantity) {
+  upsertOrderLineItem({
+    orderId,
+    lineItemId: `${orderId}-${variantId}`,
+    variantId,
+    productTitle,
+    variantTitle,
+    sku: variantId.toUpperCase(),
+    imageUrl: `https://cdn.shopify.com/${variantId}.jpg`,
+    quantity
+  });
+}
+
+describe('Feature: Printing', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    upsertOrder({ orderId: 'order-1', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 3, shippingMethod: 'Express' });
+    storeLine('order-1', 'mug-red', 'Mug', 'Red', 2);
+    storeLine('order-1', 'cap', 'Cap', 'Default Title', 1);
+
+    upsertOrder({ orderId: 'order-2', orderName: '#1002', orderDate: '2025-01-02T10:00:00Z', totalItems: 1 });
+    storeLine('order-2', 'mug-red', 'Mug', 'Red', 1);
+
+    upsertTask({ variantId: 'mug-red', productTitle: 'Mug', variantTitle: 'Red', sku: 'MUG-RED', imageUrl: 'https://cdn.shopify.com/mug-red.jpg', totalQuantity: 3 });
+    upsertTask({ variantId: 'cap', productTitle: 'Cap', variantTitle: 'Default Title', totalQuantity: 1 });
+  });
+
+  test('the production sheet lists what is left to make with images', () => {
+    updateMadeQuantity('cap', 1);
+
+    const html = renderProductionSheet(getAllTasks());
+
+    expect(html).toContain('<title>Production sheet</title>');
+    expect(html).toContain('1 variant(s), 3 unit(s) left to make');
+    expect(html).toContain('<img src="https://cdn.shopify.com/mug-red.jpg" alt="" class="thumb">');
+    expect(html).toMatch(/<td>Mug<\/td>\s*<td>Red<\/td>\s*<td>MUG-RED<\/td>\s*<td class="number">3<\/td>/);
+    expect(html).not.toContain('<td>Cap</td>');
+  });
+
+  test('each order gets its own packing slip', () => {
+    const html = renderPackingSlips(getOrdersWithLineItems());
+
+    expect(html).toContain('<title>Packing slips</title>');
+    expect(html.match(/<section class="slip">/g)).toHaveLength(2);
+    expect(html).toContain('<h1>Packing slip #1001</h1>');
+    expect(html).toContain('Express');
+    expect(html).toContain('3 item(s)');
+    // Default Title isn't worth printing
+    expect(html).toMatch(/<td>Cap<\/td>\s*<td><\/td>\s*<td>CAP<\/td>\s*<td class="number">1<\/td>/);
+  });
+
+  test('a single packing slip is titled after its order', () => {
+    const [order] = getOrdersWithLineItems();
+    expect(renderPackingSlips([order])).toContain('<title>Packing slip #1001</title>');
+  });
+
+  test('the pick list combines made orders by variant', () => {
+    updateMadeQuantity('mug-red', 3);
+    allocateMadeQuantityToOrders('mug-red', 3);
+    updateMadeQuantity('cap', 1);
+    allocateMadeQuantityToOrders('cap', 1);
+
+    const made = getOrdersWithLineItems().filter(order => order.status === 'fulfilled');
+    const html = renderPickList(made);
+
+    expect(html).toContain('2 order(s), 4 unit(s)');
+    expect(html).toMatch(/<td>Mug<\/td>\s*<td>Red<\/td>\s*<td>MUG-RED<\/td>\s*<td class="number">3<\/td>\s*<td class="orders">#1001 ×2, #1002<\/td>/);
+    // Sorted by product
+    expect(html.indexOf('<td>Cap</td>')).toBeLessThan(html.indexOf('<td>Mug</td>'));
+  });
+
+  test('text from Shopify is escaped', () => {
+    upsertOrder({ orderId: 'order-3', orderName: '#1003', orderDate: '2025-01-03T10:00:00Z', totalItems: 1, shippingMethod: '<b>Pickup</b>' });
+    storeLine('order-3', 'sign', 'Sign "Open" & <Closed>', '', 1);
+
+    const html = renderPackingSlips(getOrdersWithLineItems().filter(order => order.order_id === 'order-3'));
+
+    expect(html).toContain('&lt;b&gt;Pickup&lt;/b&gt;');
+    expect(html).toContain('<td>Sign &quot;Open&quot; &amp; &lt;Closed&gt;</td>');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Feature: Production Batches
+ *
+ * Tests planning units of tasks into named batches: reserving them so they
+ * aren't planned twice, closing a batch with what was actually made, undoing
+ * the close, and the printable batch sheet.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  getTestDb,
+  upsertTask,
+  getTaskByVariantId,
+  getAllTasks,
+  updateMadeQuantity,
+  getBatches,
+  getBatch,
+  createBatch,
+  setBatchItemQuantity,
+  addToBatch,
+  deleteBatch,
+  closeBatch
+} = require('../helpers/test-database');
+const undoHistory = require('../../src/main/undo-history');
+const { renderBatchSheet } = require('../../src/main/print-documents');
+
+describe('Feature: Production Batches', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', variantTitle: 'Red', sku: 'MUG-R', totalQuantity: 10 });
+    upsertTask({ variantId: 'variant-2', productTitle: 'Cap', totalQuantity: 4 });
+  });
+
+  describe('Planning', () => {
+    test('a batch needs a name', () => {
+      expect(() => createBatch('  ')).toThrow('Batch name is required');
+      expect(createBatch(' Tuesday run ', 'sam')).toMatchObject({ name: 'Tuesday run', status: 'open', created_by: 'sam', items: [] });
+    });
+
+    test('units in open batches show as reserved on their task', () => {
+      const tuesday = createBatch('Tuesday run');
+      const wednesday = createBatch('Wednesday run');
+
+      addToBatch(tuesday.id, 'variant-1', 3);
+      addToBatch(tuesday.id, 'variant-1', 2);
+      addToBatch(wednesday.id, 'variant-1', 4);
+
+      expect(getTaskByVariantId('variant-1').reserved_quantity).toBe(9);
+      expect(getAllTasks().find(task => task.variant_id === 'variant-2').reserved_quantity).toBe(0);
+      expect(getBatch(tuesday.id).items).toMatchObject([
+        { variant_id: 'variant-1', product_title: 'Mug', variant_title: 'Red', sku: 'MUG-R', planned_quantity: 5, remaining_quantity: 10 }
+      ]);
+    });
+
+    test('units already planned in another batch cannot be planned again', () => {
+      const tuesday = createBatch('Tuesday run');
+      const wednesday = createBatch('Wednesday run');
+      addToBatch(tuesday.id, 'variant-2', 3);
+
+      expect(() => addToBatch(wednesday.id, 'variant-2', 2))
+        .toThrow("Only 1 unit(s) of Cap aren't planned in a batch yet");
+
+      // A batch's own units don't count against it
+      expect(setBatchItemQuantity(tuesday.id, 'variant-2', 4).items[0].planned_quantity).toBe(4);
+    });
+
+    test('setting a quantity to zero takes the variant out', () => {
+      const batch = createBatch('Tuesday run');
+      addToBatch(batch.id, 'variant-1', 3);
+
+      expect(setBatchItemQuantity(batch.id, 'variant-1', 0).items).toEqual([]);
+      expect(getTaskByVariantId('variant-1').reserved_quantity).toBe(0);
+    });
+
+    test('deleting an open batch frees its units', () => {
+      const batch = createBatch('Tuesday run');
+      addToBatch(batch.id, 'variant-1', 3);
+
+      deleteBatch(batch.id);
+
+      expect(getBatches()).toEqual([]);
+      expect(getTaskByVariantId('variant-1').reserved_quantity).toBe(0);
+    });
+  });
+
+  describe('Closing', () => {
+    test('records what was made, defaulting to the plan, and frees the reservation', () => {
+      const batch = createBatch('Tuesday run');
+      addToBatch(batch.id, 'variant-1', 5);
+      addToBatch(batch.id, 'variant-2', 2);
+
+      const made = closeBatch(batch.id, { 'variant-1': 4 }, 'sam');
+
+      expect(made).toEqual([
+        { variantId: 'variant-2', quantity: 2 },
+        { variantId: 'variant-1', quantity: 4 }
+      ]);
+      expect(getBatch(batch.id)).toMatchObject({ status: 'closed', closed_by: 'sam' });
+      expect(getBatch(batch.id).items.map(item => [item.variant_id, item.planned_quantity, item.made_quantity])).toEqual([
+        ['variant-2', 2, 2],
+        ['variant-1', 5, 4]
+      ]);
+      expect(getTaskByVariantId('variant-1').reserved_quantity).toBe(0);
+    });
+
+    test('closed batches cannot be changed, closed again or deleted', () => {
+      const batch = createBatch('Tuesday run');
+      addToBatch(batch.id, 'variant-1', 1);
+      closeBatch(batch.id);
+
+      expect(() => addToBatch(batch.id, 'variant-1', 1)).toThrow('Only open batches can be changed');
+      expect(() => closeBatch(batch.id)).toThrow('This batch is already closed');
+      expect(() => deleteBatch(batch.id)).toThrow('Closed batches cannot be deleted');
+    });
+
+    test('cannot record more than is left to make', () => {
+      const batch = createBatch('Tuesday run');
+      addToBatch(batch.id, 'variant-2', 3);
+      updateMadeQuantity('variant-2', 2);
+
+      expect(() => closeBatch(batch.id)).toThrow('Only 2 unit(s) of Cap are left to make');
+      expect(getBatch(batch.id).status).toBe('open');
+    });
+
+    test('undoing a close reopens the batch', () => {
+      const db = getTestDb();
+      const batch = createBatch('Tuesday run');
+      addToBatch(batch.id, 'variant-1', 3);
+
+      const keys = undoHistory.resolveSnapshotKeys(db, { variantIds: ['variant-1'], batchIds: [batch.id] });
+      const before = undoHistory.captureSnapshot(db, keys);
+      for (const item of closeBatch(batch.id)) {
+        updateMadeQuantity(item.variantId, item.quantity);
+      }
+      undoHistory.recordUndoAction(db, {
+        action: 'close_batch',
+        description: 'Close batch: Tuesday run',
+        before,
+        after: undoHistory.captureSnapshot(db, keys)
+      });
+
+      undoHistory.undoLastAction(db);
+      expect(getBatch(batch.id).status).toBe('open');
+      expect(getBatch(batch.id).items[0].made_quantity).toBeNull();
+      expect(getTaskByVariantId('variant-1')).toMatchObject({ made_quantity: 0, reserved_quantity: 3 });
+
+      undoHistory.redoLastAction(db);
+      expect(getBatch(batch.id).status).toBe('closed');
+      expect(getBatch(batch.id).items[0].made_quantity).toBe(3);
+      expect(getTaskByVariantId('variant-1')).toMatchObject({ made_quantity: 3, reserved_quantity: 0 });
+    });
+  });
+
+  describe('Batch sheet', () => {
+    test('lists each variant with room to write in what was made', () => {
+      const batch = createBatch('Tuesday <screen-print> run', 'sam');
+      addToBatch(batch.id, 'variant-1', 5);
+      addToBatch(batch.id, 'variant-2', 2);
+
+      const html = renderBatchSheet(getBatch(batch.id));
+
+      expect(html).toContain('<title>Batch: Tuesday &lt;screen-print&gt; run</title>');
+      expect(html).toContain('2 variant(s), 7 unit(s)');
+      expect(html).toMatch(/<td>Mug<\/td>\s*<td>Red<\/td>\s*<td>MUG-R<\/td>\s*<td class="number">5<\/td>\s*<td class="write-in"><\/td>/);
+    });
+  });
+});
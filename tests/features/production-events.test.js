@@ -0,0 +1,174 @@
+/**
+ * Feature Test: Production Event Ledger
+ *
+ * Tests that production actions are recorded in an append-only ledger
+ * together with the order line items their quantity was allocated to.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  getTestDb,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  allocateMadeQuantityToOrders,
+  resetVariantInOrders,
+  recordProductionEvent,
+  getProductionEvents
+} = require('../helpers/test-database');
+
+describe('Feature: Production Event Ledger', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    upsertOrder({
+      orderId: 'order-1',
+      orderName: '#1001',
+      orderDate: '2025-01-01T10:00:00Z',
+      totalItems: 5
+    });
+
+    upsertOrder({
+      orderId: 'order-2',
+      orderName: '#1002',
+      orderDate: '2025-01-02T10:00:00Z',
+      totalItems: 5
+    });
+
+    upsertOrderLineItem({
+      lineItemId: 'line-1',
+      orderId: 'order-1',
+      variantId: 'variant-1',
+      productTitle: 'Mug',
+      quantity: 5
+    });
+
+    upsertOrderLineItem({
+      lineItemId: 'line-2',
+      orderId: 'order-2',
+      variantId: 'variant-1',
+      productTitle: 'Mug',
+      quantity: 5
+    });
+
+    upsertTask({
+      variantId: 'variant-1',
+      productTitle: 'Mug',
+      totalQuantity: 10
+    });
+  });
+
+  describe('Recording events', () => {
+    test('records an event with its order allocations', () => {
+      recordProductionEvent({
+        variantId: 'variant-1',
+        action: 'mark_made',
+        quantityDelta: 7,
+        madeBefore: 0,
+        madeAfter: 7,
+        actor: 'packer',
+        allocations: [
+          { orderId: 'order-1', lineItemId: 'line-1', allocated: 5 },
+          { orderId: 'order-2', lineItemId: 'line-2', allocated: 2 }
+        ]
+      });
+
+      const events = getProductionEvents('variant-1');
+
+      expect(events).toHaveLength(1);
+      expect(events[0].action).toBe('mark_made');
+      expect(events[0].quantity_delta).toBe(7);
+      expect(events[0].made_after).toBe(7);
+      expect(events[0].actor).toBe('packer');
+      expect(events[0].created_at).toBeTruthy();
+      expect(events[0].allocations.map(a => [a.order_name, a.quantity])).toEqual([
+        ['#1001', 5],
+        ['#1002', 2]
+      ]);
+    });
+
+    test('returns newest events first and only for the requested variant', () => {
+      recordProductionEvent({ variantId: 'variant-1', action: 'mark_made', quantityDelta: 1 });
+      recordProductionEvent({ variantId: 'variant-2', action: 'mark_made', quantityDelta: 4 });
+      recordProductionEvent({ variantId: 'variant-1', action: 'mark_made', quantityDelta: 2 });
+
+      const events = getProductionEvents('variant-1');
+
+      expect(events.map(e => e.quantity_delta)).toEqual([2, 1]);
+    });
+
+    test('respects the limit', () => {
+      for (let i = 1; i <= 5; i++) {
+        recordProductionEvent({ variantId: 'variant-1', action: 'mark_made', quantityDelta: i });
+      }
+
+      expect(getProductionEvents('variant-1', 3)).toHaveLength(3);
+    });
+
+    test('records reset as negative allocations from resetVariantInOrders', () => {
+      allocateMadeQuantityToOrders('variant-1', 7);
+
+      const deallocations = resetVariantInOrders('variant-1');
+
+      recordProductionEvent({
+        variantId: 'variant-1',
+        action: 'reset',
+        quantityDelta: -7,
+        madeBefore: 7,
+        madeAfter: 0,
+        allocations: deallocations
+      });
+
+      const [event] = getProductionEvents('variant-1');
+      expect(event.quantity_delta).toBe(-7);
+      expect(event.allocations.map(a => [a.line_item_id, a.quantity])).toEqual(
+        expect.arrayContaining([['line-1', -5], ['line-2', -2]])
+      );
+    });
+  });
+
+  describe('Append-only', () => {
+    test('events cannot be updated or deleted', () => {
+      recordProductionEvent({ variantId: 'variant-1', action: 'mark_made', quantityDelta: 3 });
+      const db = getTestDb();
+
+      expect(() => {
+        db.prepare('UPDATE production_events SET quantity_delta = 30').run();
+      }).toThrow(/append-only/);
+
+      expect(() => {
+        db.prepare('DELETE FROM production_events').run();
+      }).toThrow(/append-only/);
+
+      expect(getProductionEvents('variant-1')[0].quantity_delta).toBe(3);
+    });
+
+    test('event allocations cannot be updated or deleted', () => {
+      recordProductionEvent({
+        variantId: 'variant-1',
+        action: 'mark_made',
+        quantityDelta: 3,
+        allocations: [{ orderId: 'order-1', lineItemId: 'line-1', allocated: 3 }]
+      });
+      const db = getTestDb();
+
+      expect(() => {
+        db.prepare('UPDATE production_event_allocations SET quantity = 1').run();
+      }).toThrow(/append-only/);
+
+      expect(() => {
+        db.prepare('DELETE FROM production_event_allocations').run();
+      }).toThrow(/append-only/);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Feature: Query Throttling
+ *
+ * Tests that ShopifyClient paces requests to Shopify's cost-based rate limit
+ * and retries throttled and server error responses, against a local
+ * stand-in server. Sleeps are stubbed so the tests don't wait.
+ */
+
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+const SHOP_QUERY = 'query GetShop { shop { name } }';
+const SHOP_MUTATION = 'mutation UpdateShop { shopUpdate { shop { name } } }';
+
+function cost({ requested = 10, actual = 8, available = 990, restoreRate = 50 } = {}) {
+  return {
+    cost: {
+      requestedQueryCost: requested,
+      actualQueryCost: actual,
+      throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate }
+    }
+  };
+}
+
+/**
+ * Stand-in that plays back one response per request: a JSON body,
+ * or { status, headers } for an HTTP error
+ */
+async function startPlaybackStandIn(responses) {
+  let index = 0;
+
+  const playBack = (body, res) => {
+    const response = responses[Math.min(index++, responses.length - 1)];
+    if (response.status) {
+      res.writeHead(response.status, response.headers || {});
+      res.end('error');
+      return undefined;
+    }
+    return response;
+  };
+
+  return startShopifyStandIn({
+    handlers: { GetShop: playBack, UpdateShop: playBack }
+  });
+}
+
+function createClient(standIn, options = {}) {
+  const client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl, ...options });
+  jest.spyOn(client, 'sleep').mockResolvedValue();
+  return client;
+}
+
+const OK = { data: { shop: { name: 'Test' } }, extensions: cost() };
+const THROTTLED = {
+  errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+  extensions: { cost: { requestedQueryCost: 10, actualQueryCost: null, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 2, restoreRate: 50 } } }
+};
+
+describe('Feature: Query Throttling', () => {
+  let standIn;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (standIn) {
+      await standIn.close();
+      standIn = null;
+    }
+  });
+
+  describe('Retries', () => {
+    test('retries 429 responses, honouring Retry-After', async () => {
+      standIn = await startPlaybackStandIn([{ status: 429, headers: { 'Retry-After': '2' } }, OK]);
+      const client = createClient(standIn);
+
+      expect(await client.query(SHOP_QUERY)).toEqual({ shop: { name: 'Test' } });
+      expect(client.sleep).toHaveBeenCalledWith(2000);
+      expect(standIn.requests).toHaveLength(2);
+    });
+
+    test('retries server errors with growing, jittered delays', async () => {
+      standIn = await startPlaybackStandIn([{ status: 503 }, { status: 502 }, OK]);
+      const client = createClient(standIn, { retryBaseDelayMs: 100 });
+
+      await client.query(SHOP_QUERY);
+
+      const [first, second] = client.sleep.mock.calls.map(call => call[0]);
+      expect(first).toBeGreaterThanOrEqual(50);
+      expect(first).toBeLessThanOrEqual(100);
+      expect(second).toBeGreaterThanOrEqual(100);
+      expect(second).toBeLessThanOrEqual(200);
+    });
+
+    test('retries THROTTLED GraphQL errors', async () => {
+      standIn = await startPlaybackStandIn([THROTTLED, OK]);
+      const client = createClient(standIn);
+
+      expect(await client.query(SHOP_QUERY)).toEqual({ shop: { name: 'Test' } });
+      expect(client.getQueryCost().retries).toBe(1);
+    });
+
+    test('gives up after the maximum number of retries', async () => {
+      standIn = await startPlaybackStandIn([{ status: 500 }]);
+      const client = createClient(standIn, { maxRetries: 2 });
+
+      await expect(client.query(SHOP_QUERY)).rejects.toThrow('Shopify API HTTP error 500');
+      expect(standIn.requests).toHaveLength(3);
+    });
+
+    test('does not retry other errors', async () => {
+      standIn = await startPlaybackStandIn([{ status: 401 }]);
+      const client = createClient(standIn);
+
+      await expect(client.query(SHOP_QUERY)).rejects.toThrow('Shopify API HTTP error 401');
+      expect(standIn.requests).toHaveLength(1);
+    });
+
+    test('does not retry a mutation that got a server error', async () => {
+      standIn = await startPlaybackStandIn([{ status: 502 }, OK]);
+      const client = createClient(standIn);
+
+      // Shopify may have applied it before failing, so a retry could apply it twice
+      await expect(client.query(SHOP_MUTATION)).rejects.toThrow('Shopify API HTTP error 502');
+      expect(standIn.requests).toHaveLength(1);
+    });
+
+    test('retries a mutation that was rate limited', async () => {
+      standIn = await startPlaybackStandIn([{ status: 429 }, THROTTLED, OK]);
+      const client = createClient(standIn);
+
+      expect(await client.query(SHOP_MUTATION)).toEqual({ shop: { name: 'Test' } });
+      expect(standIn.requests).toHaveLength(3);
+    });
+  });
+
+  describe('Pacing', () => {
+    test('waits for enough points to be restored before the next request', async () => {
+      standIn = await startPlaybackStandIn([
+        { data: { shop: { name: 'Test' } }, extensions: cost({ requested: 100, available: 20, restoreRate: 50 }) },
+        OK
+      ]);
+      const client = createClient(standIn);
+
+      await client.query(SHOP_QUERY);
+      await client.query(SHOP_QUERY);
+
+      // 80 points short at 50 points/second is about 1.6 seconds
+      const [wait] = client.sleep.mock.calls[0];
+      expect(wait).toBeGreaterThan(1400);
+      expect(wait).toBeLessThanOrEqual(1600);
+    });
+
+    test('does not wait when points are available', async () => {
+      standIn = await startPlaybackStandIn([OK]);
+      const client = createClient(standIn);
+
+      await client.query(SHOP_QUERY);
+      await client.query(SHOP_QUERY);
+
+      expect(client.sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  test('adds up the query cost', async () => {
+    standIn = await startPlaybackStandIn([THROTTLED, OK, OK]);
+    const client = createClient(standIn);
+
+    await client.query(SHOP_QUERY);
+    await client.query(SHOP_QUERY);
+
+    expect(client.getQueryCost()).toEqual({ queries: 3, requested: 30, actual: 16, retries: 1 });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Feature: Stocktake
+ *
+ * Tests count sessions: entering counts by hand, by scanned SKU and from a
+ * CSV, the variance against Shopify inventory, the record kept when a
+ * stocktake is finished and writing the counts back through the outbox.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertInventory,
+  replaceInventoryLevels,
+  getInventoryByVariantId,
+  getAllInventory,
+  getPendingInventoryPushes,
+  reapplyUnsyncedInventoryPushes,
+  getStocktakes,
+  getStocktake,
+  startStocktake,
+  setStocktakeCount,
+  countStocktakeSku,
+  importStocktakeCounts,
+  finishStocktake,
+  deleteStocktake
+} = require('../helpers/test-database');
+const { readStocktakeCsv } = require('../../src/main/stocktake-import');
+
+const WAREHOUSE = 'gid://shopify/Location/1';
+const SHOP = 'gid://shopify/Location/2';
+
+function storeInventory(variantId, sku, quantity) {
+  upsertInventory({
+    variantId,
+    productId: 'product-1',
+    productTitle: 'Mug',
+    variantTitle: variantId === 'mug-red' ? 'Red' : 'Blue',
+    sku,
+    inventoryQuantity: quantity,
+    inventoryItemId: `item-${variantId}`
+  });
+}
+
+function level(variantId, locationId, available, committed = 0) {
+  return {
+    variantId,
+    locationId,
+    locationName: locationId === WAREHOUSE ? 'Warehouse' : 'Shop',
+    available,
+    committed,
+    onHand: available + committed
+  };
+}
+
+describe('Feature: Stocktake', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    storeInventory('mug-red', 'MUG-RED', 10);
+    storeInventory('mug-blue', 'MUG-BLUE', 4);
+    replaceInventoryLevels([
+      level('mug-red', WAREHOUSE, 7),
+      level('mug-red', SHOP, 3),
+      level('mug-blue', SHOP, 4)
+    ]);
+  });
+
+  describe('Counting', () => {
+    test('a stocktake needs a name and a known location', () => {
+      expect(() => startStocktake({ name: '  ' })).toThrow('Stocktake name is required');
+      expect(() => startStocktake({ name: 'Count', locationId: 'gid://shopify/Location/9' })).toThrow('Location not found');
+
+      const stocktake = startStocktake({ name: ' Quarter end ', locationId: WAREHOUSE }, 'sam');
+
+      expect(stocktake).toMatchObject({ name: 'Quarter end', status: 'open', location_name: 'Warehouse', created_by: 'sam', counts: [] });
+    });
+
+    test('variance is the count less the total across all locations', () => {
+      const { id } = startStocktake({ name: 'Count' });
+
+      const stocktake = setStocktakeCount(id, 'mug-red', 8);
+
+      expect(stocktake.counts).toEqual([
+        expect.objectContaining({ variant_id: 'mug-red', sku: 'MUG-RED', counted_quantity: 8, expected_quantity: 10, variance: -2 })
+      ]);
+    });
+
+    test('at a location variance is against what is on hand there', () => {
+      const { id } = startStocktake({ name: 'Count', locationId: WAREHOUSE });
+
+      setStocktakeCount(id, 'mug-red', 8);
+      // Not stocked at the warehouse, so none expected
+      const stocktake = setStocktakeCount(id, 'mug-blue', 1);
+
+      expect(stocktake.counts.map(count => [count.variant_id, count.expected_quantity, count.variance])).toEqual([
+        ['mug-blue', 0, 1],
+        ['mug-red', 7, 1]
+      ]);
+    });
+
+    test('units committed to orders are still on the shelf', () => {
+      replaceInventoryLevels([level('mug-red', SHOP, 3, 2)]);
+      const { id } = startStocktake({ name: 'Count', locationId: SHOP });
+
+      const stocktake = setStocktakeCount(id, 'mug-red', 5);
+
+      expect(stocktake.counts[0]).toMatchObject({ expected_quantity: 5, variance: 0 });
+    });
+
+    test('counts are whole numbers of known variants and can be taken out', () => {
+      const { id } = startStocktake({ name: 'Count' });
+
+      expect(() => setStocktakeCount(id, 'mug-red', 1.5)).toThrow('Counted quantity must be a whole number');
+      expect(() => setStocktakeCount(id, 'mug-red', -1)).toThrow('Counted quantity must be a whole number');
+      expect(() => setStocktakeCount(id, 'mug-green', 1)).toThrow('Variant not found in inventory');
+
+      setStocktakeCount(id, 'mug-red', 0);
+      expect(getStocktake(id).counts).toHaveLength(1);
+
+      expect(setStocktakeCount(id, 'mug-red', null).counts).toEqual([]);
+    });
+
+    test('each scan counts one more unit of the variant with that SKU', () => {
+      const { id } = startStocktake({ name: 'Count' });
+
+      countStocktakeSku(id, 'MUG-RED');
+      const { stocktake, variantId } = countStocktakeSku(id, ' mug-red ');
+
+      expect(variantId).toBe('mug-red');
+      expect(stocktake.counts[0].counted_quantity).toBe(2);
+
+      expect(() => countStocktakeSku(id, 'CUP')).toThrow('No variant has SKU "CUP"');
+    });
+
+    test('a SKU on several variants has to be counted by hand', () => {
+      storeInventory('mug-blue', 'MUG-RED', 4);
+      const { id } = startStocktake({ name: 'Count' });
+
+      expect(() => countStocktakeSku(id, 'MUG-RED')).toThrow('SKU "MUG-RED" is on 2 variants - enter their counts by hand');
+    });
+
+    test('imported counts replace what was counted and report what was skipped', () => {
+      const { id } = startStocktake({ name: 'Count' });
+      setStocktakeCount(id, 'mug-red', 20);
+
+      const result = importStocktakeCounts(id, [
+        { sku: 'mug-red', quantity: 9 },
+        { sku: 'CUP', quantity: 2 },
+        { sku: 'MUG-BLUE', quantity: 4 }
+      ]);
+
+      expect(result.imported).toBe(2);
+      expect(result.skipped).toEqual(['No variant has SKU "CUP"']);
+      expect(result.stocktake.counts.map(count => [count.variant_id, count.counted_quantity, count.variance])).toEqual([
+        ['mug-blue', 4, 0],
+        ['mug-red', 9, -1]
+      ]);
+    });
+  });
+
+  describe('Finishing', () => {
+    test('finished stocktakes keep what Shopify expected at the time', () => {
+      const { id } = startStocktake({ name: 'Count' });
+      expect(() => finishStocktake(id)).toThrow('Count at least one variant before finishing');
+
+      setStocktakeCount(id, 'mug-red', 8);
+      const { stocktake, adjusted } = finishStocktake(id, {}, 'sam');
+
+      expect(adjusted).toBe(0);
+      expect(stocktake).toMatchObject({ status: 'finished', write_back: 0, finished_by: 'sam' });
+
+      // Shopify's numbers move on, the record doesn't
+      storeInventory('mug-red', 'MUG-RED', 30);
+      expect(getStocktake(id).counts[0]).toMatchObject({ counted_quantity: 8, expected_quantity: 10, variance: -2 });
+      expect(getPendingInventoryPushes()).toEqual([]);
+
+      expect(() => setStocktakeCount(id, 'mug-red', 9)).toThrow('Only open stocktakes can be changed');
+      expect(() => finishStocktake(id)).toThrow('This stocktake is already finished');
+      expect(() => deleteStocktake(id)).toThrow('Finished stocktakes are kept as a record');
+    });
+
+    test('writing back queues the counts at the location and applies them locally', () => {
+      const { id } = startStocktake({ name: 'Count', locationId: SHOP });
+      setStocktakeCount(id, 'mug-red', 5);
+      setStocktakeCount(id, 'mug-blue', 4);
+
+      const { adjusted, skipped } = finishStocktake(id, { writeBack: true });
+
+      expect(adjusted).toBe(2);
+      expect(skipped).toBe(0);
+      expect(getPendingInventoryPushes()).toEqual([
+        expect.objectContaining({ variant_id: 'mug-blue', inventory_item_id: 'item-mug-blue', location_id: SHOP, set_quantity: 4, delta: 0, reason: 'stocktake' }),
+        expect.objectContaining({ variant_id: 'mug-red', inventory_item_id: 'item-mug-red', location_id: SHOP, set_quantity: 5, delta: 2, reason: 'stocktake' })
+      ]);
+      expect(getInventoryByVariantId('mug-red').inventory_quantity).toBe(12);
+      expect(getStocktake(id).counts.find(count => count.variant_id === 'mug-red').variance).toBe(2);
+    });
+
+    test('counts written back stand even if Shopify changed since the last sync', () => {
+      const { id } = startStocktake({ name: 'Count', locationId: SHOP });
+      setStocktakeCount(id, 'mug-red', 5);
+      finishStocktake(id, { writeBack: true });
+
+      // Two sold in the shop before the count reached Shopify, one of them not shipped yet
+      storeInventory('mug-red', 'MUG-RED', 8);
+      replaceInventoryLevels([level('mug-red', WAREHOUSE, 7), level('mug-red', SHOP, 1, 1), level('mug-blue', SHOP, 4)]);
+      reapplyUnsyncedInventoryPushes('2000-01-01T00:00:00.000Z');
+
+      expect(getAllInventory({ locationId: SHOP }).find(row => row.variant_id === 'mug-red')).toMatchObject({ on_hand: 5, available: 4 });
+      expect(getInventoryByVariantId('mug-red').inventory_quantity).toBe(11);
+    });
+
+    test('variants not stocked at the location are not written back', () => {
+      const { id } = startStocktake({ name: 'Count', locationId: WAREHOUSE });
+      setStocktakeCount(id, 'mug-blue', 2);
+
+      expect(finishStocktake(id, { writeBack: true })).toMatchObject({ adjusted: 0, skipped: 1 });
+      expect(getPendingInventoryPushes()).toEqual([]);
+    });
+
+    test('writing back needs a location', () => {
+      const { id } = startStocktake({ name: 'Count' });
+      setStocktakeCount(id, 'mug-red', 5);
+
+      expect(() => finishStocktake(id, { writeBack: true })).toThrow('Pick a location to write counts back to Shopify');
+    });
+
+    test('open stocktakes are listed first and can be deleted', () => {
+      const finished = startStocktake({ name: 'Last month' });
+      setStocktakeCount(finished.id, 'mug-red', 10);
+      finishStocktake(finished.id);
+      const open = startStocktake({ name: 'This month' });
+
+      expect(getStocktakes().map(stocktake => stocktake.name)).toEqual(['This month', 'Last month']);
+
+      deleteStocktake(open.id);
+      expect(() => getStocktake(open.id)).toThrow('Stocktake not found');
+    });
+  });
+
+  describe('CSV import', () => {
+    test('finds the SKU and count columns by their headers', () => {
+      const csv = '\uFEFFProduct,SKU,Count\r\n"Mug, large",MUG-RED,3\r\nMug,mug-red,2\r\n\r\nMug,MUG-BLUE,1\r\n';
+
+      expect(readStocktakeCsv(csv)).toEqual({
+        counts: [{ sku: 'MUG-RED', quantity: 5 }, { sku: 'MUG-BLUE', quantity: 1 }],
+        errors: []
+      });
+    });
+
+    test('without a header the first two columns are the SKU and count', () => {
+      expect(readStocktakeCsv('MUG-RED;4\nMUG-BLUE;x\n;2\n')).toEqual({
+        counts: [{ sku: 'MUG-RED', quantity: 4 }],
+        errors: ['Line 2: the count for MUG-BLUE is not a whole number', 'Line 3 has no SKU']
+      });
+    });
+
+    test('reads back SKUs from our own CSV export', () => {
+      expect(readStocktakeCsv("SKU,Quantity\n'-RED,1\n").counts).toEqual([{ sku: '-RED', quantity: 1 }]);
+      expect(() => readStocktakeCsv('SKU,Available\nMUG-RED,1\n')).toThrow('The CSV has a SKU column but no Count or Quantity column');
+    });
+  });
+});
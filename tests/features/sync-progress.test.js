@@ -0,0 +1,145 @@
+/**
+ * Feature: Sync Progress and Cancellation
+ *
+ * Tests the progress ShopifyClient reports while fetching and cancelling a
+ * fetch part way, against a local stand-in server.
+ */
+
+const { ShopifyClient } = require('../../src/main/shopify-api');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+function orderEdge(id) {
+  return {
+    node: {
+      id: `gid://shopify/Order/${id}`,
+      name: `#${id}`,
+      createdAt: '2025-01-01T10:00:00Z',
+      tags: [],
+      shippingLine: null,
+      lineItems: { pageInfo: { hasNextPage: false, endCursor: null }, edges: [] }
+    }
+  };
+}
+
+function productEdge(id) {
+  return {
+    node: {
+      id: `gid://shopify/Product/${id}`,
+      title: 'Mug',
+      featuredImage: null,
+      variants: { pageInfo: { hasNextPage: false, endCursor: null }, edges: [] }
+    }
+  };
+}
+
+describe('Feature: Sync Progress and Cancellation', () => {
+  let standIn;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (standIn) {
+      await standIn.close();
+      standIn = null;
+    }
+  });
+
+  test('reports phase, page and counts as pages arrive', async () => {
+    standIn = await startShopifyStandIn({
+      handlers: {
+        GetOrders: ({ variables }) => ({
+          data: {
+            orders: variables.cursor
+              ? { pageInfo: { hasNextPage: false, endCursor: null }, edges: [orderEdge(3)] }
+              : { pageInfo: { hasNextPage: true, endCursor: 'page-2' }, edges: [orderEdge(1), orderEdge(2)] }
+          }
+        }),
+        GetProductsInventory: () => ({
+          data: { products: { pageInfo: { hasNextPage: false, endCursor: null }, edges: [productEdge(1)] } }
+        })
+      }
+    });
+    const progress = [];
+    const client = new ShopifyClient('test-store.myshopify.com', 'test-token', {
+      baseUrl: standIn.baseUrl,
+      onProgress: update => progress.push(update)
+    });
+
+    await client.fetchAndAggregate();
+    await client.fetchInventory();
+
+    expect(progress.map(p => [p.phase, p.page, p.ordersSoFar, p.productsSoFar])).toEqual([
+      ['orders', 1, 0, 0],
+      ['orders', 1, 2, 0],
+      ['orders', 2, 2, 0],
+      ['orders', 2, 3, 0],
+      ['inventory', 1, 3, 0],
+      ['inventory', 1, 3, 1]
+    ]);
+  });
+
+  test('cancel aborts the request in flight', async () => {
+    let requestReceived;
+    const received = new Promise(resolve => { requestReceived = resolve; });
+    const pending = [];
+
+    standIn = await startShopifyStandIn({
+      handlers: {
+        // Never answers, like a slow page
+        GetOrders: (body, res) => {
+          pending.push(res);
+          requestReceived();
+          return undefined;
+        }
+      }
+    });
+    const client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+
+    const fetching = client.fetchAndAggregate();
+    await received;
+    client.cancel();
+
+    await expect(fetching).rejects.toMatchObject({ message: 'Sync cancelled', cancelled: true });
+    pending.forEach(res => res.destroy());
+  });
+
+  test('cancelling a bulk operation also cancels it in Shopify', async () => {
+    let client;
+
+    standIn = await startShopifyStandIn({
+      handlers: {
+        RunBulkQuery: () => ({
+          data: { bulkOperationRunQuery: { bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' }, userErrors: [] } }
+        }),
+        GetBulkOperation: () => {
+          // The user gives up while the operation is still running
+          client.cancel();
+          return { data: { node: { id: 'gid://shopify/BulkOperation/1', status: 'RUNNING', errorCode: null, objectCount: '10', url: null } } };
+        },
+        CancelBulkOperation: () => ({
+          data: { bulkOperationCancel: { bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CANCELING' }, userErrors: [] } }
+        })
+      }
+    });
+    client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl, bulkPollIntervalMs: 1 });
+
+    await expect(client.fetchAndAggregate({ bulk: true })).rejects.toMatchObject({ cancelled: true });
+
+    const cancelRequest = standIn.requests.find(r => r.operationName === 'CancelBulkOperation');
+    expect(cancelRequest.variables).toEqual({ id: 'gid://shopify/BulkOperation/1' });
+  });
+
+  test('a cancelled client makes no further requests', async () => {
+    standIn = await startShopifyStandIn();
+    const client = new ShopifyClient('test-store.myshopify.com', 'test-token', { baseUrl: standIn.baseUrl });
+
+    client.cancel();
+
+    await expect(client.fetchInventory()).rejects.toMatchObject({ cancelled: true });
+    expect(standIn.requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Feature: Sync Service
+ *
+ * Tests the app's own sync service and database end to end, with Shopify
+ * answered by the stand-in: sending queued inventory changes after a sync
+ * is saved, syncing stores that haven't granted every scope, and bringing
+ * in edits to orders that already have made units.
+ */
+
+const mockShopify = {
+  baseUrl: null,
+  orders: [],
+  levels: null,
+  outboxError: null
+};
+
+jest.mock('electron', () => require('../helpers/app-environment').createElectronMock());
+
+// Orders and products are canned - inventory levels and pushes go to the stand-in
+jest.mock('../../src/main/shopify-api', () => {
+  const actual = jest.requireActual('../../src/main/shopify-api');
+
+  class StandInClient extends actual.ShopifyClient {
+    constructor(storeUrl, accessToken, options = {}) {
+      // The outbox makes its own client, without progress reporting
+      if (mockShopify.outboxError && !options.onProgress) {
+        throw mockShopify.outboxError;
+      }
+      super(storeUrl, accessToken, { ...options, baseUrl: mockShopify.baseUrl, maxRetries: 0 });
+    }
+
+    async fetchAndAggregate() {
+      const ordersForStorage = mockShopify.orders;
+      const totals = new Map();
+      for (const item of ordersForStorage.flatMap(order => order.lineItems)) {
+        totals.set(item.variantId, (totals.get(item.variantId) || 0) + item.quantity);
+      }
+      const aggregated = [...totals].map(([variantId, totalQuantity]) => (
+        { variantId, variantTitle: '', productTitle: 'Mug', sku: '', imageUrl: null, totalQuantity }
+      ));
+      return {
+        orders: ordersForStorage.map(order => ({ id: order.orderId })),
+        aggregated,
+        ordersForStorage,
+        stats: { orderCount: ordersForStorage.length, variantCount: aggregated.length }
+      };
+    }
+
+    async fetchInventory() {
+      const inventoryData = [{
+        variantId: 'variant-1',
+        productId: 'product-1',
+        productTitle: 'Mug',
+        variantTitle: '',
+        inventoryQuantity: 10,
+        inventoryItemId: 'item-variant-1'
+      }];
+      return { products: [], inventoryData, stats: { productCount: 1, variantCount: 1 } };
+    }
+
+    async fetchInventoryLevels(options) {
+      if (mockShopify.levels) {
+        return { levels: mockShopify.levels, locationCount: 1 };
+      }
+      return super.fetchInventoryLevels(options);
+    }
+  }
+
+  return { ...actual, ShopifyClient: StandInClient };
+});
+
+const electron = require('electron');
+const { describeWithAppDatabase, removeAppData } = require('../helpers/app-environment');
+const { startShopifyStandIn } = require('../helpers/shopify-stand-in');
+
+const WAREHOUSE = { id: 'gid://shopify/Location/1', name: 'Warehouse' };
+
+function mugOrder(orderId, orderName, quantity) {
+  return {
+    orderId,
+    orderName,
+    orderDate: '2025-01-01T10:00:00Z',
+    totalItems: quantity,
+    shippingMethod: null,
+    tags: null,
+    lineItems: [{
+      orderId,
+      lineItemId: `${orderId}-a`,
+      variantId: 'variant-1',
+      variantTitle: '',
+      productTitle: 'Mug',
+      sku: '',
+      imageUrl: null,
+      quantity
+    }]
+  };
+}
+
+describeWithAppDatabase('Feature: Sync Service', () => {
+  let database;
+  let runSync;
+  let standIn;
+  let handlers;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const config = require('../../src/main/config');
+    config.saveStoreUrl('test-store.myshopify.com');
+    config.saveAccessToken('test-token');
+
+    database = require('../../src/main/database');
+    database.initDatabase('test-store.myshopify.com');
+    ({ runSync } = require('../../src/main/sync-service'));
+  });
+
+  afterAll(() => {
+    removeAppData(electron);
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    handlers = {};
+    standIn = await startShopifyStandIn({ handlers });
+    mockShopify.baseUrl = standIn.baseUrl;
+    mockShopify.orders = [];
+    mockShopify.levels = [{
+      variantId: 'variant-1',
+      locationId: WAREHOUSE.id,
+      locationName: WAREHOUSE.name,
+      available: 10,
+      committed: 0,
+      onHand: 10
+    }];
+    mockShopify.outboxError = null;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await standIn.close();
+  });
+
+  test('a change Shopify rejects stays queued and the sync still succeeds', async () => {
+    handlers.AdjustInventory = () => ({ errors: [{ message: 'Internal error' }] });
+    await runSync();
+    database.setInventoryPushProduct('product-1', WAREHOUSE);
+    database.queueInventoryPush('variant-1', 2, 'mark_made');
+
+    const result = await runSync();
+
+    expect(result.success).toBe(true);
+    expect(result.data.inventoryPushes).toEqual({ sent: 0, failed: 1, pending: 1 });
+    expect(database.getPendingInventoryPushes()).toHaveLength(1);
+    expect(database.getSyncHistory().map(sync => sync.status)).not.toContain('error');
+  });
+
+  test('changes that could not be sent at all are a warning on a saved sync', async () => {
+    mockShopify.outboxError = new Error('Shopify is unreachable');
+
+    const result = await runSync();
+
+    expect(result.success).toBe(true);
+    expect(result.data.inventoryPushes).toEqual({ sent: 0, failed: 0, pending: 1 });
+    expect(result.data.warnings).toEqual([
+      'Inventory changes not pushed, they stay queued for the next sync: Shopify is unreachable'
+    ]);
+    expect(database.getSyncHistory().map(sync => sync.status)).not.toContain('error');
+  });
+
+  test('stores that have not granted read_locations sync and keep the levels they had', async () => {
+    mockShopify.levels = null;
+    handlers.GetLocations = () => ({
+      errors: [{ message: 'Access denied for locations field.', extensions: { code: 'ACCESS_DENIED' } }]
+    });
+    handlers.RunBulkQuery = () => ({
+      data: {
+        bulkOperationRunQuery: {
+          bulkOperation: null,
+          userErrors: [{ field: ['query'], message: 'Access denied for locations field.' }]
+        }
+      }
+    });
+
+    const incremental = await runSync();
+    const full = await runSync({ full: true });
+
+    for (const result of [incremental, full]) {
+      expect(result.success).toBe(true);
+      expect(result.data.warnings).toContain('Reconnect to Shopify to see stock per location');
+    }
+    expect(database.getInventoryLocations()).toEqual([
+      { location_id: WAREHOUSE.id, location_name: WAREHOUSE.name }
+    ]);
+  });
+
+  test('made units taken off an edited order go to the next order waiting for them', async () => {
+    mockShopify.orders = [mugOrder('order-1', '#1001', 4), mugOrder('order-2', '#1002', 3)];
+    await runSync();
+    database.updateMadeQuantity('variant-1', 4);
+    database.allocateMadeQuantityToOrders('variant-1', 4);
+    mockShopify.orders = [mugOrder('order-1', '#1001', 1), mugOrder('order-2', '#1002', 3)];
+
+    const result = await runSync();
+
+    expect(result.success).toBe(true);
+    expect(result.data.surplusUnits).toEqual([]);
+    expect(result.data.message).toContain('1 order edited in Shopify (3 made units moved to other orders)');
+    expect(database.getTaskByVariantId('variant-1')).toMatchObject({ total_quantity: 4, made_quantity: 4 });
+    expect(database.getOrder('order-2').status).toBe('fulfilled');
+    expect(database.getProductionEvents('variant-1')[0]).toMatchObject({ action: 'order_edited', quantity_delta: 0 });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Feature: Undo/Redo
+ *
+ * Tests that mark made, reset and archive actions can be undone and redone
+ * several levels deep, restoring the exact line item allocations rather
+ * than re-running allocation.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  getTestDb,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getTaskByVariantId,
+  getOrderByOrderId,
+  getLineItemsByOrderId,
+  updateMadeQuantity,
+  resetTask,
+  allocateMadeQuantityToOrders,
+  resetVariantInOrders,
+  archiveOrder
+} = require('../helpers/test-database');
+const undoHistory = require('../../src/main/undo-history');
+
+/**
+ * Same as runUndoable in database.js, against the test database
+ */
+function runUndoable(scope, action, fn) {
+  const db = getTestDb();
+  const keys = undoHistory.resolveSnapshotKeys(db, scope);
+  const before = undoHistory.captureSnapshot(db, keys);
+  fn();
+  return undoHistory.recordUndoAction(db, {
+    action,
+    description: action,
+    before,
+    after: undoHistory.captureSnapshot(db, keys)
+  });
+}
+
+function markMade(variantId, quantity) {
+  return runUndoable({ variantIds: [variantId] }, 'mark_made', () => {
+    updateMadeQuantity(variantId, quantity);
+    allocateMadeQuantityToOrders(variantId, quantity);
+  });
+}
+
+function fulfilledByLineItem() {
+  return getTestDb().prepare('SELECT line_item_id, fulfilled_quantity FROM order_line_items ORDER BY line_item_id')
+    .all()
+    .reduce((map, row) => ({ ...map, [row.line_item_id]: row.fulfilled_quantity }), {});
+}
+
+describe('Feature: Undo/Redo', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    upsertOrder({ orderId: 'order-1', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 5 });
+    upsertOrder({ orderId: 'order-2', orderName: '#1002', orderDate: '2025-01-02T10:00:00Z', totalItems: 5 });
+
+    upsertOrderLineItem({ lineItemId: 'line-1', orderId: 'order-1', variantId: 'variant-1', productTitle: 'Mug', quantity: 5 });
+    upsertOrderLineItem({ lineItemId: 'line-2', orderId: 'order-2', variantId: 'variant-1', productTitle: 'Mug', quantity: 3 });
+    upsertOrderLineItem({ lineItemId: 'line-3', orderId: 'order-2', variantId: 'variant-2', productTitle: 'Cup', quantity: 2 });
+
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 8 });
+    upsertTask({ variantId: 'variant-2', productTitle: 'Cup', totalQuantity: 2 });
+  });
+
+  describe('Undo', () => {
+    test('undoing mark made restores the previous allocations and made quantity', () => {
+      markMade('variant-1', 3);
+      markMade('variant-1', 4);
+
+      expect(fulfilledByLineItem()).toMatchObject({ 'line-1': 5, 'line-2': 2 });
+
+      const result = undoHistory.undoLastAction(getTestDb());
+
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(3);
+      expect(fulfilledByLineItem()).toMatchObject({ 'line-1': 3, 'line-2': 0 });
+      expect(result.changes.tasks).toEqual([{ variantId: 'variant-1', madeBefore: 7, madeAfter: 3 }]);
+      expect(result.changes.lineItems).toEqual(expect.arrayContaining([
+        expect.objectContaining({ lineItemId: 'line-1', orderId: 'order-1', allocated: -2 }),
+        expect.objectContaining({ lineItemId: 'line-2', orderId: 'order-2', allocated: -2 })
+      ]));
+    });
+
+    test('undoing keeps line items of other variants in the same order', () => {
+      // The app runs with foreign keys on, so replacing an order row would cascade to its line items
+      getTestDb().exec('PRAGMA foreign_keys = ON');
+      markMade('variant-2', 1);
+      markMade('variant-1', 6);
+
+      undoHistory.undoLastAction(getTestDb());
+
+      expect(fulfilledByLineItem()).toEqual({ 'line-1': 0, 'line-2': 0, 'line-3': 1 });
+
+      undoHistory.redoLastAction(getTestDb());
+
+      expect(fulfilledByLineItem()).toEqual({ 'line-1': 5, 'line-2': 1, 'line-3': 1 });
+    });
+
+    test('undoing reset restores allocations exactly rather than oldest first', () => {
+      // Progress sits on the newer order only, which oldest-first allocation would never produce
+      getTestDb().prepare("UPDATE order_line_items SET fulfilled_quantity = 3 WHERE line_item_id = 'line-2'").run();
+      getTestDb().prepare("UPDATE tasks SET made_quantity = 3 WHERE variant_id = 'variant-1'").run();
+
+      runUndoable({ variantIds: ['variant-1'] }, 'reset', () => {
+        resetTask('variant-1');
+        resetVariantInOrders('variant-1');
+      });
+
+      expect(fulfilledByLineItem()).toMatchObject({ 'line-1': 0, 'line-2': 0 });
+
+      undoHistory.undoLastAction(getTestDb());
+
+      expect(fulfilledByLineItem()).toMatchObject({ 'line-1': 0, 'line-2': 3 });
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(3);
+    });
+
+    test('undoing archive brings back the deleted task and order status', () => {
+      markMade('variant-2', 2);
+      runUndoable({ orderIds: ['order-2'] }, 'archive', () => archiveOrder('order-2'));
+
+      expect(getTaskByVariantId('variant-2')).toBeUndefined();
+      expect(getOrderByOrderId('order-2').status).toBe('archived');
+
+      undoHistory.undoLastAction(getTestDb());
+
+      expect(getOrderByOrderId('order-2').status).not.toBe('archived');
+      expect(getTaskByVariantId('variant-2')).toMatchObject({ total_quantity: 2, made_quantity: 2 });
+      expect(getTaskByVariantId('variant-1').total_quantity).toBe(8);
+    });
+
+    test('undoes several levels in reverse order', () => {
+      markMade('variant-1', 1);
+      markMade('variant-1', 2);
+      markMade('variant-2', 1);
+
+      undoHistory.undoLastAction(getTestDb());
+      undoHistory.undoLastAction(getTestDb());
+
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(1);
+      expect(getTaskByVariantId('variant-2').made_quantity).toBe(0);
+
+      undoHistory.undoLastAction(getTestDb());
+
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(0);
+      expect(() => undoHistory.undoLastAction(getTestDb())).toThrow('Nothing to undo');
+    });
+
+    test('refuses to undo when the rows were changed by something else', () => {
+      markMade('variant-1', 2);
+
+      // An unrecorded change (e.g. another tool) touches the same rows
+      updateMadeQuantity('variant-1', 1);
+      allocateMadeQuantityToOrders('variant-1', 1);
+
+      expect(() => undoHistory.undoLastAction(getTestDb())).toThrow(/have changed since/);
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(3);
+    });
+
+    test('does not record actions that changed nothing', () => {
+      const recorded = runUndoable({ variantIds: ['variant-1'] }, 'reset', () => {
+        resetTask('variant-1');
+        resetVariantInOrders('variant-1');
+      });
+
+      expect(recorded).toBe(false);
+      expect(undoHistory.getUndoState(getTestDb()).canUndo).toBe(false);
+    });
+  });
+
+  describe('Redo', () => {
+    test('redo re-applies undone actions in order', () => {
+      markMade('variant-1', 3);
+      markMade('variant-1', 4);
+
+      undoHistory.undoLastAction(getTestDb());
+      undoHistory.undoLastAction(getTestDb());
+
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(0);
+
+      undoHistory.redoLastAction(getTestDb());
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(3);
+
+      undoHistory.redoLastAction(getTestDb());
+      expect(getTaskByVariantId('variant-1').made_quantity).toBe(7);
+      expect(fulfilledByLineItem()).toMatchObject({ 'line-1': 5, 'line-2': 2 });
+      expect(getLineItemsByOrderId('order-1')[0].fulfilled_quantity).toBe(5);
+
+      expect(() => undoHistory.redoLastAction(getTestDb())).toThrow('Nothing to redo');
+    });
+
+    test('a new action discards the redo stack', () => {
+      markMade('variant-1', 3);
+      undoHistory.undoLastAction(getTestDb());
+
+      expect(undoHistory.getUndoState(getTestDb()).canRedo).toBe(true);
+
+      markMade('variant-2', 1);
+
+      expect(undoHistory.getUndoState(getTestDb())).toMatchObject({ canUndo: true, canRedo: false });
+    });
+  });
+
+  describe('History', () => {
+    test('keeps only the most recent actions', () => {
+      for (let i = 0; i < undoHistory.UNDO_HISTORY_LIMIT + 5; i++) {
+        getTestDb().prepare("UPDATE tasks SET made_quantity = 0 WHERE variant_id = 'variant-2'").run();
+        runUndoable({ variantIds: ['variant-2'] }, 'mark_made', () => updateMadeQuantity('variant-2', 1));
+      }
+
+      const count = getTestDb().prepare('SELECT COUNT(*) as count FROM undo_history').get().count;
+      expect(count).toBe(undoHistory.UNDO_HISTORY_LIMIT);
+    });
+
+    test('clearing history leaves nothing to undo or redo', () => {
+      markMade('variant-1', 1);
+      markMade('variant-1', 1);
+      undoHistory.undoLastAction(getTestDb());
+
+      undoHistory.clearUndoHistory(getTestDb());
+
+      expect(undoHistory.getUndoState(getTestDb())).toEqual({
+        canUndo: false,
+        canRedo: false,
+        undoDescription: null,
+        redoDescription: null
+      });
+    });
+  });
+});
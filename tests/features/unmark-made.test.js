@@ -0,0 +1,118 @@
+/**
+ * Feature: Unmark Made
+ *
+ * Tests taking back part of a variant's made quantity: validation against
+ * made_quantity, newest-first deallocation, and reporting orders that are
+ * no longer fulfilled.
+ */
+
+const {
+  initTestDatabase,
+  closeTestDatabase,
+  resetTestDatabase,
+  upsertOrder,
+  upsertOrderLineItem,
+  upsertTask,
+  getTaskByVariantId,
+  getOrderByOrderId,
+  getLineItemsByOrderId,
+  updateMadeQuantity,
+  decrementMadeQuantity,
+  allocateMadeQuantityToOrders,
+  deallocateQuantityFromOrders,
+  archiveOrder
+} = require('../helpers/test-database');
+
+function markMade(variantId, quantity) {
+  updateMadeQuantity(variantId, quantity);
+  allocateMadeQuantityToOrders(variantId, quantity);
+}
+
+function unmarkMade(variantId, quantity) {
+  decrementMadeQuantity(variantId, quantity);
+  return deallocateQuantityFromOrders(variantId, quantity);
+}
+
+describe('Feature: Unmark Made', () => {
+  beforeAll(async () => {
+    await initTestDatabase();
+  });
+
+  afterAll(() => {
+    closeTestDatabase();
+  });
+
+  beforeEach(() => {
+    resetTestDatabase();
+
+    upsertOrder({ orderId: 'order-old', orderName: '#1001', orderDate: '2025-01-01T10:00:00Z', totalItems: 4 });
+    upsertOrder({ orderId: 'order-new', orderName: '#1002', orderDate: '2025-01-05T10:00:00Z', totalItems: 3 });
+
+    upsertOrderLineItem({ lineItemId: 'line-old', orderId: 'order-old', variantId: 'variant-1', productTitle: 'Mug', quantity: 4 });
+    upsertOrderLineItem({ lineItemId: 'line-new', orderId: 'order-new', variantId: 'variant-1', productTitle: 'Mug', quantity: 3 });
+
+    upsertTask({ variantId: 'variant-1', productTitle: 'Mug', totalQuantity: 7 });
+  });
+
+  test('takes back units from the newest orders first', () => {
+    markMade('variant-1', 6);
+
+    const { deallocations } = unmarkMade('variant-1', 3);
+
+    expect(getTaskByVariantId('variant-1').made_quantity).toBe(3);
+    expect(getLineItemsByOrderId('order-new')[0].fulfilled_quantity).toBe(0);
+    expect(getLineItemsByOrderId('order-old')[0].fulfilled_quantity).toBe(3);
+    expect(deallocations).toEqual([
+      { orderId: 'order-new', lineItemId: 'line-new', allocated: -2 },
+      { orderId: 'order-old', lineItemId: 'line-old', allocated: -1 }
+    ]);
+  });
+
+  test('reports orders that drop from fulfilled back to in progress', () => {
+    markMade('variant-1', 7);
+    expect(getOrderByOrderId('order-new').status).toBe('fulfilled');
+
+    const { noLongerFulfilledOrders } = unmarkMade('variant-1', 1);
+
+    expect(noLongerFulfilledOrders).toEqual([
+      expect.objectContaining({ orderId: 'order-new', orderName: '#1002', status: 'in_progress' })
+    ]);
+    expect(getOrderByOrderId('order-old').status).toBe('fulfilled');
+  });
+
+  test('does not report orders that were never fulfilled', () => {
+    markMade('variant-1', 5);
+
+    const { noLongerFulfilledOrders } = unmarkMade('variant-1', 1);
+
+    expect(noLongerFulfilledOrders).toEqual([]);
+  });
+
+  test('cannot unmark more than has been made', () => {
+    markMade('variant-1', 2);
+
+    expect(() => decrementMadeQuantity('variant-1', 3)).toThrow('Cannot unmark 3 - only 2 made');
+    expect(getTaskByVariantId('variant-1').made_quantity).toBe(2);
+  });
+
+  test('updates task status when made quantity drops', () => {
+    markMade('variant-1', 7);
+    expect(getTaskByVariantId('variant-1').status).toBe('completed');
+
+    unmarkMade('variant-1', 2);
+    expect(getTaskByVariantId('variant-1').status).toBe('in_progress');
+
+    unmarkMade('variant-1', 5);
+    expect(getTaskByVariantId('variant-1').status).toBe('pending');
+  });
+
+  test('leaves archived orders untouched', () => {
+    markMade('variant-1', 7);
+    archiveOrder('order-new');
+
+    unmarkMade('variant-1', 2);
+
+    expect(getLineItemsByOrderId('order-new')[0].fulfilled_quantity).toBe(3);
+    expect(getLineItemsByOrderId('order-old')[0].fulfilled_quantity).toBe(2);
+  });
+});
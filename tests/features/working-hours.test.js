@@ -0,0 +1,75 @@
+/**
+ * Feature: Auto-sync Working Hours
+ *
+ * Tests the time window auto-sync is limited to: weekday daytime windows,
+ * overnight windows, and validating the stored setting.
+ */
+
+const {
+  DEFAULT_WORKING_HOURS,
+  normalizeWorkingHours,
+  isWithinWorkingHours,
+  describeWorkingHours
+} = require('../../src/main/working-hours');
+
+// 2025-01-06 is a Monday
+function at(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2025, 0, 6 + day - 1, hours, minutes);
+}
+
+const WEEKDAYS_8_TO_6 = { enabled: true, start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5] };
+
+describe('Feature: Auto-sync Working Hours', () => {
+  describe('Daytime window', () => {
+    test('allows times inside the window on a working day', () => {
+      expect(isWithinWorkingHours(WEEKDAYS_8_TO_6, at(1, '08:00'))).toBe(true);
+      expect(isWithinWorkingHours(WEEKDAYS_8_TO_6, at(3, '12:30'))).toBe(true);
+      expect(isWithinWorkingHours(WEEKDAYS_8_TO_6, at(5, '17:59'))).toBe(true);
+    });
+
+    test('excludes times before the start and from the end', () => {
+      expect(isWithinWorkingHours(WEEKDAYS_8_TO_6, at(1, '07:59'))).toBe(false);
+      expect(isWithinWorkingHours(WEEKDAYS_8_TO_6, at(1, '18:00'))).toBe(false);
+    });
+
+    test('excludes days that are not working days', () => {
+      expect(isWithinWorkingHours(WEEKDAYS_8_TO_6, at(6, '12:00'))).toBe(false);
+      expect(isWithinWorkingHours(WEEKDAYS_8_TO_6, at(7, '12:00'))).toBe(false);
+    });
+  });
+
+  test('an overnight window belongs to the day it starts', () => {
+    const fridayNights = { enabled: true, start: '22:00', end: '06:00', days: [5] };
+
+    expect(isWithinWorkingHours(fridayNights, at(5, '23:00'))).toBe(true);
+    expect(isWithinWorkingHours(fridayNights, at(6, '05:59'))).toBe(true);
+    expect(isWithinWorkingHours(fridayNights, at(5, '05:00'))).toBe(false);
+    expect(isWithinWorkingHours(fridayNights, at(6, '23:00'))).toBe(false);
+  });
+
+  test('any time is allowed when working hours are off', () => {
+    expect(isWithinWorkingHours({ ...WEEKDAYS_8_TO_6, enabled: false }, at(7, '03:00'))).toBe(true);
+    expect(isWithinWorkingHours(undefined, at(7, '03:00'))).toBe(true);
+  });
+
+  describe('Validation', () => {
+    test('defaults to off, 8:00-18:00 on weekdays', () => {
+      expect(normalizeWorkingHours(undefined)).toEqual(DEFAULT_WORKING_HOURS);
+      expect(describeWorkingHours(DEFAULT_WORKING_HOURS)).toBe('08:00-18:00 weekdays');
+    });
+
+    test('sorts and de-duplicates days', () => {
+      expect(normalizeWorkingHours({ enabled: true, days: [6, 0, 6] }).days).toEqual([0, 6]);
+      expect(describeWorkingHours({ start: '09:00', end: '13:00', days: [0, 6] })).toBe('09:00-13:00 Sun, Sat');
+    });
+
+    test('rejects invalid times and days', () => {
+      expect(() => normalizeWorkingHours({ start: '8am' })).toThrow('Invalid time "8am"');
+      expect(() => normalizeWorkingHours({ end: '24:00' })).toThrow('Invalid time "24:00"');
+      expect(() => normalizeWorkingHours({ start: '09:00', end: '09:00' })).toThrow('must start and end at different times');
+      expect(() => normalizeWorkingHours({ days: [7] })).toThrow('Working days must be numbers from 0');
+      expect(() => normalizeWorkingHours({ enabled: true, days: [] })).toThrow('Choose at least one working day');
+    });
+  });
+});
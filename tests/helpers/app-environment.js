@@ -0,0 +1,86 @@
+/**
+ * App Environment
+ *
+ * For tests that run the app's own main-process modules - the real
+ * database.js on better-sqlite3 rather than the sql.js copy in
+ * test-database.js, the IPC handlers and the sync service.
+ *
+ * `npm install` rebuilds better-sqlite3 for Electron, which Node can't load.
+ * Tests using describeWithAppDatabase are skipped until it is rebuilt for
+ * Node with `npm rebuild better-sqlite3` (and `npm run rebuild` puts it back).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function canLoadBetterSqlite() {
+  try {
+    const Database = require('better-sqlite3');
+    new Database(':memory:').close();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const describeWithAppDatabase = canLoadBetterSqlite() ? describe : describe.skip;
+
+/**
+ * Stand-in for the electron module in the main process
+ * App data (config and store databases) goes to a new temporary directory,
+ * and IPC handlers are kept in `handlers` so tests can call them
+ */
+function createElectronMock() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventoryinator-test-'));
+  const handlers = {};
+
+  return {
+    dataDir,
+    handlers,
+    app: {
+      isPackaged: true,
+      getPath: () => dataDir,
+      on: () => {},
+      whenReady: () => Promise.resolve()
+    },
+    ipcMain: {
+      handle: (channel, handler) => {
+        handlers[channel] = handler;
+      },
+      on: () => {}
+    },
+    BrowserWindow: {
+      getAllWindows: () => [],
+      fromWebContents: () => null
+    },
+    powerMonitor: { on: () => {} },
+    shell: { openExternal: () => {} },
+    dialog: {}
+  };
+}
+
+/**
+ * Call an IPC handler registered on the electron stand-in
+ */
+function invoke(electron, channel, ...args) {
+  const handler = electron.handlers[channel];
+  if (!handler) {
+    throw new Error(`No IPC handler for ${channel}`);
+  }
+  return handler({ sender: null }, ...args);
+}
+
+/**
+ * Delete the electron stand-in's app data
+ */
+function removeAppData(electron) {
+  fs.rmSync(electron.dataDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  describeWithAppDatabase,
+  createElectronMock,
+  invoke,
+  removeAppData
+};
@@ -0,0 +1,76 @@
+/**
+ * Shopify Stand-in Server
+ *
+ * A local HTTP server that stands in for the Shopify Admin GraphQL API, so
+ * ShopifyClient can be tested end to end without a real store.
+ */
+
+const http = require('http');
+
+/**
+ * Get the operation name of a GraphQL document (e.g. "GetOrders")
+ */
+function getOperationName(query) {
+  const match = /^\s*(?:query|mutation)\s+(\w+)/.exec(query);
+  return match ? match[1] : null;
+}
+
+/**
+ * Start the stand-in server
+ * handlers: { [operationName]: ({ query, variables }, res) => responseBody }
+ *   A handler returns the JSON body to send, or undefined if it wrote to res itself.
+ * files: { [path]: content } served on GET (e.g. bulk operation JSONL results)
+ * Resolves to { baseUrl, requests, close }
+ */
+function startShopifyStandIn({ handlers = {}, files = {} } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+      if (!(req.url in files)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/jsonl' });
+      res.end(files[req.url]);
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      const operationName = getOperationName(body.query);
+      requests.push({ operationName, variables: body.variables, headers: req.headers });
+
+      const handler = handlers[operationName];
+      if (!handler) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ errors: [{ message: `No stand-in handler for ${operationName}` }] }));
+        return;
+      }
+
+      const responseBody = handler(body, res);
+      if (responseBody !== undefined) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(responseBody));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startShopifyStandIn
+};
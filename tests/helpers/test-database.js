@@ -6,6 +6,8 @@
  */
 
 const initSqlJs = require('sql.js');
+const { runMigrations } = require('../../src/main/migrations');
+const { normalizeAllocationSettings, sortLineItemsForAllocation } = require('../../src/main/allocation-strategies');
 
 let db;
 let SQL;
@@ -62,6 +64,7 @@ function getAll(sql, params = []) {
 
 /**
  * Initialize an in-memory test database with all required tables
+ * Runs the real migrations from src/main/migrations.js
  */
 async function initTestDatabase() {
   if (!SQL) {
@@ -69,85 +72,9 @@ async function initTestDatabase() {
   }
   db = new SQL.Database();
   
-  // Create tasks table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS tasks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      variant_id TEXT UNIQUE NOT NULL,
-      variant_title TEXT NOT NULL,
-      product_title TEXT NOT NULL,
-      sku TEXT DEFAULT '',
-      image_url TEXT,
-      total_quantity INTEGER DEFAULT 0,
-      made_quantity INTEGER DEFAULT 0,
-      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'in_progress', 'completed')),
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Create orders table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS orders (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      order_id TEXT UNIQUE NOT NULL,
-      order_name TEXT NOT NULL,
-      order_date DATETIME NOT NULL,
-      total_items INTEGER DEFAULT 0,
-      fulfilled_items INTEGER DEFAULT 0,
-      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'in_progress', 'fulfilled', 'archived')),
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Create order_line_items table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS order_line_items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      line_item_id TEXT UNIQUE NOT NULL,
-      order_id TEXT NOT NULL,
-      variant_id TEXT NOT NULL,
-      product_title TEXT NOT NULL,
-      variant_title TEXT DEFAULT '',
-      sku TEXT DEFAULT '',
-      image_url TEXT,
-      quantity INTEGER DEFAULT 0,
-      fulfilled_quantity INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (order_id) REFERENCES orders(order_id)
-    )
-  `);
-
-  // Create sync_history table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS sync_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      orders_fetched INTEGER DEFAULT 0,
-      variants_updated INTEGER DEFAULT 0,
-      status TEXT DEFAULT 'success',
-      error_message TEXT
-    )
-  `);
-
-  // Create inventory table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS inventory (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      variant_id TEXT UNIQUE NOT NULL,
-      product_id TEXT NOT NULL,
-      product_title TEXT NOT NULL,
-      variant_title TEXT NOT NULL,
-      sku TEXT DEFAULT '',
-      image_url TEXT DEFAULT NULL,
-      inventory_quantity INTEGER NOT NULL DEFAULT 0,
-      last_synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
+  // Build the schema with the same migrations the app runs
+  runMigrations(getTestDb());
+  
   return db;
 }
 
@@ -180,11 +107,10 @@ function getTestDb() {
  * Reset all tables (clear data but keep structure)
  */
 function resetTestDatabase() {
-  db.run('DELETE FROM order_line_items');
-  db.run('DELETE FROM orders');
-  db.run('DELETE FROM tasks');
-  db.run('DELETE FROM sync_history');
-  db.run('DELETE FROM inventory');
+  // Recreate rather than DELETE - append-only tables reject deletes
+  db.close();
+  db = new SQL.Database();
+  runMigrations(getTestDb());
 }
 
 // ============================================
@@ -215,11 +141,40 @@ function upsertTask(task) {
 }
 
 function getTaskByVariantId(variantId) {
-  return getOne('SELECT * FROM tasks WHERE variant_id = ?', [variantId]);
+  return getOne(`${TASKS_WITH_STOCK} WHERE t.variant_id = ?`, [variantId]);
 }
 
+const TASKS_WITH_STOCK = `
+  SELECT 
+    t.*,
+    (t.total_quantity - t.made_quantity) as remaining_quantity,
+    MAX(COALESCE(i.inventory_quantity, 0), 0) as stock_on_hand,
+    COALESCE(sa.quantity, 0) as stock_allocated,
+    MAX(
+      (t.total_quantity - t.made_quantity) - MAX(MAX(COALESCE(i.inventory_quantity, 0), 0) - COALESCE(sa.quantity, 0), 0),
+      0
+    ) as net_to_make,
+    COALESCE(rb.quantity, 0) as reserved_quantity
+  FROM tasks t
+  LEFT JOIN inventory i ON i.variant_id = t.variant_id
+  LEFT JOIN (
+    SELECT li.variant_id, SUM(li.stock_quantity) as quantity
+    FROM order_line_items li
+    JOIN orders o ON li.order_id = o.order_id
+    WHERE o.status != 'archived'
+    GROUP BY li.variant_id
+  ) sa ON sa.variant_id = t.variant_id
+  LEFT JOIN (
+    SELECT bi.variant_id, SUM(bi.planned_quantity) as quantity
+    FROM batch_items bi
+    JOIN batches b ON bi.batch_id = b.id
+    WHERE b.status = 'open'
+    GROUP BY bi.variant_id
+  ) rb ON rb.variant_id = t.variant_id
+`;
+
 function getAllTasks() {
-  return getAll('SELECT * FROM tasks ORDER BY status ASC, product_title ASC');
+  return getAll(`${TASKS_WITH_STOCK} ORDER BY t.status ASC, t.product_title ASC`);
 }
 
 function updateMadeQuantity(variantId, quantityToAdd) {
@@ -249,6 +204,30 @@ function updateMadeQuantity(variantId, quantityToAdd) {
   };
 }
 
+function decrementMadeQuantity(variantId, quantity) {
+  const task = getTaskByVariantId(variantId);
+  if (!task) {
+    throw new Error(`Task not found for variant: ${variantId}`);
+  }
+  
+  if (quantity > task.made_quantity) {
+    throw new Error(`Cannot unmark ${quantity} - only ${task.made_quantity} made`);
+  }
+  
+  const newMade = task.made_quantity - quantity;
+  const newStatus = newMade >= task.total_quantity ? 'completed' 
+    : newMade > 0 ? 'in_progress' 
+    : 'pending';
+  
+  db.run(`
+    UPDATE tasks 
+    SET made_quantity = ?, status = ?, updated_at = CURRENT_TIMESTAMP 
+    WHERE variant_id = ?
+  `, [newMade, newStatus, variantId]);
+  
+  return { previousMade: task.made_quantity, newMade, newStatus };
+}
+
 function resetTask(variantId) {
   db.run(`
     UPDATE tasks 
@@ -266,16 +245,20 @@ function upsertOrder(order) {
   const totalItems = order.totalItems || 0;
   const fulfilledItems = order.fulfilledItems || 0;
   const status = order.status || 'pending';
+  const shippingMethod = order.shippingMethod || null;
+  const tags = order.tags || '';
   
   db.run(`
-    INSERT INTO orders (order_id, order_name, order_date, total_items, fulfilled_items, status)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO orders (order_id, order_name, order_date, total_items, fulfilled_items, status, shipping_method, tags)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(order_id) DO UPDATE SET
       order_name = excluded.order_name,
       order_date = excluded.order_date,
       total_items = excluded.total_items,
+      shipping_method = excluded.shipping_method,
+      tags = excluded.tags,
       updated_at = CURRENT_TIMESTAMP
-  `, [orderId, orderName, orderDate, totalItems, fulfilledItems, status]);
+  `, [orderId, orderName, orderDate, totalItems, fulfilledItems, status, shippingMethod, tags]);
 }
 
 function upsertOrderLineItem(lineItem) {
@@ -307,7 +290,19 @@ function getOrderById(orderId) {
 }
 
 function getAllOrders() {
-  return getAll("SELECT * FROM orders WHERE status != 'archived' ORDER BY order_date ASC");
+  return getAll(`
+    SELECT
+      o.*,
+      fl.status as shopify_fulfillment_status,
+      fl.error_message as shopify_fulfillment_error,
+      fl.created_at as shopify_fulfillment_at
+    FROM orders o
+    LEFT JOIN fulfillment_log fl ON fl.id = (
+      SELECT MAX(id) FROM fulfillment_log WHERE order_id = o.order_id
+    )
+    WHERE o.status != 'archived'
+    ORDER BY o.order_date ASC
+  `);
 }
 
 function getArchivedOrders() {
@@ -318,6 +313,13 @@ function getOrderLineItems(orderId) {
   return getAll('SELECT * FROM order_line_items WHERE order_id = ?', [orderId]);
 }
 
+function getOrdersWithLineItems() {
+  return getAllOrders().map(order => ({
+    ...order,
+    lineItems: getOrderLineItems(order.order_id)
+  }));
+}
+
 // Alias for backwards compatibility with tests
 function getLineItemsByOrderId(orderId) {
   return getOrderLineItems(orderId);
@@ -506,16 +508,206 @@ function getOrderIdsToSkipDuringSync() {
   return new Set(rows.map(r => r.order_id));
 }
 
-function allocateMadeQuantityToOrders(variantId, quantityToAllocate) {
-  // Get all non-archived line items for this variant, ordered by order date (FIFO)
+function mergeUpdatedOrders(fetchedOrderIds, ordersForStorage) {
+  const skipOrderIds = getOrderIdsToSkipDuringSync();
+  const openOrders = new Map(ordersForStorage.map(order => [order.orderId, order]));
+  
+  let storedCount = 0;
+  let removedCount = 0;
+  let skippedCount = 0;
+  
+  for (const orderId of fetchedOrderIds) {
+    if (skipOrderIds.has(orderId)) {
+      skippedCount++;
+      continue;
+    }
+    
+    db.run('DELETE FROM order_line_items WHERE order_id = ?', [orderId]);
+    db.run('DELETE FROM orders WHERE order_id = ?', [orderId]);
+    const changes = db.getRowsModified();
+    
+    const order = openOrders.get(orderId);
+    if (order) {
+      upsertOrder(order);
+      for (const lineItem of order.lineItems) {
+        upsertOrderLineItem(lineItem);
+      }
+      storedCount++;
+    } else if (changes > 0) {
+      removedCount++;
+    }
+  }
+  
+  return { storedCount, removedCount, skippedCount };
+}
+
+function mergePreservedOrderEdits(ordersForStorage) {
+  const preservedOrderIds = new Set(getAll(`
+    SELECT order_id FROM orders
+    WHERE status != 'archived' AND fulfilled_items > 0
+  `).map(r => r.order_id));
+  
+  const describeLocal = local => ({
+    lineItemId: local.line_item_id,
+    variantId: local.variant_id,
+    productTitle: local.product_title,
+    variantTitle: local.variant_title
+  });
+  
+  const editedOrders = [];
+  
+  for (const order of ordersForStorage) {
+    if (!preservedOrderIds.has(order.orderId)) continue;
+    
+    const localItems = getAll('SELECT * FROM order_line_items WHERE order_id = ?', [order.orderId]);
+    const localById = new Map(localItems.map(item => [item.line_item_id, item]));
+    const fetchedIds = new Set(order.lineItems.map(item => item.lineItemId));
+    const changes = [];
+    
+    for (const item of order.lineItems) {
+      const local = localById.get(item.lineItemId);
+      
+      if (!local) {
+        upsertOrderLineItem(item);
+        changes.push({
+          lineItemId: item.lineItemId,
+          variantId: item.variantId,
+          productTitle: item.productTitle,
+          variantTitle: item.variantTitle,
+          oldQuantity: 0,
+          newQuantity: item.quantity,
+          clampedQuantity: 0
+        });
+      } else if (local.quantity !== item.quantity) {
+        const fulfilled = Math.min(local.fulfilled_quantity, item.quantity);
+        const pinned = Math.min(local.pinned_quantity, fulfilled);
+        const fromStock = Math.min(local.stock_quantity, pinned);
+        db.run(`
+          UPDATE order_line_items
+          SET quantity = ?, fulfilled_quantity = ?, pinned_quantity = ?, stock_quantity = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE line_item_id = ?
+        `, [item.quantity, fulfilled, pinned, fromStock, item.lineItemId]);
+        changes.push({
+          ...describeLocal(local),
+          oldQuantity: local.quantity,
+          newQuantity: item.quantity,
+          clampedQuantity: local.fulfilled_quantity - fulfilled
+        });
+      }
+    }
+    
+    for (const local of localItems) {
+      if (!fetchedIds.has(local.line_item_id)) {
+        db.run('DELETE FROM order_line_items WHERE line_item_id = ?', [local.line_item_id]);
+        changes.push({
+          ...describeLocal(local),
+          oldQuantity: local.quantity,
+          newQuantity: 0,
+          clampedQuantity: local.fulfilled_quantity
+        });
+      }
+    }
+    
+    if (changes.length > 0) {
+      upsertOrder(order);
+      editedOrders.push({ orderId: order.orderId, orderName: order.orderName, changes });
+    }
+  }
+  
+  for (const order of editedOrders) {
+    for (const change of order.changes) {
+      change.reassigned = [];
+      if (change.clampedQuantity <= 0) continue;
+      
+      const before = new Map(getLineItemsInAllocationOrder(change.variantId).map(item => [item.line_item_id, item.fulfilled_quantity]));
+      allocateMadeQuantityToOrders(change.variantId, change.clampedQuantity);
+      for (const item of getLineItemsInAllocationOrder(change.variantId)) {
+        const allocated = item.fulfilled_quantity - before.get(item.line_item_id);
+        if (allocated > 0) {
+          change.reassigned.push({ orderId: item.order_id, lineItemId: item.line_item_id, allocated });
+        }
+      }
+    }
+  }
+  
+  return editedOrders;
+}
+
+function getPreservedOrdersToReconcile() {
+  return getAll(`
+    SELECT order_id, order_name FROM orders
+    WHERE status != 'archived' AND fulfilled_items > 0 AND attention_reason IS NULL
+  `);
+}
+
+function applyOrderReconciliation(decisions) {
+  for (const decision of decisions) {
+    if (decision.action === 'archived') {
+      archiveOrder(decision.orderId);
+    } else if (decision.action === 'needs_attention') {
+      db.run(`
+        UPDATE orders
+        SET attention_reason = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = ?
+      `, [decision.reason, decision.orderId]);
+    }
+  }
+}
+
+function dismissOrderAttention(orderId) {
+  db.run(`
+    UPDATE orders
+    SET attention_dismissed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE order_id = ?
+  `, [orderId]);
+  
+  if (db.getRowsModified() === 0) {
+    throw new Error('Order not found');
+  }
+}
+
+// ============================================
+// SYNC HISTORY FUNCTIONS
+// ============================================
+
+function logSync(stats) {
+  const { ordersFetched, variantsUpdated, status, errorMessage, syncMode, startedAt } = stats;
+  
+  db.run(`
+    INSERT INTO sync_history (orders_fetched, variants_updated, status, error_message, sync_mode, started_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [ordersFetched || 0, variantsUpdated || 0, status, errorMessage || null, syncMode || 'full', startedAt || null]);
+}
+
+function getLastSuccessfulSync(syncMode = null) {
+  const modeClause = syncMode ? 'AND sync_mode = ?' : '';
+  return getOne(`
+    SELECT * FROM sync_history
+    WHERE status = 'success' AND started_at IS NOT NULL ${modeClause}
+    ORDER BY id DESC
+    LIMIT 1
+  `, syncMode ? [syncMode] : []);
+}
+
+function getLineItemsInAllocationOrder(variantId, settings = getAllocationStrategy()) {
   const lineItems = getAll(`
-    SELECT li.*, o.order_date, o.order_id as parent_order_id
+    SELECT li.*, o.order_name, o.order_date, o.total_items, o.fulfilled_items,
+           o.shipping_method, o.tags, op.priority_rank
     FROM order_line_items li
     JOIN orders o ON li.order_id = o.order_id
+    LEFT JOIN order_priorities op ON o.order_id = op.order_id
     WHERE li.variant_id = ? AND o.status != 'archived'
-    ORDER BY o.order_date ASC
   `, [variantId]);
   
+  return sortLineItemsForAllocation(lineItems, settings);
+}
+
+function allocateMadeQuantityToOrders(variantId, quantityToAllocate) {
+  // Get all non-archived line items for this variant in allocation strategy order
+  const lineItems = getLineItemsInAllocationOrder(variantId);
+  
   let remainingToAllocate = quantityToAllocate;
   const fulfilledOrders = [];
   
@@ -561,96 +753,531 @@ function allocateMadeQuantityToOrders(variantId, quantityToAllocate) {
   return fulfilledOrders;
 }
 
-function resetVariantInOrders(variantId) {
-  // Get all non-archived line items for this variant
-  const lineItems = getAll(`
-    SELECT li.*, o.order_id as parent_order_id
-    FROM order_line_items li
-    JOIN orders o ON li.order_id = o.order_id
-    WHERE li.variant_id = ? AND o.status != 'archived'
-  `, [variantId]);
+function deallocateQuantityFromOrders(variantId, quantityToDeallocate) {
+  // Get non-archived line items with progress for this variant, in reverse allocation order
+  // Pinned (manually allocated) units are never taken back
+  const lineItems = getLineItemsInAllocationOrder(variantId)
+    .filter(item => item.fulfilled_quantity > item.pinned_quantity)
+    .reverse();
+  
+  let remainingToDeallocate = quantityToDeallocate;
+  const deallocations = [];
+  const noLongerFulfilledOrders = [];
   
   for (const item of lineItems) {
-    if (item.fulfilled_quantity > 0) {
-      // Reset line item
-      db.run(`
-        UPDATE order_line_items 
-        SET fulfilled_quantity = 0 
-        WHERE line_item_id = ?
-      `, [item.line_item_id]);
-      
-      // Update order
-      const order = getOrderByOrderId(item.order_id);
-      const newFulfilled = Math.max(0, order.fulfilled_items - item.fulfilled_quantity);
-      const newStatus = newFulfilled >= order.total_items ? 'fulfilled'
-        : newFulfilled > 0 ? 'in_progress'
-        : 'pending';
-      
-      db.run(`
-        UPDATE orders 
-        SET fulfilled_items = ?, status = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE order_id = ?
-      `, [newFulfilled, newStatus, item.order_id]);
+    if (remainingToDeallocate <= 0) break;
+    
+    const toDeallocate = Math.min(item.fulfilled_quantity - item.pinned_quantity, remainingToDeallocate);
+    
+    db.run(`
+      UPDATE order_line_items 
+      SET fulfilled_quantity = ? 
+      WHERE line_item_id = ?
+    `, [item.fulfilled_quantity - toDeallocate, item.line_item_id]);
+    
+    // Update order fulfilled_items
+    const order = getOrderByOrderId(item.order_id);
+    const newOrderFulfilled = Math.max(0, order.fulfilled_items - toDeallocate);
+    const newOrderStatus = newOrderFulfilled >= order.total_items ? 'fulfilled'
+      : newOrderFulfilled > 0 ? 'in_progress'
+      : 'pending';
+    
+    db.run(`
+      UPDATE orders 
+      SET fulfilled_items = ?, status = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE order_id = ?
+    `, [newOrderFulfilled, newOrderStatus, item.order_id]);
+    
+    if (order.status === 'fulfilled' && newOrderStatus !== 'fulfilled') {
+      noLongerFulfilledOrders.push({
+        orderId: order.order_id,
+        orderName: order.order_name,
+        status: newOrderStatus
+      });
     }
+    
+    deallocations.push({
+      orderId: item.order_id,
+      lineItemId: item.line_item_id,
+      allocated: -toDeallocate
+    });
+    
+    remainingToDeallocate -= toDeallocate;
   }
+  
+  return { deallocations, noLongerFulfilledOrders };
 }
 
-function recalculateTaskTotalsFromOrders() {
-  // Get all non-archived line items grouped by variant
-  const variantTotals = getAll(`
-    SELECT 
-      li.variant_id,
-      SUM(li.quantity) as total_quantity,
-      SUM(li.fulfilled_quantity) as made_quantity
+function allocateToLineItem(lineItemId, quantity) {
+  const item = getOne(`
+    SELECT li.*, o.status as order_status
     FROM order_line_items li
     JOIN orders o ON li.order_id = o.order_id
-    WHERE o.status != 'archived'
-    GROUP BY li.variant_id
-  `);
+    WHERE li.line_item_id = ?
+  `, [lineItemId]);
   
-  for (const vt of variantTotals) {
-    const newStatus = vt.made_quantity >= vt.total_quantity ? 'completed'
-      : vt.made_quantity > 0 ? 'in_progress'
-      : 'pending';
+  if (!item) {
+    throw new Error('Line item not found');
+  }
+  if (item.order_status === 'archived') {
+    throw new Error('Cannot allocate to an archived order');
+  }
+  
+  const remaining = item.quantity - item.fulfilled_quantity;
+  if (quantity > remaining) {
+    throw new Error(`Cannot allocate ${quantity} - only ${remaining} left on this line item`);
+  }
+  
+  const task = getTaskByVariantId(item.variant_id);
+  if (!task) {
+    throw new Error(`Task not found for variant: ${item.variant_id}`);
+  }
+  if (task.made_quantity + quantity > task.total_quantity) {
+    throw new Error(`Cannot mark ${quantity} - would exceed total (${task.total_quantity})`);
+  }
+  
+  updateMadeQuantity(item.variant_id, quantity);
+  
+  db.run(`
+    UPDATE order_line_items 
+    SET fulfilled_quantity = fulfilled_quantity + ?, pinned_quantity = pinned_quantity + ?
+    WHERE line_item_id = ?
+  `, [quantity, quantity, lineItemId]);
+  
+  db.run(`
+    UPDATE orders 
+    SET fulfilled_items = fulfilled_items + ?, updated_at = CURRENT_TIMESTAMP 
+    WHERE order_id = ?
+  `, [quantity, item.order_id]);
+  updateAllOrderStatuses();
+  
+  const order = getOrderByOrderId(item.order_id);
+  
+  return {
+    variantId: item.variant_id,
+    allocations: [{ orderId: item.order_id, lineItemId, allocated: quantity }],
+    newlyFulfilledOrders: order.status === 'fulfilled' && item.order_status !== 'fulfilled' ? [order] : []
+  };
+}
+
+function markOrderMade(orderId) {
+  const order = getOrderByOrderId(orderId);
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  if (order.status === 'archived') {
+    throw new Error('Cannot mark an archived order as made');
+  }
+  
+  const lineItems = getAll(`
+    SELECT line_item_id, variant_id, quantity, fulfilled_quantity
+    FROM order_line_items
+    WHERE order_id = ? AND fulfilled_quantity < quantity
+  `, [orderId]);
+  
+  if (lineItems.length === 0) {
+    throw new Error('Nothing left to make for this order');
+  }
+  
+  const variants = new Map();
+  for (const item of lineItems) {
+    const { allocations } = allocateToLineItem(item.line_item_id, item.quantity - item.fulfilled_quantity);
     
-    db.run(`
-      UPDATE tasks 
-      SET total_quantity = ?, made_quantity = ?, status = ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE variant_id = ?
-    `, [vt.total_quantity, vt.made_quantity, newStatus, vt.variant_id]);
+    const variant = variants.get(item.variant_id) || { variantId: item.variant_id, quantity: 0, allocations: [] };
+    variant.quantity += allocations[0].allocated;
+    variant.allocations.push(...allocations);
+    variants.set(item.variant_id, variant);
   }
+  
+  const updatedOrder = getOrderByOrderId(orderId);
+  
+  return {
+    variants: [...variants.values()],
+    newlyFulfilledOrders: updatedOrder.status === 'fulfilled' && order.status !== 'fulfilled' ? [updatedOrder] : []
+  };
 }
 
-function updateAllOrderStatuses() {
-  // Get all non-archived orders
-  const orders = getAllOrders();
+function allocateStockToOrders() {
+  const notFulfilledBefore = new Set(
+    getAll(`SELECT order_id FROM orders WHERE status != 'fulfilled' AND status != 'archived'`).map(o => o.order_id)
+  );
   
-  for (const order of orders) {
-    const newStatus = order.fulfilled_items >= order.total_items ? 'fulfilled'
-      : order.fulfilled_items > 0 ? 'in_progress'
-      : 'pending';
+  const tasks = getAllTasks().filter(task => task.remaining_quantity > task.net_to_make);
+  const variants = [];
+  const affectedOrderIds = new Set();
+  
+  for (const task of tasks) {
+    const lineItems = getLineItemsInAllocationOrder(task.variant_id, { strategy: 'oldest_first' })
+      .filter(item => item.fulfilled_quantity < item.quantity);
     
-    if (newStatus !== order.status) {
+    let remainingToAllocate = task.remaining_quantity - task.net_to_make;
+    const allocations = [];
+    
+    for (const item of lineItems) {
+      if (remainingToAllocate <= 0) break;
+      
+      const willFulfill = Math.min(item.quantity - item.fulfilled_quantity, remainingToAllocate);
+      db.run(`
+        UPDATE order_line_items 
+        SET fulfilled_quantity = fulfilled_quantity + ?, pinned_quantity = pinned_quantity + ?, stock_quantity = stock_quantity + ?
+        WHERE line_item_id = ?
+      `, [willFulfill, willFulfill, willFulfill, item.line_item_id]);
       db.run(`
         UPDATE orders 
-        SET status = ?, updated_at = CURRENT_TIMESTAMP 
+        SET fulfilled_items = fulfilled_items + ?, updated_at = CURRENT_TIMESTAMP 
         WHERE order_id = ?
-      `, [newStatus, order.order_id]);
+      `, [willFulfill, item.order_id]);
+      
+      allocations.push({ orderId: item.order_id, lineItemId: item.line_item_id, allocated: willFulfill });
+      affectedOrderIds.add(item.order_id);
+      remainingToAllocate -= willFulfill;
     }
+    
+    const quantity = allocations.reduce((sum, a) => sum + a.allocated, 0);
+    if (quantity === 0) continue;
+    
+    updateMadeQuantity(task.variant_id, quantity);
+    variants.push({
+      variantId: task.variant_id,
+      quantity,
+      madeBefore: task.made_quantity,
+      madeAfter: task.made_quantity + quantity,
+      allocations
+    });
   }
+  
+  updateAllOrderStatuses();
+  
+  const newlyFulfilledOrders = getAll(`SELECT * FROM orders WHERE status = 'fulfilled'`)
+    .filter(order => affectedOrderIds.has(order.order_id) && notFulfilledBefore.has(order.order_id));
+  
+  return { variants, newlyFulfilledOrders };
 }
 
-// ============================================
-// INVENTORY FUNCTIONS
-// ============================================
-
-/**
+function previewAllocation(variantId, quantity) {
+  const lineItems = getLineItemsInAllocationOrder(variantId)
+    .filter(item => item.fulfilled_quantity < item.quantity);
+  
+  let remainingToAllocate = quantity;
+  const preview = [];
+  
+  for (const item of lineItems) {
+    if (remainingToAllocate <= 0) break;
+    
+    const willFulfill = Math.min(item.quantity - item.fulfilled_quantity, remainingToAllocate);
+    
+    preview.push({
+      orderId: item.order_id,
+      orderName: item.order_name,
+      lineItemId: item.line_item_id,
+      allocated: willFulfill,
+      completesOrder: willFulfill >= item.total_items - item.fulfilled_items
+    });
+    
+    remainingToAllocate -= willFulfill;
+  }
+  
+  return preview;
+}
+
+function setOrderPriority(orderId, rank) {
+  if (rank === null || rank === undefined) {
+    db.run('DELETE FROM order_priorities WHERE order_id = ?', [orderId]);
+    return;
+  }
+  
+  db.run(`
+    INSERT INTO order_priorities (order_id, priority_rank)
+    VALUES (?, ?)
+    ON CONFLICT(order_id) DO UPDATE SET priority_rank = excluded.priority_rank
+  `, [orderId, rank]);
+}
+
+function getSetting(key, defaultValue = null) {
+  const row = getOne('SELECT value FROM settings WHERE key = ?', [key]);
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+function saveSetting(key, value) {
+  db.run(`
+    INSERT INTO settings (key, value)
+    VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `, [key, JSON.stringify(value)]);
+}
+
+function getAllocationStrategy() {
+  return normalizeAllocationSettings(getSetting('allocation_strategy', {}));
+}
+
+function saveAllocationStrategy(settings) {
+  const normalized = normalizeAllocationSettings(settings);
+  
+  if (normalized.strategy !== settings.strategy) {
+    throw new Error(`Unknown allocation strategy: ${settings.strategy}`);
+  }
+  if (normalized.strategy === 'tag_first' && !normalized.tag) {
+    throw new Error('A tag is required for the tag-first strategy');
+  }
+  
+  saveSetting('allocation_strategy', normalized);
+  return normalized;
+}
+
+function getFulfillmentSettings() {
+  const settings = getSetting('fulfillment_write_back', {});
+  return {
+    enabled: settings.enabled === true,
+    notifyCustomer: settings.notifyCustomer === true
+  };
+}
+
+function saveFulfillmentSettings(settings = {}) {
+  const normalized = {
+    enabled: settings.enabled === true,
+    notifyCustomer: settings.notifyCustomer === true
+  };
+  
+  saveSetting('fulfillment_write_back', normalized);
+  return normalized;
+}
+
+function getPlanningSettings() {
+  const settings = getSetting('production_planning', {});
+  return {
+    netRequirement: settings.netRequirement === true,
+    allocateStock: settings.allocateStock === true
+  };
+}
+
+function savePlanningSettings(settings = {}) {
+  const normalized = {
+    netRequirement: settings.netRequirement === true,
+    allocateStock: settings.allocateStock === true
+  };
+  
+  saveSetting('production_planning', normalized);
+  return normalized;
+}
+
+function getMaterialSettings() {
+  const settings = getSetting('material_stock', {});
+  return {
+    consumeOnMake: settings.consumeOnMake === true
+  };
+}
+
+function saveMaterialSettings(settings = {}) {
+  const normalized = {
+    consumeOnMake: settings.consumeOnMake === true
+  };
+  
+  saveSetting('material_stock', normalized);
+  return normalized;
+}
+
+function getExportSettings() {
+  return normalizeExportSettings(getSetting('export', {}));
+}
+
+function saveExportSettings(settings = {}) {
+  const normalized = normalizeExportSettings(settings);
+  
+  saveSetting('export', normalized);
+  return normalized;
+}
+
+function normalizeExportSettings(settings) {
+  const columns = {};
+  for (const [dataset, ids] of Object.entries(settings.columns || {})) {
+    if (Array.isArray(ids)) {
+      columns[dataset] = ids.filter(id => typeof id === 'string');
+    }
+  }
+  
+  return {
+    format: settings.format === 'xlsx' ? 'xlsx' : 'csv',
+    columns
+  };
+}
+
+function resetVariantInOrders(variantId) {
+  // Get all non-archived line items for this variant
+  const lineItems = getAll(`
+    SELECT li.*, o.order_id as parent_order_id
+    FROM order_line_items li
+    JOIN orders o ON li.order_id = o.order_id
+    WHERE li.variant_id = ? AND o.status != 'archived'
+  `, [variantId]);
+  
+  for (const item of lineItems) {
+    if (item.fulfilled_quantity > 0) {
+      // Reset line item
+      db.run(`
+        UPDATE order_line_items 
+        SET fulfilled_quantity = 0, pinned_quantity = 0, stock_quantity = 0 
+        WHERE line_item_id = ?
+      `, [item.line_item_id]);
+      
+      // Update order
+      const order = getOrderByOrderId(item.order_id);
+      const newFulfilled = Math.max(0, order.fulfilled_items - item.fulfilled_quantity);
+      const newStatus = newFulfilled >= order.total_items ? 'fulfilled'
+        : newFulfilled > 0 ? 'in_progress'
+        : 'pending';
+      
+      db.run(`
+        UPDATE orders 
+        SET fulfilled_items = ?, status = ?, updated_at = CURRENT_TIMESTAMP 
+        WHERE order_id = ?
+      `, [newFulfilled, newStatus, item.order_id]);
+    }
+  }
+  
+  return lineItems
+    .filter(item => item.fulfilled_quantity > 0)
+    .map(item => ({
+      orderId: item.order_id,
+      lineItemId: item.line_item_id,
+      allocated: -item.fulfilled_quantity
+    }));
+}
+
+function recalculateTaskTotalsFromOrders() {
+  // Get all non-archived line items grouped by variant
+  const variantTotals = getAll(`
+    SELECT 
+      li.variant_id,
+      SUM(li.quantity) as total_quantity,
+      SUM(li.fulfilled_quantity) as made_quantity
+    FROM order_line_items li
+    JOIN orders o ON li.order_id = o.order_id
+    WHERE o.status != 'archived'
+    GROUP BY li.variant_id
+  `);
+  
+  for (const vt of variantTotals) {
+    const newStatus = vt.made_quantity >= vt.total_quantity ? 'completed'
+      : vt.made_quantity > 0 ? 'in_progress'
+      : 'pending';
+    
+    db.run(`
+      UPDATE tasks 
+      SET total_quantity = ?, made_quantity = ?, status = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE variant_id = ?
+    `, [vt.total_quantity, vt.made_quantity, newStatus, vt.variant_id]);
+  }
+}
+
+function updateAllOrderStatuses() {
+  // Get all non-archived orders
+  const orders = getAllOrders();
+  
+  for (const order of orders) {
+    const newStatus = order.fulfilled_items >= order.total_items ? 'fulfilled'
+      : order.fulfilled_items > 0 ? 'in_progress'
+      : 'pending';
+    
+    if (newStatus !== order.status) {
+      db.run(`
+        UPDATE orders 
+        SET status = ?, updated_at = CURRENT_TIMESTAMP 
+        WHERE order_id = ?
+      `, [newStatus, order.order_id]);
+    }
+  }
+}
+
+// ============================================
+// PRODUCTION EVENT FUNCTIONS
+// ============================================
+
+function recordProductionEvent(event) {
+  const { variantId, action, quantityDelta, madeBefore, madeAfter, actor, allocations = [] } = event;
+  
+  db.run(`
+    INSERT INTO production_events (variant_id, action, quantity_delta, made_before, made_after, actor)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [variantId, action, quantityDelta, madeBefore || 0, madeAfter || 0, actor || null]);
+  
+  const eventId = getOne('SELECT last_insert_rowid() as id').id;
+  
+  for (const allocation of allocations) {
+    db.run(`
+      INSERT INTO production_event_allocations (event_id, order_id, line_item_id, quantity)
+      VALUES (?, ?, ?, ?)
+    `, [eventId, allocation.orderId, allocation.lineItemId, allocation.allocated]);
+  }
+  
+  return eventId;
+}
+
+function getProductionEvents(variantId, limit = 50) {
+  const events = getAll(`
+    SELECT * FROM production_events
+    WHERE variant_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `, [variantId, limit]);
+  
+  if (events.length === 0) {
+    return [];
+  }
+  
+  const allocations = getAll(`
+    SELECT pea.*, o.order_name
+    FROM production_event_allocations pea
+    LEFT JOIN orders o ON pea.order_id = o.order_id
+    WHERE pea.event_id IN (${events.map(() => '?').join(',')})
+    ORDER BY pea.id ASC
+  `, events.map(e => e.id));
+  
+  return events.map(event => ({
+    ...event,
+    allocations: allocations.filter(a => a.event_id === event.id)
+  }));
+}
+
+// ============================================
+// FULFILLMENT LOG FUNCTIONS
+// ============================================
+
+function recordFulfillmentAttempt(attempt) {
+  const { orderId, status, fulfillmentId, trackingNumber, trackingCompany, errorMessage, actor } = attempt;
+  
+  db.run(`
+    INSERT INTO fulfillment_log (order_id, status, shopify_fulfillment_id, tracking_number, tracking_company, error_message, actor)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [orderId, status, fulfillmentId || null, trackingNumber || null, trackingCompany || null, errorMessage || null, actor || null]);
+  
+  return getOne('SELECT last_insert_rowid() as id').id;
+}
+
+function getFulfillmentLog(orderId = null, limit = 100) {
+  const whereClause = orderId ? 'WHERE fl.order_id = ?' : '';
+  const params = orderId ? [orderId, limit] : [limit];
+  
+  return getAll(`
+    SELECT fl.*, o.order_name
+    FROM fulfillment_log fl
+    LEFT JOIN orders o ON fl.order_id = o.order_id
+    ${whereClause}
+    ORDER BY fl.id DESC
+    LIMIT ?
+  `, params);
+}
+
+// ============================================
+// INVENTORY FUNCTIONS
+// ============================================
+
+/**
  * Upsert inventory data for a variant
  */
 function upsertInventory(data) {
   db.run(`
-    INSERT INTO inventory (variant_id, product_id, product_title, variant_title, sku, image_url, inventory_quantity)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO inventory (variant_id, product_id, product_title, variant_title, sku, image_url, inventory_quantity, inventory_item_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(variant_id) DO UPDATE SET
       product_id = excluded.product_id,
       product_title = excluded.product_title,
@@ -658,6 +1285,7 @@ function upsertInventory(data) {
       sku = excluded.sku,
       image_url = excluded.image_url,
       inventory_quantity = excluded.inventory_quantity,
+      inventory_item_id = excluded.inventory_item_id,
       updated_at = CURRENT_TIMESTAMP
   `, [
     data.variantId,
@@ -666,7 +1294,8 @@ function upsertInventory(data) {
     data.variantTitle,
     data.sku || '',
     data.imageUrl || null,
-    data.inventoryQuantity || 0
+    data.inventoryQuantity || 0,
+    data.inventoryItemId || null
   ]);
 }
 
@@ -683,31 +1312,34 @@ function bulkUpsertInventory(inventoryItems) {
  * Get all inventory data
  */
 function getAllInventory(options = {}) {
-  const { outOfStockOnly = false, search = '' } = options;
+  const { outOfStockOnly = false, search = '', locationId = null } = options;
+  const quantity = locationId ? 'il.available' : 'i.inventory_quantity';
   
   let query = `
-    SELECT *,
-      CASE WHEN inventory_quantity <= 0 THEN 1 ELSE 0 END as is_out_of_stock
-    FROM inventory
+    SELECT i.*,
+      ${locationId ? 'il.location_id, il.location_name, il.available, il.committed, il.on_hand,' : ''}
+      CASE WHEN ${quantity} <= 0 THEN 1 ELSE 0 END as is_out_of_stock
+    FROM inventory i
+    ${locationId ? 'JOIN inventory_levels il ON il.variant_id = i.variant_id AND il.location_id = ?' : ''}
     WHERE 1=1
   `;
   
   if (outOfStockOnly) {
-    query += ` AND inventory_quantity <= 0`;
+    query += ` AND ${quantity} <= 0`;
   }
   
   if (search) {
-    query += ` AND (product_title LIKE '%${search}%' OR variant_title LIKE '%${search}%' OR sku LIKE '%${search}%')`;
+    query += ` AND (i.product_title LIKE '%${search}%' OR i.variant_title LIKE '%${search}%' OR i.sku LIKE '%${search}%')`;
   }
   
   query += `
     ORDER BY 
       is_out_of_stock DESC,
-      product_title ASC,
-      variant_title ASC
+      i.product_title ASC,
+      i.variant_title ASC
   `;
   
-  return getAll(query);
+  return getAll(query, locationId ? [locationId] : []);
 }
 
 /**
@@ -720,15 +1352,18 @@ function getInventoryByVariantId(variantId) {
 /**
  * Get inventory stats
  */
-function getInventoryStats() {
+function getInventoryStats(locationId = null) {
+  const quantity = locationId ? 'il.available' : 'i.inventory_quantity';
+  
   const result = getOne(`
     SELECT 
       COUNT(*) as total_variants,
-      SUM(CASE WHEN inventory_quantity <= 0 THEN 1 ELSE 0 END) as out_of_stock_count,
-      SUM(CASE WHEN inventory_quantity > 0 THEN 1 ELSE 0 END) as in_stock_count,
-      SUM(inventory_quantity) as total_inventory
-    FROM inventory
-  `);
+      SUM(CASE WHEN ${quantity} <= 0 THEN 1 ELSE 0 END) as out_of_stock_count,
+      SUM(CASE WHEN ${quantity} > 0 THEN 1 ELSE 0 END) as in_stock_count,
+      SUM(${quantity}) as total_inventory
+    FROM inventory i
+    ${locationId ? 'JOIN inventory_levels il ON il.variant_id = i.variant_id AND il.location_id = ?' : ''}
+  `, locationId ? [locationId] : []);
   
   return result || {
     total_variants: 0,
@@ -738,11 +1373,931 @@ function getInventoryStats() {
   };
 }
 
+function replaceInventoryLevels(levels) {
+  db.run('DELETE FROM inventory_levels');
+  
+  for (const level of levels) {
+    db.run(`
+      INSERT INTO inventory_levels (variant_id, location_id, location_name, available, committed, on_hand)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [level.variantId, level.locationId, level.locationName, level.available, level.committed, level.onHand]);
+  }
+}
+
+function getInventoryLocations() {
+  return getAll(`
+    SELECT location_id, MAX(location_name) as location_name
+    FROM inventory_levels
+    GROUP BY location_id
+    ORDER BY location_name ASC
+  `);
+}
+
 /**
  * Clear all inventory data
  */
 function clearAllInventory() {
   db.run('DELETE FROM inventory');
+  db.run('DELETE FROM inventory_levels');
+}
+
+// ============================================
+// INVENTORY PUSH FUNCTIONS
+// ============================================
+
+function getInventoryPushProducts() {
+  return getAll('SELECT * FROM inventory_push_products ORDER BY product_id');
+}
+
+function setInventoryPushProduct(productId, location) {
+  if (!location) {
+    db.run('DELETE FROM inventory_push_products WHERE product_id = ?', [productId]);
+    return;
+  }
+  
+  db.run(`
+    INSERT INTO inventory_push_products (product_id, location_id, location_name)
+    VALUES (?, ?, ?)
+    ON CONFLICT(product_id) DO UPDATE SET
+      location_id = excluded.location_id,
+      location_name = excluded.location_name,
+      updated_at = CURRENT_TIMESTAMP
+  `, [productId, location.id, location.name || null]);
+}
+
+function queueInventoryPush(variantId, delta, reason) {
+  if (!delta) {
+    return null;
+  }
+  
+  const target = getOne(`
+    SELECT i.inventory_item_id, ipp.location_id
+    FROM inventory i
+    JOIN inventory_push_products ipp ON ipp.product_id = i.product_id
+    WHERE i.variant_id = ? AND i.inventory_item_id IS NOT NULL
+  `, [variantId]);
+  
+  if (!target) {
+    return null;
+  }
+  
+  return queueInventoryAdjustment(variantId, target.inventory_item_id, target.location_id, delta, reason);
+}
+
+function queueInventoryAdjustment(variantId, inventoryItemId, locationId, delta, reason, setQuantity = null) {
+  db.run(`
+    INSERT INTO inventory_outbox (variant_id, inventory_item_id, location_id, delta, reason, set_quantity)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [variantId, inventoryItemId, locationId, delta, reason, setQuantity]);
+  const id = getOne('SELECT last_insert_rowid() as id').id;
+  
+  db.run(`
+    UPDATE inventory
+    SET inventory_quantity = inventory_quantity + ?, updated_at = CURRENT_TIMESTAMP
+    WHERE variant_id = ?
+  `, [delta, variantId]);
+  
+  db.run(`
+    UPDATE inventory_levels
+    SET available = available + ?, on_hand = on_hand + ?, updated_at = CURRENT_TIMESTAMP
+    WHERE variant_id = ? AND location_id = ?
+  `, [delta, delta, variantId, locationId]);
+  
+  return id;
+}
+
+function getPendingInventoryPushes() {
+  return getAll(`SELECT * FROM inventory_outbox WHERE status = 'pending' ORDER BY id ASC`);
+}
+
+function markInventoryPushSent(id) {
+  db.run(`
+    UPDATE inventory_outbox
+    SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = ?
+    WHERE id = ?
+  `, [new Date().toISOString(), id]);
+}
+
+function markInventoryPushFailed(id, errorMessage, maxAttempts) {
+  db.run(`
+    UPDATE inventory_outbox
+    SET attempts = attempts + 1,
+      last_error = ?,
+      status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END
+    WHERE id = ?
+  `, [errorMessage, maxAttempts, id]);
+}
+
+function retryFailedInventoryPushes() {
+  db.run(`UPDATE inventory_outbox SET status = 'pending', attempts = 0 WHERE status = 'failed'`);
+  return db.getRowsModified();
+}
+
+function getInventoryPushStats() {
+  const stats = getOne(`
+    SELECT
+      SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+    FROM inventory_outbox
+  `);
+  const lastFailure = getOne(`
+    SELECT last_error FROM inventory_outbox
+    WHERE status != 'sent' AND last_error IS NOT NULL
+    ORDER BY id DESC LIMIT 1
+  `);
+  
+  return {
+    pending: stats.pending || 0,
+    failed: stats.failed || 0,
+    lastError: lastFailure ? lastFailure.last_error : null
+  };
+}
+
+function reapplyUnsyncedInventoryPushes(fetchedFrom) {
+  const pushes = getAll(`
+    SELECT * FROM inventory_outbox
+    WHERE status = 'pending' OR (status = 'sent' AND sent_at > ?)
+    ORDER BY id ASC
+  `, [fetchedFrom]);
+  
+  const targets = new Map();
+  for (const push of pushes) {
+    const key = `${push.variant_id}\n${push.location_id}`;
+    const target = targets.get(key) || { variantId: push.variant_id, locationId: push.location_id, setTo: null, delta: 0 };
+    
+    if (push.set_quantity !== null) {
+      target.setTo = push.set_quantity;
+      target.delta = 0;
+    } else {
+      target.delta += push.delta;
+    }
+    targets.set(key, target);
+  }
+  
+  const changed = new Set();
+  
+  for (const target of targets.values()) {
+    const level = target.setTo === null ? null : getOne('SELECT on_hand FROM inventory_levels WHERE variant_id = ? AND location_id = ?', [target.variantId, target.locationId]);
+    const change = target.setTo === null ? target.delta : target.setTo + target.delta - (level ? level.on_hand : 0);
+    if (change === 0) {
+      continue;
+    }
+    
+    db.run(`
+      UPDATE inventory_levels
+      SET available = available + ?, on_hand = on_hand + ?
+      WHERE variant_id = ? AND location_id = ?
+    `, [change, change, target.variantId, target.locationId]);
+    db.run('UPDATE inventory SET inventory_quantity = inventory_quantity + ? WHERE variant_id = ?', [change, target.variantId]);
+    if (db.getRowsModified() > 0) {
+      changed.add(target.variantId);
+    }
+  }
+  
+  return changed.size;
+}
+
+// ============================================
+// BILL OF MATERIALS FUNCTIONS
+// ============================================
+
+function getAllComponents() {
+  return getAll(`
+    SELECT c.*, COUNT(vc.variant_id) as recipe_count, COALESCE(oo.quantity, 0) as on_order
+    FROM components c
+    LEFT JOIN variant_components vc ON vc.component_id = c.id
+    LEFT JOIN (
+      SELECT pol.component_id, SUM(pol.quantity) as quantity
+      FROM purchase_order_lines pol
+      JOIN purchase_orders po ON po.id = pol.purchase_order_id
+      WHERE po.status = 'ordered'
+      GROUP BY pol.component_id
+    ) oo ON oo.component_id = c.id
+    GROUP BY c.id
+    ORDER BY c.name ASC
+  `);
+}
+
+function saveComponent(component) {
+  const name = (component.name || '').trim();
+  const unit = (component.unit || '').trim() || 'pcs';
+  const sku = (component.sku || '').trim();
+  const reorderPoint = component.reorderPoint || 0;
+  
+  if (!name) {
+    throw new Error('Component name is required');
+  }
+  
+  if (typeof reorderPoint !== 'number' || !Number.isFinite(reorderPoint) || reorderPoint < 0) {
+    throw new Error('Reorder point must be zero or more');
+  }
+  
+  const existing = getOne('SELECT id FROM components WHERE name = ?', [name]);
+  if (existing && existing.id !== component.id) {
+    throw new Error(`There is already a component called "${name}"`);
+  }
+  
+  let id = component.id;
+  if (id) {
+    db.run(`
+      UPDATE components
+      SET name = ?, unit = ?, sku = ?, reorder_point = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [name, unit, sku, reorderPoint, id]);
+    
+    if (db.getRowsModified() === 0) {
+      throw new Error('Component not found');
+    }
+  } else {
+    db.run('INSERT INTO components (name, unit, sku, reorder_point) VALUES (?, ?, ?, ?)', [name, unit, sku, reorderPoint]);
+    id = getOne('SELECT last_insert_rowid() as id').id;
+  }
+  
+  return getOne('SELECT * FROM components WHERE id = ?', [id]);
+}
+
+function deleteComponent(componentId) {
+  const openOrder = getOne(`
+    SELECT po.id
+    FROM purchase_order_lines pol
+    JOIN purchase_orders po ON po.id = pol.purchase_order_id
+    WHERE pol.component_id = ? AND po.status != 'received'
+    LIMIT 1
+  `, [componentId]);
+  
+  if (openOrder) {
+    throw new Error(`Component is on purchase order #${openOrder.id} - take it off the order first`);
+  }
+  
+  db.run('DELETE FROM variant_components WHERE component_id = ?', [componentId]);
+  const removed = db.getRowsModified();
+  db.run('DELETE FROM components WHERE id = ?', [componentId]);
+  
+  if (db.getRowsModified() === 0) {
+    throw new Error('Component not found');
+  }
+  
+  return removed;
+}
+
+function getVariantRecipe(variantId) {
+  return getAll(`
+    SELECT vc.component_id, c.name, c.unit, c.sku, vc.quantity
+    FROM variant_components vc
+    JOIN components c ON c.id = vc.component_id
+    WHERE vc.variant_id = ?
+    ORDER BY c.name ASC
+  `, [variantId]);
+}
+
+function setVariantRecipe(variantId, lines) {
+  validateComponentLines(lines, 'recipe');
+  
+  db.run('DELETE FROM variant_components WHERE variant_id = ?', [variantId]);
+  
+  for (const line of lines) {
+    db.run('INSERT INTO variant_components (variant_id, component_id, quantity) VALUES (?, ?, ?)', [variantId, line.componentId, line.quantity]);
+  }
+  
+  return getVariantRecipe(variantId);
+}
+
+function getMaterialsNeeded(netRequirement = false) {
+  const unitsColumn = netRequirement ? 'net_to_make' : 'remaining_quantity';
+  const tasks = getAll(`
+    SELECT variant_id, product_title, variant_title, ${unitsColumn} as units
+    FROM (${TASKS_WITH_STOCK})
+    WHERE ${unitsColumn} > 0
+    ORDER BY product_title ASC, variant_title ASC
+  `);
+  const recipeLines = getAll(`
+    SELECT vc.variant_id, vc.component_id, c.name, c.unit, c.sku, vc.quantity
+    FROM variant_components vc
+    JOIN components c ON c.id = vc.component_id
+    ORDER BY c.name ASC
+  `);
+  
+  const components = new Map();
+  const variantsWithoutRecipe = [];
+  
+  for (const task of tasks) {
+    const lines = recipeLines.filter(line => line.variant_id === task.variant_id);
+    if (lines.length === 0) {
+      variantsWithoutRecipe.push(task);
+      continue;
+    }
+    
+    for (const line of lines) {
+      if (!components.has(line.component_id)) {
+        components.set(line.component_id, {
+          componentId: line.component_id,
+          name: line.name,
+          unit: line.unit,
+          sku: line.sku,
+          quantityNeeded: 0,
+          variants: []
+        });
+      }
+      
+      const component = components.get(line.component_id);
+      const quantity = roundQuantity(task.units * line.quantity);
+      component.quantityNeeded = roundQuantity(component.quantityNeeded + quantity);
+      component.variants.push({
+        variantId: task.variant_id,
+        productTitle: task.product_title,
+        variantTitle: task.variant_title,
+        units: task.units,
+        perUnit: line.quantity,
+        quantity
+      });
+    }
+  }
+  
+  return {
+    components: [...components.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    variantsWithoutRecipe
+  };
+}
+
+function validateComponentLines(lines, listName) {
+  const seen = new Set();
+  
+  for (const line of lines) {
+    if (typeof line.quantity !== 'number' || !Number.isFinite(line.quantity) || line.quantity <= 0) {
+      throw new Error('Component quantities must be positive numbers');
+    }
+    if (seen.has(line.componentId)) {
+      throw new Error(`Each component can only be listed once per ${listName}`);
+    }
+    if (!getOne('SELECT id FROM components WHERE id = ?', [line.componentId])) {
+      throw new Error('Component not found');
+    }
+    seen.add(line.componentId);
+  }
+}
+
+function roundQuantity(quantity) {
+  return Math.round(quantity * 1000) / 1000;
+}
+
+// ============================================
+// MATERIAL STOCK FUNCTIONS
+// ============================================
+
+function moveComponentStock(componentId, delta, movement) {
+  db.run(`
+    UPDATE components
+    SET on_hand = ROUND(on_hand + ?, 3), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [delta, componentId]);
+  
+  db.run(`
+    INSERT INTO material_movements (component_id, delta, reason, variant_id, purchase_order_id, actor)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [componentId, delta, movement.reason, movement.variantId || null, movement.purchaseOrderId || null, movement.actor || null]);
+}
+
+function setComponentStock(componentId, onHand, actor = null) {
+  if (typeof onHand !== 'number' || !Number.isFinite(onHand) || onHand < 0) {
+    throw new Error('Stock count must be zero or more');
+  }
+  
+  const component = getOne('SELECT * FROM components WHERE id = ?', [componentId]);
+  if (!component) {
+    throw new Error('Component not found');
+  }
+  
+  const delta = roundQuantity(onHand - component.on_hand);
+  if (delta !== 0) {
+    moveComponentStock(componentId, delta, { reason: 'count', actor });
+  }
+  
+  return getOne('SELECT * FROM components WHERE id = ?', [componentId]);
+}
+
+function consumeMaterialsForVariant(variantId, units, reason, actor = null) {
+  if (!units) {
+    return [];
+  }
+  
+  const used = getVariantRecipe(variantId).map(line => ({
+    componentId: line.component_id,
+    name: line.name,
+    unit: line.unit,
+    quantity: roundQuantity(units * line.quantity)
+  }));
+  
+  for (const item of used) {
+    moveComponentStock(item.componentId, -item.quantity, { reason, variantId, actor });
+  }
+  
+  return used;
+}
+
+function getMaterialMovements(componentId, limit = 50) {
+  return getAll(`
+    SELECT * FROM material_movements
+    WHERE component_id = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `, [componentId, limit]);
+}
+
+function getMaterialShortfall(netRequirement = false) {
+  const needed = new Map(
+    getMaterialsNeeded(netRequirement).components.map(component => [component.componentId, component.quantityNeeded])
+  );
+  
+  return getAllComponents()
+    .map(component => {
+      const quantityNeeded = needed.get(component.id) || 0;
+      const left = roundQuantity(component.on_hand + component.on_order - quantityNeeded);
+      
+      return {
+        componentId: component.id,
+        name: component.name,
+        unit: component.unit,
+        sku: component.sku,
+        quantityNeeded,
+        onHand: component.on_hand,
+        onOrder: component.on_order,
+        reorderPoint: component.reorder_point,
+        shortfall: Math.max(-left, 0),
+        toOrder: roundQuantity(Math.max(component.reorder_point - left, 0))
+      };
+    })
+    .filter(row => row.toOrder > 0);
+}
+
+// ============================================
+// PURCHASE ORDER FUNCTIONS
+// ============================================
+
+const PURCHASE_ORDER_LINES = `
+  SELECT pol.*, COALESCE(c.name, 'Deleted component') as name, COALESCE(c.unit, '') as unit
+  FROM purchase_order_lines pol
+  LEFT JOIN components c ON c.id = pol.component_id
+`;
+
+function getPurchaseOrders() {
+  const orders = getAll(`
+    SELECT * FROM purchase_orders
+    ORDER BY
+      CASE status
+        WHEN 'draft' THEN 0
+        WHEN 'ordered' THEN 1
+        ELSE 2
+      END,
+      id DESC
+  `);
+  const lines = getAll(`${PURCHASE_ORDER_LINES} ORDER BY pol.id ASC`);
+  
+  return orders.map(order => ({
+    ...order,
+    lines: lines.filter(line => line.purchase_order_id === order.id)
+  }));
+}
+
+function getPurchaseOrder(purchaseOrderId) {
+  const order = getOne('SELECT * FROM purchase_orders WHERE id = ?', [purchaseOrderId]);
+  if (!order) {
+    throw new Error('Purchase order not found');
+  }
+  
+  order.lines = getAll(`${PURCHASE_ORDER_LINES} WHERE pol.purchase_order_id = ? ORDER BY pol.id ASC`, [purchaseOrderId]);
+  return order;
+}
+
+function savePurchaseOrder(purchaseOrder) {
+  const supplier = (purchaseOrder.supplier || '').trim();
+  const reference = (purchaseOrder.reference || '').trim();
+  const lines = purchaseOrder.lines || [];
+  
+  if (lines.length === 0) {
+    throw new Error('Add at least one component to the purchase order');
+  }
+  validateComponentLines(lines, 'purchase order');
+  
+  let id = purchaseOrder.id;
+  if (id) {
+    if (getPurchaseOrder(id).status !== 'draft') {
+      throw new Error('Only draft purchase orders can be changed');
+    }
+    
+    db.run(`
+      UPDATE purchase_orders
+      SET supplier = ?, reference = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [supplier, reference, id]);
+    db.run('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?', [id]);
+  } else {
+    db.run('INSERT INTO purchase_orders (supplier, reference) VALUES (?, ?)', [supplier, reference]);
+    id = getOne('SELECT last_insert_rowid() as id').id;
+  }
+  
+  for (const line of lines) {
+    db.run('INSERT INTO purchase_order_lines (purchase_order_id, component_id, quantity) VALUES (?, ?, ?)', [id, line.componentId, line.quantity]);
+  }
+  
+  return getPurchaseOrder(id);
+}
+
+function markPurchaseOrderOrdered(purchaseOrderId) {
+  if (getPurchaseOrder(purchaseOrderId).status !== 'draft') {
+    throw new Error('Only draft purchase orders can be marked as ordered');
+  }
+  
+  db.run(`
+    UPDATE purchase_orders
+    SET status = 'ordered', ordered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [purchaseOrderId]);
+  
+  return getPurchaseOrder(purchaseOrderId);
+}
+
+function receivePurchaseOrder(purchaseOrderId, actor = null) {
+  const order = getPurchaseOrder(purchaseOrderId);
+  if (order.status !== 'ordered') {
+    throw new Error('Only ordered purchase orders can be received');
+  }
+  
+  for (const line of order.lines) {
+    moveComponentStock(line.component_id, line.quantity, { reason: 'received', purchaseOrderId, actor });
+  }
+  
+  db.run(`
+    UPDATE purchase_orders
+    SET status = 'received', received_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [purchaseOrderId]);
+  
+  return getPurchaseOrder(purchaseOrderId);
+}
+
+function deletePurchaseOrder(purchaseOrderId) {
+  if (getPurchaseOrder(purchaseOrderId).status === 'received') {
+    throw new Error('Received purchase orders cannot be deleted');
+  }
+  
+  db.run('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?', [purchaseOrderId]);
+  db.run('DELETE FROM purchase_orders WHERE id = ?', [purchaseOrderId]);
+}
+
+// ============================================
+// PRODUCTION BATCH FUNCTIONS
+// ============================================
+
+const BATCH_ITEMS = `
+  SELECT bi.*, (t.total_quantity - t.made_quantity) as remaining_quantity, t.image_url
+  FROM batch_items bi
+  LEFT JOIN tasks t ON t.variant_id = bi.variant_id
+`;
+
+function describeVariant(row) {
+  return row.variant_title && row.variant_title !== 'Default Title'
+    ? `${row.product_title} - ${row.variant_title}`
+    : row.product_title;
+}
+
+function getBatches() {
+  const batches = getAll(`
+    SELECT * FROM batches
+    ORDER BY
+      CASE status WHEN 'open' THEN 0 ELSE 1 END,
+      COALESCE(closed_at, created_at) DESC,
+      id DESC
+  `);
+  const items = getAll(`${BATCH_ITEMS} ORDER BY bi.product_title ASC, bi.variant_title ASC`);
+  
+  return batches.map(batch => ({
+    ...batch,
+    items: items.filter(item => item.batch_id === batch.id)
+  }));
+}
+
+function getBatch(batchId) {
+  const batch = getOne('SELECT * FROM batches WHERE id = ?', [batchId]);
+  if (!batch) {
+    throw new Error('Batch not found');
+  }
+  
+  batch.items = getAll(`${BATCH_ITEMS} WHERE bi.batch_id = ? ORDER BY bi.product_title ASC, bi.variant_title ASC`, [batchId]);
+  return batch;
+}
+
+function createBatch(name, actor = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Batch name is required');
+  }
+  
+  db.run('INSERT INTO batches (name, created_by) VALUES (?, ?)', [trimmed, actor]);
+  return getBatch(getOne('SELECT last_insert_rowid() as id').id);
+}
+
+function setBatchItemQuantity(batchId, variantId, quantity) {
+  const batch = getBatch(batchId);
+  if (batch.status !== 'open') {
+    throw new Error('Only open batches can be changed');
+  }
+  
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new Error('Quantity must be a whole number');
+  }
+  
+  if (quantity === 0) {
+    db.run('DELETE FROM batch_items WHERE batch_id = ? AND variant_id = ?', [batchId, variantId]);
+    return getBatch(batchId);
+  }
+  
+  const task = getTaskByVariantId(variantId);
+  if (!task) {
+    throw new Error(`Task not found for variant: ${variantId}`);
+  }
+  
+  const current = batch.items.find(item => item.variant_id === variantId);
+  const free = task.remaining_quantity - task.reserved_quantity + (current ? current.planned_quantity : 0);
+  if (quantity > free) {
+    throw new Error(`Only ${Math.max(free, 0)} unit(s) of ${describeVariant(task)} aren't planned in a batch yet`);
+  }
+  
+  db.run(`
+    INSERT INTO batch_items (batch_id, variant_id, product_title, variant_title, sku, planned_quantity)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(batch_id, variant_id) DO UPDATE SET
+      planned_quantity = excluded.planned_quantity
+  `, [batchId, variantId, task.product_title, task.variant_title || '', task.sku || '', quantity]);
+  
+  return getBatch(batchId);
+}
+
+function addToBatch(batchId, variantId, quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('Quantity must be a positive number');
+  }
+  
+  const current = getBatch(batchId).items.find(item => item.variant_id === variantId);
+  return setBatchItemQuantity(batchId, variantId, quantity + (current ? current.planned_quantity : 0));
+}
+
+function deleteBatch(batchId) {
+  if (getBatch(batchId).status !== 'open') {
+    throw new Error('Closed batches cannot be deleted');
+  }
+  
+  db.run('DELETE FROM batch_items WHERE batch_id = ?', [batchId]);
+  db.run('DELETE FROM batches WHERE id = ?', [batchId]);
+}
+
+function closeBatch(batchId, madeQuantities = {}, actor = null) {
+  const batch = getBatch(batchId);
+  if (batch.status !== 'open') {
+    throw new Error('This batch is already closed');
+  }
+  
+  const made = batch.items.map(item => {
+    const quantity = madeQuantities[item.variant_id] === undefined ? item.planned_quantity : madeQuantities[item.variant_id];
+    
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error('Made quantities must be whole numbers');
+    }
+    if (quantity > 0 && item.remaining_quantity === null) {
+      throw new Error(`${describeVariant(item)} is no longer in the task list`);
+    }
+    if (quantity > item.remaining_quantity) {
+      throw new Error(`Only ${item.remaining_quantity} unit(s) of ${describeVariant(item)} are left to make`);
+    }
+    
+    return { variantId: item.variant_id, quantity };
+  });
+  
+  for (const item of made) {
+    db.run('UPDATE batch_items SET made_quantity = ? WHERE batch_id = ? AND variant_id = ?', [item.quantity, batchId, item.variantId]);
+  }
+  
+  db.run(`
+    UPDATE batches
+    SET status = 'closed', closed_by = ?, closed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [actor, batchId]);
+  
+  return made.filter(item => item.quantity > 0);
+}
+
+// ============================================
+// STOCKTAKE FUNCTIONS
+// ============================================
+
+const STOCKTAKE_COUNTS = `
+  SELECT
+    sc.stocktake_id, sc.variant_id, sc.product_title, sc.variant_title, sc.sku,
+    sc.counted_quantity, sc.counted_at, i.image_url,
+    CASE
+      WHEN s.status = 'finished' THEN sc.expected_quantity
+      WHEN s.location_id IS NULL THEN COALESCE(i.inventory_quantity, 0)
+      ELSE COALESCE(il.on_hand, 0)
+    END as expected_quantity
+  FROM stocktake_counts sc
+  JOIN stocktakes s ON s.id = sc.stocktake_id
+  LEFT JOIN inventory i ON i.variant_id = sc.variant_id
+  LEFT JOIN inventory_levels il ON il.variant_id = sc.variant_id AND il.location_id = s.location_id
+`;
+
+function withVariance(counts) {
+  return counts.map(count => ({
+    ...count,
+    variance: count.counted_quantity - count.expected_quantity
+  }));
+}
+
+function getStocktakes() {
+  const stocktakes = getAll(`
+    SELECT * FROM stocktakes
+    ORDER BY
+      CASE status WHEN 'open' THEN 0 ELSE 1 END,
+      COALESCE(finished_at, created_at) DESC,
+      id DESC
+  `);
+  const counts = withVariance(getAll(`${STOCKTAKE_COUNTS} ORDER BY sc.product_title ASC, sc.variant_title ASC`));
+  
+  return stocktakes.map(stocktake => ({
+    ...stocktake,
+    counts: counts.filter(count => count.stocktake_id === stocktake.id)
+  }));
+}
+
+function getStocktake(stocktakeId) {
+  const stocktake = getOne('SELECT * FROM stocktakes WHERE id = ?', [stocktakeId]);
+  if (!stocktake) {
+    throw new Error('Stocktake not found');
+  }
+  
+  stocktake.counts = withVariance(getAll(`${STOCKTAKE_COUNTS} WHERE sc.stocktake_id = ? ORDER BY sc.product_title ASC, sc.variant_title ASC`, [stocktakeId]));
+  return stocktake;
+}
+
+function getOpenStocktake(stocktakeId) {
+  const stocktake = getStocktake(stocktakeId);
+  if (stocktake.status !== 'open') {
+    throw new Error('Only open stocktakes can be changed');
+  }
+  return stocktake;
+}
+
+function startStocktake({ name, locationId = null } = {}, actor = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Stocktake name is required');
+  }
+  
+  let locationName = null;
+  if (locationId) {
+    const location = getInventoryLocations().find(row => row.location_id === locationId);
+    if (!location) {
+      throw new Error('Location not found');
+    }
+    locationName = location.location_name;
+  }
+  
+  db.run(`
+    INSERT INTO stocktakes (name, location_id, location_name, created_by)
+    VALUES (?, ?, ?, ?)
+  `, [trimmed, locationId || null, locationName, actor]);
+  return getStocktake(getOne('SELECT last_insert_rowid() as id').id);
+}
+
+function setStocktakeCount(stocktakeId, variantId, quantity) {
+  getOpenStocktake(stocktakeId);
+  
+  if (quantity === null) {
+    db.run('DELETE FROM stocktake_counts WHERE stocktake_id = ? AND variant_id = ?', [stocktakeId, variantId]);
+    return getStocktake(stocktakeId);
+  }
+  
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw new Error('Counted quantity must be a whole number');
+  }
+  
+  const variant = getOne('SELECT * FROM inventory WHERE variant_id = ?', [variantId]);
+  if (!variant) {
+    throw new Error('Variant not found in inventory');
+  }
+  
+  db.run(`
+    INSERT INTO stocktake_counts (stocktake_id, variant_id, product_title, variant_title, sku, counted_quantity)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(stocktake_id, variant_id) DO UPDATE SET
+      counted_quantity = excluded.counted_quantity,
+      counted_at = CURRENT_TIMESTAMP
+  `, [stocktakeId, variantId, variant.product_title, variant.variant_title || '', variant.sku || '', quantity]);
+  
+  return getStocktake(stocktakeId);
+}
+
+function findVariantBySku(sku) {
+  const trimmed = String(sku || '').trim();
+  if (!trimmed) {
+    throw new Error('SKU is required');
+  }
+  
+  const variants = getAll('SELECT * FROM inventory WHERE LOWER(TRIM(sku)) = LOWER(?)', [trimmed]);
+  if (variants.length === 0) {
+    throw new Error(`No variant has SKU "${trimmed}"`);
+  }
+  if (variants.length > 1) {
+    throw new Error(`SKU "${trimmed}" is on ${variants.length} variants - enter their counts by hand`);
+  }
+  return variants[0];
+}
+
+function countStocktakeSku(stocktakeId, sku, quantity = 1) {
+  const stocktake = getOpenStocktake(stocktakeId);
+  
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error('Quantity must be a positive number');
+  }
+  
+  const variant = findVariantBySku(sku);
+  const current = stocktake.counts.find(count => count.variant_id === variant.variant_id);
+  
+  return {
+    stocktake: setStocktakeCount(stocktakeId, variant.variant_id, quantity + (current ? current.counted_quantity : 0)),
+    variantId: variant.variant_id
+  };
+}
+
+function importStocktakeCounts(stocktakeId, counts) {
+  getOpenStocktake(stocktakeId);
+  
+  let imported = 0;
+  const skipped = [];
+  
+  for (const count of counts) {
+    try {
+      setStocktakeCount(stocktakeId, findVariantBySku(count.sku).variant_id, count.quantity);
+      imported++;
+    } catch (error) {
+      skipped.push(error.message);
+    }
+  }
+  
+  return { stocktake: getStocktake(stocktakeId), imported, skipped };
+}
+
+function finishStocktake(stocktakeId, { writeBack = false } = {}, actor = null) {
+  const stocktake = getStocktake(stocktakeId);
+  if (stocktake.status !== 'open') {
+    throw new Error('This stocktake is already finished');
+  }
+  if (stocktake.counts.length === 0) {
+    throw new Error('Count at least one variant before finishing');
+  }
+  if (writeBack && !stocktake.location_id) {
+    throw new Error('Pick a location to write counts back to Shopify');
+  }
+  
+  for (const count of stocktake.counts) {
+    db.run('UPDATE stocktake_counts SET expected_quantity = ? WHERE stocktake_id = ? AND variant_id = ?', [count.expected_quantity, stocktakeId, count.variant_id]);
+  }
+  
+  let adjusted = 0;
+  let skipped = 0;
+  
+  if (writeBack) {
+    for (const count of stocktake.counts) {
+      const target = getOne(`
+        SELECT i.inventory_item_id
+        FROM inventory i
+        JOIN inventory_levels il ON il.variant_id = i.variant_id AND il.location_id = ?
+        WHERE i.variant_id = ? AND i.inventory_item_id IS NOT NULL
+      `, [stocktake.location_id, count.variant_id]);
+      if (!target) {
+        skipped++;
+        continue;
+      }
+      
+      queueInventoryAdjustment(count.variant_id, target.inventory_item_id, stocktake.location_id, count.variance, 'stocktake', count.counted_quantity);
+      adjusted++;
+    }
+  }
+  
+  db.run(`
+    UPDATE stocktakes
+    SET status = 'finished', write_back = ?, finished_by = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [writeBack ? 1 : 0, actor, stocktakeId]);
+  
+  return { stocktake: getStocktake(stocktakeId), adjusted, skipped };
+}
+
+function deleteStocktake(stocktakeId) {
+  if (getStocktake(stocktakeId).status !== 'open') {
+    throw new Error('Finished stocktakes are kept as a record');
+  }
+  
+  db.run('DELETE FROM stocktake_counts WHERE stocktake_id = ?', [stocktakeId]);
+  db.run('DELETE FROM stocktakes WHERE id = ?', [stocktakeId]);
 }
 
 module.exports = {
@@ -755,6 +2310,7 @@ module.exports = {
   getTaskByVariantId,
   getAllTasks,
   updateMadeQuantity,
+  decrementMadeQuantity,
   resetTask,
   // Order functions
   upsertOrder,
@@ -764,21 +2320,101 @@ module.exports = {
   getAllOrders,
   getArchivedOrders,
   getOrderLineItems,
+  getOrdersWithLineItems,
   getLineItemsByOrderId,
   archiveOrder,
   unarchiveOrder,
   resetOrderProgress,
   clearOrdersWithoutProgress,
   getOrderIdsToSkipDuringSync,
+  mergeUpdatedOrders,
+  mergePreservedOrderEdits,
+  getPreservedOrdersToReconcile,
+  applyOrderReconciliation,
+  dismissOrderAttention,
+  logSync,
+  getLastSuccessfulSync,
   allocateMadeQuantityToOrders,
+  deallocateQuantityFromOrders,
+  allocateToLineItem,
+  allocateStockToOrders,
+  markOrderMade,
+  previewAllocation,
+  setOrderPriority,
   resetVariantInOrders,
   recalculateTaskTotalsFromOrders,
   updateAllOrderStatuses,
+  // Settings functions
+  getSetting,
+  saveSetting,
+  getAllocationStrategy,
+  saveAllocationStrategy,
+  getFulfillmentSettings,
+  saveFulfillmentSettings,
+  getPlanningSettings,
+  savePlanningSettings,
+  getMaterialSettings,
+  saveMaterialSettings,
+  getExportSettings,
+  saveExportSettings,
+  // Production event functions
+  recordProductionEvent,
+  getProductionEvents,
+  // Fulfillment log functions
+  recordFulfillmentAttempt,
+  getFulfillmentLog,
   // Inventory functions
   upsertInventory,
   bulkUpsertInventory,
   getAllInventory,
   getInventoryByVariantId,
   getInventoryStats,
-  clearAllInventory
+  replaceInventoryLevels,
+  getInventoryLocations,
+  clearAllInventory,
+  // Inventory push functions
+  getInventoryPushProducts,
+  setInventoryPushProduct,
+  queueInventoryPush,
+  getPendingInventoryPushes,
+  markInventoryPushSent,
+  markInventoryPushFailed,
+  retryFailedInventoryPushes,
+  getInventoryPushStats,
+  reapplyUnsyncedInventoryPushes,
+  // Bill of materials functions
+  getAllComponents,
+  saveComponent,
+  deleteComponent,
+  getVariantRecipe,
+  setVariantRecipe,
+  getMaterialsNeeded,
+  // Material stock functions
+  setComponentStock,
+  consumeMaterialsForVariant,
+  getMaterialMovements,
+  getMaterialShortfall,
+  // Purchase order functions
+  getPurchaseOrders,
+  savePurchaseOrder,
+  markPurchaseOrderOrdered,
+  receivePurchaseOrder,
+  deletePurchaseOrder,
+  // Production batch functions
+  getBatches,
+  getBatch,
+  createBatch,
+  setBatchItemQuantity,
+  addToBatch,
+  deleteBatch,
+  closeBatch,
+  // Stocktake functions
+  getStocktakes,
+  getStocktake,
+  startStocktake,
+  setStocktakeCount,
+  countStocktakeSku,
+  importStocktakeCounts,
+  finishStocktake,
+  deleteStocktake
 };